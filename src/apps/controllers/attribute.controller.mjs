@@ -0,0 +1,55 @@
+import attributeUsecase from '../usecases/attribute.usecase.mjs';
+import pino from 'pino';
+const logger = pino();
+
+/**
+ * Controller class for the custom attribute registry.
+ */
+class AttributeController {
+  /**
+   * List the registered attributes.
+   * @async
+   * @param {import('express').Request} req - Express request object.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async listDefinitions(req, res, next) {
+    try {
+      const definitions = await attributeUsecase.listDefinitions();
+      res.json({ success: true, data: definitions });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Register an attribute or change its definition.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the key in params and the definition in body.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async defineAttribute(req, res, next) {
+    try {
+      const definition = await attributeUsecase.defineAttribute(req.params.key, req.body);
+      res.json({ success: true, data: definition });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Remove an attribute from the registry.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the key in params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async removeDefinition(req, res, next) {
+    try {
+      const result = await attributeUsecase.removeDefinition(req.params.key);
+      res.json({ success: true, data: result });
+    } catch (err) { logger.error(err); next(err); }
+  }
+}
+
+export default new AttributeController();
@@ -1,7 +1,52 @@
 import customerUsecase from '../usecases/customer.usecase.mjs';
 import pino from 'pino';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { hasPermission } from '../../middlewares/auth.middleware.mjs';
+import { IMPORT_CONTENT_TYPES, parseCustomerImport } from '../../utils/import.utils.mjs';
+import { formatETag, isNotModified } from '../../utils/etag.utils.mjs';
+import { AppError, ForbiddenError } from '../../utils/error.utils.mjs';
 const logger = pino();
 
+/**
+ * Read the `includeDeleted` query flag, which only admins may set.
+ * @param {import('express').Request} req - Express request object.
+ * @returns {boolean} True when soft-deleted rows were requested.
+ * @throws {ForbiddenError} 403 if the user lacks `customers:readDeleted`.
+ */
+function readIncludeDeleted(req) {
+  const includeDeleted = req.query.includeDeleted === 'true';
+  if (includeDeleted && !hasPermission(req.user, 'customers:readDeleted')) {
+    throw new ForbiddenError('Only admins can view deleted customers', { code: 'MISSING_PERMISSION' });
+  }
+  return includeDeleted;
+}
+
+/**
+ * Work out the import format from `?format=` or the request Content-Type.
+ * @param {import('express').Request} req - Express request object.
+ * @returns {'csv'|'ndjson'} Import format.
+ * @throws {AppError} 415 for an unsupported or missing body.
+ */
+function readImportFormat(req) {
+  const contentType = String(req.headers?.['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const format = req.query.format || IMPORT_CONTENT_TYPES[contentType];
+  if (!['csv', 'ndjson'].includes(format) || typeof req.body !== 'string') {
+    throw new AppError('Upload a text/csv or application/x-ndjson body', { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+  }
+  return format;
+}
+
+/**
+ * Send a customer's version as the response ETag, for use in a later `If-Match`.
+ * @param {import('express').Response} res - Express response object.
+ * @param {Object} customer - Customer returned by the use case.
+ * @returns {void}
+ */
+function setETag(res, customer) {
+  res.set('ETag', formatETag(customer.version));
+}
+
 /**
  * Controller class for managing customer and address-related operations.
  * Uses the customer usecase layer to perform business logic.
@@ -18,20 +63,67 @@ class CustomerController {
   async create(req, res, next) {
     try {
       const created = await customerUsecase.createCustomer(req.body);
+      setETag(res, created);
       res.status(201).json({ success: true, message: 'Customer created', data: created });
     } catch (err) { logger.error(err); next(err); }
   }
 
   /**
-   * Get a paginated list of customers.
+   * Bulk import customers from a CSV or NDJSON body.
+   * Responds 201 when rows were committed, otherwise 200 with the per-row report.
+   * @async
+   * @param {import('express').Request} req - Express request object with the raw upload as body and `dryRun`/`mode` query params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async importCustomers(req, res, next) {
+    try {
+      const records = parseCustomerImport(req.body, readImportFormat(req));
+      const report = await customerUsecase.importCustomers(records, {
+        dryRun: req.query.dryRun === 'true',
+        mode: req.query.mode || 'atomic'
+      });
+      const created = report.committed && report.succeeded > 0;
+      res.status(created ? 201 : 200).json({
+        success: report.failed === 0,
+        message: report.committed ? 'Import committed' : 'Import rolled back',
+        data: report
+      });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Apply a batch of customer operations (create, update, delete, address and tag changes).
+   * Each operation is checked against the caller's permissions; the response reports every outcome.
+   * @async
+   * @param {import('express').Request} req - Express request object containing `atomic` and `operations` in the body.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async batch(req, res, next) {
+    try {
+      const report = await customerUsecase.runBatch(req.body, { can: permission => hasPermission(req.user, permission) });
+      res.json({
+        success: report.failed === 0,
+        message: report.committed ? 'Batch committed' : 'Batch rolled back',
+        data: report
+      });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Get a paginated list of customers (page/limit or keyset `cursor`).
    * @async
-   * @param {import('express').Request} req - Express request object containing query params (page, limit, etc.).
+   * @param {import('express').Request} req - Express request object containing query params (page, limit, cursor, etc.).
    * @param {import('express').Response} res - Express response object.
    * @param {import('express').NextFunction} next - Express next middleware function.
    * @returns {Promise<void>}
    */
   async list(req, res, next) {
     try {
+      readIncludeDeleted(req);
       const result = await customerUsecase.getCustomers(req.query);
       res.json({
         success: true,
@@ -40,14 +132,42 @@ class CustomerController {
           total: result.total,
           page: result.page,
           limit: result.limit,
-          pages: result.pages
+          pages: result.pages,
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor
         }
       });
     } catch (err) { logger.error(err); next(err); }
   }
 
   /**
-   * Get a customer by ID.
+   * Stream all customers matching the list filters as a CSV or NDJSON download.
+   * @async
+   * @param {import('express').Request} req - Express request object containing list filters and export options in query.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async exportCustomers(req, res, next) {
+    let streaming = false;
+    try {
+      readIncludeDeleted(req);
+      const { format, contentType, lines } = await customerUsecase.exportCustomers(req.query);
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="customers-${date}.${format}"`);
+      streaming = true;
+      await pipeline(Readable.from(lines), res);
+    } catch (err) {
+      logger.error(err);
+      // Once bytes are on the wire the status can no longer change; pipeline has already destroyed the response.
+      if (!streaming) next(err);
+    }
+  }
+
+  /**
+   * Get a customer by ID, optionally reduced with `fields` and `include`. Responds with its
+   * version as `ETag`, or 304 without a body when `If-None-Match` already names that version.
    * @async
    * @param {import('express').Request} req - Express request object containing customer ID in params.
    * @param {import('express').Response} res - Express response object.
@@ -56,11 +176,39 @@ class CustomerController {
    */
   async getById(req, res, next) {
     try {
-      const doc = await customerUsecase.getCustomerById(req.params.id);
+      const includeDeleted = readIncludeDeleted(req);
+      const { fields, include } = req.query;
+      const doc = await customerUsecase.getCustomerById(req.params.id, { includeDeleted, fields, include });
+      setETag(res, doc);
+      if (isNotModified(req.headers?.['if-none-match'], doc.version)) return res.status(304).end();
       res.json({ success: true, data: doc });
     } catch (err) { logger.error(err); next(err); }
   }
 
+  /**
+   * Get a paginated change history (audit log) for a customer.
+   * @async
+   * @param {import('express').Request} req - Express request object containing customer ID in params and page/limit in query.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async history(req, res, next) {
+    try {
+      const result = await customerUsecase.getCustomerHistory(req.params.id, req.query);
+      res.json({
+        success: true,
+        data: result.items,
+        meta: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          pages: result.pages
+        }
+      });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
   /**
    * Update an existing customer by ID.
    * @async
@@ -71,13 +219,14 @@ class CustomerController {
    */
   async update(req, res, next) {
     try {
-      const updated = await customerUsecase.updateCustomer(req.params.id, req.body);
+      const updated = await customerUsecase.updateCustomer(req.params.id, req.body, { ifMatch: req.ifMatch });
+      setETag(res, updated);
       res.json({ success: true, message: 'Customer updated', data: updated });
     } catch (err) { logger.error(err); next(err); }
   }
 
   /**
-   * Delete a customer by ID.
+   * Soft-delete a customer by ID.
    * @async
    * @param {import('express').Request} req - Express request object containing customer ID in params.
    * @param {import('express').Response} res - Express response object.
@@ -86,11 +235,84 @@ class CustomerController {
    */
   async remove(req, res, next) {
     try {
-      const r = await customerUsecase.deleteCustomer(req.params.id);
+      const r = await customerUsecase.deleteCustomer(req.params.id, { ifMatch: req.ifMatch });
       res.json({ success: true, message: 'Customer deleted', data: r });
     } catch (err) { logger.error(err); next(err); }
   }
 
+  /**
+   * Restore a soft-deleted customer by ID.
+   * @async
+   * @param {import('express').Request} req - Express request object containing customer ID in params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async restore(req, res, next) {
+    try {
+      const doc = await customerUsecase.restoreCustomer(req.params.id);
+      setETag(res, doc);
+      res.json({ success: true, message: 'Customer restored', data: doc });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Aggregate statistics over the customers matching the list filters.
+   * @async
+   * @param {import('express').Request} req - Express request object containing list filters, `interval` and `top` in query.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async stats(req, res, next) {
+    try {
+      readIncludeDeleted(req);
+      const data = await customerUsecase.getCustomerStats(req.query);
+      res.json({ success: true, data });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * List likely duplicate customer pairs.
+   * @async
+   * @param {import('express').Request} req - Express request object containing `minScore`, `page` and `limit` in query.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async duplicates(req, res, next) {
+    try {
+      const result = await customerUsecase.findDuplicates(req.query);
+      res.json({
+        success: true,
+        data: result.items,
+        meta: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          pages: result.pages
+        }
+      });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Merge a duplicate customer into the customer in the path.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the survivor ID in params and `duplicateId` in body.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async merge(req, res, next) {
+    try {
+      const doc = await customerUsecase.mergeCustomers(req.params.id, req.body, { ifMatch: req.ifMatch });
+      setETag(res, doc);
+      res.json({ success: true, message: 'Customers merged', data: doc });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+
   // ----------------------------
   // Address-related operations
   // ----------------------------
@@ -105,7 +327,8 @@ class CustomerController {
    */
   async addAddress(req, res, next) {
     try {
-      const doc = await customerUsecase.addAddress(req.params.id, req.body);
+      const doc = await customerUsecase.addAddress(req.params.id, req.body, { ifMatch: req.ifMatch });
+      setETag(res, doc);
       res.status(201).json({ success: true, message: 'Address added', data: doc });
     } catch (err) { logger.error(err); next(err); }
   }
@@ -120,7 +343,8 @@ class CustomerController {
    */
   async updateAddress(req, res, next) {
     try {
-      const doc = await customerUsecase.updateAddress(req.params.id, req.params.addressId, req.body);
+      const doc = await customerUsecase.updateAddress(req.params.id, req.params.addressId, req.body, { ifMatch: req.ifMatch });
+      setETag(res, doc);
       res.json({ success: true, message: 'Address updated', data: doc });
     } catch (err) { logger.error(err); next(err); }
   }
@@ -135,11 +359,28 @@ class CustomerController {
    */
   async deleteAddress(req, res, next) {
     try {
-      const doc = await customerUsecase.deleteAddress(req.params.id, req.params.addressId);
+      const doc = await customerUsecase.deleteAddress(req.params.id, req.params.addressId, { ifMatch: req.ifMatch });
+      setETag(res, doc);
       res.json({ success: true, message: 'Address deleted', data: doc });
     } catch (err) { logger.error(err); next(err); }
   }
 
+  /**
+   * Restore a customer's soft-deleted address.
+   * @async
+   * @param {import('express').Request} req - Express request object containing customer ID and addressId in params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async restoreAddress(req, res, next) {
+    try {
+      const doc = await customerUsecase.restoreAddress(req.params.id, req.params.addressId, { ifMatch: req.ifMatch });
+      setETag(res, doc);
+      res.json({ success: true, message: 'Address restored', data: doc });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
   /**
    * Mark only one address as active/primary for a customer.
    * @async
@@ -150,10 +391,43 @@ class CustomerController {
    */
   async markOnlyOneAddress(req, res, next) {
     try {
-      const doc = await customerUsecase.markOnlyOneAddress(req.params.id, req.body.value === true);
+      const doc = await customerUsecase.markOnlyOneAddress(req.params.id, req.body.value === true, { ifMatch: req.ifMatch });
+      setETag(res, doc);
       res.json({ success: true, message: 'Flag updated', data: doc });
     } catch (err) { logger.error(err); next(err); }
   }
+
+  /**
+   * Add tags to a customer.
+   * @async
+   * @param {import('express').Request} req - Express request object containing customer ID in params and `tags` in body (or query).
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async addTags(req, res, next) {
+    try {
+      const doc = await customerUsecase.addTags(req.params.id, req.body, req.query, { ifMatch: req.ifMatch });
+      setETag(res, doc);
+      res.json({ success: true, message: 'Tags added', data: doc });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Remove tags from a customer.
+   * @async
+   * @param {import('express').Request} req - Express request object containing customer ID in params and `tags` in body (or query).
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async removeTags(req, res, next) {
+    try {
+      const doc = await customerUsecase.removeTags(req.params.id, req.body, req.query, { ifMatch: req.ifMatch });
+      setETag(res, doc);
+      res.json({ success: true, message: 'Tags removed', data: doc });
+    } catch (err) { logger.error(err); next(err); }
+  }
 }
 
 export default new CustomerController();
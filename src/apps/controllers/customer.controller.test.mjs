@@ -1,6 +1,7 @@
 // __tests__/customer.controller.test.js
 import CustomerController from './customer.controller.mjs';
 import customerUsecase from '../usecases/customer.usecase.mjs';
+import { Writable } from 'stream';
 
 jest.mock('../usecases/customer.usecase.mjs');
 
@@ -12,6 +13,8 @@ describe('CustomerController', () => {
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
+      set: jest.fn(),
+      end: jest.fn(),
     };
     next = jest.fn();
     jest.clearAllMocks();
@@ -37,8 +40,117 @@ describe('CustomerController', () => {
     });
   });
 
+  test('importCustomers → should parse CSV and return 201 when committed', async () => {
+    const report = { total: 1, succeeded: 1, failed: 0, committed: true, dryRun: false, mode: 'atomic', results: [{ row: 1, ok: true, status: 201, id: 1 }] };
+    customerUsecase.importCustomers.mockResolvedValue(report);
+
+    req.headers = { 'content-type': 'text/csv; charset=utf-8' };
+    req.body = 'firstName,lastName,phone\nJohn,Doe,123456\n';
+    await CustomerController.importCustomers(req, res, next);
+
+    expect(customerUsecase.importCustomers).toHaveBeenCalledWith(
+      [{ row: 1, payload: { firstName: 'John', lastName: 'Doe', phone: '123456' } }],
+      { dryRun: false, mode: 'atomic' }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Import committed', data: report });
+  });
+
+  test('importCustomers → should return 200 for a dry run', async () => {
+    const report = { total: 1, succeeded: 1, failed: 0, committed: false, dryRun: true, mode: 'bestEffort', results: [] };
+    customerUsecase.importCustomers.mockResolvedValue(report);
+
+    req.query = { format: 'ndjson', dryRun: 'true', mode: 'bestEffort' };
+    req.body = '{"firstName":"John"}\n';
+    await CustomerController.importCustomers(req, res, next);
+
+    expect(customerUsecase.importCustomers).toHaveBeenCalledWith([{ row: 1, payload: { firstName: 'John' } }], { dryRun: true, mode: 'bestEffort' });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('importCustomers → should reject unsupported bodies with 415', async () => {
+    req.headers = { 'content-type': 'application/json' };
+    req.body = { firstName: 'John' };
+    await CustomerController.importCustomers(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 415 }));
+    expect(customerUsecase.importCustomers).not.toHaveBeenCalled();
+  });
+
+  test('exportCustomers → should stream lines with download headers', async () => {
+    customerUsecase.exportCustomers.mockResolvedValue({
+      format: 'ndjson',
+      contentType: 'application/x-ndjson; charset=utf-8',
+      lines: ['{"id":1}\n', '{"id":2}\n'][Symbol.iterator](),
+    });
+    const chunks = [];
+    const out = new Writable({ write(chunk, _enc, cb) { chunks.push(String(chunk)); cb(); } });
+    out.setHeader = jest.fn();
+
+    req.query = { format: 'ndjson' };
+    await CustomerController.exportCustomers(req, out, next);
+
+    expect(customerUsecase.exportCustomers).toHaveBeenCalledWith(req.query);
+    expect(out.setHeader).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson; charset=utf-8');
+    expect(out.setHeader).toHaveBeenCalledWith('Content-Disposition', expect.stringMatching(/^attachment; filename="customers-.*\.ndjson"$/));
+    expect(chunks.join('')).toBe('{"id":1}\n{"id":2}\n');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('exportCustomers → should pass option errors to next', async () => {
+    customerUsecase.exportCustomers.mockRejectedValue(Object.assign(new Error('bad'), { status: 400 }));
+    await CustomerController.exportCustomers(req, res, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+  });
+
+  test('duplicates → should return paginated pairs', async () => {
+    const mockResult = { items: [{ score: 0.9, reasons: {}, customers: [{ id: 1 }, { id: 2 }] }], total: 1, page: 1, limit: 10, pages: 1 };
+    customerUsecase.findDuplicates.mockResolvedValue(mockResult);
+
+    await CustomerController.duplicates(req, res, next);
+
+    expect(customerUsecase.findDuplicates).toHaveBeenCalledWith(req.query);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: mockResult.items, meta: { total: 1, page: 1, limit: 10, pages: 1 } });
+  });
+
+  test('stats → should return the aggregates for the list filters', async () => {
+    const stats = { total: 2, byAccountType: [{ accountType: 'standard', count: 2 }] };
+    customerUsecase.getCustomerStats.mockResolvedValue(stats);
+    req.query = { city: 'Pune', interval: 'week' };
+
+    await CustomerController.stats(req, res, next);
+
+    expect(customerUsecase.getCustomerStats).toHaveBeenCalledWith({ city: 'Pune', interval: 'week' });
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: stats });
+  });
+
+  test('merge → should return the survivor', async () => {
+    customerUsecase.mergeCustomers.mockResolvedValue({ id: 1 });
+    req.params.id = '1';
+    req.body = { duplicateId: 2 };
+
+    await CustomerController.merge(req, res, next);
+
+    expect(customerUsecase.mergeCustomers).toHaveBeenCalledWith('1', { duplicateId: 2 }, { ifMatch: undefined });
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Customers merged', data: { id: 1 } });
+  });
+
+  test('batch → should run operations with the caller\'s permissions', async () => {
+    const report = { total: 1, succeeded: 1, failed: 0, committed: true, atomic: false, results: [] };
+    customerUsecase.runBatch.mockResolvedValue(report);
+    req.user = { id: 'u2', roles: ['agent'] };
+    req.body = { operations: [{ op: 'delete', id: 1 }] };
+
+    await CustomerController.batch(req, res, next);
+
+    const [, { can }] = customerUsecase.runBatch.mock.calls[0];
+    expect(can('customers:update')).toBe(true);
+    expect(can('customers:delete')).toBe(false);
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Batch committed', data: report });
+  });
+
   test('list → should return paginated customers', async () => {
-    const mockResult = { items: [{ id: 1 }], total: 1, page: 1, limit: 10, pages: 1 };
+    const mockResult = { items: [{ id: 1 }], total: 1, page: 1, limit: 10, pages: 1, nextCursor: null, prevCursor: null };
     customerUsecase.getCustomers.mockResolvedValue(mockResult);
 
     await CustomerController.list(req, res, next);
@@ -52,30 +164,92 @@ describe('CustomerController', () => {
         page: 1,
         limit: 10,
         pages: 1,
+        nextCursor: null,
+        prevCursor: null,
       },
     });
   });
 
   test('getById → should return a customer', async () => {
-    const mockCustomer = { id: 1, firstName: 'Jane' };
+    const mockCustomer = { id: 1, firstName: 'Jane', version: 4 };
     customerUsecase.getCustomerById.mockResolvedValue(mockCustomer);
 
     req.params.id = 1;
     await CustomerController.getById(req, res, next);
 
-    expect(customerUsecase.getCustomerById).toHaveBeenCalledWith(1);
+    expect(customerUsecase.getCustomerById).toHaveBeenCalledWith(1, { includeDeleted: false });
+    expect(res.set).toHaveBeenCalledWith('ETag', '"4"');
     expect(res.json).toHaveBeenCalledWith({ success: true, data: mockCustomer });
   });
 
+  test('getById → should answer 304 when If-None-Match names the current version', async () => {
+    customerUsecase.getCustomerById.mockResolvedValue({ id: 1, version: 4 });
+
+    req.params.id = 1;
+    req.headers = { 'if-none-match': 'W/"4"' };
+    await CustomerController.getById(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(304);
+    expect(res.end).toHaveBeenCalled();
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  test('getById → should pass the requested fields and include through', async () => {
+    customerUsecase.getCustomerById.mockResolvedValue({ id: 1, firstName: 'Jane' });
+
+    req.params.id = 1;
+    req.query = { fields: 'id,firstName', include: 'none' };
+    await CustomerController.getById(req, res, next);
+
+    expect(customerUsecase.getCustomerById).toHaveBeenCalledWith(1, { includeDeleted: false, fields: 'id,firstName', include: 'none' });
+  });
+
+  test('getById → should let admins include deleted customers', async () => {
+    customerUsecase.getCustomerById.mockResolvedValue({ id: 1 });
+
+    req.params.id = 1;
+    req.query.includeDeleted = 'true';
+    req.user = { id: 'u1', roles: ['admin'] };
+    await CustomerController.getById(req, res, next);
+
+    expect(customerUsecase.getCustomerById).toHaveBeenCalledWith(1, { includeDeleted: true });
+  });
+
+  test('list → should forbid includeDeleted for non-admins', async () => {
+    req.query.includeDeleted = 'true';
+    req.user = { id: 'u2', roles: ['agent'] };
+    await CustomerController.list(req, res, next);
+
+    expect(customerUsecase.getCustomers).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403 }));
+  });
+
+  test('history → should return paginated audit entries', async () => {
+    const mockResult = { items: [{ id: 5, action: 'update' }], total: 1, page: 1, limit: 10, pages: 1 };
+    customerUsecase.getCustomerHistory.mockResolvedValue(mockResult);
+
+    req.params.id = 1;
+    await CustomerController.history(req, res, next);
+
+    expect(customerUsecase.getCustomerHistory).toHaveBeenCalledWith(1, req.query);
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: mockResult.items,
+      meta: { total: 1, page: 1, limit: 10, pages: 1 },
+    });
+  });
+
   test('update → should update customer', async () => {
-    const mockUpdated = { id: 1, firstName: 'Updated' };
+    const mockUpdated = { id: 1, firstName: 'Updated', version: 3 };
     customerUsecase.updateCustomer.mockResolvedValue(mockUpdated);
 
     req.params.id = 1;
     req.body = { firstName: 'Updated' };
+    req.ifMatch = [2];
     await CustomerController.update(req, res, next);
 
-    expect(customerUsecase.updateCustomer).toHaveBeenCalledWith(1, req.body);
+    expect(customerUsecase.updateCustomer).toHaveBeenCalledWith(1, req.body, { ifMatch: [2] });
+    expect(res.set).toHaveBeenCalledWith('ETag', '"3"');
     expect(res.json).toHaveBeenCalledWith({
       success: true,
       message: 'Customer updated',
@@ -90,7 +264,7 @@ describe('CustomerController', () => {
     req.params.id = 1;
     await CustomerController.remove(req, res, next);
 
-    expect(customerUsecase.deleteCustomer).toHaveBeenCalledWith(1);
+    expect(customerUsecase.deleteCustomer).toHaveBeenCalledWith(1, { ifMatch: undefined });
     expect(res.json).toHaveBeenCalledWith({
       success: true,
       message: 'Customer deleted',
@@ -98,6 +272,21 @@ describe('CustomerController', () => {
     });
   });
 
+  test('restore → should restore customer', async () => {
+    const mockRestored = { id: 1, deletedAt: null };
+    customerUsecase.restoreCustomer.mockResolvedValue(mockRestored);
+
+    req.params.id = 1;
+    await CustomerController.restore(req, res, next);
+
+    expect(customerUsecase.restoreCustomer).toHaveBeenCalledWith(1);
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      message: 'Customer restored',
+      data: mockRestored,
+    });
+  });
+
   // ------------------
   // Address tests
   // ------------------
@@ -110,7 +299,7 @@ describe('CustomerController', () => {
     req.body = { city: 'NY' };
     await CustomerController.addAddress(req, res, next);
 
-    expect(customerUsecase.addAddress).toHaveBeenCalledWith(1, req.body);
+    expect(customerUsecase.addAddress).toHaveBeenCalledWith(1, req.body, { ifMatch: undefined });
     expect(res.status).toHaveBeenCalledWith(201);
     expect(res.json).toHaveBeenCalledWith({
       success: true,
@@ -127,7 +316,7 @@ describe('CustomerController', () => {
     req.body = { city: 'LA' };
     await CustomerController.updateAddress(req, res, next);
 
-    expect(customerUsecase.updateAddress).toHaveBeenCalledWith(1, 100, req.body);
+    expect(customerUsecase.updateAddress).toHaveBeenCalledWith(1, 100, req.body, { ifMatch: undefined });
     expect(res.json).toHaveBeenCalledWith({
       success: true,
       message: 'Address updated',
@@ -142,7 +331,7 @@ describe('CustomerController', () => {
     req.params = { id: 1, addressId: 100 };
     await CustomerController.deleteAddress(req, res, next);
 
-    expect(customerUsecase.deleteAddress).toHaveBeenCalledWith(1, 100);
+    expect(customerUsecase.deleteAddress).toHaveBeenCalledWith(1, 100, { ifMatch: undefined });
     expect(res.json).toHaveBeenCalledWith({
       success: true,
       message: 'Address deleted',
@@ -158,7 +347,7 @@ describe('CustomerController', () => {
     req.body.value = true;
     await CustomerController.markOnlyOneAddress(req, res, next);
 
-    expect(customerUsecase.markOnlyOneAddress).toHaveBeenCalledWith(1, true);
+    expect(customerUsecase.markOnlyOneAddress).toHaveBeenCalledWith(1, true, { ifMatch: undefined });
     expect(res.json).toHaveBeenCalledWith({
       success: true,
       message: 'Flag updated',
@@ -0,0 +1,108 @@
+import { execute, getOperationAST, GraphQLError, parse, validate } from 'graphql';
+import pino from 'pino';
+import schema from '../graphql/customer.schema.mjs';
+import { createLoaders } from '../graphql/customer.loader.mjs';
+import { AppError, BadRequestError, toAppError } from '../../utils/error.utils.mjs';
+const logger = pino();
+
+/**
+ * Read the GraphQL request from the JSON body (POST) or the query string (GET).
+ * @param {import('express').Request} req - Express request object.
+ * @returns {{query:string, variables:Object|undefined, operationName:string|undefined}}
+ * @throws {BadRequestError} 400 without a `query`, or with `variables` that are not a JSON object.
+ */
+function readRequest(req) {
+  const source = req.method === 'GET' ? req.query : (req.body ?? {});
+  const { query, operationName } = source;
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new BadRequestError('A GraphQL request needs a query', { code: 'GRAPHQL_QUERY_REQUIRED' });
+  }
+  let { variables } = source;
+  if (typeof variables === 'string' && variables !== '') {
+    try { variables = JSON.parse(variables); } catch {
+      throw new BadRequestError('variables must be a JSON object', { code: 'GRAPHQL_INVALID_VARIABLES' });
+    }
+  }
+  if (variables !== undefined && variables !== null && variables !== '' && (typeof variables !== 'object' || Array.isArray(variables))) {
+    throw new BadRequestError('variables must be a JSON object', { code: 'GRAPHQL_INVALID_VARIABLES' });
+  }
+  return { query, variables: variables || undefined, operationName: operationName || undefined };
+}
+
+/**
+ * Give a resolver error the same `code`, `status` and `errors` a REST response would carry,
+ * in its `extensions`.
+ * @param {GraphQLError} error - Error collected during execution.
+ * @param {import('express').Request} req - Express request object.
+ * @returns {Object} Serialized error.
+ */
+function formatError(error, req) {
+  // Errors raised by graphql-js itself (e.g. bad variable values) have no original error.
+  if (!error.originalError || error.originalError instanceof GraphQLError) {
+    return { ...error.toJSON(), extensions: { code: 'BAD_USER_INPUT', status: 400, requestId: req.id, ...error.extensions } };
+  }
+  const appError = toAppError(error.originalError);
+  if (appError.status >= 500) logger.error(error.originalError);
+  const extensions = { code: appError.code, status: appError.status, requestId: req.id };
+  if (appError.errors) extensions.errors = appError.errors;
+  return { message: appError.message, locations: error.locations, path: error.path, extensions };
+}
+
+/**
+ * Controller for the GraphQL endpoint.
+ */
+class GraphqlController {
+  /**
+   * Run a GraphQL query or mutation against the customer schema.
+   *
+   * Requests that fail to parse or validate, or whose variables do not fit, are answered
+   * with 400 and a GraphQL `errors` list. Otherwise the answer is 200 with `data` and, when some fields failed, `errors`
+   * whose `extensions` carry the REST error `code`, `status` and validation `errors`.
+   * Mutations are only accepted over POST.
+   * @async
+   * @param {import('express').Request} req - Express request object with `query`, `variables` and `operationName`.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async execute(req, res, next) {
+    try {
+      const { query, variables, operationName } = readRequest(req);
+
+      let document;
+      try {
+        document = parse(query);
+      } catch (err) {
+        res.status(400).json({ errors: [{ ...err.toJSON(), extensions: { code: 'GRAPHQL_PARSE_FAILED', requestId: req.id } }] });
+        return;
+      }
+      const validationErrors = validate(schema, document);
+      if (validationErrors.length) {
+        res.status(400).json({
+          errors: validationErrors.map(e => ({ ...e.toJSON(), extensions: { code: 'GRAPHQL_VALIDATION_FAILED', requestId: req.id } })),
+        });
+        return;
+      }
+
+      const operation = getOperationAST(document, operationName);
+      if (req.method === 'GET' && operation && operation.operation !== 'query') {
+        res.set('Allow', 'POST');
+        throw new AppError(`${operation.operation} operations must be sent with POST`, { status: 405, code: 'METHOD_NOT_ALLOWED' });
+      }
+
+      const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: { user: req.user, loaders: createLoaders() },
+      });
+      // Without `data` the request never ran (e.g. variables of the wrong type).
+      const body = 'data' in result ? { data: result.data } : {};
+      if (result.errors) body.errors = result.errors.map(e => formatError(e, req));
+      res.status('data' in result ? 200 : 400).json(body);
+    } catch (err) { logger.error(err); next(err); }
+  }
+}
+
+export default new GraphqlController();
@@ -0,0 +1,71 @@
+import GraphqlController from './graphql.controller.mjs';
+import customerUsecase from '../usecases/customer.usecase.mjs';
+import { ConflictError } from '../../utils/error.utils.mjs';
+
+jest.mock('../usecases/customer.usecase.mjs');
+
+describe('GraphqlController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { id: 'req-1', method: 'POST', body: {}, query: {}, user: { id: '1', roles: ['admin'] } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      set: jest.fn(),
+    };
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  test('execute → should answer data with 200', async () => {
+    customerUsecase.getCustomerById.mockResolvedValue({ id: 1, firstName: 'Asha' });
+
+    req.body = { query: 'query One($id: Int!) { customer(id: $id) { id firstName } }', variables: { id: 1 } };
+    await GraphqlController.execute(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ data: { customer: { id: 1, firstName: 'Asha' } } });
+  });
+
+  test('execute → should put the REST error code and issues in extensions', async () => {
+    const errors = [{ field: '/phone', message: '"phone" is already used by another customer', code: 'unique' }];
+    customerUsecase.createCustomer.mockRejectedValue(new ConflictError('Phone already exists', { code: 'PHONE_TAKEN', errors }));
+
+    req.body = { query: 'mutation { createCustomer(input: { phone: "+919876543210" }) { id } }' };
+    await GraphqlController.execute(req, res, next);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.data).toBeNull();
+    expect(body.errors[0]).toMatchObject({
+      message: 'Phone already exists',
+      path: ['createCustomer'],
+      extensions: { code: 'PHONE_TAKEN', status: 409, errors, requestId: 'req-1' },
+    });
+  });
+
+  test('execute → should answer 400 for a query that does not validate', async () => {
+    req.body = { query: '{ customers { nope } }' };
+    await GraphqlController.execute(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].errors[0].extensions).toEqual({ code: 'GRAPHQL_VALIDATION_FAILED', requestId: 'req-1' });
+    expect(customerUsecase.getCustomers).not.toHaveBeenCalled();
+  });
+
+  test('execute → should require a query', async () => {
+    await GraphqlController.execute(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400, code: 'GRAPHQL_QUERY_REQUIRED' }));
+  });
+
+  test('execute → should refuse mutations over GET', async () => {
+    req.method = 'GET';
+    req.query = { query: 'mutation { deleteCustomer(id: 1, expectedVersion: 1) }' };
+    await GraphqlController.execute(req, res, next);
+
+    expect(res.set).toHaveBeenCalledWith('Allow', 'POST');
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 405, code: 'METHOD_NOT_ALLOWED' }));
+    expect(customerUsecase.deleteCustomer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,25 @@
+import pincodeUsecase from '../usecases/pincode.usecase.mjs';
+import pino from 'pino';
+const logger = pino();
+
+/**
+ * Controller class for the pincode directory.
+ */
+class PincodeController {
+  /**
+   * Look up a pincode.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the pincode in params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getByPincode(req, res, next) {
+    try {
+      const entry = await pincodeUsecase.getByPincode(req.params.pincode);
+      res.json({ success: true, data: entry });
+    } catch (err) { logger.error(err); next(err); }
+  }
+}
+
+export default new PincodeController();
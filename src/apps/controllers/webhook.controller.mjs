@@ -0,0 +1,124 @@
+import webhookUsecase from '../usecases/webhook.usecase.mjs';
+import pino from 'pino';
+const logger = pino();
+
+/**
+ * Controller class for webhook subscriptions and their deliveries.
+ */
+class WebhookController {
+  /**
+   * Register a webhook. The response is the only place its secret is shown.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the subscription in body.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async create(req, res, next) {
+    try {
+      const created = await webhookUsecase.createWebhook(req.body);
+      res.status(201).json({ success: true, message: 'Webhook created', data: created });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * List webhooks.
+   * @async
+   * @param {import('express').Request} req - Express request object.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async list(req, res, next) {
+    try {
+      const webhooks = await webhookUsecase.listWebhooks();
+      res.json({ success: true, data: webhooks });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Get a webhook by ID.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the webhook ID in params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async getById(req, res, next) {
+    try {
+      const webhook = await webhookUsecase.getWebhook(req.params.id);
+      res.json({ success: true, data: webhook });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Update a webhook.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the webhook ID in params and fields in body.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async update(req, res, next) {
+    try {
+      const updated = await webhookUsecase.updateWebhook(req.params.id, req.body);
+      res.json({ success: true, message: 'Webhook updated', data: updated });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Delete a webhook and its deliveries.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the webhook ID in params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async remove(req, res, next) {
+    try {
+      const result = await webhookUsecase.deleteWebhook(req.params.id);
+      res.json({ success: true, message: 'Webhook deleted', data: result });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * List a webhook's deliveries (filter with `status=dead` for the dead-letter list).
+   * @async
+   * @param {import('express').Request} req - Express request object containing the webhook ID in params and status/page/limit in query.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async deliveries(req, res, next) {
+    try {
+      const result = await webhookUsecase.listDeliveries(req.params.id, req.query);
+      res.json({
+        success: true,
+        data: result.items,
+        meta: {
+          total: result.total,
+          page: result.page,
+          limit: result.limit,
+          pages: result.pages
+        }
+      });
+    } catch (err) { logger.error(err); next(err); }
+  }
+
+  /**
+   * Requeue a dead delivery.
+   * @async
+   * @param {import('express').Request} req - Express request object containing the webhook and delivery IDs in params.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void>}
+   */
+  async retryDelivery(req, res, next) {
+    try {
+      const result = await webhookUsecase.retryDelivery(req.params.id, req.params.deliveryId);
+      res.json({ success: true, message: 'Delivery requeued', data: result });
+    } catch (err) { logger.error(err); next(err); }
+  }
+}
+
+export default new WebhookController();
@@ -0,0 +1,45 @@
+import geocoderConfig from '../../infrastructures/config/geocoder.config.mjs';
+import pincodeGeocoder from './pincode.geocoder.mjs';
+
+/**
+ * A geocoder turns an address into coordinates.
+ *
+ * Implementations may be slow or remote, so `geocode` is async. It resolves to
+ * `null` when the address cannot be located; callers treat rejections the same way.
+ *
+ * @typedef {Object} Geocoder
+ * @property {string} name - Provider name, as used in `GEOCODER`.
+ * @property {(address:Object) => Promise<{latitude:number, longitude:number}|null>} geocode
+ */
+
+/** Geocoder that never locates anything (`GEOCODER=none`). */
+const noGeocoder = { name: 'none', geocode: async () => null };
+
+/** @type {Map<string, Geocoder>} */
+const providers = new Map([
+  [pincodeGeocoder.name, pincodeGeocoder],
+  [noGeocoder.name, noGeocoder],
+]);
+
+/**
+ * Make a geocoder selectable by name, e.g. a network-backed provider.
+ * @param {Geocoder} geocoder - Implementation; replaces any provider with the same name.
+ * @returns {void}
+ */
+export function registerGeocoder(geocoder) {
+  providers.set(geocoder.name, geocoder);
+}
+
+/**
+ * Look up a geocoder by name.
+ * @param {string} [name=geocoderConfig.provider] - Provider name (defaults to `GEOCODER`).
+ * @returns {Geocoder}
+ * @throws {Error} If no provider has that name.
+ */
+export function getGeocoder(name = geocoderConfig.provider) {
+  const geocoder = providers.get(name);
+  if (!geocoder) throw new Error(`Unknown geocoder "${name}" (available: ${[...providers.keys()].join(', ')})`);
+  return geocoder;
+}
+
+export default { registerGeocoder, getGeocoder };
@@ -0,0 +1,30 @@
+import PincodeRepository from '../repositories/pincode.repository.mjs';
+import { regionForCountry } from '../../utils/phone.utils.mjs';
+
+/**
+ * Offline geocoder that places Indian addresses at their pincode's centroid.
+ * Precision is a few kilometres at best, which is enough for radius searches
+ * and needs no network access.
+ *
+ * @implements {import('./index.mjs').Geocoder}
+ */
+class PincodeGeocoder {
+  constructor() {
+    this.name = 'pincode';
+    /** @type {PincodeRepository} */
+    this.repo = new PincodeRepository();
+  }
+
+  /**
+   * @param {Object} address - Address with `pincode` and `country`.
+   * @returns {Promise<{latitude:number, longitude:number}|null>} `null` outside India or for pincodes without a centroid.
+   */
+  async geocode(address) {
+    if (regionForCountry(address.country || 'India') !== 'IN' || !address.pincode) return null;
+    const entry = this.repo.findByPincode(String(address.pincode).trim());
+    if (!entry || entry.latitude === null || entry.longitude === null) return null;
+    return { latitude: entry.latitude, longitude: entry.longitude };
+  }
+}
+
+export default new PincodeGeocoder();
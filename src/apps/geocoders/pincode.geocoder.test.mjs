@@ -0,0 +1,36 @@
+import pincodeGeocoder from './pincode.geocoder.mjs';
+import { getGeocoder, registerGeocoder } from './index.mjs';
+
+jest.mock('../repositories/pincode.repository.mjs');
+
+describe('geocoders', () => {
+  beforeEach(() => {
+    pincodeGeocoder.repo = {
+      findByPincode: jest.fn(p => ({
+        '411001': { pincode: '411001', latitude: 18.5286, longitude: 73.874 },
+        '999999': { pincode: '999999', latitude: null, longitude: null },
+      })[p] || null),
+    };
+  });
+
+  it('should place Indian addresses at their pincode centroid', async () => {
+    await expect(pincodeGeocoder.geocode({ pincode: ' 411001', country: 'India' })).resolves.toEqual({ latitude: 18.5286, longitude: 73.874 });
+    await expect(pincodeGeocoder.geocode({ pincode: '411001' })).resolves.toEqual({ latitude: 18.5286, longitude: 73.874 });
+  });
+
+  it('should not locate unknown pincodes, pincodes without a centroid or other countries', async () => {
+    await expect(pincodeGeocoder.geocode({ pincode: '123456' })).resolves.toBeNull();
+    await expect(pincodeGeocoder.geocode({ pincode: '999999' })).resolves.toBeNull();
+    await expect(pincodeGeocoder.geocode({ pincode: '411001', country: 'US' })).resolves.toBeNull();
+  });
+
+  it('should select providers by name', async () => {
+    expect(getGeocoder('pincode')).toBe(pincodeGeocoder);
+    await expect(getGeocoder('none').geocode({ pincode: '411001' })).resolves.toBeNull();
+    expect(() => getGeocoder('nope')).toThrow('Unknown geocoder "nope"');
+
+    const custom = { name: 'custom', geocode: async () => ({ latitude: 1, longitude: 2 }) };
+    registerGeocoder(custom);
+    expect(getGeocoder('custom')).toBe(custom);
+  });
+});
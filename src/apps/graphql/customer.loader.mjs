@@ -0,0 +1,25 @@
+import DataLoader from 'dataloader';
+import customerUsecase from '../usecases/customer.usecase.mjs';
+
+/**
+ * Create the DataLoaders for one GraphQL request.
+ *
+ * Address lookups made while resolving a page of customers are collected and
+ * answered with a single query (see `CustomerUsecase#getAddressesByCustomerIds`),
+ * instead of one query per customer. Loaders cache for the lifetime of the request
+ * only, so a new set must be created per request.
+ *
+ * @function createLoaders
+ * @returns {{addresses:DataLoader<number, Object[]>, addressesWithDeleted:DataLoader<number, Object[]>}}
+ *   Addresses by customer ID, without and with soft-deleted ones.
+ *
+ * @example
+ * const loaders = createLoaders();
+ * const [a, b] = await Promise.all([loaders.addresses.load(1), loaders.addresses.load(2)]); // one query
+ */
+export function createLoaders() {
+  return {
+    addresses: new DataLoader(ids => customerUsecase.getAddressesByCustomerIds(ids)),
+    addressesWithDeleted: new DataLoader(ids => customerUsecase.getAddressesByCustomerIds(ids, { includeDeleted: true })),
+  };
+}
@@ -0,0 +1,380 @@
+import {
+  GraphQLBoolean,
+  GraphQLFloat,
+  GraphQLInputObjectType,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLScalarType,
+  GraphQLSchema,
+  GraphQLString,
+  valueFromASTUntyped,
+} from 'graphql';
+import customerUsecase from '../usecases/customer.usecase.mjs';
+import { hasPermission } from '../../middlewares/auth.middleware.mjs';
+import { ForbiddenError } from '../../utils/error.utils.mjs';
+
+const nonNull = type => new GraphQLNonNull(type);
+const listOf = type => new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type)));
+
+/**
+ * Fail unless the requesting user holds a permission, with the same error as the REST `authorize` middleware.
+ * @param {{user:{id:string, roles:string[]}}} ctx - GraphQL context.
+ * @param {string} permission - Required permission, e.g. `customers:read`.
+ * @param {string} [message] - Error message.
+ * @returns {void}
+ * @throws {ForbiddenError} 403 `MISSING_PERMISSION`.
+ */
+function requirePermission(ctx, permission, message = `Missing permission: ${permission}`) {
+  if (!hasPermission(ctx.user, permission)) throw new ForbiddenError(message, { code: 'MISSING_PERMISSION' });
+}
+
+/**
+ * Reading soft-deleted data is admin-only, as with `includeDeleted` on the REST API.
+ * @param {Object} ctx - GraphQL context.
+ * @param {boolean} includeDeleted - Whether deleted rows were requested.
+ * @returns {void}
+ */
+function checkIncludeDeleted(ctx, includeDeleted) {
+  if (includeDeleted) requirePermission(ctx, 'customers:readDeleted', 'Only admins can view deleted customers');
+}
+
+/**
+ * Run a write. Cached address lookups may be stale afterwards, so the request's loaders are emptied.
+ * @param {Object} ctx - GraphQL context.
+ * @param {string} permission - Required permission.
+ * @param {() => Promise<*>} write - Use case call.
+ * @returns {Promise<*>}
+ */
+async function mutate(ctx, permission, write) {
+  requirePermission(ctx, permission);
+  const result = await write();
+  Object.values(ctx.loaders).forEach(loader => loader.clearAll());
+  return result;
+}
+
+/**
+ * Check an address against a `where` filter: every given field must match,
+ * text case-insensitively.
+ * @param {Object} address - Address row.
+ * @param {Object} [where] - `AddressFilter` input.
+ * @returns {boolean}
+ */
+function matchesAddress(address, where = {}) {
+  return Object.entries(where).every(([key, expected]) => {
+    if (expected === null || expected === undefined) return true;
+    if (typeof expected === 'boolean') return Boolean(address[key]) === expected;
+    return String(address[key] ?? '').toLowerCase() === expected.toLowerCase();
+  });
+}
+
+/**
+ * Translate `customers` arguments into the query params `CustomerUsecase#getCustomers` reads,
+ * so that both APIs share parsing and validation. Addresses are not embedded: the
+ * `addresses` field loads them in batches, and only when selected.
+ * @param {Object} args - Field arguments.
+ * @returns {Object} Query params.
+ */
+function toListQuery({ filter = [], tags, onlyOneAddress, includeDeleted, ...rest }) {
+  const query = { include: 'none' };
+  for (const [key, value] of Object.entries(rest)) {
+    if (value !== null && value !== undefined) query[key] = String(value);
+  }
+  if (tags) query.tags = tags.join(',');
+  if (onlyOneAddress !== null && onlyOneAddress !== undefined) query.onlyOneAddress = String(onlyOneAddress);
+  if (includeDeleted) query.includeDeleted = 'true';
+  for (const { field, op, value } of filter) query[`filter[${field}][${op}]`] = value;
+  return query;
+}
+
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value; used for custom attributes.',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables),
+});
+
+const Address = new GraphQLObjectType({
+  name: 'Address',
+  fields: {
+    id: { type: nonNull(GraphQLInt) },
+    customerId: { type: nonNull(GraphQLInt) },
+    line1: { type: GraphQLString },
+    line2: { type: GraphQLString },
+    city: { type: GraphQLString },
+    state: { type: GraphQLString },
+    country: { type: GraphQLString },
+    pincode: { type: GraphQLString },
+    isPrimary: { type: nonNull(GraphQLBoolean) },
+    addressType: { type: GraphQLString, description: 'billing, shipping, home or work' },
+    isDefaultBilling: { type: nonNull(GraphQLBoolean) },
+    isDefaultShipping: { type: nonNull(GraphQLBoolean) },
+    latitude: { type: GraphQLFloat },
+    longitude: { type: GraphQLFloat },
+    status: { type: GraphQLString, description: 'active or inactive' },
+    createdAt: { type: GraphQLString },
+    updatedAt: { type: GraphQLString },
+    deletedAt: { type: GraphQLString },
+  },
+});
+
+const AddressFilter = new GraphQLInputObjectType({
+  name: 'AddressFilter',
+  description: 'Address fields to match; all given fields must match (text case-insensitively).',
+  fields: {
+    city: { type: GraphQLString },
+    state: { type: GraphQLString },
+    country: { type: GraphQLString },
+    pincode: { type: GraphQLString },
+    status: { type: GraphQLString },
+    addressType: { type: GraphQLString },
+    isPrimary: { type: GraphQLBoolean },
+    isDefaultBilling: { type: GraphQLBoolean },
+    isDefaultShipping: { type: GraphQLBoolean },
+  },
+});
+
+const Customer = new GraphQLObjectType({
+  name: 'Customer',
+  fields: {
+    id: { type: nonNull(GraphQLInt) },
+    firstName: { type: GraphQLString },
+    lastName: { type: GraphQLString },
+    phone: { type: GraphQLString },
+    email: { type: GraphQLString },
+    accountType: { type: GraphQLString },
+    hasOnlyOneAddress: { type: nonNull(GraphQLBoolean) },
+    attributes: { type: JSONScalar },
+    tags: { type: listOf(GraphQLString) },
+    version: { type: nonNull(GraphQLInt), description: 'Goes up on every change; pass it as `expectedVersion` to writes' },
+    mergedIntoId: { type: GraphQLInt },
+    createdAt: { type: GraphQLString },
+    updatedAt: { type: GraphQLString },
+    deletedAt: { type: GraphQLString },
+    distanceKm: { type: GraphQLFloat, description: 'Only in `near` searches: distance to the nearest geocoded address' },
+    addresses: {
+      type: listOf(Address),
+      description: 'Addresses, primary first',
+      args: {
+        where: { type: AddressFilter },
+        includeDeleted: { type: GraphQLBoolean, defaultValue: false, description: 'Also list soft-deleted addresses (admin only)' },
+      },
+      resolve: async (customer, { where, includeDeleted }, ctx) => {
+        checkIncludeDeleted(ctx, includeDeleted);
+        // Write results already carry fresh addresses.
+        const addresses = customer.addresses && !includeDeleted
+          ? customer.addresses
+          : await ctx.loaders[includeDeleted ? 'addressesWithDeleted' : 'addresses'].load(customer.id);
+        return addresses.filter(a => matchesAddress(a, where));
+      },
+    },
+    primaryAddress: {
+      type: Address,
+      resolve: async (customer, _args, ctx) => {
+        const addresses = customer.addresses || await ctx.loaders.addresses.load(customer.id);
+        return addresses.find(a => a.isPrimary && !a.deletedAt) ?? null;
+      },
+    },
+  },
+});
+
+const CustomerPage = new GraphQLObjectType({
+  name: 'CustomerPage',
+  fields: {
+    items: { type: listOf(Customer) },
+    total: { type: nonNull(GraphQLInt) },
+    page: { type: GraphQLInt, description: '`null` in cursor mode' },
+    limit: { type: nonNull(GraphQLInt) },
+    pages: { type: nonNull(GraphQLInt) },
+    nextCursor: { type: GraphQLString },
+    prevCursor: { type: GraphQLString },
+  },
+});
+
+const FilterInput = new GraphQLInputObjectType({
+  name: 'FilterInput',
+  description: 'One structured filter, as `filter[<field>][<op>]=<value>` on `GET /api/customers` (e.g. field `addresses.status`, op `in`, value `active,inactive`).',
+  fields: {
+    field: { type: nonNull(GraphQLString) },
+    op: { type: GraphQLString, defaultValue: 'eq' },
+    value: { type: nonNull(GraphQLString) },
+  },
+});
+
+const AddressInput = new GraphQLInputObjectType({
+  name: 'AddressInput',
+  description: 'Address fields, validated as on the REST API (`line1` and `pincode` are required for new addresses).',
+  fields: {
+    line1: { type: GraphQLString },
+    line2: { type: GraphQLString },
+    city: { type: GraphQLString },
+    state: { type: GraphQLString },
+    country: { type: GraphQLString },
+    pincode: { type: GraphQLString },
+    isPrimary: { type: GraphQLBoolean },
+    addressType: { type: GraphQLString },
+    isDefaultBilling: { type: GraphQLBoolean },
+    isDefaultShipping: { type: GraphQLBoolean },
+    latitude: { type: GraphQLFloat },
+    longitude: { type: GraphQLFloat },
+    status: { type: GraphQLString },
+  },
+});
+
+const CustomerInput = new GraphQLInputObjectType({
+  name: 'CustomerInput',
+  description: 'New customer, validated as `POST /api/customers`.',
+  fields: {
+    firstName: { type: GraphQLString },
+    lastName: { type: GraphQLString },
+    phone: { type: GraphQLString },
+    email: { type: GraphQLString },
+    accountType: { type: GraphQLString },
+    attributes: { type: JSONScalar },
+    tags: { type: new GraphQLList(nonNull(GraphQLString)) },
+    addresses: { type: new GraphQLList(nonNull(AddressInput)) },
+  },
+});
+
+const CustomerPatch = new GraphQLInputObjectType({
+  name: 'CustomerPatch',
+  description: 'Customer changes, validated as `PATCH /api/customers/{id}`.',
+  fields: {
+    firstName: { type: GraphQLString },
+    lastName: { type: GraphQLString },
+    phone: { type: GraphQLString },
+    email: { type: GraphQLString },
+    accountType: { type: GraphQLString },
+    attributes: { type: JSONScalar },
+  },
+});
+
+const expectedVersion = {
+  type: nonNull(GraphQLInt),
+  description: 'Customer `version` the change is based on; the write fails with `VERSION_MISMATCH` if it has moved on',
+};
+
+const Query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    customers: {
+      type: nonNull(CustomerPage),
+      description: 'Customers matching the filters, as `GET /api/customers`.',
+      args: {
+        q: { type: GraphQLString },
+        city: { type: GraphQLString },
+        state: { type: GraphQLString },
+        pincode: { type: GraphQLString },
+        addressType: { type: GraphQLString },
+        hasShippingAddressIn: { type: GraphQLString },
+        hasBillingAddressIn: { type: GraphQLString },
+        onlyOneAddress: { type: GraphQLBoolean },
+        tags: { type: new GraphQLList(nonNull(GraphQLString)) },
+        tagsMatch: { type: GraphQLString, description: 'any or all' },
+        filter: { type: new GraphQLList(nonNull(FilterInput)) },
+        sort: { type: GraphQLString, description: 'e.g. `-createdAt,lastName`' },
+        near: { type: GraphQLString, description: '`lat,lng`' },
+        radiusKm: { type: GraphQLFloat },
+        page: { type: GraphQLInt },
+        limit: { type: GraphQLInt },
+        cursor: { type: GraphQLString },
+        includeDeleted: { type: GraphQLBoolean, defaultValue: false },
+      },
+      resolve: (_root, args, ctx) => {
+        requirePermission(ctx, 'customers:read');
+        checkIncludeDeleted(ctx, args.includeDeleted);
+        return customerUsecase.getCustomers(toListQuery(args));
+      },
+    },
+    customer: {
+      type: Customer,
+      description: 'One customer, or `null` if there is none with that ID.',
+      args: {
+        id: { type: nonNull(GraphQLInt) },
+        includeDeleted: { type: GraphQLBoolean, defaultValue: false },
+      },
+      resolve: async (_root, { id, includeDeleted }, ctx) => {
+        requirePermission(ctx, 'customers:read');
+        checkIncludeDeleted(ctx, includeDeleted);
+        try {
+          return await customerUsecase.getCustomerById(id, { includeDeleted, include: 'none' });
+        } catch (err) {
+          if (err.code === 'CUSTOMER_NOT_FOUND') return null;
+          throw err;
+        }
+      },
+    },
+  },
+});
+
+const Mutation = new GraphQLObjectType({
+  name: 'Mutation',
+  fields: {
+    createCustomer: {
+      type: nonNull(Customer),
+      args: { input: { type: nonNull(CustomerInput) } },
+      resolve: (_root, { input }, ctx) => mutate(ctx, 'customers:create', () => customerUsecase.createCustomer(input)),
+    },
+    updateCustomer: {
+      type: nonNull(Customer),
+      args: { id: { type: nonNull(GraphQLInt) }, input: { type: nonNull(CustomerPatch) }, expectedVersion },
+      resolve: (_root, { id, input, expectedVersion: version }, ctx) => mutate(ctx, 'customers:update',
+        () => customerUsecase.updateCustomer(id, input, { ifMatch: [version] })),
+    },
+    deleteCustomer: {
+      type: nonNull(GraphQLInt),
+      description: 'Soft-delete a customer; returns its ID.',
+      args: { id: { type: nonNull(GraphQLInt) }, expectedVersion },
+      resolve: async (_root, { id, expectedVersion: version }, ctx) => {
+        const { deletedId } = await mutate(ctx, 'customers:delete', () => customerUsecase.deleteCustomer(id, { ifMatch: [version] }));
+        return deletedId;
+      },
+    },
+    addAddress: {
+      type: nonNull(Customer),
+      args: { customerId: { type: nonNull(GraphQLInt) }, input: { type: nonNull(AddressInput) }, expectedVersion },
+      resolve: (_root, { customerId, input, expectedVersion: version }, ctx) => mutate(ctx, 'customers:update',
+        () => customerUsecase.addAddress(customerId, input, { ifMatch: [version] })),
+    },
+    updateAddress: {
+      type: nonNull(Customer),
+      args: {
+        customerId: { type: nonNull(GraphQLInt) },
+        addressId: { type: nonNull(GraphQLInt) },
+        input: { type: nonNull(AddressInput) },
+        expectedVersion,
+      },
+      resolve: (_root, { customerId, addressId, input, expectedVersion: version }, ctx) => mutate(ctx, 'customers:update',
+        () => customerUsecase.updateAddress(customerId, addressId, input, { ifMatch: [version] })),
+    },
+    deleteAddress: {
+      type: nonNull(Customer),
+      args: { customerId: { type: nonNull(GraphQLInt) }, addressId: { type: nonNull(GraphQLInt) }, expectedVersion },
+      resolve: (_root, { customerId, addressId, expectedVersion: version }, ctx) => mutate(ctx, 'customers:update',
+        () => customerUsecase.deleteAddress(customerId, addressId, { ifMatch: [version] })),
+    },
+    markOnlyOneAddress: {
+      type: nonNull(Customer),
+      args: { customerId: { type: nonNull(GraphQLInt) }, value: { type: nonNull(GraphQLBoolean) }, expectedVersion },
+      resolve: (_root, { customerId, value, expectedVersion: version }, ctx) => mutate(ctx, 'customers:update',
+        () => customerUsecase.markOnlyOneAddress(customerId, value, { ifMatch: [version] })),
+    },
+  },
+});
+
+/**
+ * GraphQL schema for customers and their addresses.
+ *
+ * Every resolver goes through `CustomerUsecase`, so validation, uniqueness checks,
+ * optimistic concurrency, audit entries and webhooks behave exactly as on the REST API.
+ * Resolvers expect a context of `{ user, loaders }`: the authenticated user (permissions
+ * are checked per field, with the REST permissions) and per-request DataLoaders from
+ * `createLoaders`, which batch address lookups across a page of customers.
+ *
+ * Writes take the customer's `expectedVersion` instead of an `If-Match` header.
+ */
+const schema = new GraphQLSchema({ query: Query, mutation: Mutation });
+
+export default schema;
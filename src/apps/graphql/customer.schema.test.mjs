@@ -0,0 +1,132 @@
+import { graphql } from 'graphql';
+import schema from './customer.schema.mjs';
+import { createLoaders } from './customer.loader.mjs';
+import customerUsecase from '../usecases/customer.usecase.mjs';
+import { ValidationError, NotFoundError } from '../../utils/error.utils.mjs';
+
+jest.mock('../usecases/customer.usecase.mjs');
+
+const admin = { id: '1', roles: ['admin'] };
+const agent = { id: '2', roles: ['agent'] };
+const viewer = { id: '3', roles: ['viewer'] };
+
+const run = (source, { user = admin, variableValues } = {}) =>
+  graphql({ schema, source, variableValues, contextValue: { user, loaders: createLoaders() } });
+
+describe('GraphQL customer schema', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list customers through getCustomers without embedding addresses', async () => {
+    customerUsecase.getCustomers.mockResolvedValue({ items: [{ id: 1, firstName: 'Asha', tags: ['vip'], hasOnlyOneAddress: 0, version: 1 }], total: 1, page: 1, limit: 10, pages: 1 });
+
+    const result = await run(`{
+      customers(city: "Pune", tags: ["vip", "b2b"], onlyOneAddress: false, sort: "-createdAt",
+        filter: [{ field: "addresses.status", op: "in", value: "active,inactive" }], limit: 10) {
+        total items { id firstName tags hasOnlyOneAddress }
+      }
+    }`);
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.customers).toEqual({ total: 1, items: [{ id: 1, firstName: 'Asha', tags: ['vip'], hasOnlyOneAddress: false }] });
+    expect(customerUsecase.getCustomers).toHaveBeenCalledWith({
+      include: 'none',
+      city: 'Pune',
+      tags: 'vip,b2b',
+      onlyOneAddress: 'false',
+      sort: '-createdAt',
+      limit: '10',
+      'filter[addresses.status][in]': 'active,inactive',
+    });
+  });
+
+  it('should load the addresses of a whole page with one call', async () => {
+    customerUsecase.getCustomers.mockResolvedValue({ items: [{ id: 1 }, { id: 2 }, { id: 3 }], total: 3, page: 1, limit: 10, pages: 1 });
+    customerUsecase.getAddressesByCustomerIds.mockResolvedValue([
+      [{ id: 10, customerId: 1, city: 'Pune', isPrimary: 1 }, { id: 11, customerId: 1, city: 'Mumbai', isPrimary: 0 }],
+      [],
+      [{ id: 12, customerId: 3, city: 'Delhi', isPrimary: 0 }],
+    ]);
+
+    const result = await run('{ customers { items { id addresses { id city } primaryAddress { id } } } }');
+
+    expect(result.errors).toBeUndefined();
+    expect(customerUsecase.getAddressesByCustomerIds).toHaveBeenCalledTimes(1);
+    expect(customerUsecase.getAddressesByCustomerIds).toHaveBeenCalledWith([1, 2, 3]);
+    expect(result.data.customers.items).toEqual([
+      { id: 1, addresses: [{ id: 10, city: 'Pune' }, { id: 11, city: 'Mumbai' }], primaryAddress: { id: 10 } },
+      { id: 2, addresses: [], primaryAddress: null },
+      { id: 3, addresses: [{ id: 12, city: 'Delhi' }], primaryAddress: null },
+    ]);
+  });
+
+  it('should filter addresses with where', async () => {
+    customerUsecase.getCustomerById.mockResolvedValue({ id: 1 });
+    customerUsecase.getAddressesByCustomerIds.mockResolvedValue([[
+      { id: 10, city: 'Pune', addressType: 'home', isPrimary: 1 },
+      { id: 11, city: 'pune', addressType: 'work', isPrimary: 0 },
+      { id: 12, city: 'Delhi', addressType: 'work', isPrimary: 0 },
+    ]]);
+
+    const result = await run('{ customer(id: 1) { addresses(where: { city: "PUNE", isPrimary: false }) { id } } }');
+
+    expect(result.data.customer.addresses).toEqual([{ id: 11 }]);
+    expect(customerUsecase.getCustomerById).toHaveBeenCalledWith(1, { includeDeleted: false, include: 'none' });
+  });
+
+  it('should answer null for an unknown customer', async () => {
+    customerUsecase.getCustomerById.mockRejectedValue(new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' }));
+
+    const result = await run('{ customer(id: 99) { id } }');
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.customer).toBeNull();
+  });
+
+  it('should keep deleted customers admin-only', async () => {
+    const result = await run('{ customers(includeDeleted: true) { total } }', { user: agent });
+
+    expect(result.errors[0].originalError).toMatchObject({ status: 403, code: 'MISSING_PERMISSION' });
+    expect(customerUsecase.getCustomers).not.toHaveBeenCalled();
+  });
+
+  it('should pass the expected version to writes as If-Match', async () => {
+    customerUsecase.updateCustomer.mockResolvedValue({ id: 1, firstName: 'Asha', version: 4 });
+
+    const result = await run('mutation { updateCustomer(id: 1, input: { firstName: "Asha" }, expectedVersion: 3) { id version } }', { user: agent });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.updateCustomer).toEqual({ id: 1, version: 4 });
+    expect(customerUsecase.updateCustomer).toHaveBeenCalledWith(1, { firstName: 'Asha' }, { ifMatch: [3] });
+  });
+
+  it('should return the deleted ID from deleteCustomer', async () => {
+    customerUsecase.deleteCustomer.mockResolvedValue({ deletedId: 5 });
+
+    const result = await run('mutation { deleteCustomer(id: 5, expectedVersion: 2) }');
+
+    expect(result.data.deleteCustomer).toBe(5);
+    expect(customerUsecase.deleteCustomer).toHaveBeenCalledWith(5, { ifMatch: [2] });
+  });
+
+  it('should check the REST permissions on mutations', async () => {
+    const result = await run('mutation { createCustomer(input: { firstName: "Asha" }) { id } }', { user: viewer });
+
+    expect(result.errors[0].message).toBe('Missing permission: customers:create');
+    expect(customerUsecase.createCustomer).not.toHaveBeenCalled();
+  });
+
+  it('should surface use case validation errors unchanged', async () => {
+    const error = new ValidationError('Validation failed', { errors: [{ field: '/phone', message: '"phone" is required', code: 'any.required' }] });
+    customerUsecase.createCustomer.mockRejectedValue(error);
+
+    const result = await run(
+      'mutation ($input: CustomerInput!) { createCustomer(input: $input) { id } }',
+      { user: agent, variableValues: { input: { firstName: 'Asha', lastName: 'Rao', attributes: { tier: 'gold' } } } },
+    );
+
+    expect(result.errors[0].originalError).toBe(error);
+    expect(customerUsecase.createCustomer).toHaveBeenCalledWith({ firstName: 'Asha', lastName: 'Rao', attributes: { tier: 'gold' } });
+  });
+});
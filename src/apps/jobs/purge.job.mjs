@@ -0,0 +1,39 @@
+import pino from 'pino';
+import customerUsecase from '../usecases/customer.usecase.mjs';
+import retentionConfig from '../../infrastructures/config/retention.config.mjs';
+const logger = pino();
+
+/**
+ * Hard-delete customers and addresses whose soft-delete retention period has expired.
+ *
+ * @async
+ * @param {number} [retentionDays=retentionConfig.softDeleteRetentionDays] - Retention period in days.
+ * @returns {Promise<{customers:number, addresses:number}>} Number of purged rows.
+ */
+export async function runPurge(retentionDays = retentionConfig.softDeleteRetentionDays) {
+  const purged = await customerUsecase.purgeDeleted(retentionDays);
+  if (purged.customers || purged.addresses) logger.info({ purged, retentionDays }, 'Purged soft-deleted rows');
+  return purged;
+}
+
+/**
+ * Run {@link runPurge} periodically in the background.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Interval between runs (defaults to `PURGE_INTERVAL_MINUTES`).
+ * @param {number} [options.retentionDays] - Retention period in days (defaults to `SOFT_DELETE_RETENTION_DAYS`).
+ * @returns {NodeJS.Timeout} Interval handle (pass to `clearInterval` to stop).
+ */
+export function schedulePurge({
+  intervalMs = retentionConfig.purgeIntervalMinutes * 60 * 1000,
+  retentionDays = retentionConfig.softDeleteRetentionDays,
+} = {}) {
+  const timer = setInterval(() => {
+    runPurge(retentionDays).catch(err => logger.error(err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+export default { runPurge, schedulePurge };
@@ -0,0 +1,45 @@
+import pino from 'pino';
+import webhookUsecase from '../usecases/webhook.usecase.mjs';
+import webhookConfig from '../../infrastructures/config/webhook.config.mjs';
+const logger = pino();
+
+/**
+ * Deliver every due webhook once.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max deliveries per run (defaults to `WEBHOOK_BATCH_SIZE`).
+ * @returns {Promise<{delivered:number, retrying:number, dead:number}>} Outcome counts.
+ */
+export async function runWebhookDispatch({ limit } = {}) {
+  const summary = await webhookUsecase.deliverDue({ limit });
+  if (summary.delivered || summary.retrying || summary.dead) logger.info({ webhooks: summary }, 'Dispatched webhooks');
+  if (summary.dead) logger.warn({ dead: summary.dead }, 'Webhook deliveries moved to the dead-letter list');
+  return summary;
+}
+
+/**
+ * Run {@link runWebhookDispatch} periodically in the background.
+ * A run is skipped while the previous one is still sending, so slow receivers
+ * do not pile up runs. Deliveries are claimed before they are sent, so this may
+ * run alongside `npm run webhooks:dispatch` or other instances without sending
+ * one twice. The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Interval between runs (defaults to `WEBHOOK_DISPATCH_INTERVAL_SECONDS`).
+ * @returns {NodeJS.Timeout} Interval handle (pass to `clearInterval` to stop).
+ */
+export function scheduleWebhookDispatch({ intervalMs = webhookConfig.dispatchIntervalSeconds * 1000 } = {}) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    runWebhookDispatch()
+      .catch(err => logger.error(err))
+      .finally(() => { running = false; });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+export default { runWebhookDispatch, scheduleWebhookDispatch };
@@ -1,27 +1,27 @@
 import Database from 'better-sqlite3';
 import fs from 'fs';
 import path from 'path';
+import { migrateUp } from '../../infrastructures/database/migrator.mjs';
 
 let db;
 
 /**
- * Initialize the SQLite database.
+ * Open the SQLite database without touching the schema.
  *
  * - Ensures the database directory exists.
  * - Opens (or creates) the database file.
  * - Enables foreign key constraints.
- * - Creates required tables (`customers`, `addresses`) if they do not exist.
- * - Adds useful indexes for performance.
+ * - Switches to WAL journaling so long-running readers (see {@link openReader})
+ *   do not block writers.
+ *
+ * Used by {@link initDb} and by the `migrate` CLI, which must be able to
+ * inspect or roll back the schema without applying pending migrations first.
  *
  * @param {string} [dbPath=process.env.SQLITE_FILE || 'src/data/customers.db']
  *   Path to the SQLite database file. Defaults to `SQLITE_FILE` env variable or `src/data/customers.db`.
- * @returns {Database} An initialized Better-SQLite3 database instance.
- *
- * @example
- * import { initDb } from './db.js';
- * const db = initDb(); // initializes database
+ * @returns {Database} An open Better-SQLite3 database instance.
  */
-export function initDb(dbPath = process.env.SQLITE_FILE || 'src/data/customers.db') {
+export function openDb(dbPath = process.env.SQLITE_FILE || 'src/data/customers.db') {
   // Always resolve to absolute path
   const absPath = path.resolve(dbPath);
   const dir = path.dirname(absPath);
@@ -34,48 +34,48 @@ export function initDb(dbPath = process.env.SQLITE_FILE || 'src/data/customers.d
   // Open DB and enable foreign keys
   db = new Database(absPath);
   db.pragma('foreign_keys = ON');
+  db.pragma('journal_mode = WAL');
+  return db;
+}
 
-  // Customers table
-  db.prepare(`
-    CREATE TABLE IF NOT EXISTS customers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      firstName TEXT NOT NULL,
-      lastName TEXT NOT NULL,
-      phone TEXT NOT NULL UNIQUE,
-      email TEXT,
-      accountType TEXT DEFAULT 'standard',
-      hasOnlyOneAddress INTEGER DEFAULT 0,
-      createdAt TEXT DEFAULT (datetime('now')),
-      updatedAt TEXT DEFAULT (datetime('now'))
-    );
-  `).run();
+/**
+ * Open a separate read-only connection to the active database file.
+ *
+ * better-sqlite3 refuses writes on a connection while one of its statements is
+ * being iterated, so long streaming reads use their own connection. The caller
+ * must `close()` it. In-memory databases cannot be shared and return the main
+ * connection instead (check `reader === getDb()` before closing).
+ *
+ * @returns {Database} A read-only Better-SQLite3 database instance.
+ * @throws {Error} If the database has not been initialized.
+ */
+export function openReader() {
+  const main = getDb();
+  if (main.memory) return main;
+  return new Database(main.name, { readonly: true, fileMustExist: true });
+}
 
-  // Addresses table
-  db.prepare(`
-    CREATE TABLE IF NOT EXISTS addresses (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      customerId INTEGER NOT NULL,
-      line1 TEXT NOT NULL,
-      line2 TEXT,
-      city TEXT NOT NULL,
-      state TEXT NOT NULL,
-      country TEXT DEFAULT 'India',
-      pincode TEXT NOT NULL,
-      isPrimary INTEGER DEFAULT 0,
-      status TEXT DEFAULT 'active',
-      createdAt TEXT DEFAULT (datetime('now')),
-      updatedAt TEXT DEFAULT (datetime('now')),
-      FOREIGN KEY(customerId) REFERENCES customers(id) ON DELETE CASCADE
-    );
-  `).run();
+/**
+ * Initialize the SQLite database.
+ *
+ * - Opens the database via {@link openDb}.
+ * - Applies all pending schema migrations (see `src/infrastructures/database/migrations`).
+ *
+ * @param {string} [dbPath=process.env.SQLITE_FILE || 'src/data/customers.db']
+ *   Path to the SQLite database file. Defaults to `SQLITE_FILE` env variable or `src/data/customers.db`.
+ * @returns {Database} An initialized Better-SQLite3 database instance.
+ *
+ * @example
+ * import { initDb } from './db.js';
+ * const db = initDb(); // initializes database
+ */
+export function initDb(dbPath = process.env.SQLITE_FILE || 'src/data/customers.db') {
+  openDb(dbPath);
 
-  // Useful indexes
-  db.prepare(`CREATE INDEX IF NOT EXISTS idx_addresses_city ON addresses(city)`).run();
-  db.prepare(`CREATE INDEX IF NOT EXISTS idx_addresses_state ON addresses(state)`).run();
-  db.prepare(`CREATE INDEX IF NOT EXISTS idx_addresses_pincode ON addresses(pincode)`).run();
-  db.prepare(`CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone)`).run();
+  const applied = migrateUp(db);
+  if (applied.length) console.log(`✅ Applied migrations: ${applied.join(', ')}`);
 
-  console.log(`✅ SQLite DB initialized at: ${absPath}`);
+  console.log(`✅ SQLite DB initialized at: ${path.resolve(dbPath)}`);
   return db;
 }
 
@@ -94,4 +94,4 @@ export function getDb() {
   return db;
 }
 
-export default { initDb, getDb };
+export default { openDb, initDb, getDb, openReader };
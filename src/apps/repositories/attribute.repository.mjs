@@ -0,0 +1,79 @@
+import { getDb } from '../models/customer.model.mjs';
+
+/**
+ * Repository for `attribute_definitions`, the registry of custom customer attributes.
+ */
+class AttributeRepository {
+  /**
+   * Always fetch the latest DB connection.
+   * @type {import('better-sqlite3').Database}
+   */
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Turn a stored row into a definition (`options` parsed from JSON).
+   * @param {Object|undefined} row - Raw row.
+   * @returns {{key:string, type:string, options:string[]|null, description:string|null, createdAt:string, updatedAt:string}|null}
+   */
+  toDefinition(row) {
+    if (!row) return null;
+    return { ...row, options: row.options ? JSON.parse(row.options) : null };
+  }
+
+  /**
+   * List every definition, ordered by key.
+   * @returns {Object[]}
+   */
+  findAll() {
+    return this.db.prepare(`SELECT * FROM attribute_definitions ORDER BY key ASC`).all().map(r => this.toDefinition(r));
+  }
+
+  /**
+   * Get one definition.
+   * @param {string} key - Attribute key.
+   * @returns {Object|null}
+   */
+  findByKey(key) {
+    return this.toDefinition(this.db.prepare(`SELECT * FROM attribute_definitions WHERE key = ?`).get(key));
+  }
+
+  /**
+   * Create or replace a definition.
+   * @param {{key:string, type:string, options?:string[]|null, description?:string|null}} definition
+   * @returns {Object} The stored definition.
+   */
+  upsert({ key, type, options = null, description = null }) {
+    this.db.prepare(`
+      INSERT INTO attribute_definitions (key, type, options, description)
+      VALUES (@key, @type, @options, @description)
+      ON CONFLICT(key) DO UPDATE SET
+        type = excluded.type, options = excluded.options, description = excluded.description, updatedAt = datetime('now')
+    `).run({ key, type, options: options ? JSON.stringify(options) : null, description });
+    return this.findByKey(key);
+  }
+
+  /**
+   * Delete a definition.
+   * @param {string} key - Attribute key.
+   * @returns {boolean} True if a definition was deleted.
+   */
+  remove(key) {
+    return this.db.prepare(`DELETE FROM attribute_definitions WHERE key = ?`).run(key).changes > 0;
+  }
+
+  /**
+   * Distinct values stored for an attribute across all customers (deleted ones included).
+   * @param {string} key - Attribute key.
+   * @returns {Array<string|number|boolean>} Values with their JSON types.
+   */
+  distinctValues(key) {
+    return this.db.prepare(`
+      SELECT DISTINCT attributes -> @path AS value FROM customers
+      WHERE json_type(attributes, @path) IS NOT NULL
+    `).all({ path: `$."${key}"` }).map(r => JSON.parse(r.value));
+  }
+}
+
+export default AttributeRepository;
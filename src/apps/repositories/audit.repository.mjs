@@ -0,0 +1,110 @@
+import { getDb } from '../models/customer.model.mjs';
+import { currentActor } from '../../utils/context.utils.mjs';
+
+/**
+ * Columns that change on every write and carry no information of their own.
+ * @type {string[]}
+ */
+const IGNORED_FIELDS = ['updatedAt', 'version'];
+
+/**
+ * Compute the changed columns between two row snapshots.
+ * Nested values (e.g. a customer's `addresses` array) are not compared.
+ *
+ * @param {Object|null} before - Row before the change (`null` for inserts).
+ * @param {Object|null} after - Row after the change.
+ * @returns {{before:Object|null, after:Object|null}|null} Changed columns only, or `null` if nothing changed.
+ */
+function diffRows(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = { before: before ? {} : null, after: after ? {} : null };
+  let changed = !before || !after;
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+    if (typeof a === 'object' && a !== null) continue;
+    if (typeof b === 'object' && b !== null) continue;
+    if (before && after && a === b) continue;
+    if (before) diff.before[key] = a ?? null;
+    if (after) diff.after[key] = b ?? null;
+    changed = true;
+  }
+  return changed ? diff : null;
+}
+
+/**
+ * Repository for the append-only `audit_log` table.
+ * Writes are meant to run inside the caller's transaction so that the
+ * history entry commits or rolls back together with the change it describes.
+ */
+class AuditRepository {
+  /**
+   * Always fetch the latest DB connection.
+   * @type {import('better-sqlite3').Database}
+   */
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Record a change. The actor is taken from the current request context.
+   * Updates that change nothing (other than `updatedAt` and `version`) are not recorded.
+   *
+   * @param {Object} entry
+   * @param {'create'|'update'|'delete'|'restore'|'merge'} entry.action - What happened.
+   * @param {'customer'|'address'} entry.entity - Kind of row changed.
+   * @param {number} entry.entityId - ID of the changed row.
+   * @param {number} entry.customerId - Owning customer, used to build the customer's history.
+   * @param {Object|null} [entry.before] - Row snapshot before the change.
+   * @param {Object|null} [entry.after] - Row snapshot after the change.
+   * @returns {boolean} True if an entry was written.
+   */
+  record({ action, entity, entityId, customerId, before = null, after = null }) {
+    const changes = diffRows(before, after);
+    if (!changes) return false;
+
+    this.db.prepare(`
+      INSERT INTO audit_log (actor, action, entity, entityId, customerId, changes)
+      VALUES (@actor, @action, @entity, @entityId, @customerId, @changes)
+    `).run({
+      actor: currentActor(),
+      action,
+      entity,
+      entityId: Number(entityId),
+      customerId: Number(customerId),
+      changes: JSON.stringify(changes),
+    });
+    return true;
+  }
+
+  /**
+   * Count history entries for a customer (including its addresses).
+   * @param {number} customerId - Customer ID.
+   * @returns {number}
+   */
+  countByCustomer(customerId) {
+    return this.db.prepare(`SELECT COUNT(*) as cnt FROM audit_log WHERE customerId = ?`).get(customerId).cnt;
+  }
+
+  /**
+   * Get history entries for a customer (including its addresses), newest first.
+   * @param {number} customerId - Customer ID.
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Max number of entries.
+   * @param {number} [options.offset=0] - Offset for pagination.
+   * @returns {{id:number, actor:string|null, action:string, entity:string, entityId:number, changes:{before:Object|null, after:Object|null}, createdAt:string}[]}
+   */
+  findByCustomer(customerId, { limit = 10, offset = 0 } = {}) {
+    const rows = this.db.prepare(`
+      SELECT id, actor, action, entity, entityId, changes, createdAt FROM audit_log
+      WHERE customerId = @customerId
+      ORDER BY id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ customerId, limit, offset });
+    return rows.map(r => ({ ...r, changes: JSON.parse(r.changes) }));
+  }
+}
+
+export default AuditRepository;
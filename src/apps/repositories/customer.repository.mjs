@@ -1,10 +1,124 @@
-import { getDb } from '../models/customer.model.mjs';
+import { getDb, openReader } from '../models/customer.model.mjs';
+import AuditRepository from './audit.repository.mjs';
+import { buildKeysetCondition } from '../../utils/pagination.utils.mjs';
+import { haversineSql } from '../../utils/geo.utils.mjs';
+import { BadRequestError, ConflictError } from '../../utils/error.utils.mjs';
+
+/**
+ * SQL expression producing a millisecond-precision timestamp.
+ * Used for `deletedAt` so that addresses removed together with their customer
+ * share the customer's exact timestamp and can be restored with it.
+ */
+const NOW_MS = `strftime('%Y-%m-%d %H:%M:%f', 'now')`;
+
+/**
+ * bm25 rank of the current customer for the `@fts` MATCH expression (lower is better).
+ * Column weights favour names over phone/email over address text.
+ * Customers matched only through the phone substring fallback rank last.
+ */
+const RELEVANCE = `IFNULL((
+  SELECT bm25(customers_fts, 10.0, 10.0, 5.0, 5.0, 1.0) FROM customers_fts
+  WHERE customers_fts MATCH @fts AND customers_fts.rowid = customers.id
+), 0)`;
+
+/**
+ * Distance in km from the `@nearLat`/`@nearLng` params to the current customer's
+ * nearest geocoded address. Customers without one sort last.
+ */
+const DISTANCE = `IFNULL((
+  SELECT MIN(${haversineSql('g')}) FROM addresses g
+  WHERE g.customerId = customers.id AND g.deletedAt IS NULL AND g.latitude IS NOT NULL
+), 1e9)`;
+
+/**
+ * Value of a column of the current customer's primary address (`''` without one).
+ * @param {string} column - Address column.
+ * @returns {string} SQL expression.
+ */
+const primaryAddress = column => `IFNULL((
+  SELECT p.${column} FROM addresses p WHERE p.customerId = customers.id AND p.isPrimary = 1 AND p.deletedAt IS NULL LIMIT 1
+), '')`;
+
+/**
+ * SQL expression for each sort field accepted by `parseSort` (see `sort.utils.mjs`).
+ * Nullable columns are coalesced to `''` so they can be compared in keyset conditions;
+ * names and places compare case-insensitively.
+ */
+const SORT_EXPRESSIONS = {
+  id: 'customers.id',
+  firstName: `IFNULL(customers.firstName, '') COLLATE NOCASE`,
+  lastName: `IFNULL(customers.lastName, '') COLLATE NOCASE`,
+  email: `IFNULL(customers.email, '') COLLATE NOCASE`,
+  phone: `IFNULL(customers.phone, '')`,
+  accountType: `IFNULL(customers.accountType, '')`,
+  createdAt: `IFNULL(customers.createdAt, '')`,
+  updatedAt: `IFNULL(customers.updatedAt, '')`,
+  'primaryAddress.city': `${primaryAddress('city')} COLLATE NOCASE`,
+  'primaryAddress.state': `${primaryAddress('state')} COLLATE NOCASE`,
+  'primaryAddress.pincode': primaryAddress('pincode'),
+  'primaryAddress.country': `${primaryAddress('country')} COLLATE NOCASE`,
+  relevance: RELEVANCE,
+  distance: DISTANCE,
+};
+
+/** Default list order: newest first. */
+const DEFAULT_SORT = [{ field: 'createdAt', dir: 'DESC' }];
+
+/**
+ * Address flags of which a customer has at most one active address set:
+ * the primary address and the default billing and shipping addresses.
+ */
+const ADDRESS_FLAGS = ['isPrimary', 'isDefaultBilling', 'isDefaultShipping'];
+
+/** Tag names of one customer, alphabetical. */
+const TAGS_OF = `
+  SELECT t.name FROM customer_tags ct JOIN tags t ON t.id = ct.tagId
+  WHERE ct.customerId = ? ORDER BY t.name ASC
+`;
+
+/** Tag names of a batch of customers (ids as a JSON array), alphabetical per customer. */
+const TAGS_OF_MANY = `
+  SELECT ct.customerId, t.name FROM customer_tags ct JOIN tags t ON t.id = ct.tagId
+  WHERE ct.customerId IN (SELECT value FROM json_each(?)) ORDER BY t.name ASC
+`;
+
+/** Bucket of `customers.createdAt` for each signup interval: the day, the Monday starting the week, or the month. */
+const SIGNUP_PERIODS = {
+  day: `date(customers.createdAt)`,
+  week: `date(customers.createdAt, 'weekday 0', '-6 days')`,
+  month: `strftime('%Y-%m', customers.createdAt)`,
+};
+
+/**
+ * Group rows by a key.
+ * @param {Object[]} rows - Rows in the order each group should keep.
+ * @param {string} key - Property to group by.
+ * @returns {Map<*, Object[]>}
+ */
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const group = groups.get(row[key]);
+    if (group) group.push(row);
+    else groups.set(row[key], [row]);
+  }
+  return groups;
+}
 
 /**
  * Repository class for interacting with the `customers` and `addresses` tables in SQLite.
- * Provides CRUD operations, address management, and duplicate checks.
+ * Provides CRUD operations, address management, soft delete / restore, and duplicate checks.
+ *
+ * Deleted rows keep a `deletedAt` timestamp and are excluded from reads unless
+ * `includeDeleted` is requested. Every write records an `audit_log` entry in the
+ * same transaction.
  */
 class CustomerRepository {
+  constructor() {
+    /** @type {AuditRepository} */
+    this.audit = new AuditRepository();
+  }
+
   /**
    * Always fetch the latest DB connection.
    * @type {import('better-sqlite3').Database}
@@ -13,6 +127,36 @@ class CustomerRepository {
     return getDb();
   }
 
+  /**
+   * Raw `customers` row (no addresses, no type coercion), used for audit snapshots.
+   * @param {number} id - Customer ID.
+   * @returns {Object|undefined}
+   */
+  customerRow(id) {
+    return this.db.prepare(`SELECT * FROM customers WHERE id = ?`).get(id);
+  }
+
+  /**
+   * Raw `addresses` row, used for audit snapshots.
+   * @param {number} id - Address ID.
+   * @returns {Object|undefined}
+   */
+  addressRow(id) {
+    return this.db.prepare(`SELECT * FROM addresses WHERE id = ?`).get(id);
+  }
+
+  /**
+   * Run `fn` inside a transaction.
+   * Nested calls become savepoints, so an inner failure can be caught and
+   * rolled back without aborting the outer transaction.
+   * @template T
+   * @param {() => T} fn - Work to run; throwing rolls it back.
+   * @returns {T} Whatever `fn` returns.
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
   // ---------- Customer CRUD ----------
 
   /**
@@ -24,37 +168,93 @@ class CustomerRepository {
    * @param {string} [data.email] - Optional email address.
    * @param {string} [data.accountType='standard'] - Account type.
    * @param {boolean} [data.hasOnlyOneAddress=false] - Whether customer has only one address.
+   * @param {Object} [data.attributes] - Custom attributes (already validated against the registry).
+   * @param {string[]} [data.tags] - Tag names.
    * @returns {Object} The newly created customer with addresses.
    */
   createCustomer(data) {
-    const stmt = this.db.prepare(`
-      INSERT INTO customers (firstName, lastName, phone, email, accountType, hasOnlyOneAddress)
-      VALUES (@firstName, @lastName, @phone, @email, @accountType, @hasOnlyOneAddress)
-    `);
-    const info = stmt.run({
-      ...data,
-      hasOnlyOneAddress: data.hasOnlyOneAddress ? 1 : 0
+    const tx = this.db.transaction((data) => {
+      const stmt = this.db.prepare(`
+        INSERT INTO customers (firstName, lastName, phone, email, accountType, hasOnlyOneAddress, attributes)
+        VALUES (@firstName, @lastName, @phone, @email, @accountType, @hasOnlyOneAddress, @attributes)
+      `);
+      const info = stmt.run({
+        ...data,
+        email: data.email || null,
+        accountType: data.accountType || 'standard',
+        hasOnlyOneAddress: data.hasOnlyOneAddress ? 1 : 0,
+        attributes: JSON.stringify(data.attributes || {})
+      });
+      const id = Number(info.lastInsertRowid);
+      this.audit.record({ action: 'create', entity: 'customer', entityId: id, customerId: id, after: this.customerRow(id) });
+      if (data.tags?.length) this.tagCustomer(id, data.tags);
+      return this.getCustomerById(id);
     });
-    return this.getCustomerById(info.lastInsertRowid);
+    return tx(data);
   }
 
   /**
    * Get a customer by ID.
    * @param {number} id - Customer ID.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Also return a soft-deleted customer and deleted addresses.
+   * @param {'addresses'|'primaryAddress'|'none'} [options.include='addresses'] - Which addresses to embed (see `hydrate`).
    * @returns {Object|null} Customer object with addresses or `null` if not found.
    */
-  getCustomerById(id) {
-    const row = this.db.prepare(`SELECT * FROM customers WHERE id = ?`).get(id);
+  getCustomerById(id, { includeDeleted = false, include = 'addresses' } = {}) {
+    const alive = includeDeleted ? '' : 'AND deletedAt IS NULL';
+    const row = this.db.prepare(`SELECT * FROM customers WHERE id = ? ${alive}`).get(id);
     if (!row) return null;
-    row.hasOnlyOneAddress = Boolean(row.hasOnlyOneAddress);
-    row.addresses = this.db.prepare(
-      `SELECT * FROM addresses WHERE customerId = ? ORDER BY isPrimary DESC, id ASC`
-    ).all(id);
-    return row;
+    return this.hydrate([row], { include, includeDeleted })[0];
+  }
+
+  /**
+   * Decode customer rows and attach their tags and addresses, with one query per
+   * relation for the whole batch rather than one per customer.
+   * @param {Object[]} rows - Customer rows (modified in place).
+   * @param {Object} [options]
+   * @param {'addresses'|'primaryAddress'|'none'} [options.include='addresses'] - Embed every address as
+   *   `addresses` (primary first), only the primary address as `primaryAddress` (`null` without one), or no address.
+   * @param {boolean} [options.includeDeleted=false] - Also embed soft-deleted addresses.
+   * @returns {Object[]} The same rows.
+   */
+  hydrate(rows, { include = 'addresses', includeDeleted = false } = {}) {
+    if (!rows.length) return rows;
+    const ids = rows.map(r => r.id);
+    const tags = groupBy(this.db.prepare(TAGS_OF_MANY).all(JSON.stringify(ids)), 'customerId');
+    const addresses = include === 'none'
+      ? new Map()
+      : this.addressesOf(ids, { includeDeleted, primaryOnly: include === 'primaryAddress' });
+
+    for (const r of rows) {
+      r.hasOnlyOneAddress = Boolean(r.hasOnlyOneAddress);
+      r.attributes = JSON.parse(r.attributes);
+      r.tags = (tags.get(r.id) || []).map(t => t.name);
+      if (include === 'addresses') r.addresses = addresses.get(r.id) || [];
+      if (include === 'primaryAddress') r.primaryAddress = addresses.get(r.id)?.[0] ?? null;
+    }
+    return rows;
+  }
+
+  /**
+   * Addresses of a batch of customers in one query, primary first, then oldest first.
+   * @param {number[]} customerIds - Customer IDs.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Also return soft-deleted addresses.
+   * @param {boolean} [options.primaryOnly=false] - Only return primary addresses.
+   * @returns {Map<number, Object[]>} Addresses by customer ID; customers without any are absent.
+   */
+  addressesOf(customerIds, { includeDeleted = false, primaryOnly = false } = {}) {
+    return groupBy(this.db.prepare(`
+      SELECT * FROM addresses WHERE customerId IN (SELECT value FROM json_each(?))
+      ${includeDeleted ? '' : 'AND deletedAt IS NULL'} ${primaryOnly ? 'AND isPrimary = 1' : ''}
+      ORDER BY customerId, isPrimary DESC, id ASC
+    `).all(JSON.stringify(customerIds)), 'customerId');
   }
 
   /**
    * Update a customer by ID.
+   * `patch.attributes` is merged into the stored attributes; keys set to `null` are removed.
    * @param {number} id - Customer ID.
    * @param {Object} patch - Fields to update.
    * @returns {Object|null} Updated customer object or `null` if not found.
@@ -68,35 +268,187 @@ class CustomerRepository {
         params[k] = patch[k];
       }
     }
+    if (patch.attributes !== undefined) {
+      fields.push('attributes = json_patch(attributes, @attributes)');
+      params.attributes = JSON.stringify(patch.attributes);
+    }
     if (!fields.length) return this.getCustomerById(id);
 
-    const sql = `UPDATE customers SET ${fields.join(', ')}, updatedAt = datetime('now') WHERE id = @id`;
-    this.db.prepare(sql).run(params);
-    return this.getCustomerById(id);
+    const tx = this.db.transaction(() => {
+      const before = this.customerRow(id);
+      const sql = `UPDATE customers SET ${fields.join(', ')}, updatedAt = datetime('now') WHERE id = @id AND deletedAt IS NULL`;
+      if (!this.db.prepare(sql).run(params).changes) return null;
+
+      this.audit.record({ action: 'update', entity: 'customer', entityId: id, customerId: id, before, after: this.customerRow(id) });
+      return this.getCustomerById(id);
+    });
+    return tx();
   }
 
   /**
-   * Delete a customer by ID.
+   * Soft-delete a customer by ID.
+   * The customer and its active addresses receive the same `deletedAt` timestamp.
    * @param {number} id - Customer ID.
-   * @returns {boolean} True if deleted, false otherwise.
+   * @returns {boolean} True if deleted, false if not found or already deleted.
    */
   deleteCustomer(id) {
-    const info = this.db.prepare(`DELETE FROM customers WHERE id = ?`).run(id);
-    return info.changes > 0;
+    const tx = this.db.transaction((id) => {
+      const before = this.customerRow(id);
+      // Stay strictly after any address deleted individually in the same millisecond,
+      // otherwise restoring the customer would bring that address back too.
+      const info = this.db.prepare(`
+        UPDATE customers SET deletedAt = (
+          SELECT CASE WHEN MAX(a.deletedAt) >= ${NOW_MS}
+            THEN strftime('%Y-%m-%d %H:%M:%f', MAX(a.deletedAt), '+0.001 seconds')
+            ELSE ${NOW_MS} END
+          FROM addresses a WHERE a.customerId = customers.id
+        ), updatedAt = datetime('now')
+        WHERE id = ? AND deletedAt IS NULL
+      `).run(id);
+      if (!info.changes) return false;
+      const after = this.customerRow(id);
+
+      const addresses = this.db.prepare(`SELECT * FROM addresses WHERE customerId = ? AND deletedAt IS NULL`).all(id);
+      this.db.prepare(`
+        UPDATE addresses SET deletedAt = (SELECT deletedAt FROM customers WHERE id = @id)
+        WHERE customerId = @id AND deletedAt IS NULL
+      `).run({ id });
+
+      this.audit.record({ action: 'delete', entity: 'customer', entityId: id, customerId: id, before, after });
+      for (const address of addresses) {
+        this.audit.record({ action: 'delete', entity: 'address', entityId: address.id, customerId: id, before: address, after: this.addressRow(address.id) });
+      }
+      return true;
+    });
+    return tx(id);
+  }
+
+  /**
+   * Restore a soft-deleted customer together with the addresses deleted with it.
+   * Addresses deleted individually before the customer stay deleted.
+   * @param {number} id - Customer ID.
+   * @returns {Object|null} Restored customer or `null` if no deleted customer has that ID.
+   * @throws {ConflictError} 409 if the customer was merged into another one.
+   */
+  restoreCustomer(id) {
+    const tx = this.db.transaction((id) => {
+      const row = this.db.prepare(`SELECT * FROM customers WHERE id = ? AND deletedAt IS NOT NULL`).get(id);
+      if (!row) return null;
+      if (row.mergedIntoId) {
+        throw new ConflictError(`Customer was merged into customer ${row.mergedIntoId}`, { code: 'CUSTOMER_MERGED' });
+      }
+
+      const addresses = this.db.prepare(`SELECT * FROM addresses WHERE customerId = ? AND deletedAt = ?`).all(id, row.deletedAt);
+      this.db.prepare(`UPDATE addresses SET deletedAt = NULL, updatedAt = datetime('now') WHERE customerId = ? AND deletedAt = ?`)
+        .run(id, row.deletedAt);
+      this.db.prepare(`UPDATE customers SET deletedAt = NULL, updatedAt = datetime('now') WHERE id = ?`).run(id);
+
+      this.audit.record({ action: 'restore', entity: 'customer', entityId: id, customerId: id, before: row, after: this.customerRow(id) });
+      for (const address of addresses) {
+        this.audit.record({ action: 'restore', entity: 'address', entityId: address.id, customerId: id, before: address, after: this.addressRow(address.id) });
+      }
+      this.syncAddressFlag(id);
+
+      return this.getCustomerById(id);
+    });
+    return tx(id);
+  }
+
+  /**
+   * Merge a duplicate customer into a surviving one.
+   *
+   * The duplicate's active addresses move to the survivor. If the survivor already
+   * has a primary (or default billing/shipping) address, moved addresses lose that
+   * flag so the survivor's own address keeps it.
+   * The survivor also gains the duplicate's tags, and any custom attributes it does
+   * not have itself.
+   * The duplicate is then soft-deleted with `mergedIntoId` pointing at the survivor.
+   * Both customers get a `merge` audit entry, and so does each moved address in both histories.
+   *
+   * @param {number} survivorId - Customer that is kept.
+   * @param {number} duplicateId - Customer that is folded in and deleted.
+   * @returns {Object|null} Updated survivor with addresses, or `null` if either customer is not found.
+   */
+  mergeCustomers(survivorId, duplicateId) {
+    const tx = this.db.transaction(() => {
+      const alive = `SELECT * FROM customers WHERE id = ? AND deletedAt IS NULL`;
+      const survivor = this.db.prepare(alive).get(survivorId);
+      const duplicate = this.db.prepare(alive).get(duplicateId);
+      if (!survivor || !duplicate) return null;
+
+      const survivorHas = Object.fromEntries(ADDRESS_FLAGS.map(flag => [flag, Boolean(this.db.prepare(
+        `SELECT 1 FROM addresses WHERE customerId = ? AND ${flag} = 1 AND deletedAt IS NULL`
+      ).get(survivorId))]));
+      const addresses = this.db.prepare(`SELECT * FROM addresses WHERE customerId = ? AND deletedAt IS NULL`).all(duplicateId);
+      for (const before of addresses) {
+        const flags = Object.fromEntries(ADDRESS_FLAGS.map(flag => [flag, survivorHas[flag] ? 0 : before[flag]]));
+        this.db.prepare(`
+          UPDATE addresses
+          SET customerId = @survivorId, ${ADDRESS_FLAGS.map(flag => `${flag} = @${flag}`).join(', ')}, updatedAt = datetime('now')
+          WHERE id = @id
+        `).run({ id: before.id, survivorId, ...flags });
+        // Logged under both customers, so each history shows the address moving.
+        const after = this.addressRow(before.id);
+        for (const customerId of [survivorId, duplicateId]) {
+          this.audit.record({ action: 'merge', entity: 'address', entityId: before.id, customerId, before, after });
+        }
+      }
+
+      this.db.prepare(`
+        INSERT OR IGNORE INTO customer_tags (customerId, tagId) SELECT ?, tagId FROM customer_tags WHERE customerId = ?
+      `).run(survivorId, duplicateId);
+      this.db.prepare(`UPDATE customers SET attributes = json_patch(?, attributes) WHERE id = ?`)
+        .run(duplicate.attributes, survivorId);
+
+      this.db.prepare(`
+        UPDATE customers SET deletedAt = ${NOW_MS}, mergedIntoId = ?, updatedAt = datetime('now') WHERE id = ?
+      `).run(survivorId, duplicateId);
+      this.audit.record({ action: 'merge', entity: 'customer', entityId: duplicateId, customerId: duplicateId, before: duplicate, after: this.customerRow(duplicateId) });
+      this.audit.record({
+        action: 'merge', entity: 'customer', entityId: survivorId, customerId: survivorId,
+        before: { mergedFrom: null, attributes: survivor.attributes },
+        after: { mergedFrom: duplicateId, attributes: this.customerRow(survivorId).attributes },
+      });
+
+      this.syncAddressFlag(survivorId);
+      return this.getCustomerById(survivorId);
+    });
+    return tx();
+  }
+
+  /**
+   * Permanently delete customers and addresses soft-deleted before the retention cutoff.
+   * @param {number} retentionDays - Rows deleted more than this many days ago are purged.
+   * @returns {{customers:number, addresses:number}} Number of purged rows.
+   */
+  purgeDeleted(retentionDays) {
+    const tx = this.db.transaction((modifier) => {
+      const cutoff = `strftime('%Y-%m-%d %H:%M:%f', 'now', @modifier)`;
+      const addresses = this.db.prepare(
+        `DELETE FROM addresses WHERE deletedAt IS NOT NULL AND deletedAt <= ${cutoff}`
+      ).run({ modifier }).changes;
+      const customers = this.db.prepare(
+        `DELETE FROM customers WHERE deletedAt IS NOT NULL AND deletedAt <= ${cutoff}`
+      ).run({ modifier }).changes;
+      return { customers, addresses };
+    });
+    return tx(`-${Number(retentionDays)} days`);
   }
 
   /**
    * Count customers with optional filtering.
    * @param {string} [filterQuery] - SQL WHERE conditions (without 'WHERE').
    * @param {Object} [params] - Parameters for the SQL query.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Include soft-deleted customers.
    * @returns {number} Number of matching customers.
    */
-  countCustomers(filterQuery, params) {
-    const where = filterQuery ? `WHERE ${filterQuery}` : '';
+  countCustomers(filterQuery, params, { includeDeleted = false } = {}) {
+    const { join, where } = this.scope(filterQuery, includeDeleted);
     const row = this.db.prepare(
       `SELECT COUNT(DISTINCT customers.id) as cnt 
        FROM customers 
-       LEFT JOIN addresses ON customers.id = addresses.customerId 
+       ${join} 
        ${where}`
     ).get(params || {});
     return row ? row.cnt : 0;
@@ -107,35 +459,234 @@ class CustomerRepository {
    * @param {Object} options - Search options.
    * @param {string} [options.filterQuery] - SQL WHERE conditions.
    * @param {Object} [options.params] - Parameters for filtering.
-   * @param {string} [options.sortBy='createdAt'] - Column to sort by.
-   * @param {'ASC'|'DESC'} [options.sortDir='DESC'] - Sort direction.
+   * @param {{field:string, dir:'ASC'|'DESC'}[]} [options.sort] - Sort fields (see `sortKeys`); newest first by default.
    * @param {number} [options.limit=10] - Max number of results.
    * @param {number} [options.offset=0] - Offset for pagination.
-   * @returns {Object[]} Array of customer objects with addresses.
+   * @param {boolean} [options.includeDeleted=false] - Include soft-deleted customers and addresses.
+   * @param {{values:Array, id:number, direction:'next'|'prev'}|null} [options.cursor] - Keyset boundary; rows
+   *   after it (`next`) or before it (`prev`) are returned, always in the requested sort order.
+   * @param {'addresses'|'primaryAddress'|'none'} [options.include='addresses'] - Which addresses to embed (see `hydrate`).
+   * @returns {Object[]} Array of customer objects with addresses. Each row also carries a non-enumerable
+   *   `sortKey` (its sort key values, without the id) for building cursors; it is not serialized.
+   * @throws {BadRequestError} 400 `INVALID_CURSOR` if the cursor's values do not fit the sort keys.
    */
-  findCustomers({ filterQuery = '', params = {}, sortBy = 'createdAt', sortDir = 'DESC', limit = 10, offset = 0 }) {
+  findCustomers({
+    filterQuery = '', params = {}, sort = DEFAULT_SORT, limit = 10, offset = 0, includeDeleted = false, cursor = null, include = 'addresses',
+  }) {
+    const keys = this.sortKeys(sort);
+    const backward = cursor?.direction === 'prev';
+    const order = backward ? keys.map(k => ({ ...k, dir: k.dir === 'ASC' ? 'DESC' : 'ASC' })) : keys;
+
+    const conditions = filterQuery ? [`(${filterQuery})`] : [];
+    const allParams = { ...params, limit, offset };
+    if (cursor) {
+      // Cursors come from clients: one scalar per sort key (the id tie-breaker is separate), or it cannot be bound.
+      const scalar = v => v === null || typeof v === 'string' || typeof v === 'number';
+      if (cursor.values.length !== keys.length - 1 || !cursor.values.every(scalar)) {
+        throw new BadRequestError('Invalid cursor', { code: 'INVALID_CURSOR' });
+      }
+      const seek = buildKeysetCondition(order, [...cursor.values, cursor.id]);
+      conditions.push(seek.sql);
+      Object.assign(allParams, seek.params);
+    }
+
+    const { join, where } = this.scope(conditions.join(' AND '), includeDeleted);
     const q = `
-      SELECT DISTINCT customers.* FROM customers
-      LEFT JOIN addresses ON customers.id = addresses.customerId
-      ${filterQuery ? `WHERE ${filterQuery}` : ''}
-      ORDER BY customers.${sortBy} ${sortDir}
+      SELECT DISTINCT customers.*, ${keys.map((k, i) => `${k.expr} AS __k${i}`).join(', ')} FROM customers
+      ${join}
+      ${where}
+      ORDER BY ${order.map(k => `${k.expr} ${k.dir}`).join(', ')}
       LIMIT @limit OFFSET @offset
     `;
-    const rows = this.db.prepare(q).all({ ...params, limit, offset });
-    return rows.map(r => {
-      r.hasOnlyOneAddress = Boolean(r.hasOnlyOneAddress);
-      r.addresses = this.db.prepare(
-        `SELECT * FROM addresses WHERE customerId = ? ORDER BY isPrimary DESC, id ASC`
-      ).all(r.id);
-      return r;
+    const rows = this.db.prepare(q).all(allParams);
+    if (backward) rows.reverse();
+
+    for (const r of rows) {
+      const sortKey = keys.slice(0, -1).map((_, i) => r[`__k${i}`]);
+      keys.forEach((_, i) => { delete r[`__k${i}`]; });
+      Object.defineProperty(r, 'sortKey', { value: sortKey, enumerable: false });
+    }
+    return this.hydrate(rows, { include, includeDeleted });
+  }
+
+  /**
+   * Stream every customer matching a list query, with addresses, in sort order.
+   *
+   * Rows come from `Statement#iterate()` on a dedicated read-only connection, so
+   * memory stays flat and the main connection stays free for writes. The statement
+   * is prepared eagerly (SQL errors throw here, not mid-stream); the connection is
+   * closed when the returned iterator finishes or is returned early.
+   *
+   * @param {Object} options
+   * @param {string} [options.filterQuery] - SQL WHERE conditions (without 'WHERE').
+   * @param {Object} [options.params] - Named parameters for the filter.
+   * @param {{field:string, dir:'ASC'|'DESC'}[]} [options.sort] - Sort fields (see `sortKeys`); newest first by default.
+   * @param {boolean} [options.includeDeleted=false] - Include soft-deleted customers and addresses.
+   * @returns {Generator<Object>} Customers with an `addresses` array.
+   */
+  iterateCustomers({ filterQuery = '', params = {}, sort = DEFAULT_SORT, includeDeleted = false }) {
+    const reader = openReader();
+    const close = () => { if (reader !== this.db) reader.close(); };
+    try {
+      const keys = this.sortKeys(sort);
+      const { join, where } = this.scope(filterQuery, includeDeleted);
+      const rows = reader.prepare(`
+        SELECT DISTINCT customers.*, ${keys.map((k, i) => `${k.expr} AS __k${i}`).join(', ')} FROM customers
+        ${join}
+        ${where}
+        ORDER BY ${keys.map(k => `${k.expr} ${k.dir}`).join(', ')}
+      `).iterate(params);
+      const addresses = reader.prepare(
+        `SELECT * FROM addresses WHERE customerId = ? ${includeDeleted ? '' : 'AND deletedAt IS NULL'} ORDER BY isPrimary DESC, id ASC`
+      );
+      const tags = reader.prepare(TAGS_OF).pluck();
+
+      return (function* () {
+        try {
+          for (const r of rows) {
+            keys.forEach((_, i) => { delete r[`__k${i}`]; });
+            r.hasOnlyOneAddress = Boolean(r.hasOnlyOneAddress);
+            r.attributes = JSON.parse(r.attributes);
+            r.tags = tags.all(r.id);
+            r.addresses = addresses.all(r.id);
+            yield r;
+          }
+        } finally {
+          close();
+        }
+      })();
+    } catch (err) {
+      close();
+      throw err;
+    }
+  }
+
+  /**
+   * Largest number of addresses held by any customer matching a list query.
+   * @param {string} filterQuery - SQL WHERE conditions (without 'WHERE').
+   * @param {Object} params - Named parameters for the filter.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Include soft-deleted customers and addresses.
+   * @returns {number}
+   */
+  maxAddressCount(filterQuery, params, { includeDeleted = false } = {}) {
+    const { join, where } = this.scope(filterQuery, includeDeleted);
+    const row = this.db.prepare(`
+      SELECT MAX(n) AS n FROM (
+        SELECT COUNT(*) AS n FROM addresses
+        WHERE customerId IN (SELECT customers.id FROM customers ${join} ${where})
+        ${includeDeleted ? '' : 'AND deletedAt IS NULL'}
+        GROUP BY customerId
+      )
+    `).get(params || {});
+    return row?.n || 0;
+  }
+
+  /**
+   * Aggregate counts over the customers matching a list query, read in one transaction
+   * so that every figure describes the same snapshot.
+   * Address groups count customers with at least one (non-deleted) address in the group,
+   * so a customer with addresses in two cities counts towards both.
+   * @param {string} filterQuery - SQL WHERE conditions (without 'WHERE').
+   * @param {Object} params - Named parameters for the filter.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Include soft-deleted customers and addresses.
+   * @param {'day'|'week'|'month'} [options.interval='month'] - Bucket size for `newCustomers` (see `SIGNUP_PERIODS`).
+   * @param {number} [options.top=10] - Most states and cities to return, largest first.
+   * @returns {{total:number, byAccountType:{accountType:string|null, count:number}[],
+   *   byOnlyOneAddress:{hasOnlyOneAddress:boolean, count:number}[], byState:{state:string, count:number}[],
+   *   byCity:{city:string, state:string, count:number}[], newCustomers:{period:string, count:number}[],
+   *   missingEmail:number, missingPrimaryAddress:number}}
+   * @throws {Error} For an unknown interval.
+   */
+  customerStats(filterQuery, params, { includeDeleted = false, interval = 'month', top = 10 } = {}) {
+    if (!Object.hasOwn(SIGNUP_PERIODS, interval)) throw new Error(`Unknown interval: ${interval}`);
+    const { join, where } = this.scope(filterQuery, includeDeleted);
+    const matched = `WITH matched AS (SELECT DISTINCT customers.id FROM customers ${join} ${where})`;
+    const mine = 'customers.id IN (SELECT id FROM matched)';
+    const alive = includeDeleted ? '' : 'AND a.deletedAt IS NULL';
+    const all = sql => this.db.prepare(`${matched} ${sql}`).all({ ...params, top });
+
+    return this.transaction(() => {
+      const [totals] = all(`
+        SELECT COUNT(*) AS total,
+          SUM(IFNULL(customers.email, '') = '') AS missingEmail,
+          SUM(NOT EXISTS (
+            SELECT 1 FROM addresses a WHERE a.customerId = customers.id AND a.isPrimary = 1 ${alive}
+          )) AS missingPrimaryAddress
+        FROM customers WHERE ${mine}
+      `);
+      return {
+        total: totals.total,
+        byAccountType: all(`
+          SELECT customers.accountType, COUNT(*) AS count FROM customers WHERE ${mine}
+          GROUP BY customers.accountType ORDER BY count DESC, customers.accountType ASC
+        `),
+        byOnlyOneAddress: all(`
+          SELECT customers.hasOnlyOneAddress, COUNT(*) AS count FROM customers WHERE ${mine}
+          GROUP BY customers.hasOnlyOneAddress ORDER BY customers.hasOnlyOneAddress ASC
+        `).map(r => ({ hasOnlyOneAddress: Boolean(r.hasOnlyOneAddress), count: r.count })),
+        byState: all(`
+          SELECT a.state, COUNT(DISTINCT a.customerId) AS count FROM addresses a
+          WHERE a.customerId IN (SELECT id FROM matched) ${alive}
+          GROUP BY a.state ORDER BY count DESC, a.state ASC LIMIT @top
+        `),
+        byCity: all(`
+          SELECT a.city, a.state, COUNT(DISTINCT a.customerId) AS count FROM addresses a
+          WHERE a.customerId IN (SELECT id FROM matched) ${alive}
+          GROUP BY a.city, a.state ORDER BY count DESC, a.city ASC, a.state ASC LIMIT @top
+        `),
+        newCustomers: all(`
+          SELECT ${SIGNUP_PERIODS[interval]} AS period, COUNT(*) AS count FROM customers WHERE ${mine}
+          GROUP BY period ORDER BY period ASC
+        `),
+        missingEmail: totals.missingEmail || 0,
+        missingPrimaryAddress: totals.missingPrimaryAddress || 0,
+      };
     });
   }
 
+  /**
+   * Sort keys for a list query as SQL expressions, ending with the `customers.id` tie-breaker
+   * (in the direction of the first field) so that the ordering is total, as keyset pagination requires.
+   * Only fields from `SORT_EXPRESSIONS` are accepted, so no request text reaches the SQL.
+   * `relevance` ranks by the `@fts` param and `distance` sorts nearest-first from `@nearLat`/`@nearLng`.
+   * @param {{field:string, dir:'ASC'|'DESC'}[]} sort - Sort fields, most significant first.
+   * @returns {{expr:string, dir:'ASC'|'DESC'}[]}
+   * @throws {Error} For a field without a sort expression.
+   */
+  sortKeys(sort) {
+    const keys = [];
+    for (const { field, dir } of sort) {
+      if (!Object.hasOwn(SORT_EXPRESSIONS, field)) throw new Error(`Unknown sort field: ${field}`);
+      keys.push({ expr: SORT_EXPRESSIONS[field], dir });
+      if (field === 'id') return keys; // already unique; later fields could never apply
+    }
+    return [...keys, { expr: 'customers.id', dir: keys[0]?.dir ?? 'ASC' }];
+  }
+
+  /**
+   * Build the addresses join and WHERE clause shared by list queries,
+   * hiding soft-deleted rows unless `includeDeleted` is set.
+   * @param {string} [filterQuery] - SQL WHERE conditions (without 'WHERE').
+   * @param {boolean} includeDeleted - Include soft-deleted customers and addresses.
+   * @returns {{join:string, where:string}}
+   */
+  scope(filterQuery, includeDeleted) {
+    const conditions = includeDeleted ? [] : ['customers.deletedAt IS NULL'];
+    if (filterQuery) conditions.push(`(${filterQuery})`);
+    return {
+      join: `LEFT JOIN addresses ON customers.id = addresses.customerId${includeDeleted ? '' : ' AND addresses.deletedAt IS NULL'}`,
+      where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    };
+  }
+
   // ---------- Address operations ----------
 
   /**
    * Add an address for a customer.
-   * If `isPrimary` is true, existing addresses will be unmarked as primary.
+   * If `isPrimary`, `isDefaultBilling` or `isDefaultShipping` is true, the flag is
+   * removed from the customer's other addresses.
    * @param {number} customerId - Customer ID.
    * @param {Object} address - Address data.
    * @param {string} address.line1 - First address line.
@@ -145,27 +696,39 @@ class CustomerRepository {
    * @param {string} [address.country='India'] - Country.
    * @param {string} address.pincode - Postal code.
    * @param {boolean} [address.isPrimary=false] - Whether this is the primary address.
+   * @param {'billing'|'shipping'|'home'|'work'} [address.addressType] - Kind of address.
+   * @param {boolean} [address.isDefaultBilling=false] - Whether this is the default billing address.
+   * @param {boolean} [address.isDefaultShipping=false] - Whether this is the default shipping address.
+   * @param {number} [address.latitude] - Latitude (set together with `longitude`).
+   * @param {number} [address.longitude] - Longitude.
    * @param {string} [address.status='active'] - Address status.
    * @returns {Object} Updated customer with addresses.
    */
   addAddress(customerId, address) {
     const tx = this.db.transaction((customerId, address) => {
-      if (address.isPrimary) {
-        this.db.prepare(`UPDATE addresses SET isPrimary = 0 WHERE customerId = ?`).run(customerId);
+      for (const flag of ADDRESS_FLAGS) {
+        if (address[flag]) this.unsetFlag(customerId, flag);
       }
-      this.db.prepare(`
-        INSERT INTO addresses (customerId, line1, line2, city, state, country, pincode, isPrimary, status)
-        VALUES (@customerId, @line1, @line2, @city, @state, @country, @pincode, @isPrimary, @status)
+      const info = this.db.prepare(`
+        INSERT INTO addresses (customerId, line1, line2, city, state, country, pincode, isPrimary, addressType, isDefaultBilling, isDefaultShipping, latitude, longitude, status)
+        VALUES (@customerId, @line1, @line2, @city, @state, @country, @pincode, @isPrimary, @addressType, @isDefaultBilling, @isDefaultShipping, @latitude, @longitude, @status)
       `).run({
         customerId,
         ...address,
+        line2: address.line2 ?? null,
+        country: address.country || 'India',
         isPrimary: address.isPrimary ? 1 : 0,
+        addressType: address.addressType ?? null,
+        isDefaultBilling: address.isDefaultBilling ? 1 : 0,
+        isDefaultShipping: address.isDefaultShipping ? 1 : 0,
+        latitude: address.latitude ?? null,
+        longitude: address.longitude ?? null,
         status: address.status || 'active'
       });
+      const addressId = Number(info.lastInsertRowid);
+      this.audit.record({ action: 'create', entity: 'address', entityId: addressId, customerId, after: this.addressRow(addressId) });
 
-      const cnt = this.db.prepare(`SELECT COUNT(*) as c FROM addresses WHERE customerId = ?`).get(customerId).c;
-      this.db.prepare(`UPDATE customers SET hasOnlyOneAddress = ?, updatedAt=datetime('now') WHERE id = ?`)
-        .run(cnt === 1 ? 1 : 0, customerId);
+      this.syncAddressFlag(customerId);
 
       return this.getCustomerById(customerId);
     });
@@ -174,32 +737,37 @@ class CustomerRepository {
 
   /**
    * Update an existing address.
-   * If `isPrimary` is set to true, all other addresses for the customer will be unmarked.
+   * Setting `isPrimary`, `isDefaultBilling` or `isDefaultShipping` to true removes
+   * that flag from the customer's other addresses.
    * @param {number} customerId - Customer ID.
    * @param {number} addressId - Address ID.
    * @param {Object} patch - Fields to update.
-   * @returns {Object} Updated customer with addresses.
+   * @returns {Object|null} Updated customer with addresses, or `null` if the customer has no such active address.
    */
   updateAddress(customerId, addressId, patch) {
     const tx = this.db.transaction((customerId, addressId, patch) => {
-      if (patch.isPrimary === true) {
-        this.db.prepare(`UPDATE addresses SET isPrimary = 0 WHERE customerId = ?`).run(customerId);
+      const before = this.db.prepare(
+        `SELECT * FROM addresses WHERE id = ? AND customerId = ? AND deletedAt IS NULL`
+      ).get(addressId, customerId);
+      if (!before) return null;
+
+      for (const flag of ADDRESS_FLAGS) {
+        if (patch[flag] === true) this.unsetFlag(customerId, flag, addressId);
       }
       const fields = [];
       const params = { addressId, customerId };
-      for (const k of ['line1','line2','city','state','country','pincode','isPrimary','status']) {
+      for (const k of ['line1','line2','city','state','country','pincode','addressType','latitude','longitude','status', ...ADDRESS_FLAGS]) {
         if (patch[k] !== undefined) {
           fields.push(`${k} = @${k}`);
-          params[k] = (k === 'isPrimary') ? (patch[k] ? 1 : 0) : patch[k];
+          params[k] = ADDRESS_FLAGS.includes(k) ? (patch[k] ? 1 : 0) : patch[k];
         }
       }
       if (fields.length) {
-        const sql = `UPDATE addresses SET ${fields.join(', ')}, updatedAt = datetime('now') WHERE id = @addressId AND customerId = @customerId`;
+        const sql = `UPDATE addresses SET ${fields.join(', ')}, updatedAt = datetime('now') WHERE id = @addressId`;
         this.db.prepare(sql).run(params);
+        this.audit.record({ action: 'update', entity: 'address', entityId: addressId, customerId, before, after: this.addressRow(addressId) });
       }
-      const cnt = this.db.prepare(`SELECT COUNT(*) as c FROM addresses WHERE customerId = ?`).get(customerId).c;
-      this.db.prepare(`UPDATE customers SET hasOnlyOneAddress = ?, updatedAt=datetime('now') WHERE id = ?`)
-        .run(cnt === 1 ? 1 : 0, customerId);
+      this.syncAddressFlag(customerId);
 
       return this.getCustomerById(customerId);
     });
@@ -207,50 +775,284 @@ class CustomerRepository {
   }
 
   /**
-   * Delete a customer's address.
+   * Soft-delete a customer's address.
    * @param {number} customerId - Customer ID.
    * @param {number} addressId - Address ID.
-   * @returns {Object} Updated customer with remaining addresses.
+   * @returns {Object|null} Updated customer with remaining addresses, or `null` if the customer has no such active address.
    */
   deleteAddress(customerId, addressId) {
     const tx = this.db.transaction((customerId, addressId) => {
-      this.db.prepare(`DELETE FROM addresses WHERE id = ? AND customerId = ?`).run(addressId, customerId);
+      const before = this.addressRow(addressId);
+      const info = this.db.prepare(
+        `UPDATE addresses SET deletedAt = ${NOW_MS}, updatedAt = datetime('now') WHERE id = ? AND customerId = ? AND deletedAt IS NULL`
+      ).run(addressId, customerId);
+      if (!info.changes) return null;
+      this.audit.record({ action: 'delete', entity: 'address', entityId: addressId, customerId, before, after: this.addressRow(addressId) });
+
+      this.syncAddressFlag(customerId);
+
+      return this.getCustomerById(customerId);
+    });
+    return tx(customerId, addressId);
+  }
 
-      const cnt = this.db.prepare(`SELECT COUNT(*) as c FROM addresses WHERE customerId = ?`).get(customerId).c;
-      this.db.prepare(`UPDATE customers SET hasOnlyOneAddress = ?, updatedAt=datetime('now') WHERE id = ?`)
-        .run(cnt === 1 ? 1 : 0, customerId);
+  /**
+   * Restore a soft-deleted address.
+   * If another active address became primary (or default billing/shipping) in the meantime,
+   * the restored one loses that flag.
+   * @param {number} customerId - Customer ID.
+   * @param {number} addressId - Address ID.
+   * @returns {Object|null} Updated customer, or `null` if no deleted address matches.
+   */
+  restoreAddress(customerId, addressId) {
+    const tx = this.db.transaction((customerId, addressId) => {
+      const before = this.addressRow(addressId);
+      const keepFlags = ADDRESS_FLAGS.map(flag => `${flag} = CASE WHEN EXISTS (
+        SELECT 1 FROM addresses o WHERE o.customerId = @customerId AND o.${flag} = 1 AND o.deletedAt IS NULL
+      ) THEN 0 ELSE ${flag} END`);
+      const info = this.db.prepare(`
+        UPDATE addresses
+        SET deletedAt = NULL, ${keepFlags.join(', ')}, updatedAt = datetime('now')
+        WHERE id = @addressId AND customerId = @customerId AND deletedAt IS NOT NULL
+          AND EXISTS (SELECT 1 FROM customers WHERE id = @customerId AND deletedAt IS NULL)
+      `).run({ customerId, addressId });
+      if (!info.changes) return null;
 
+      this.audit.record({ action: 'restore', entity: 'address', entityId: addressId, customerId, before, after: this.addressRow(addressId) });
+      this.syncAddressFlag(customerId);
       return this.getCustomerById(customerId);
     });
     return tx(customerId, addressId);
   }
 
+  /**
+   * List active addresses that have no coordinates yet.
+   * @param {number} [customerId] - Limit to one customer; all customers when omitted.
+   * @returns {Object[]} Address rows, oldest first.
+   */
+  listUnlocatedAddresses(customerId) {
+    return this.db.prepare(`
+      SELECT * FROM addresses
+      WHERE latitude IS NULL AND deletedAt IS NULL ${customerId === undefined ? '' : 'AND customerId = @customerId'}
+      ORDER BY id ASC
+    `).all({ customerId });
+  }
+
+  /**
+   * Store geocoded coordinates on an address. `updatedAt` is left alone because
+   * the address itself did not change.
+   * @param {number} addressId - Address ID.
+   * @param {{latitude:number, longitude:number}} coordinates - Location.
+   * @returns {boolean} Whether an active address was updated.
+   */
+  setCoordinates(addressId, { latitude, longitude }) {
+    const tx = this.db.transaction(() => {
+      const before = this.addressRow(addressId);
+      if (!before || before.deletedAt) return false;
+      this.db.prepare(`UPDATE addresses SET latitude = ?, longitude = ? WHERE id = ?`).run(latitude, longitude, addressId);
+      this.audit.record({ action: 'update', entity: 'address', entityId: addressId, customerId: before.customerId, before, after: this.addressRow(addressId) });
+      return true;
+    });
+    return tx();
+  }
+
+  /**
+   * Count a customer's active (not soft-deleted) addresses.
+   * @param {number} customerId - Customer ID.
+   * @returns {number}
+   */
+  countAddresses(customerId) {
+    return this.db.prepare(`SELECT COUNT(*) as c FROM addresses WHERE customerId = ? AND deletedAt IS NULL`).get(customerId).c;
+  }
+
+  /**
+   * Clear an address flag (`isPrimary`, `isDefaultBilling` or `isDefaultShipping`)
+   * on the customer's other active addresses, auditing each change.
+   * @param {number} customerId - Customer ID.
+   * @param {'isPrimary'|'isDefaultBilling'|'isDefaultShipping'} flag - Flag to clear.
+   * @param {number} [exceptId] - Address that is about to receive the flag.
+   * @returns {void}
+   */
+  unsetFlag(customerId, flag, exceptId) {
+    if (!ADDRESS_FLAGS.includes(flag)) throw new Error(`Unknown address flag: ${flag}`);
+    const flagged = this.db.prepare(
+      `SELECT * FROM addresses WHERE customerId = ? AND ${flag} = 1 AND deletedAt IS NULL AND id IS NOT ?`
+    ).all(customerId, exceptId ?? null);
+    for (const before of flagged) {
+      this.db.prepare(`UPDATE addresses SET ${flag} = 0, updatedAt = datetime('now') WHERE id = ?`).run(before.id);
+      this.audit.record({ action: 'update', entity: 'address', entityId: before.id, customerId, before, after: this.addressRow(before.id) });
+    }
+  }
+
+  /**
+   * Recompute `hasOnlyOneAddress` from the customer's active addresses.
+   * @param {number} customerId - Customer ID.
+   * @returns {void}
+   */
+  syncAddressFlag(customerId) {
+    const before = this.customerRow(customerId);
+    const cnt = this.countAddresses(customerId);
+    this.db.prepare(`UPDATE customers SET hasOnlyOneAddress = ?, updatedAt=datetime('now') WHERE id = ?`)
+      .run(cnt === 1 ? 1 : 0, customerId);
+    this.audit.record({ action: 'update', entity: 'customer', entityId: customerId, customerId, before, after: this.customerRow(customerId) });
+  }
+
   /**
    * Mark whether a customer should be flagged as having only one address.
    * Enforces constraints: can only mark true if exactly one exists, and false if multiple exist.
    * @param {number} customerId - Customer ID.
    * @param {boolean} value - Flag value.
-   * @throws {Error & {status:number}} If conditions are not met.
+   * @throws {BadRequestError} If conditions are not met.
    * @returns {Object} Updated customer object.
    */
   markOnlyOneAddress(customerId, value) {
-    const cnt = this.db.prepare(`SELECT COUNT(*) as c FROM addresses WHERE customerId = ?`).get(customerId).c;
+    const cnt = this.countAddresses(customerId);
     if (value === true && cnt !== 1) {
-      throw Object.assign(new Error('Cannot mark as Only One Address unless exactly one exists'), { status: 400 });
+      throw new BadRequestError('Cannot mark as Only One Address unless exactly one exists', { code: 'ADDRESS_COUNT_MISMATCH' });
     }
     if (value === false && cnt <= 1) {
-      throw Object.assign(new Error('Cannot unmark when there are not multiple addresses'), { status: 400 });
+      throw new BadRequestError('Cannot unmark when there are not multiple addresses', { code: 'ADDRESS_COUNT_MISMATCH' });
     }
-    this.db.prepare(`UPDATE customers SET hasOnlyOneAddress = ?, updatedAt = datetime('now') WHERE id = ?`)
-      .run(value ? 1 : 0, customerId);
+    const tx = this.db.transaction(() => {
+      const before = this.customerRow(customerId);
+      this.db.prepare(`UPDATE customers SET hasOnlyOneAddress = ?, updatedAt = datetime('now') WHERE id = ?`)
+        .run(value ? 1 : 0, customerId);
+      this.audit.record({ action: 'update', entity: 'customer', entityId: customerId, customerId, before, after: this.customerRow(customerId) });
+      return this.getCustomerById(customerId);
+    });
+    return tx();
+  }
+
+  // ---------- Tags ----------
 
-    return this.getCustomerById(customerId);
+  /**
+   * Tag names of a customer, alphabetical.
+   * @param {number} customerId - Customer ID.
+   * @returns {string[]}
+   */
+  tagsOf(customerId) {
+    return this.db.prepare(TAGS_OF).pluck().all(customerId);
+  }
+
+  /**
+   * Attach tags to a customer, creating unknown tag names. Tags the customer already has are ignored.
+   * Must run inside the caller's transaction.
+   * @param {number} customerId - Customer ID.
+   * @param {string[]} names - Tag names.
+   * @returns {void}
+   */
+  tagCustomer(customerId, names) {
+    const createTag = this.db.prepare(`INSERT OR IGNORE INTO tags (name) VALUES (?)`);
+    const attach = this.db.prepare(`
+      INSERT OR IGNORE INTO customer_tags (customerId, tagId) SELECT ?, id FROM tags WHERE name = ?
+    `);
+    for (const name of names) {
+      createTag.run(name);
+      attach.run(customerId, name);
+    }
+  }
+
+  /**
+   * Add tags to an active customer.
+   * @param {number} customerId - Customer ID.
+   * @param {string[]} names - Tag names.
+   * @returns {Object|null} Updated customer or `null` if not found.
+   */
+  addTags(customerId, names) {
+    return this.changeTags(customerId, () => this.tagCustomer(customerId, names));
+  }
+
+  /**
+   * Remove tags from an active customer. Names the customer does not have are ignored.
+   * @param {number} customerId - Customer ID.
+   * @param {string[]} names - Tag names.
+   * @returns {Object|null} Updated customer or `null` if not found.
+   */
+  removeTags(customerId, names) {
+    return this.changeTags(customerId, () => {
+      const detach = this.db.prepare(`
+        DELETE FROM customer_tags WHERE customerId = ? AND tagId = (SELECT id FROM tags WHERE name = ?)
+      `);
+      for (const name of names) detach.run(customerId, name);
+    });
+  }
+
+  /**
+   * Apply a tag change to an active customer in a transaction, bump `updatedAt` and
+   * audit the tag list if it changed.
+   * @param {number} customerId - Customer ID.
+   * @param {() => void} change - Writes to `customer_tags`.
+   * @returns {Object|null} Updated customer or `null` if not found.
+   */
+  changeTags(customerId, change) {
+    const tx = this.db.transaction(() => {
+      if (!this.db.prepare(`SELECT 1 FROM customers WHERE id = ? AND deletedAt IS NULL`).get(customerId)) return null;
+      const before = this.tagsOf(customerId).join(', ');
+      change();
+      const after = this.tagsOf(customerId).join(', ');
+      if (after !== before) {
+        this.db.prepare(`UPDATE customers SET updatedAt = datetime('now') WHERE id = ?`).run(customerId);
+        this.audit.record({ action: 'update', entity: 'customer', entityId: customerId, customerId, before: { tags: before }, after: { tags: after } });
+      }
+      return this.getCustomerById(customerId);
+    });
+    return tx();
+  }
+
+  // ---------- Phone backfill ----------
+
+  /**
+   * Phone and primary address country of every customer, including soft-deleted
+   * ones (they still hold their UNIQUE phone).
+   * @returns {{id:number, phone:string, country:string|null}[]}
+   */
+  listPhones() {
+    return this.db.prepare(`
+      SELECT customers.id, customers.phone, (
+        SELECT country FROM addresses
+        WHERE addresses.customerId = customers.id AND addresses.isPrimary = 1 AND addresses.deletedAt IS NULL
+        LIMIT 1
+      ) AS country
+      FROM customers ORDER BY customers.id ASC
+    `).all();
+  }
+
+  /**
+   * Rewrite many phone numbers at once, auditing each change.
+   * Runs in two passes through placeholder values so that numbers can be swapped
+   * or shifted between customers without tripping the UNIQUE constraint.
+   * @param {{id:number, phone:string}[]} changes - New phone per customer.
+   * @returns {number} Number of customers updated.
+   */
+  setPhones(changes) {
+    const tx = this.db.transaction(() => {
+      const befores = changes.map(({ id }) => this.customerRow(id));
+      const set = this.db.prepare(`UPDATE customers SET phone = ?, updatedAt = datetime('now') WHERE id = ?`);
+      for (const { id } of changes) set.run(`#pending-${id}`, id);
+      for (const { id, phone } of changes) set.run(phone, id);
+      changes.forEach(({ id }, i) => {
+        this.audit.record({ action: 'update', entity: 'customer', entityId: id, customerId: id, before: befores[i], after: this.customerRow(id) });
+      });
+      return changes.length;
+    });
+    return tx();
   }
 
   // ---------- Duplicate checks ----------
 
+  /**
+   * Identity fields of every active customer, used for duplicate detection.
+   * @returns {{id:number, firstName:string, lastName:string, phone:string, email:string|null}[]}
+   */
+  listIdentities() {
+    return this.db.prepare(
+      `SELECT id, firstName, lastName, phone, email FROM customers WHERE deletedAt IS NULL ORDER BY id ASC`
+    ).all();
+  }
+
   /**
    * Check if a customer exists by phone number.
+   * Soft-deleted customers count, since they still hold the UNIQUE phone value.
    * @param {string} phone - Phone number.
    * @returns {boolean} True if exists, false otherwise.
    */
@@ -1,10 +1,15 @@
 import CustomerRepository from './customer.repository.mjs';
 import { getDb, initDb } from '../models/customer.model.mjs';
+import { runWithContext } from '../../utils/context.utils.mjs';
+import { parseFilters } from '../../utils/filter.utils.mjs';
 
 // Helper to reset DB for each test (assuming getDb returns a new DB or can be reset)
 function resetDb() {
 	const db = getDb();
 	db.exec(`
+		DELETE FROM audit_log;
+		DELETE FROM customer_tags;
+		DELETE FROM tags;
 		DELETE FROM addresses;
 		DELETE FROM customers;
 		DELETE FROM sqlite_sequence WHERE name IN ('customers', 'addresses');
@@ -49,6 +54,78 @@ describe('CustomerRepository', () => {
 			expect(deleted).toBe(true);
 			expect(repo.getCustomerById(c.id)).toBeNull();
 		});
+
+		it('should default optional customer and address fields', () => {
+			const c = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: '444' });
+			expect(c).toMatchObject({ email: null, accountType: 'standard' });
+			const updated = repo.addAddress(c.id, { line1: '1 St', city: 'C', state: 'S', pincode: '1' });
+			expect(updated.addresses[0]).toMatchObject({ line2: null, country: 'India', status: 'active' });
+		});
+	});
+
+	describe('Transactions', () => {
+		it('should roll back only the failing nested transaction', () => {
+			repo.transaction(() => {
+				repo.createCustomer({ firstName: 'A', lastName: 'B', phone: '100' });
+				expect(() => repo.transaction(() => {
+					repo.createCustomer({ firstName: 'C', lastName: 'D', phone: '101' });
+					throw new Error('boom');
+				})).toThrow('boom');
+			});
+			expect(repo.existsByPhone('100')).toBe(true);
+			expect(repo.existsByPhone('101')).toBe(false);
+		});
+
+		it('should roll back everything when the outer transaction throws', () => {
+			expect(() => repo.transaction(() => {
+				repo.createCustomer({ firstName: 'A', lastName: 'B', phone: '100' });
+				throw new Error('boom');
+			})).toThrow('boom');
+			expect(repo.existsByPhone('100')).toBe(false);
+		});
+	});
+
+	describe('Soft delete', () => {
+		let customer;
+		beforeEach(() => {
+			customer = repo.createCustomer({ firstName: 'S', lastName: 'D', phone: '888', email: 's@d.com', accountType: 'standard', hasOnlyOneAddress: false });
+			repo.addAddress(customer.id, { line1: 'A', line2: '', city: 'C', state: 'S', country: 'India', pincode: '1', isPrimary: true });
+		});
+		it('should keep soft-deleted customers readable with includeDeleted', () => {
+			repo.deleteCustomer(customer.id);
+			const fetched = repo.getCustomerById(customer.id, { includeDeleted: true });
+			expect(fetched.deletedAt).toBeTruthy();
+			expect(fetched.addresses[0].deletedAt).toBe(fetched.deletedAt);
+			expect(repo.countCustomers()).toBe(0);
+			expect(repo.countCustomers('', {}, { includeDeleted: true })).toBe(1);
+			expect(repo.deleteCustomer(customer.id)).toBe(false);
+		});
+		it('should restore a customer with the addresses deleted alongside it', () => {
+			const second = repo.addAddress(customer.id, { line1: 'B', line2: '', city: 'C', state: 'S', country: 'India', pincode: '2', isPrimary: false });
+			repo.deleteAddress(customer.id, second.addresses[1].id);
+			repo.deleteCustomer(customer.id);
+			const restored = repo.restoreCustomer(customer.id);
+			expect(restored.deletedAt).toBeNull();
+			expect(restored.addresses.map(a => a.line1)).toEqual(['A']);
+			expect(restored.hasOnlyOneAddress).toBe(true);
+			expect(repo.restoreCustomer(customer.id)).toBeNull();
+		});
+		it('should restore an address without stealing the primary flag', () => {
+			const first = repo.getCustomerById(customer.id).addresses[0];
+			repo.deleteAddress(customer.id, first.id);
+			repo.addAddress(customer.id, { line1: 'B', line2: '', city: 'C', state: 'S', country: 'India', pincode: '2', isPrimary: true });
+			const restored = repo.restoreAddress(customer.id, first.id);
+			expect(restored.addresses).toHaveLength(2);
+			expect(restored.addresses.filter(a => a.isPrimary)).toHaveLength(1);
+			expect(restored.addresses[0].line1).toBe('B');
+		});
+		it('should purge rows deleted before the retention cutoff', () => {
+			repo.deleteCustomer(customer.id);
+			expect(repo.purgeDeleted(30)).toEqual({ customers: 0, addresses: 0 });
+			repo.db.prepare(`UPDATE customers SET deletedAt = datetime('now', '-31 days') WHERE id = ?`).run(customer.id);
+			expect(repo.purgeDeleted(30).customers).toBe(1);
+			expect(repo.getCustomerById(customer.id, { includeDeleted: true })).toBeNull();
+		});
 	});
 
 	describe('Customer search and count', () => {
@@ -66,6 +143,142 @@ describe('CustomerRepository', () => {
 		});
 	});
 
+	describe('Keyset pagination', () => {
+		const pageThrough = (sort, limit, direction = 'next') => {
+			const seen = [];
+			let cursor = null;
+			for (let guard = 0; guard < 50; guard++) {
+				const rows = repo.findCustomers({ sort, limit, cursor });
+				if (!rows.length) break;
+				seen.push(...rows.map(r => r.id));
+				const edge = direction === 'next' ? rows[rows.length - 1] : rows[0];
+				cursor = { values: edge.sortKey, id: edge.id, direction };
+			}
+			return seen;
+		};
+		beforeEach(() => {
+			['Zed', 'amy', 'Bob', 'amy', 'Cat', 'Bob', 'dan'].forEach((firstName, i) =>
+				repo.createCustomer({ firstName, lastName: 'K', phone: `70${i}`, email: i % 2 ? null : `${firstName}${i}@x.com`, accountType: 'standard', hasOnlyOneAddress: false }));
+		});
+		it.each([
+			['firstName', 'ASC'], ['firstName', 'DESC'], ['email', 'ASC'], ['email', 'DESC'], ['createdAt', 'DESC'], ['id', 'ASC'],
+			['lastName', 'ASC', 'firstName', 'DESC'], ['email', 'DESC', 'firstName', 'ASC'],
+		])('should visit every row exactly once sorted by %s %s', (...terms) => {
+			const sort = [];
+			for (let i = 0; i < terms.length; i += 2) sort.push({ field: terms[i], dir: terms[i + 1] });
+			const all = repo.findCustomers({ sort, limit: 100 }).map(r => r.id);
+			expect(pageThrough(sort, 2)).toEqual(all);
+		});
+		it('should page backwards in the same order', () => {
+			const all = repo.findCustomers({ sort: [{ field: 'firstName', dir: 'ASC' }], limit: 100 });
+			const last = all[all.length - 1];
+			const before = repo.findCustomers({ sort: [{ field: 'firstName', dir: 'ASC' }], limit: 3, cursor: { values: last.sortKey, id: last.id, direction: 'prev' } });
+			expect(before.map(r => r.id)).toEqual(all.slice(-4, -1).map(r => r.id));
+		});
+		it('should not skip rows when new rows are inserted mid-iteration', () => {
+			const first = repo.findCustomers({ sort: [{ field: 'id', dir: 'ASC' }], limit: 3 });
+			repo.createCustomer({ firstName: 'New', lastName: 'K', phone: '799', email: null, accountType: 'standard', hasOnlyOneAddress: false });
+			const edge = first[first.length - 1];
+			const rest = repo.findCustomers({ sort: [{ field: 'id', dir: 'ASC' }], limit: 100, cursor: { values: edge.sortKey, id: edge.id, direction: 'next' } });
+			expect(first.length + rest.length).toBe(8);
+		});
+		it('should reject forged cursors that do not fit the sort keys', () => {
+			const sort = [{ field: 'lastName', dir: 'ASC' }, { field: 'firstName', dir: 'ASC' }];
+			const [edge] = repo.findCustomers({ sort, limit: 1 });
+			const forged = [
+				{ values: edge.sortKey.slice(0, 1), id: edge.id, direction: 'next' },
+				{ values: [...edge.sortKey, 'extra'], id: edge.id, direction: 'next' },
+				{ values: [edge.sortKey[0], { $gt: '' }], id: edge.id, direction: 'next' },
+			];
+			for (const cursor of forged) {
+				expect(() => repo.findCustomers({ sort, limit: 1, cursor })).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_CURSOR' }));
+			}
+		});
+		it('should sort names case-insensitively with id as the tie-breaker', () => {
+			const rows = repo.findCustomers({ sort: [{ field: 'firstName', dir: 'ASC' }], limit: 100 });
+			expect(rows.map(r => r.firstName)).toEqual(['amy', 'amy', 'Bob', 'Bob', 'Cat', 'dan', 'Zed']);
+			expect(rows[0].id).toBeLessThan(rows[1].id);
+		});
+		it('should sort by the primary address case-insensitively', () => {
+			const [zed, amy, bob] = repo.findCustomers({ sort: [{ field: 'id', dir: 'ASC' }], limit: 3 });
+			repo.addAddress(zed.id, { line1: '1', city: 'pune', state: 'MH', pincode: '1', isPrimary: true });
+			repo.addAddress(amy.id, { line1: '2', city: 'Delhi', state: 'DL', pincode: '2', isPrimary: true });
+			repo.addAddress(bob.id, { line1: '3', city: 'Agra', state: 'UP', pincode: '3', isPrimary: false });
+			const rows = repo.findCustomers({ sort: [{ field: 'primaryAddress.city', dir: 'ASC' }, { field: 'id', dir: 'ASC' }], limit: 100 });
+			expect(rows.slice(-2).map(r => r.id)).toEqual([amy.id, zed.id]);
+			expect(pageThrough([{ field: 'primaryAddress.city', dir: 'DESC' }], 2)).toHaveLength(7);
+		});
+		it('should refuse fields outside the allowlist', () => {
+			expect(() => repo.findCustomers({ sort: [{ field: 'password', dir: 'ASC' }] })).toThrow(/sort field/);
+		});
+		it('should not serialize the sort key', () => {
+			const [row] = repo.findCustomers({ limit: 1 });
+			expect(JSON.parse(JSON.stringify(row)).sortKey).toBeUndefined();
+			expect(Object.keys(row).some(k => k.startsWith('__k'))).toBe(false);
+		});
+	});
+
+	describe('Streaming export', () => {
+		let a, b;
+		beforeEach(() => {
+			a = repo.createCustomer({ firstName: 'Amy', lastName: 'K', phone: '801' });
+			b = repo.createCustomer({ firstName: 'Bob', lastName: 'K', phone: '802' });
+			repo.addAddress(a.id, { line1: '1', city: 'Pune', state: 'MH', pincode: '1' });
+			repo.addAddress(a.id, { line1: '2', city: 'Pune', state: 'MH', pincode: '2' });
+			repo.addAddress(b.id, { line1: '3', city: 'Delhi', state: 'DL', pincode: '3' });
+		});
+
+		it('should iterate matching customers with addresses in sort order', () => {
+			const rows = [...repo.iterateCustomers({ sort: [{ field: 'firstName', dir: 'DESC' }] })];
+			expect(rows.map(r => r.firstName)).toEqual(['Bob', 'Amy']);
+			expect(rows[1].addresses).toHaveLength(2);
+			expect(rows[1]).not.toHaveProperty('__k0');
+		});
+
+		it('should apply the list filter', () => {
+			const rows = [...repo.iterateCustomers({ filterQuery: 'addresses.city = @city', params: { city: 'Pune' } })];
+			expect(rows.map(r => r.id)).toEqual([a.id]);
+		});
+
+		it('should leave the main connection writable while iterating', () => {
+			const it = repo.iterateCustomers({});
+			it.next();
+			expect(() => repo.createCustomer({ firstName: 'Cat', lastName: 'K', phone: '803' })).not.toThrow();
+			it.return();
+		});
+
+		it('should report the largest address count among matches', () => {
+			expect(repo.maxAddressCount('', {})).toBe(2);
+			expect(repo.maxAddressCount('addresses.city = @city', { city: 'Delhi' })).toBe(1);
+		});
+	});
+
+	describe('Full-text search', () => {
+		const FTS = 'customers.id IN (SELECT rowid FROM customers_fts WHERE customers_fts MATCH @fts)';
+		const search = (fts, extra = {}) => repo.findCustomers({ filterQuery: FTS, params: { fts }, ...extra });
+		let john;
+		beforeEach(() => {
+			john = repo.createCustomer({ firstName: 'John', lastName: 'Smith', phone: '1201', email: 'js@x.com', accountType: 'standard', hasOnlyOneAddress: false });
+			repo.createCustomer({ firstName: 'Johnny', lastName: 'John', phone: '1202', email: null, accountType: 'standard', hasOnlyOneAddress: false });
+			repo.createCustomer({ firstName: 'Ann', lastName: 'Lee', phone: '1203', email: null, accountType: 'standard', hasOnlyOneAddress: false });
+		});
+		it('should prefix-match names', () => {
+			expect(search('"jo"*').map(c => c.firstName).sort()).toEqual(['John', 'Johnny']);
+			expect(search('"jo"* "sm"*').map(c => c.id)).toEqual([john.id]);
+		});
+		it('should rank by relevance', () => {
+			expect(search('"john"*', { sort: [{ field: 'relevance', dir: 'ASC' }] })[0].firstName).toBe('Johnny');
+		});
+		it('should stay in sync with customer and address changes', () => {
+			repo.updateCustomer(john.id, { lastName: 'Carter' });
+			expect(search('"smith"*')).toHaveLength(0);
+			const { addresses } = repo.addAddress(john.id, { line1: '1 Banjara Hills', line2: '', city: 'Hyderabad', state: 'Telangana', country: 'India', pincode: '500034', isPrimary: true });
+			expect(search('"hyder"*').map(c => c.id)).toEqual([john.id]);
+			repo.deleteAddress(john.id, addresses[0].id);
+			expect(search('"hyder"*')).toHaveLength(0);
+		});
+	});
+
 	describe('Address operations', () => {
 		let customer;
 		beforeEach(() => {
@@ -89,6 +302,38 @@ describe('CustomerRepository', () => {
 			updated = repo.deleteAddress(customer.id, addrId);
 			expect(updated.addresses.length).toBe(0);
 		});
+		it('should return null for addresses of another customer or unknown ids', () => {
+			const other = repo.createCustomer({ firstName: 'O', lastName: 'P', phone: '667' });
+			const { addresses } = repo.addAddress(other.id, { line1: 'O', city: 'C', state: 'S', pincode: '1' });
+			expect(repo.updateAddress(customer.id, addresses[0].id, { city: 'Z' })).toBeNull();
+			expect(repo.deleteAddress(customer.id, addresses[0].id)).toBeNull();
+			expect(repo.updateAddress(customer.id, 9999, { city: 'Z' })).toBeNull();
+			expect(repo.getCustomerById(other.id).addresses[0].city).toBe('C');
+		});
+		it('should keep one default billing and one default shipping address independently', () => {
+			repo.addAddress(customer.id, { line1: 'Home', city: 'Pune', state: 'S', pincode: '1', addressType: 'home', isDefaultBilling: true, isDefaultShipping: true });
+			let updated = repo.addAddress(customer.id, { line1: 'Work', city: 'Mumbai', state: 'S', pincode: '2', addressType: 'work', isDefaultShipping: true });
+			const [home, work] = updated.addresses;
+			expect(home).toMatchObject({ addressType: 'home', isDefaultBilling: 1, isDefaultShipping: 0 });
+			expect(work).toMatchObject({ addressType: 'work', isDefaultBilling: 0, isDefaultShipping: 1 });
+
+			updated = repo.updateAddress(customer.id, work.id, { isDefaultBilling: true });
+			expect(updated.addresses.map(a => [a.line1, a.isDefaultBilling, a.isDefaultShipping])).toEqual([['Home', 0, 0], ['Work', 1, 1]]);
+		});
+		it('should enforce a single default per customer in the schema', () => {
+			const { addresses } = repo.addAddress(customer.id, { line1: 'A', city: 'C', state: 'S', pincode: '1', isDefaultBilling: true });
+			repo.addAddress(customer.id, { line1: 'B', city: 'C', state: 'S', pincode: '2' });
+			expect(() => repo.db.prepare(`UPDATE addresses SET isDefaultBilling = 1 WHERE customerId = ?`).run(customer.id)).toThrow(/UNIQUE/);
+			expect(() => repo.addAddress(customer.id, { line1: 'X', city: 'C', state: 'S', pincode: '3', addressType: 'office' })).toThrow(/CHECK/);
+			expect(repo.getCustomerById(customer.id).addresses.find(a => a.isDefaultBilling).id).toBe(addresses[0].id);
+		});
+		it('should not restore a default flag that moved to another address', () => {
+			const { addresses } = repo.addAddress(customer.id, { line1: 'A', city: 'C', state: 'S', pincode: '1', isDefaultShipping: true });
+			repo.deleteAddress(customer.id, addresses[0].id);
+			repo.addAddress(customer.id, { line1: 'B', city: 'C', state: 'S', pincode: '2', isDefaultShipping: true });
+			const restored = repo.restoreAddress(customer.id, addresses[0].id);
+			expect(restored.addresses.filter(a => a.isDefaultShipping).map(a => a.line1)).toEqual(['B']);
+		});
 		it('should mark only one address', () => {
 			repo.addAddress(customer.id, { line1: 'A', line2: '', city: 'C', state: 'S', country: 'India', pincode: '1', isPrimary: true });
 			const marked = repo.markOnlyOneAddress(customer.id, true);
@@ -100,6 +345,347 @@ describe('CustomerRepository', () => {
 		});
 	});
 
+	describe('Coordinates', () => {
+		let near, far, unlocated;
+		beforeEach(() => {
+			near = repo.createCustomer({ firstName: 'Near', lastName: 'N', phone: '701' });
+			far = repo.createCustomer({ firstName: 'Far', lastName: 'F', phone: '702' });
+			unlocated = repo.createCustomer({ firstName: 'None', lastName: 'U', phone: '703' });
+			repo.addAddress(near.id, { line1: 'A', city: 'Pune', state: 'S', pincode: '411001', latitude: 18.53, longitude: 73.87 });
+			repo.addAddress(far.id, { line1: 'B', city: 'Pune', state: 'S', pincode: '411038', latitude: 18.5074, longitude: 73.8077 });
+			repo.addAddress(unlocated.id, { line1: 'C', city: 'Pune', state: 'S', pincode: '411002' });
+		});
+
+		it('should list and fill addresses without coordinates', () => {
+			const [pending] = repo.listUnlocatedAddresses();
+			expect(pending.customerId).toBe(unlocated.id);
+			expect(repo.listUnlocatedAddresses(near.id)).toEqual([]);
+
+			expect(repo.setCoordinates(pending.id, { latitude: 18.52, longitude: 73.86 })).toBe(true);
+			expect(repo.getCustomerById(unlocated.id).addresses[0]).toMatchObject({ latitude: 18.52, longitude: 73.86 });
+			expect(repo.listUnlocatedAddresses()).toEqual([]);
+			expect(repo.audit.findByCustomer(unlocated.id, { limit: 1, offset: 0 })[0]).toMatchObject({ action: 'update', entity: 'address' });
+		});
+
+		it('should sort nearest-first by distance', () => {
+			const found = repo.findCustomers({ sort: [{ field: 'distance', dir: 'ASC' }], params: { nearLat: 18.5286, nearLng: 73.874 } });
+			expect(found.map(c => c.firstName)).toEqual(['Near', 'Far', 'None']);
+			expect(found[0].sortKey[0]).toBeLessThan(found[1].sortKey[0]);
+		});
+	});
+
+	describe('Audit log', () => {
+		let customer;
+		beforeEach(() => {
+			customer = runWithContext({ actor: 'agent-1' }, () =>
+				repo.createCustomer({ firstName: 'Au', lastName: 'Dit', phone: '999', email: 'a@d.com', accountType: 'standard', hasOnlyOneAddress: false }));
+		});
+		it('should record the actor and a diff of changed columns only', () => {
+			runWithContext({ actor: 'agent-2' }, () => repo.updateCustomer(customer.id, { phone: '1000', firstName: 'Au' }));
+			const [latest] = repo.audit.findByCustomer(customer.id);
+			expect(latest).toMatchObject({
+				actor: 'agent-2',
+				action: 'update',
+				entity: 'customer',
+				entityId: customer.id,
+				changes: { before: { phone: '999' }, after: { phone: '1000' } },
+			});
+		});
+		it('should record address changes including primary flag moves', () => {
+			const withAddr = repo.addAddress(customer.id, { line1: 'A', line2: '', city: 'C', state: 'S', country: 'India', pincode: '1', isPrimary: true });
+			repo.addAddress(customer.id, { line1: 'B', line2: '', city: 'C', state: 'S', country: 'India', pincode: '2', isPrimary: true });
+			const entries = repo.audit.findByCustomer(customer.id, { limit: 100 });
+			const demoted = entries.find(e => e.entity === 'address' && e.entityId === withAddr.addresses[0].id && e.action === 'update');
+			expect(demoted.changes).toEqual({ before: { isPrimary: 1 }, after: { isPrimary: 0 } });
+			expect(demoted.actor).toBeNull();
+		});
+		it('should not record no-op updates', () => {
+			const before = repo.audit.countByCustomer(customer.id);
+			repo.updateCustomer(customer.id, { firstName: 'Au' });
+			expect(repo.audit.countByCustomer(customer.id)).toBe(before);
+		});
+		it('should roll back the audit entry with the change', () => {
+			repo.createCustomer({ firstName: 'X', lastName: 'Y', phone: '1001', email: null, accountType: 'standard', hasOnlyOneAddress: false });
+			const before = repo.audit.countByCustomer(customer.id);
+			expect(() => repo.updateCustomer(customer.id, { phone: '1001' })).toThrow();
+			expect(repo.audit.countByCustomer(customer.id)).toBe(before);
+		});
+	});
+
+	describe('Versioning', () => {
+		it('should bump the version on every write to the customer, its addresses and tags', () => {
+			const c = repo.createCustomer({ firstName: 'V', lastName: 'Er', phone: '1100' });
+			expect(c.version).toBe(1);
+			const versions = [repo.updateCustomer(c.id, { firstName: 'W' }).version];
+			const withAddr = repo.addAddress(c.id, { line1: 'A', city: 'C', state: 'S', pincode: '1' });
+			versions.push(withAddr.version);
+			versions.push(repo.updateAddress(c.id, withAddr.addresses[0].id, { line1: 'B' }).version);
+			versions.push(repo.addTags(c.id, ['vip']).version);
+			versions.push(repo.deleteAddress(c.id, withAddr.addresses[0].id).version);
+			for (let i = 1; i < versions.length; i++) expect(versions[i]).toBeGreaterThan(versions[i - 1]);
+			expect(versions[0]).toBeGreaterThan(1);
+		});
+
+		it('should leave other customers at their version', () => {
+			const a = repo.createCustomer({ firstName: 'A', lastName: 'A', phone: '1101' });
+			const b = repo.createCustomer({ firstName: 'B', lastName: 'B', phone: '1102' });
+			repo.addAddress(a.id, { line1: 'A', city: 'C', state: 'S', pincode: '1' });
+			expect(repo.getCustomerById(b.id).version).toBe(1);
+		});
+
+		it('should not show the version in the audit diff', () => {
+			const c = repo.createCustomer({ firstName: 'V', lastName: 'Er', phone: '1103' });
+			repo.updateCustomer(c.id, { firstName: 'W' });
+			const [latest] = repo.audit.findByCustomer(c.id);
+			expect(latest.changes).toEqual({ before: { firstName: 'V' }, after: { firstName: 'W' } });
+		});
+	});
+
+	describe('Merge', () => {
+		let survivor, duplicate;
+		beforeEach(() => {
+			survivor = repo.createCustomer({ firstName: 'John', lastName: 'Smith', phone: '9876543210' });
+			duplicate = repo.createCustomer({ firstName: 'Jon', lastName: 'Smith', phone: '+91 98765 43210' });
+			repo.addAddress(survivor.id, { line1: 'S', city: 'C', state: 'S', pincode: '1', isPrimary: true });
+			repo.addAddress(duplicate.id, { line1: 'D1', city: 'C', state: 'S', pincode: '2', isPrimary: true });
+			repo.addAddress(duplicate.id, { line1: 'D2', city: 'C', state: 'S', pincode: '3' });
+		});
+
+		it('should move addresses, keep one primary and delete the duplicate', () => {
+			const merged = repo.mergeCustomers(survivor.id, duplicate.id);
+			expect(merged.addresses.map(a => a.line1)).toEqual(['S', 'D1', 'D2']);
+			expect(merged.addresses.filter(a => a.isPrimary)).toHaveLength(1);
+			expect(merged.hasOnlyOneAddress).toBe(false);
+
+			expect(repo.getCustomerById(duplicate.id)).toBeNull();
+			expect(repo.getCustomerById(duplicate.id, { includeDeleted: true })).toMatchObject({ mergedIntoId: survivor.id, addresses: [] });
+		});
+
+		it('should keep the survivor\'s default addresses and take the duplicate\'s where it has none', () => {
+			repo.addAddress(survivor.id, { line1: 'SB', city: 'C', state: 'S', pincode: '4', isDefaultBilling: true });
+			repo.addAddress(duplicate.id, { line1: 'DB', city: 'C', state: 'S', pincode: '5', isDefaultBilling: true, isDefaultShipping: true });
+			const merged = repo.mergeCustomers(survivor.id, duplicate.id);
+			expect(merged.addresses.filter(a => a.isDefaultBilling).map(a => a.line1)).toEqual(['SB']);
+			expect(merged.addresses.filter(a => a.isDefaultShipping).map(a => a.line1)).toEqual(['DB']);
+		});
+
+		it("should keep the duplicate's primary when the survivor has none", () => {
+			const bare = repo.createCustomer({ firstName: 'J', lastName: 'S', phone: '555' });
+			const merged = repo.mergeCustomers(bare.id, duplicate.id);
+			expect(merged.addresses.find(a => a.isPrimary).line1).toBe('D1');
+		});
+
+		it('should record the merge on both customers', () => {
+			repo.mergeCustomers(survivor.id, duplicate.id);
+			const [survivorEntry] = repo.audit.findByCustomer(survivor.id, { limit: 10, offset: 0 }).filter(e => e.action === 'merge' && e.entity === 'customer');
+			expect(survivorEntry.changes.after).toEqual({ mergedFrom: duplicate.id });
+			const [duplicateEntry] = repo.audit.findByCustomer(duplicate.id, { limit: 10, offset: 0 });
+			expect(duplicateEntry).toMatchObject({ action: 'merge', changes: { after: { mergedIntoId: survivor.id } } });
+		});
+
+		it('should record each moved address on both customers', () => {
+			const moved = repo.getCustomerById(duplicate.id).addresses.map(a => a.id).sort();
+			repo.mergeCustomers(survivor.id, duplicate.id);
+			for (const customerId of [survivor.id, duplicate.id]) {
+				const entries = repo.audit.findByCustomer(customerId, { limit: 20, offset: 0 }).filter(e => e.action === 'merge' && e.entity === 'address');
+				expect(entries.map(e => e.entityId).sort()).toEqual(moved);
+				expect(entries[0].changes).toMatchObject({ before: { customerId: duplicate.id }, after: { customerId: survivor.id } });
+			}
+		});
+
+		it('should refuse to restore a merged customer', () => {
+			repo.mergeCustomers(survivor.id, duplicate.id);
+			expect(() => repo.restoreCustomer(duplicate.id)).toThrow(expect.objectContaining({ status: 409 }));
+		});
+
+		it('should return null when either customer is missing', () => {
+			repo.deleteCustomer(duplicate.id);
+			expect(repo.mergeCustomers(survivor.id, duplicate.id)).toBeNull();
+			expect(repo.getCustomerById(survivor.id).addresses).toHaveLength(1);
+		});
+
+		it('should list identities of active customers', () => {
+			repo.deleteCustomer(duplicate.id);
+			expect(repo.listIdentities()).toEqual([{ id: survivor.id, firstName: 'John', lastName: 'Smith', phone: '9876543210', email: null }]);
+		});
+	});
+
+	describe('Tags and attributes', () => {
+		const tagged = (tags, match = 'any') => {
+			const list = tags.map((_, i) => `@tag${i}`).join(', ');
+			const inner = `SELECT ct.customerId FROM customer_tags ct JOIN tags t ON t.id = ct.tagId WHERE t.name IN (${list})`;
+			const filterQuery = match === 'all'
+				? `customers.id IN (${inner} GROUP BY ct.customerId HAVING COUNT(*) = ${tags.length})`
+				: `customers.id IN (${inner})`;
+			return repo.findCustomers({ filterQuery, params: Object.fromEntries(tags.map((t, i) => [`tag${i}`, t])), sort: [{ field: 'id', dir: 'ASC' }] }).map(c => c.id);
+		};
+
+		it('should create customers with tags and attributes', () => {
+			const c = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: 't1', tags: ['vip', 'b2b'], attributes: { tier: 'gold' } });
+			expect(c).toMatchObject({ tags: ['b2b', 'vip'], attributes: { tier: 'gold' } });
+			expect(repo.createCustomer({ firstName: 'C', lastName: 'D', phone: 't2' })).toMatchObject({ tags: [], attributes: {} });
+		});
+
+		it('should add and remove tags, auditing the change', () => {
+			const c = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: 't1' });
+			expect(repo.addTags(c.id, ['vip', 'b2b']).tags).toEqual(['b2b', 'vip']);
+			expect(repo.addTags(c.id, ['vip']).tags).toEqual(['b2b', 'vip']);
+			expect(repo.removeTags(c.id, ['vip', 'unknown']).tags).toEqual(['b2b']);
+			expect(repo.addTags(9999, ['vip'])).toBeNull();
+
+			const entries = repo.audit.findByCustomer(c.id, { limit: 10, offset: 0 });
+			expect(entries.map(e => e.changes)).toEqual(expect.arrayContaining([
+				{ before: { tags: '' }, after: { tags: 'b2b, vip' } },
+				{ before: { tags: 'b2b, vip' }, after: { tags: 'b2b' } },
+			]));
+			expect(entries.filter(e => e.changes.after?.tags !== undefined)).toHaveLength(2);
+		});
+
+		it('should filter by any or all tags', () => {
+			const a = repo.createCustomer({ firstName: 'A', lastName: 'A', phone: 't1', tags: ['vip'] });
+			const b = repo.createCustomer({ firstName: 'B', lastName: 'B', phone: 't2', tags: ['vip', 'wholesale'] });
+			repo.createCustomer({ firstName: 'C', lastName: 'C', phone: 't3' });
+			expect(tagged(['vip', 'wholesale'])).toEqual([a.id, b.id]);
+			expect(tagged(['vip', 'wholesale'], 'all')).toEqual([b.id]);
+		});
+
+		it('should merge attribute patches and drop null keys', () => {
+			const c = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: 't1', attributes: { tier: 'gold', limit: 10 } });
+			const updated = repo.updateCustomer(c.id, { attributes: { limit: null, since: '2024-01-01' } });
+			expect(updated.attributes).toEqual({ tier: 'gold', since: '2024-01-01' });
+			const rows = repo.findCustomers({ filterQuery: `json_extract(customers.attributes, '$."since"') >= '2024'` });
+			expect(rows.map(r => r.id)).toEqual([c.id]);
+		});
+
+		it('should carry tags and missing attributes over in a merge', () => {
+			const survivor = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: 't1', tags: ['vip'], attributes: { tier: 'gold' } });
+			const duplicate = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: 't2', tags: ['b2b', 'vip'], attributes: { tier: 'silver', region: 'west' } });
+			const merged = repo.mergeCustomers(survivor.id, duplicate.id);
+			expect(merged.tags).toEqual(['b2b', 'vip']);
+			expect(merged.attributes).toEqual({ tier: 'gold', region: 'west' });
+		});
+
+		it('should include tags and attributes when streaming', () => {
+			repo.createCustomer({ firstName: 'A', lastName: 'B', phone: 't1', tags: ['vip'], attributes: { tier: 'gold' } });
+			const [row] = [...repo.iterateCustomers({})];
+			expect(row).toMatchObject({ tags: ['vip'], attributes: { tier: 'gold' } });
+		});
+	});
+
+	describe('Address embedding', () => {
+		let amy, bob;
+		beforeEach(() => {
+			amy = repo.createCustomer({ firstName: 'Amy', lastName: 'K', phone: 'e1', tags: ['vip'] });
+			bob = repo.createCustomer({ firstName: 'Bob', lastName: 'K', phone: 'e2' });
+			repo.addAddress(amy.id, { line1: '1', city: 'Pune', state: 'MH', pincode: '1' });
+			repo.addAddress(amy.id, { line1: '2', city: 'Goa', state: 'GA', pincode: '2', isPrimary: true });
+		});
+
+		it('should load addresses and tags for a whole page in one query each', () => {
+			const prepare = jest.spyOn(repo.db, 'prepare');
+			const rows = repo.findCustomers({ sort: [{ field: 'id', dir: 'ASC' }] });
+			expect(prepare).toHaveBeenCalledTimes(3);
+			prepare.mockRestore();
+			expect(rows[0]).toMatchObject({ tags: ['vip'], addresses: [{ city: 'Goa' }, { city: 'Pune' }] });
+			expect(rows[1]).toMatchObject({ tags: [], addresses: [] });
+		});
+
+		it('should embed only the primary address or none', () => {
+			const rows = repo.findCustomers({ sort: [{ field: 'id', dir: 'ASC' }], include: 'primaryAddress' });
+			expect(rows.map(r => r.primaryAddress?.city ?? null)).toEqual(['Goa', null]);
+			expect(rows[0]).not.toHaveProperty('addresses');
+			expect(repo.getCustomerById(bob.id, { include: 'none' })).not.toHaveProperty('addresses');
+		});
+	});
+
+	describe('Statistics', () => {
+		beforeEach(() => {
+			const amy = repo.createCustomer({ firstName: 'Amy', lastName: 'K', phone: 's1', email: 'amy@x.com', accountType: 'premium' });
+			const bob = repo.createCustomer({ firstName: 'Bob', lastName: 'K', phone: 's2', email: null });
+			const cat = repo.createCustomer({ firstName: 'Cat', lastName: 'K', phone: 's3', email: '' });
+			repo.addAddress(amy.id, { line1: '1', city: 'Pune', state: 'MH', pincode: '1', isPrimary: true });
+			repo.addAddress(amy.id, { line1: '2', city: 'Mumbai', state: 'MH', pincode: '2' });
+			repo.addAddress(bob.id, { line1: '3', city: 'Pune', state: 'MH', pincode: '3', isPrimary: true });
+			repo.db.prepare(`UPDATE customers SET createdAt = '2025-08-31 10:00:00' WHERE id = ?`).run(amy.id);
+			repo.db.prepare(`UPDATE customers SET hasOnlyOneAddress = 1 WHERE id = ?`).run(bob.id);
+			repo.db.prepare(`UPDATE customers SET createdAt = '2025-09-01 10:00:00' WHERE id IN (?, ?)`).run(bob.id, cat.id);
+			repo.deleteCustomer(cat.id);
+		});
+
+		it('should aggregate the matching customers', () => {
+			expect(repo.customerStats('', {}, { interval: 'week' })).toEqual({
+				total: 2,
+				byAccountType: [{ accountType: 'premium', count: 1 }, { accountType: 'standard', count: 1 }],
+				byOnlyOneAddress: [{ hasOnlyOneAddress: false, count: 1 }, { hasOnlyOneAddress: true, count: 1 }],
+				byState: [{ state: 'MH', count: 2 }],
+				byCity: [{ city: 'Pune', state: 'MH', count: 2 }, { city: 'Mumbai', state: 'MH', count: 1 }],
+				newCustomers: [{ period: '2025-08-25', count: 1 }, { period: '2025-09-01', count: 1 }],
+				missingEmail: 1,
+				missingPrimaryAddress: 0,
+			});
+		});
+
+		it('should honour filters, deleted rows and the top limit', () => {
+			const stats = repo.customerStats('addresses.city = @city', { city: 'Mumbai' }, { interval: 'month', top: 1 });
+			expect(stats).toMatchObject({ total: 1, byCity: [{ city: 'Mumbai', count: 1 }], newCustomers: [{ period: '2025-08', count: 1 }] });
+			expect(repo.customerStats('', {}, { includeDeleted: true })).toMatchObject({ total: 3, missingEmail: 2, missingPrimaryAddress: 1 });
+		});
+	});
+
+	describe('Structured filters', () => {
+		let amy, bob, cat;
+		const filtered = (query) => {
+			const { filters, params } = parseFilters(query);
+			return repo.findCustomers({ filterQuery: filters.join(' AND '), params, sort: [{ field: 'id', dir: 'ASC' }] }).map(c => c.id);
+		};
+		beforeEach(() => {
+			amy = repo.createCustomer({ firstName: 'Amy', lastName: 'K', phone: 'f1', email: 'amy@x.com', accountType: 'premium' });
+			bob = repo.createCustomer({ firstName: 'bob', lastName: 'K', phone: 'f2', email: null, accountType: 'enterprise' });
+			cat = repo.createCustomer({ firstName: 'Cat', lastName: 'K', phone: 'f3', email: 'cat@x.com', accountType: 'standard' });
+			repo.addAddress(amy.id, { line1: '1', city: 'Pune', state: 'MH', pincode: '1', status: 'inactive' });
+			repo.addAddress(bob.id, { line1: '2', city: 'pune', state: 'MH', pincode: '2' });
+			repo.db.prepare(`UPDATE customers SET createdAt = '2024-12-31 23:59:59' WHERE id = ?`).run(cat.id);
+		});
+
+		it('should match lists, missing values and address fields', () => {
+			expect(filtered({ 'filter[accountType][in]': 'premium,enterprise' })).toEqual([amy.id, bob.id]);
+			expect(filtered({ 'filter[accountType][nin]': 'premium' })).toEqual([bob.id, cat.id]);
+			expect(filtered({ 'filter[email][exists]': 'false' })).toEqual([bob.id]);
+			expect(filtered({ 'filter[addresses.status]': 'inactive' })).toEqual([amy.id]);
+			expect(filtered({ 'filter[addresses.city]': 'PUNE', 'filter[addresses.status][ne]': 'inactive' })).toEqual([bob.id]);
+		});
+
+		it('should compare text case-insensitively and dates by day', () => {
+			expect(filtered({ 'filter[firstName][startsWith]': 'B' })).toEqual([bob.id]);
+			expect(filtered({ 'filter[email][contains]': '%' })).toEqual([]);
+			expect(filtered({ 'filter[createdAt][gte]': '2025-01-01' })).toEqual([amy.id, bob.id]);
+			expect(filtered({ 'filter[createdAt][lte]': '2024-12-31' })).toEqual([cat.id]);
+			expect(filtered({ 'filter[createdAt][lt]': '2025-01-01T00:00:00Z' })).toEqual([cat.id]);
+		});
+	});
+
+	describe('Phone backfill', () => {
+		it('should list phones with the primary address country, including deleted customers', () => {
+			const a = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: '111' });
+			const b = repo.createCustomer({ firstName: 'C', lastName: 'D', phone: '222' });
+			repo.addAddress(a.id, { line1: '1', city: 'X', state: 'Y', country: 'United States', pincode: '1', isPrimary: true });
+			repo.deleteCustomer(b.id);
+			expect(repo.listPhones()).toEqual([
+				{ id: a.id, phone: '111', country: 'United States' },
+				{ id: b.id, phone: '222', country: null },
+			]);
+		});
+
+		it('should swap phones between customers without a UNIQUE violation', () => {
+			const a = repo.createCustomer({ firstName: 'A', lastName: 'B', phone: '111' });
+			const b = repo.createCustomer({ firstName: 'C', lastName: 'D', phone: '222' });
+			expect(repo.setPhones([{ id: a.id, phone: '222' }, { id: b.id, phone: '111' }])).toBe(2);
+			expect(repo.getCustomerById(a.id).phone).toBe('222');
+			expect(repo.getCustomerById(b.id).phone).toBe('111');
+			expect(repo.audit.findByCustomer(a.id)[0].changes).toEqual({ before: { phone: '111' }, after: { phone: '222' } });
+		});
+	});
+
 	describe('Duplicate checks', () => {
 		beforeEach(() => {
 			repo.createCustomer({ firstName: 'G', lastName: 'H', phone: '777', email: 'g@h.com', accountType: 'standard', hasOnlyOneAddress: false });
@@ -0,0 +1,76 @@
+import { getDb } from '../models/customer.model.mjs';
+
+/**
+ * Repository for `idempotency_keys`: requests made with an `Idempotency-Key` header and their responses.
+ */
+class IdempotencyRepository {
+  /**
+   * Always fetch the latest DB connection.
+   * @type {import('better-sqlite3').Database}
+   */
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Get a key (expired keys stay visible until `purgeExpired` runs).
+   * @param {string} actor - User the key belongs to.
+   * @param {string} key - Idempotency key.
+   * @returns {{requestHash:string, statusCode:number|null, headers:Object, body:*}|null}
+   *   `statusCode` is `null` while the first request is still running.
+   */
+  find(actor, key) {
+    const row = this.db.prepare(`
+      SELECT requestHash, statusCode, headers, body FROM idempotency_keys
+      WHERE actor = ? AND key = ?
+    `).get(actor, key);
+    if (!row) return null;
+    return { ...row, headers: JSON.parse(row.headers || '{}'), body: row.body === null ? null : JSON.parse(row.body) };
+  }
+
+  /**
+   * Claim a key for a new request. Fails if the key is already stored.
+   * @param {{actor:string, key:string, requestHash:string, ttlSeconds:number}} data
+   * @returns {boolean} True if the key was claimed.
+   */
+  reserve({ actor, key, requestHash, ttlSeconds }) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO idempotency_keys (actor, key, requestHash, expiresAt)
+      VALUES (@actor, @key, @requestHash, datetime('now', @modifier))
+    `).run({ actor, key, requestHash, modifier: `+${ttlSeconds} seconds` }).changes > 0;
+  }
+
+  /**
+   * Store the response of a claimed key.
+   * @param {string} actor - User the key belongs to.
+   * @param {string} key - Idempotency key.
+   * @param {{statusCode:number, headers:Object, body:*}} response - Response to replay.
+   * @returns {void}
+   */
+  complete(actor, key, { statusCode, headers, body }) {
+    this.db.prepare(`
+      UPDATE idempotency_keys SET statusCode = @statusCode, headers = @headers, body = @body
+      WHERE actor = @actor AND key = @key
+    `).run({ actor, key, statusCode, headers: JSON.stringify(headers), body: body === undefined ? null : JSON.stringify(body) });
+  }
+
+  /**
+   * Give a key back so the request can be retried with it.
+   * @param {string} actor - User the key belongs to.
+   * @param {string} key - Idempotency key.
+   * @returns {void}
+   */
+  release(actor, key) {
+    this.db.prepare(`DELETE FROM idempotency_keys WHERE actor = ? AND key = ?`).run(actor, key);
+  }
+
+  /**
+   * Delete keys past their expiry.
+   * @returns {number} Number of keys deleted.
+   */
+  purgeExpired() {
+    return this.db.prepare(`DELETE FROM idempotency_keys WHERE expiresAt <= datetime('now')`).run().changes;
+  }
+}
+
+export default IdempotencyRepository;
@@ -0,0 +1,40 @@
+import IdempotencyRepository from './idempotency.repository.mjs';
+import { getDb, initDb } from '../models/customer.model.mjs';
+
+describe('IdempotencyRepository', () => {
+	let repo;
+	const reset = () => getDb().exec(`DELETE FROM idempotency_keys;`);
+
+	beforeAll(() => {
+		initDb();
+		repo = new IdempotencyRepository();
+	});
+	beforeEach(reset);
+	afterAll(reset);
+
+	it('should claim a key once per user', () => {
+		expect(repo.reserve({ actor: 'u1', key: 'k', requestHash: 'h', ttlSeconds: 60 })).toBe(true);
+		expect(repo.reserve({ actor: 'u1', key: 'k', requestHash: 'h2', ttlSeconds: 60 })).toBe(false);
+		expect(repo.reserve({ actor: 'u2', key: 'k', requestHash: 'h', ttlSeconds: 60 })).toBe(true);
+		expect(repo.find('u1', 'k')).toEqual({ requestHash: 'h', statusCode: null, headers: {}, body: null });
+	});
+
+	it('should store and return the response', () => {
+		repo.reserve({ actor: 'u1', key: 'k', requestHash: 'h', ttlSeconds: 60 });
+		repo.complete('u1', 'k', { statusCode: 201, headers: { etag: '"1"' }, body: { success: true, data: { id: 7 } } });
+		expect(repo.find('u1', 'k')).toEqual({ requestHash: 'h', statusCode: 201, headers: { etag: '"1"' }, body: { success: true, data: { id: 7 } } });
+	});
+
+	it('should release keys and purge expired ones', () => {
+		repo.reserve({ actor: 'u1', key: 'gone', requestHash: 'h', ttlSeconds: 60 });
+		repo.release('u1', 'gone');
+		expect(repo.find('u1', 'gone')).toBeNull();
+
+		repo.reserve({ actor: 'u1', key: 'old', requestHash: 'h', ttlSeconds: 60 });
+		getDb().prepare(`UPDATE idempotency_keys SET expiresAt = datetime('now', '-1 minute') WHERE key = 'old'`).run();
+		repo.reserve({ actor: 'u1', key: 'live', requestHash: 'h', ttlSeconds: 60 });
+		expect(repo.purgeExpired()).toBe(1);
+		expect(repo.find('u1', 'old')).toBeNull();
+		expect(repo.find('u1', 'live')).not.toBeNull();
+	});
+});
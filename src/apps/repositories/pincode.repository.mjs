@@ -0,0 +1,56 @@
+import { getDb } from '../models/customer.model.mjs';
+
+/**
+ * Repository for the read-mostly `pincodes` directory (Indian postal codes).
+ */
+class PincodeRepository {
+  /**
+   * Always fetch the latest DB connection.
+   * @type {import('better-sqlite3').Database}
+   */
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Look up a pincode.
+   * @param {string} pincode - Six-digit pincode.
+   * @returns {{pincode:string, city:string, district:string, state:string, latitude:number|null, longitude:number|null}|null}
+   */
+  findByPincode(pincode) {
+    return this.db.prepare(
+      `SELECT pincode, city, district, state, latitude, longitude FROM pincodes WHERE pincode = ?`
+    ).get(String(pincode)) || null;
+  }
+
+  /**
+   * Replace the whole directory in one transaction.
+   * Blank or missing `latitude`/`longitude` are stored as `NULL`.
+   * @param {{pincode:string, city:string, district?:string, state:string, latitude?:string|number, longitude?:string|number}[]} rows - Directory entries.
+   * @returns {number} Number of entries loaded.
+   */
+  replaceAll(rows) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO pincodes (pincode, city, district, state, latitude, longitude)
+      VALUES (@pincode, @city, @district, @state, @latitude, @longitude)
+    `);
+    const coordinate = v => (v === undefined || v === null || v === '' ? null : Number(v));
+    const tx = this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM pincodes`).run();
+      for (const row of rows) {
+        insert.run({
+          pincode: String(row.pincode).trim(),
+          city: String(row.city).trim(),
+          district: String(row.district || '').trim(),
+          state: String(row.state).trim(),
+          latitude: coordinate(row.latitude),
+          longitude: coordinate(row.longitude),
+        });
+      }
+      return rows.length;
+    });
+    return tx();
+  }
+}
+
+export default PincodeRepository;
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import PincodeRepository from './pincode.repository.mjs';
+import { initDb } from '../models/customer.model.mjs';
+import { parseCsvRecords } from '../../utils/csv.utils.mjs';
+
+describe('PincodeRepository', () => {
+	let repo;
+	const bundled = () => parseCsvRecords(fs.readFileSync('src/data/pincodes.csv', 'utf8'));
+
+	beforeAll(() => {
+		initDb();
+		repo = new PincodeRepository();
+	});
+	afterAll(() => {
+		repo.replaceAll(bundled());
+	});
+
+	it('should be seeded from the bundled directory', () => {
+		expect(repo.findByPincode('500034')).toEqual({
+			pincode: '500034', city: 'Hyderabad', district: 'Hyderabad', state: 'Telangana', latitude: 17.4156, longitude: 78.4347,
+		});
+		expect(repo.findByPincode('999999')).toBeNull();
+	});
+
+	it('should replace the whole directory', () => {
+		expect(repo.replaceAll([{ pincode: '123456', city: 'Testpur', state: 'Teststan', latitude: '', longitude: '' }])).toBe(1);
+		expect(repo.findByPincode('123456')).toEqual({ pincode: '123456', city: 'Testpur', district: '', state: 'Teststan', latitude: null, longitude: null });
+		expect(repo.findByPincode('500034')).toBeNull();
+	});
+});
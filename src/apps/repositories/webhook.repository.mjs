@@ -0,0 +1,206 @@
+import { getDb } from '../models/customer.model.mjs';
+
+/** Millisecond-precision timestamp, matching the outbox column defaults. */
+const NOW_MS = `strftime('%Y-%m-%d %H:%M:%f', 'now')`;
+
+/**
+ * Repository for `webhooks` (subscriptions) and `webhook_outbox` (one delivery per event and subscriber).
+ */
+class WebhookRepository {
+  /**
+   * Always fetch the latest DB connection.
+   * @type {import('better-sqlite3').Database}
+   */
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Turn a stored row into a webhook (`events` parsed, `active` as boolean).
+   * @param {Object|undefined} row - Raw row.
+   * @returns {Object|null}
+   */
+  toWebhook(row) {
+    if (!row) return null;
+    return { ...row, events: JSON.parse(row.events), active: Boolean(row.active) };
+  }
+
+  /**
+   * Register a webhook.
+   * @param {{url:string, secret:string, events:string[], description?:string|null}} data
+   * @returns {Object} The stored webhook.
+   */
+  create({ url, secret, events, description = null }) {
+    const info = this.db.prepare(`
+      INSERT INTO webhooks (url, secret, events, description) VALUES (@url, @secret, @events, @description)
+    `).run({ url, secret, events: JSON.stringify(events), description });
+    return this.findById(Number(info.lastInsertRowid));
+  }
+
+  /**
+   * List every webhook, oldest first.
+   * @returns {Object[]}
+   */
+  findAll() {
+    return this.db.prepare(`SELECT * FROM webhooks ORDER BY id ASC`).all().map(r => this.toWebhook(r));
+  }
+
+  /**
+   * Get one webhook.
+   * @param {number} id - Webhook ID.
+   * @returns {Object|null}
+   */
+  findById(id) {
+    return this.toWebhook(this.db.prepare(`SELECT * FROM webhooks WHERE id = ?`).get(id));
+  }
+
+  /**
+   * Update a webhook.
+   * @param {number} id - Webhook ID.
+   * @param {{url?:string, secret?:string, events?:string[], description?:string|null, active?:boolean}} patch
+   * @returns {Object|null} Updated webhook or `null` if not found.
+   */
+  update(id, patch) {
+    const fields = [];
+    const params = { id };
+    for (const k of ['url', 'secret', 'description']) {
+      if (patch[k] !== undefined) { fields.push(`${k} = @${k}`); params[k] = patch[k]; }
+    }
+    if (patch.events !== undefined) { fields.push('events = @events'); params.events = JSON.stringify(patch.events); }
+    if (patch.active !== undefined) { fields.push('active = @active'); params.active = patch.active ? 1 : 0; }
+    if (fields.length) {
+      this.db.prepare(`UPDATE webhooks SET ${fields.join(', ')}, updatedAt = datetime('now') WHERE id = @id`).run(params);
+    }
+    return this.findById(id);
+  }
+
+  /**
+   * Delete a webhook together with its deliveries.
+   * @param {number} id - Webhook ID.
+   * @returns {boolean} True if a webhook was deleted.
+   */
+  remove(id) {
+    return this.db.prepare(`DELETE FROM webhooks WHERE id = ?`).run(id).changes > 0;
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it.
+   * Meant to run inside the transaction of the change that raised the event.
+   * @param {{id:string, type:string}} event - Event envelope (serialized as the delivery body).
+   * @returns {number} Number of deliveries queued.
+   */
+  enqueue(event) {
+    return this.db.prepare(`
+      INSERT INTO webhook_outbox (webhookId, eventId, event, payload)
+      SELECT w.id, @eventId, @event, @payload FROM webhooks w
+      WHERE w.active = 1 AND EXISTS (SELECT 1 FROM json_each(w.events) e WHERE e.value IN (@event, '*'))
+    `).run({ eventId: event.id, event: event.type, payload: JSON.stringify(event) }).changes;
+  }
+
+  /**
+   * Claim the oldest pending delivery that is due, with its webhook's URL and secret.
+   *
+   * The claim moves `nextAttemptAt` past the lease in the same write transaction as the
+   * read, so other dispatchers (in this process or another) skip the row until the
+   * lease runs out. Recording the outcome (`markDelivered` / `markFailed`) ends the lease;
+   * a dispatcher that dies mid-send leaves the row to be picked up again once it expires.
+   * @param {number} leaseSeconds - How long the row is held; must outlast one delivery attempt.
+   * @returns {{id:number, webhookId:number, eventId:string, event:string, payload:string, attempts:number, url:string, secret:string}|null}
+   *   The claimed delivery, or `null` if nothing is due.
+   */
+  claimDue(leaseSeconds) {
+    const tx = this.db.transaction(() => {
+      const due = this.db.prepare(`
+        SELECT o.id, o.webhookId, o.eventId, o.event, o.payload, o.attempts, w.url, w.secret
+        FROM webhook_outbox o JOIN webhooks w ON w.id = o.webhookId
+        WHERE o.status = 'pending' AND o.nextAttemptAt <= ${NOW_MS} AND w.active = 1
+        ORDER BY o.nextAttemptAt ASC, o.id ASC
+        LIMIT 1
+      `).get();
+      if (!due) return null;
+      this.db.prepare(`UPDATE webhook_outbox SET nextAttemptAt = strftime('%Y-%m-%d %H:%M:%f', 'now', ?) WHERE id = ?`)
+        .run(`+${leaseSeconds} seconds`, due.id);
+      return due;
+    });
+    // IMMEDIATE takes the write lock before reading, so two processes cannot claim the same row.
+    return tx.immediate();
+  }
+
+  /**
+   * Record a successful delivery.
+   * @param {number} id - Delivery ID.
+   * @param {number} statusCode - Receiver's HTTP status.
+   * @returns {void}
+   */
+  markDelivered(id, statusCode) {
+    this.db.prepare(`
+      UPDATE webhook_outbox
+      SET status = 'delivered', attempts = attempts + 1, lastStatusCode = ?, lastError = NULL, deliveredAt = ${NOW_MS}
+      WHERE id = ?
+    `).run(statusCode, id);
+  }
+
+  /**
+   * Record a failed attempt and either schedule a retry or move the delivery to the dead-letter list.
+   * @param {number} id - Delivery ID.
+   * @param {Object} failure
+   * @param {number|null} failure.statusCode - Receiver's HTTP status, `null` for network errors and timeouts.
+   * @param {string} failure.error - What went wrong.
+   * @param {number|null} failure.retryInSeconds - Delay before the next attempt, or `null` to give up.
+   * @returns {void}
+   */
+  markFailed(id, { statusCode, error, retryInSeconds }) {
+    this.db.prepare(`
+      UPDATE webhook_outbox
+      SET attempts = attempts + 1, lastStatusCode = @statusCode, lastError = @error,
+        status = CASE WHEN @modifier IS NULL THEN 'dead' ELSE 'pending' END,
+        nextAttemptAt = CASE WHEN @modifier IS NULL THEN nextAttemptAt
+          ELSE strftime('%Y-%m-%d %H:%M:%f', 'now', @modifier) END
+      WHERE id = @id
+    `).run({ id, statusCode, error, modifier: retryInSeconds === null ? null : `+${retryInSeconds} seconds` });
+  }
+
+  /**
+   * Count a webhook's deliveries.
+   * @param {number} webhookId - Webhook ID.
+   * @param {Object} [options]
+   * @param {'pending'|'delivered'|'dead'} [options.status] - Only deliveries in this state.
+   * @returns {number}
+   */
+  countDeliveries(webhookId, { status } = {}) {
+    return this.db.prepare(`
+      SELECT COUNT(*) AS cnt FROM webhook_outbox WHERE webhookId = @webhookId ${status ? 'AND status = @status' : ''}
+    `).get({ webhookId, status }).cnt;
+  }
+
+  /**
+   * List a webhook's deliveries, newest first.
+   * @param {number} webhookId - Webhook ID.
+   * @param {Object} [options]
+   * @param {'pending'|'delivered'|'dead'} [options.status] - Only deliveries in this state.
+   * @param {number} [options.limit=10] - Page size.
+   * @param {number} [options.offset=0] - Rows to skip.
+   * @returns {Object[]} Deliveries with the event envelope parsed into `payload`.
+   */
+  findDeliveries(webhookId, { status, limit = 10, offset = 0 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM webhook_outbox WHERE webhookId = @webhookId ${status ? 'AND status = @status' : ''}
+      ORDER BY id DESC LIMIT @limit OFFSET @offset
+    `).all({ webhookId, status, limit, offset }).map(r => ({ ...r, payload: JSON.parse(r.payload) }));
+  }
+
+  /**
+   * Put a dead delivery back in the queue with a fresh set of attempts, due immediately.
+   * @param {number} webhookId - Webhook ID.
+   * @param {number} id - Delivery ID.
+   * @returns {boolean} True if a dead delivery of that webhook was requeued.
+   */
+  requeue(webhookId, id) {
+    return this.db.prepare(`
+      UPDATE webhook_outbox SET status = 'pending', attempts = 0, nextAttemptAt = ${NOW_MS}
+      WHERE id = ? AND webhookId = ? AND status = 'dead'
+    `).run(id, webhookId).changes > 0;
+  }
+}
+
+export default WebhookRepository;
@@ -0,0 +1,79 @@
+import WebhookRepository from './webhook.repository.mjs';
+import { getDb, initDb } from '../models/customer.model.mjs';
+
+describe('WebhookRepository', () => {
+	let repo;
+	const event = (type, id = `evt-${type}`) => ({ id, type, createdAt: '2025-09-03T12:00:00.000Z', data: {} });
+	const reset = () => getDb().exec(`DELETE FROM webhook_outbox; DELETE FROM webhooks;`);
+
+	beforeAll(() => {
+		initDb();
+		repo = new WebhookRepository();
+	});
+	beforeEach(reset);
+	afterAll(reset);
+
+	it('should queue events only for active webhooks subscribed to them', () => {
+		const crm = repo.create({ url: 'http://crm', secret: 's', events: ['customer.created', 'customer.updated'] });
+		const all = repo.create({ url: 'http://all', secret: 's', events: ['*'] });
+		const paused = repo.create({ url: 'http://paused', secret: 's', events: ['*'] });
+		repo.update(paused.id, { active: false });
+
+		expect(repo.enqueue(event('customer.created'))).toBe(2);
+		expect(repo.enqueue(event('address.added'))).toBe(1);
+		expect(repo.countDeliveries(crm.id)).toBe(1);
+		expect(repo.countDeliveries(all.id)).toBe(2);
+		expect(repo.findDeliveries(all.id)[0]).toMatchObject({ event: 'address.added', status: 'pending', attempts: 0, payload: event('address.added') });
+	});
+
+	it('should hand out due deliveries with their URL and secret', () => {
+		const hook = repo.create({ url: 'http://crm', secret: 'k', events: ['*'] });
+		repo.enqueue(event('customer.created'));
+		repo.update(hook.id, { active: false });
+		expect(repo.claimDue(60)).toBeNull();
+
+		repo.update(hook.id, { active: true });
+		expect(repo.claimDue(60)).toEqual(expect.objectContaining({ webhookId: hook.id, event: 'customer.created', url: 'http://crm', secret: 'k' }));
+	});
+
+	it('should hold a claimed delivery until its lease runs out', () => {
+		repo.create({ url: 'http://crm', secret: 'k', events: ['*'] });
+		repo.enqueue(event('customer.created'));
+		repo.enqueue(event('customer.updated'));
+
+		const first = repo.claimDue(60);
+		const second = repo.claimDue(60);
+		expect(second.id).not.toBe(first.id);
+		expect(repo.claimDue(60)).toBeNull();
+
+		getDb().prepare(`UPDATE webhook_outbox SET nextAttemptAt = strftime('%Y-%m-%d %H:%M:%f', 'now', '-1 seconds') WHERE id = ?`).run(first.id);
+		expect(repo.claimDue(60)).toEqual(expect.objectContaining({ id: first.id }));
+	});
+
+	it('should reschedule failures, dead-letter the last one and requeue it on demand', () => {
+		const hook = repo.create({ url: 'http://crm', secret: 'k', events: ['*'] });
+		repo.enqueue(event('customer.created'));
+		const due = repo.claimDue(0);
+
+		repo.markFailed(due.id, { statusCode: 503, error: 'Receiver answered HTTP 503', retryInSeconds: 60 });
+		expect(repo.claimDue(0)).toBeNull();
+		expect(repo.findDeliveries(hook.id)[0]).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: 503 });
+
+		expect(repo.requeue(hook.id, due.id)).toBe(false);
+		repo.markFailed(due.id, { statusCode: null, error: 'ECONNREFUSED', retryInSeconds: null });
+		expect(repo.findDeliveries(hook.id, { status: 'dead' })).toEqual([expect.objectContaining({ attempts: 2, lastError: 'ECONNREFUSED' })]);
+
+		expect(repo.requeue(hook.id, due.id)).toBe(true);
+		expect(repo.claimDue(0)).toEqual(expect.objectContaining({ id: due.id, attempts: 0 }));
+		repo.markDelivered(due.id, 200);
+		expect(repo.findDeliveries(hook.id)[0]).toMatchObject({ status: 'delivered', lastStatusCode: 200, lastError: null });
+	});
+
+	it('should delete deliveries with their webhook', () => {
+		const hook = repo.create({ url: 'http://crm', secret: 'k', events: ['*'] });
+		repo.enqueue(event('customer.created'));
+		expect(repo.remove(hook.id)).toBe(true);
+		expect(getDb().prepare(`SELECT COUNT(*) AS n FROM webhook_outbox`).get().n).toBe(0);
+		expect(repo.remove(hook.id)).toBe(false);
+	});
+});
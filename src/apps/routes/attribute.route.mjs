@@ -0,0 +1,111 @@
+import { Router } from 'express';
+import controller from '../controllers/attribute.controller.mjs';
+import { authorize } from '../../middlewares/auth.middleware.mjs';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attributes
+ *   description: Registry of custom customer attributes
+ */
+
+/**
+ * @swagger
+ * /api/attributes:
+ *   get:
+ *     summary: List the registered custom attributes
+ *     tags: [Attributes]
+ *     responses:
+ *       200:
+ *         description: Attribute definitions ordered by key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/AttributeDefinition' }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authorize('customers:read'), controller.listDefinitions);
+
+/**
+ * @swagger
+ * /api/attributes/{key}:
+ *   put:
+ *     summary: Register a custom attribute or change its definition
+ *     description: |
+ *       Only registered keys can be stored in a customer's `attributes`, and values must match the type.
+ *       A definition that is in use can only change if every stored value stays valid.
+ *     tags: [Attributes]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema: { type: string, pattern: '^[A-Za-z][A-Za-z0-9_]{0,63}$' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type: { type: string, enum: [string, number, boolean, date, enum] }
+ *               options: { type: array, items: { type: string }, description: 'Required for (and only allowed with) type enum' }
+ *               description: { type: string }
+ *     responses:
+ *       200:
+ *         description: Stored definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/AttributeDefinition' }
+ *       400:
+ *         description: Invalid key or definition
+ *       409:
+ *         description: Stored values would not match the new definition
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Remove a custom attribute from the registry
+ *     tags: [Attributes]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Attribute removed
+ *       404:
+ *         description: Attribute not registered
+ *       409:
+ *         description: Some customers still have a value for the attribute
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:key', authorize('attributes:manage'), controller.defineAttribute);
+router.delete('/:key', authorize('attributes:manage'), controller.removeDefinition);
+
+export default router;
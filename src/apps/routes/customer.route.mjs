@@ -1,5 +1,8 @@
 import { Router } from 'express';
 import controller from '../controllers/customer.controller.mjs';
+import { authorize } from '../../middlewares/auth.middleware.mjs';
+import requireIfMatch from '../../middlewares/precondition.middleware.mjs';
+import idempotency from '../../middlewares/idempotency.middleware.mjs';
 
 const router = Router();
 
@@ -16,6 +19,8 @@ const router = Router();
  *   post:
  *     summary: Create a new customer
  *     tags: [Customers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -29,11 +34,20 @@ const router = Router();
  *                 type: string
  *               phone:
  *                 type: string
+ *                 description: Stored in E.164. National numbers are read in the primary address country, else `DEFAULT_PHONE_REGION`.
+ *                 example: '+919876543210'
  *               email:
  *                 type: string
  *               accountType:
  *                 type: string
  *                 enum: [standard, premium, enterprise]
+ *               tags:
+ *                 type: array
+ *                 items: { type: string }
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Custom attributes; keys must be registered under /api/attributes and values must match their type
  *               addresses:
  *                 type: array
  *                 items:
@@ -46,6 +60,11 @@ const router = Router();
  *                     country: { type: string }
  *                     pincode: { type: string }
  *                     isPrimary: { type: boolean }
+ *                     addressType: { type: string, enum: [billing, shipping, home, work] }
+ *                     isDefaultBilling: { type: boolean }
+ *                     isDefaultShipping: { type: boolean }
+ *                     latitude: { type: number }
+ *                     longitude: { type: number }
  *                     status: { type: string, enum: [active, inactive] }
  *     responses:
  *       201:
@@ -53,11 +72,176 @@ const router = Router();
  *       400:
  *         description: Validation error
  *       409:
- *         description: Duplicate phone/email
+ *         description: Duplicate phone/email, or a request with the same Idempotency-Key is still in progress
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authorize('customers:create'), idempotency, controller.create);
+
+/**
+ * @swagger
+ * /api/customers/import:
+ *   post:
+ *     summary: Bulk import customers from CSV or NDJSON
+ *     description: |
+ *       Every row is validated like `POST /api/customers` and the response reports the outcome per row.
+ *       CSV uploads use the columns `firstName,lastName,phone,email,accountType` plus numbered address
+ *       columns such as `address1.line1`, `address1.city`, `address2.pincode`. NDJSON uploads contain one
+ *       create payload per line. The format is taken from `format` or the Content-Type.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, ndjson] }
+ *       - in: query
+ *         name: mode
+ *         description: "`atomic` rolls back everything if any row fails; `bestEffort` keeps the valid rows."
+ *         schema: { type: string, enum: [atomic, bestEffort], default: atomic }
+ *       - in: query
+ *         name: dryRun
+ *         description: Validate and report without saving anything.
+ *         schema: { type: boolean, default: false }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string }
+ *         application/x-ndjson:
+ *           schema: { type: string }
+ *     responses:
+ *       201:
+ *         description: Rows were committed; see `data.results` for any skipped rows
+ *       200:
+ *         description: Nothing was committed (dry run, failed atomic import or no valid rows)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer }
+ *                     succeeded: { type: integer }
+ *                     failed: { type: integer }
+ *                     committed: { type: boolean }
+ *                     dryRun: { type: boolean }
+ *                     mode: { type: string }
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row: { type: integer }
+ *                           ok: { type: boolean }
+ *                           status: { type: integer }
+ *                           id: { type: integer }
+ *                           code: { type: string, example: VALIDATION_FAILED }
+ *                           error: { type: string }
+ *                           errors: { type: array, items: { $ref: '#/components/schemas/ErrorIssue' } }
+ *       400:
+ *         description: Malformed CSV or unknown mode
+ *       415:
+ *         description: Unsupported upload format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/import', authorize('customers:create'), controller.importCustomers);
+
+/**
+ * @swagger
+ * /api/customers/batch:
+ *   post:
+ *     summary: Apply many customer operations in one request
+ *     description: |
+ *       Operations run in order through the same logic (and with the same permissions) as the
+ *       single-customer routes. With `atomic: true` everything runs in one transaction and any failure
+ *       rolls the whole batch back; otherwise successful operations are kept. Every result carries the
+ *       status, error `code`, message and field `errors` the matching route would have returned. `ifMatch` is optional
+ *       here; when given it is checked like the `If-Match` header. Addresses are geocoded after the batch commits.
+ *     tags: [Customers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operations]
+ *             properties:
+ *               atomic: { type: boolean, default: false }
+ *               operations:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required: [op]
+ *                   properties:
+ *                     op: { type: string, enum: [create, update, delete, addAddress, updateAddress, deleteAddress, setPrimary, addTags, removeTags] }
+ *                     id: { type: integer, description: Customer ID (all operations except create) }
+ *                     addressId: { type: integer, description: For updateAddress, deleteAddress and setPrimary }
+ *                     data: { type: object, description: "Request body of the matching route (tags operations take `{ tags }`)" }
+ *                     ifMatch: { type: string, example: '"3"' }
+ *           example:
+ *             atomic: true
+ *             operations:
+ *               - { op: update, id: 12, data: { accountType: premium } }
+ *               - { op: setPrimary, id: 12, addressId: 30 }
+ *               - { op: addTags, id: 14, data: { tags: [vip] } }
+ *     responses:
+ *       200:
+ *         description: Per-operation report; `success` is false if any operation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer }
+ *                     succeeded: { type: integer }
+ *                     failed: { type: integer }
+ *                     committed: { type: boolean }
+ *                     atomic: { type: boolean }
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index: { type: integer }
+ *                           op: { type: string }
+ *                           ok: { type: boolean }
+ *                           status: { type: integer }
+ *                           data: { type: object, description: What the matching route returns; omitted when rolled back }
+ *                           code: { type: string, example: VALIDATION_FAILED }
+ *                           error: { type: string }
+ *                           errors: { type: array, items: { $ref: '#/components/schemas/ErrorIssue' } }
+ *       400:
+ *         description: Malformed batch (unknown operation, missing id, too many operations)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.post('/', controller.create);
+router.post('/batch', authorize('customers:update'), idempotency, controller.batch);
 
 /**
  * @swagger
@@ -69,7 +253,7 @@ router.post('/', controller.create);
  *       - in: query
  *         name: q
  *         schema: { type: string }
- *         description: Search by name, phone, email, address
+ *         description: Full-text prefix search over name, phone, email and address (all words must match)
  *       - in: query
  *         name: city
  *         schema: { type: string }
@@ -80,27 +264,351 @@ router.post('/', controller.create);
  *         name: pincode
  *         schema: { type: string }
  *       - in: query
+ *         name: addressType
+ *         schema: { type: string, enum: [billing, shipping, home, work] }
+ *       - in: query
+ *         name: hasShippingAddressIn
+ *         description: Only customers whose default shipping address is in this city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: hasBillingAddressIn
+ *         description: Only customers whose default billing address is in this city
+ *         schema: { type: string }
+ *       - in: query
  *         name: onlyOneAddress
  *         schema: { type: string, enum: [true, false] }
  *       - in: query
+ *         name: tags
+ *         description: Comma-separated tag names, e.g. `vip,wholesale`
+ *         schema: { type: string }
+ *       - in: query
+ *         name: tagsMatch
+ *         description: Whether customers need `any` or `all` of `tags`
+ *         schema: { type: string, enum: [any, all], default: any }
+ *       - in: query
+ *         name: attr.<key>
+ *         description: "Custom attribute filter, e.g. `attr.loyaltyTier=gold`. Add an operator for comparisons: `attr.creditLimit[gte]=1000` (eq, ne, gt, gte, lt, lte; ranges need number or date attributes)."
+ *         schema: { type: string }
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         description: |
+ *           Structured filters as `filter[<field>]=value` or `filter[<field>][<op>]=value`, ANDed with each other and the filters above. Invalid filters are rejected with 400 `INVALID_FILTER`, listing each problem in `errors`.
+ *
+ *           | Fields | Operators |
+ *           |---|---|
+ *           | firstName, lastName, email, phone, addresses.line1, addresses.line2, addresses.city, addresses.state, addresses.country, addresses.pincode | eq, ne, in, nin, contains, startsWith, exists |
+ *           | accountType (standard, premium, enterprise), addresses.status (active, inactive), addresses.addressType (billing, shipping, home, work) | eq, ne, in, nin, exists |
+ *           | id | eq, ne, in, nin, gt, gte, lt, lte |
+ *           | createdAt, updatedAt, addresses.createdAt | eq, ne, gt, gte, lt, lte, exists |
+ *           | hasOnlyOneAddress, addresses.isPrimary, addresses.isDefaultBilling, addresses.isDefaultShipping | eq, ne (`true`/`false`) |
+ *
+ *           `eq` is the default. `in`/`nin` take comma-separated values, `exists` takes `true` or `false`, and `ne`/`nin` also match missing values. Text compares case-insensitively. Dates are `YYYY-MM-DD` (compared by calendar day) or ISO 8601 datetimes. A customer matches address conditions when one of its addresses meets all of them.
+ *         schema: { type: object, additionalProperties: true }
+ *         example: { accountType: { in: 'premium,enterprise' }, createdAt: { gte: '2025-01-01' }, email: { exists: 'false' }, addresses.status: inactive }
+ *       - in: query
  *         name: page
  *         schema: { type: integer, default: 1 }
  *       - in: query
  *         name: limit
  *         schema: { type: integer, default: 10 }
  *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: Opaque keyset cursor from `meta.nextCursor` / `meta.prevCursor`. Overrides `page`; must be used with the same sort it was issued for.
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: '-createdAt', example: '-createdAt,lastName,primaryAddress.city' }
+ *         description: "Up to 5 comma-separated fields, each ascending or, with a leading `-`, descending: id, firstName, lastName, email, phone, accountType, createdAt, updatedAt, primaryAddress.city, primaryAddress.state, primaryAddress.pincode, primaryAddress.country. Names, email and places compare case-insensitively; ties are broken by id. `relevance` orders `q` matches by bm25 relevance and `distance` orders `near` matches nearest-first. Other fields are rejected with 400 `INVALID_SORT`."
+ *       - in: query
  *         name: sortBy
- *         schema: { type: string, default: createdAt }
+ *         deprecated: true
+ *         schema: { type: string }
+ *         description: Single sort field; use `sort` instead.
  *       - in: query
  *         name: sortDir
+ *         deprecated: true
  *         schema: { type: string, enum: [ASC, DESC], default: DESC }
+ *       - in: query
+ *         name: near
+ *         description: "`lat,lng`; only customers with a geocoded address within `radiusKm`. Results are sorted nearest-first unless `sort` is given, and each item has `distanceKm`."
+ *         schema: { type: string, example: '18.5204,73.8567' }
+ *       - in: query
+ *         name: radiusKm
+ *         schema: { type: number, default: 5, maximum: 500 }
+ *       - in: query
+ *         name: includeDeleted
+ *         schema: { type: string, enum: [true, false], default: false }
+ *         description: Include soft-deleted customers (admin only)
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Include'
  *     responses:
  *       200:
- *         description: Paginated list of customers
+ *         description: Paginated list of customers. `meta.nextCursor` / `meta.prevCursor` are `null` at either end.
+ *       400:
+ *         description: Invalid cursor, `near`, `tagsMatch` or attribute filter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.get('/', controller.list);
+router.get('/', authorize('customers:read'), controller.list);
+
+/**
+ * @swagger
+ * /api/customers/export:
+ *   get:
+ *     summary: Export customers as CSV or NDJSON
+ *     description: |
+ *       Streams every customer matching the list filters (no page size cap), in the requested sort order.
+ *       CSV in the default `columns` layout uses the same `addressN.field` columns as the import.
+ *       CSV text that a spreadsheet would run as a formula (starting with `=`, `@`, tab, carriage return,
+ *       or `+`/`-` other than an E.164 phone) is prefixed with `'`.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, ndjson], default: csv }
+ *       - in: query
+ *         name: addressLayout
+ *         schema: { type: string, enum: [columns, rows, nested] }
+ *         description: "`columns` puts addresses side by side (CSV default), `rows` writes one row per address, `nested` keeps an `addresses` array (NDJSON only, its default)"
+ *       - in: query
+ *         name: fields
+ *         schema: { type: string }
+ *         description: Comma-separated whitelist of customer fields and `address.<field>` entries, e.g. `id,firstName,phone,address.city`
+ *       - in: query
+ *         name: bom
+ *         schema: { type: string, enum: [true, false], default: false }
+ *         description: Start CSV output with a UTF-8 byte order mark so Excel detects the encoding
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *       - in: query
+ *         name: city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: state
+ *         schema: { type: string }
+ *       - in: query
+ *         name: pincode
+ *         schema: { type: string }
+ *       - in: query
+ *         name: addressType
+ *         schema: { type: string, enum: [billing, shipping, home, work] }
+ *       - in: query
+ *         name: hasShippingAddressIn
+ *         description: Only customers whose default shipping address is in this city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: hasBillingAddressIn
+ *         description: Only customers whose default billing address is in this city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: onlyOneAddress
+ *         schema: { type: string, enum: [true, false] }
+ *       - in: query
+ *         name: tags
+ *         description: Comma-separated tag names, e.g. `vip,wholesale`
+ *         schema: { type: string }
+ *       - in: query
+ *         name: tagsMatch
+ *         description: Whether customers need `any` or `all` of `tags`
+ *         schema: { type: string, enum: [any, all], default: any }
+ *       - in: query
+ *         name: attr.<key>
+ *         description: "Custom attribute filter, e.g. `attr.loyaltyTier=gold`. Add an operator for comparisons: `attr.creditLimit[gte]=1000` (eq, ne, gt, gte, lt, lte; ranges need number or date attributes)."
+ *         schema: { type: string }
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         description: Structured filters, as for the customer list, e.g. `filter[createdAt][gte]=2025-01-01`.
+ *         schema: { type: object, additionalProperties: true }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, default: '-createdAt', example: '-createdAt,lastName' }
+ *         description: Sort fields, as for the customer list.
+ *       - in: query
+ *         name: sortBy
+ *         deprecated: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sortDir
+ *         deprecated: true
+ *         schema: { type: string, enum: [ASC, DESC], default: DESC }
+ *       - in: query
+ *         name: near
+ *         description: "`lat,lng`; only customers with a geocoded address within `radiusKm`. Rows are written nearest-first unless `sort` is given."
+ *         schema: { type: string, example: '18.5204,73.8567' }
+ *       - in: query
+ *         name: radiusKm
+ *         schema: { type: number, default: 5, maximum: 500 }
+ *       - in: query
+ *         name: includeDeleted
+ *         schema: { type: string, enum: [true, false], default: false }
+ *         description: Include soft-deleted customers (admin only)
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *       400:
+ *         description: Unknown format, layout or field
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/export', authorize('customers:read'), controller.exportCustomers);
+
+/**
+ * @swagger
+ * /api/customers/duplicates:
+ *   get:
+ *     summary: List likely duplicate customers
+ *     description: |
+ *       Pairs of active customers scored between 0 and 1 from a shared normalized phone (0.4),
+ *       a shared case-insensitive email (0.3) and Jaro-Winkler similarity of first and last names (0.3).
+ *       Best match first.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: minScore
+ *         schema: { type: number, minimum: 0, maximum: 1, default: 0.5 }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: Paginated duplicate pairs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       score: { type: number, example: 0.685 }
+ *                       reasons:
+ *                         type: object
+ *                         properties:
+ *                           phone: { type: boolean }
+ *                           email: { type: boolean }
+ *                           firstName: { type: number }
+ *                           lastName: { type: number }
+ *                       customers:
+ *                         type: array
+ *                         items: { type: object }
+ *       400:
+ *         description: Invalid minScore
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/duplicates', authorize('customers:read'), controller.duplicates);
+
+/**
+ * @swagger
+ * /api/customers/stats:
+ *   get:
+ *     summary: Aggregate customer statistics
+ *     description: |
+ *       Counts over the customers matching the list filters of `GET /api/customers` (`q`, `city`, `state`, `pincode`,
+ *       `addressType`, `tags`, `attr.<key>`, `filter[...]`, `near`, `includeDeleted`, ...), for dashboards that
+ *       would otherwise page through the whole list. State and city counts include every customer with an
+ *       address there, so a customer with addresses in two cities counts towards both.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [day, week, month], default: month }
+ *         description: Bucket size for `newCustomers`; weeks are labelled by their Monday
+ *       - in: query
+ *         name: top
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 10 }
+ *         description: Most states and cities to return, largest first
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         description: Structured filters, as for the customer list, e.g. `filter[createdAt][gte]=2025-01-01`.
+ *         schema: { type: object, additionalProperties: true }
+ *       - in: query
+ *         name: includeDeleted
+ *         schema: { type: string, enum: [true, false], default: false }
+ *         description: Include soft-deleted customers (admin only)
+ *     responses:
+ *       200:
+ *         description: Customer statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer, example: 120 }
+ *                     byAccountType:
+ *                       type: array
+ *                       items: { type: object, properties: { accountType: { type: string }, count: { type: integer } } }
+ *                       example: [{ accountType: standard, count: 90 }, { accountType: premium, count: 30 }]
+ *                     byOnlyOneAddress:
+ *                       type: array
+ *                       items: { type: object, properties: { hasOnlyOneAddress: { type: boolean }, count: { type: integer } } }
+ *                     byState:
+ *                       type: array
+ *                       items: { type: object, properties: { state: { type: string }, count: { type: integer } } }
+ *                     byCity:
+ *                       type: array
+ *                       items: { type: object, properties: { city: { type: string }, state: { type: string }, count: { type: integer } } }
+ *                     newCustomers:
+ *                       type: object
+ *                       properties:
+ *                         interval: { type: string, enum: [day, week, month] }
+ *                         buckets:
+ *                           type: array
+ *                           items: { type: object, properties: { period: { type: string }, count: { type: integer } } }
+ *                           example: [{ period: '2025-08', count: 12 }, { period: '2025-09', count: 20 }]
+ *                     missing:
+ *                       type: object
+ *                       properties:
+ *                         email:
+ *                           type: object
+ *                           properties: { count: { type: integer, example: 6 }, share: { type: number, example: 0.05 } }
+ *                         primaryAddress:
+ *                           type: object
+ *                           properties: { count: { type: integer, example: 18 }, share: { type: number, example: 0.15 } }
+ *       400:
+ *         description: Invalid filter, interval or top
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/stats', authorize('customers:read'), controller.stats);
 
 /**
  * @swagger
@@ -113,27 +621,85 @@ router.get('/', controller.list);
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - in: query
+ *         name: includeDeleted
+ *         schema: { type: string, enum: [true, false], default: false }
+ *         description: Also return a soft-deleted customer (admin only)
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Include'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
- *         description: Customer details
+ *         description: Customer details; the `ETag` header carries its version
+ *         headers:
+ *           ETag: { schema: { type: string, example: '"3"' } }
+ *       304:
+ *         description: Not modified since the ETag in `If-None-Match`
  *       404:
  *         description: Customer not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', controller.getById);
+router.get('/:id', authorize('customers:read'), controller.getById);
+
+/**
+ * @swagger
+ * /api/customers/{id}/history:
+ *   get:
+ *     summary: Get the change history of a customer
+ *     description: Audit log entries for the customer and its addresses, newest first. Each entry has the acting user, the action, the changed entity and a before/after diff of the changed columns.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: Paginated audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/AuditEntry' }
+ *       404:
+ *         description: Customer not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/history', authorize('customers:read'), controller.history);
 
 /**
  * @swagger
  * /api/customers/{id}:
  *   patch:
  *     summary: Update customer details
+ *     description: Send the ETag from `GET /api/customers/{id}` in `If-Match`. If someone else changed the customer (or its addresses or tags) in the meantime the update is refused with 412, so edits are never silently overwritten. The same applies to every other write on an existing customer except restore.
  *     tags: [Customers]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -143,87 +709,290 @@ router.get('/:id', controller.getById);
  *             properties:
  *               firstName: { type: string }
  *               lastName: { type: string }
- *               phone: { type: string }
+ *               phone: { type: string, description: 'Normalized to E.164 using the primary address country' }
  *               email: { type: string }
  *               accountType: { type: string, enum: [standard, premium, enterprise] }
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Merged into the stored attributes; set a key to `null` to remove it
  *     responses:
  *       200:
  *         description: Updated customer
+ *       400:
+ *         description: Validation error (including a phone that is invalid for the region)
  *       404:
  *         description: Customer not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id', controller.update);
+router.patch('/:id', authorize('customers:update'), requireIfMatch, controller.update);
 
 /**
  * @swagger
  * /api/customers/{id}:
  *   delete:
- *     summary: Delete a customer
+ *     summary: Soft-delete a customer
+ *     description: Sets `deletedAt` on the customer and its addresses. Rows are purged after the retention period.
  *     tags: [Customers]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Customer deleted successfully
  *       404:
  *         description: Customer not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authorize('customers:delete'), requireIfMatch, controller.remove);
+
+/**
+ * @swagger
+ * /api/customers/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted customer
+ *     description: Restores the customer and the addresses that were deleted with it.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Customer restored
+ *       404:
+ *         description: Deleted customer not found
+ *       409:
+ *         description: Customer was merged into another customer and cannot be restored
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/restore', authorize('customers:restore'), controller.restore);
+
+/**
+ * @swagger
+ * /api/customers/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate customer into this one
+ *     description: |
+ *       Moves the duplicate's addresses to this customer (dropping their primary and default billing/shipping
+ *       flags where this customer already has such an address), then soft-deletes the duplicate with `mergedIntoId` set to this customer's id.
+ *       The survivor also gains the duplicate's tags and any custom attributes it does not have itself.
+ *       Runs in one transaction; both customers' histories record the merge.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Surviving customer
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [duplicateId]
+ *             properties:
+ *               duplicateId: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Customers merged; returns the survivor with its addresses
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Customer not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', controller.remove);
+router.post('/:id/merge', authorize('customers:delete'), requireIfMatch, controller.merge);
+
+/**
+ * @swagger
+ * /api/customers/{id}/tags:
+ *   post:
+ *     summary: Add tags to a customer
+ *     description: Unknown tag names are created. Tags the customer already has are ignored.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TagList' }
+ *     responses:
+ *       200:
+ *         description: Updated customer
+ *       400:
+ *         description: Missing or invalid tag names
+ *       404:
+ *         description: Customer not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Remove tags from a customer
+ *     description: Tags are given in the body or as `?tags=a,b`. Tags the customer does not have are ignored.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: query
+ *         name: tags
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TagList' }
+ *     responses:
+ *       200:
+ *         description: Updated customer
+ *       400:
+ *         description: Missing or invalid tag names
+ *       404:
+ *         description: Customer not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/tags', authorize('customers:update'), requireIfMatch, controller.addTags);
+router.delete('/:id/tags', authorize('customers:update'), requireIfMatch, controller.removeTags);
 
 /**
  * @swagger
  * /api/customers/{id}/addresses:
  *   post:
  *     summary: Add an address to a customer
+ *     description: |
+ *       For Indian addresses `city` and `state` may be omitted when the pincode is in the
+ *       directory (see `GET /api/pincodes/{pincode}`); a `state` that contradicts the pincode is rejected.
+ *       Addresses outside India need `city` and `state`.
  *     tags: [Customers]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [line1, pincode]
  *             properties:
  *               line1: { type: string }
  *               line2: { type: string }
  *               city: { type: string }
  *               state: { type: string }
- *               country: { type: string }
+ *               country: { type: string, default: India }
  *               pincode: { type: string }
  *               isPrimary: { type: boolean }
- *               status: { type: string, enum: [active, inactive] }
+ *               addressType: { type: string, enum: [billing, shipping, home, work] }
+ *               isDefaultBilling: { type: boolean, description: Make this the default billing address (unsets the previous one) }
+ *               isDefaultShipping: { type: boolean, description: Make this the default shipping address (unsets the previous one) }
+ *               latitude: { type: number, minimum: -90, maximum: 90, description: Give together with longitude; otherwise filled by the geocoder }
+ *               longitude: { type: number, minimum: -180, maximum: 180 }
+ *               status: { type: string, enum: [active, inactive], default: active }
  *     responses:
  *       201:
  *         description: Address added
+ *       400:
+ *         description: Validation error, including a state that does not match the pincode
  *       404:
  *         description: Customer not found
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.post('/:id/addresses', controller.addAddress);
+router.post('/:id/addresses', authorize('customers:update'), requireIfMatch, idempotency, controller.addAddress);
 
 /**
  * @swagger
  * /api/customers/{id}/addresses/{addressId}:
  *   patch:
  *     summary: Update a customer's address
+ *     description: |
+ *       Changing the pincode re-derives `city` and `state` from the directory unless they are part of the patch.
+ *       Changing any location field clears the coordinates and geocodes the address again, unless
+ *       `latitude`/`longitude` are part of the patch.
  *     tags: [Customers]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: addressId
  *         required: true
@@ -242,28 +1011,45 @@ router.post('/:id/addresses', controller.addAddress);
  *               country: { type: string }
  *               pincode: { type: string }
  *               isPrimary: { type: boolean }
+ *               addressType: { type: string, enum: [billing, shipping, home, work] }
+ *               isDefaultBilling: { type: boolean }
+ *               isDefaultShipping: { type: boolean }
+ *               latitude: { type: number }
+ *               longitude: { type: number }
  *               status: { type: string, enum: [active, inactive] }
+ *             minProperties: 1
  *     responses:
  *       200:
  *         description: Address updated
+ *       400:
+ *         description: Validation error (unknown field, wrong type, empty patch or state/pincode mismatch)
  *       404:
- *         description: Address not found
+ *         description: Customer not found, or the address does not exist or belongs to another customer
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/addresses/:addressId', controller.updateAddress);
+router.patch('/:id/addresses/:addressId', authorize('customers:update'), requireIfMatch, controller.updateAddress);
 
 /**
  * @swagger
  * /api/customers/{id}/addresses/{addressId}:
  *   delete:
- *     summary: Delete a customer's address
+ *     summary: Soft-delete a customer's address
  *     tags: [Customers]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: addressId
  *         required: true
@@ -272,11 +1058,53 @@ router.patch('/:id/addresses/:addressId', controller.updateAddress);
  *       200:
  *         description: Address deleted
  *       404:
- *         description: Address not found
+ *         description: Customer not found, or the address does not exist or belongs to another customer
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/addresses/:addressId', authorize('customers:update'), requireIfMatch, controller.deleteAddress);
+
+/**
+ * @swagger
+ * /api/customers/{id}/addresses/{addressId}/restore:
+ *   post:
+ *     summary: Restore a customer's soft-deleted address
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Address restored
+ *       404:
+ *         description: Deleted address not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id/addresses/:addressId', controller.deleteAddress);
+router.post('/:id/addresses/:addressId/restore', authorize('customers:update'), requireIfMatch, controller.restoreAddress);
 
 /**
  * @swagger
@@ -289,6 +1117,7 @@ router.delete('/:id/addresses/:addressId', controller.deleteAddress);
  *         name: id
  *         required: true
  *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -302,9 +1131,17 @@ router.delete('/:id/addresses/:addressId', controller.deleteAddress);
  *         description: Updated hasOnlyOneAddress flag
  *       404:
  *         description: Customer not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  */
-router.post('/:id/only-one-address', controller.markOnlyOneAddress);
+router.post('/:id/only-one-address', authorize('customers:update'), requireIfMatch, controller.markOnlyOneAddress);
 
 export default router;
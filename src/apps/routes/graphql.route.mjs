@@ -0,0 +1,100 @@
+import { Router } from 'express';
+import controller from '../controllers/graphql.controller.mjs';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: GraphQL
+ *   description: |
+ *     Customers and addresses over GraphQL. Queries mirror `GET /api/customers` and
+ *     `GET /api/customers/{id}`; mutations mirror the customer and address writes and are
+ *     validated exactly like them. Writes take the customer's `expectedVersion` instead of
+ *     an `If-Match` header. Each field checks the same permission as its REST endpoint.
+ *
+ *     Field errors come back with 200 in `errors`; their `extensions` carry the REST `code`,
+ *     `status`, validation `errors` and the `requestId`. Addresses of all customers on a page
+ *     are loaded with one query, and only when selected.
+ */
+
+/**
+ * @swagger
+ * /graphql:
+ *   post:
+ *     summary: Run a GraphQL query or mutation
+ *     tags: [GraphQL]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query]
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: 'query ($city: String) { customers(city: $city, limit: 5) { total items { id firstName addresses { city pincode } } } }'
+ *               variables: { type: object, example: { city: 'Pune' } }
+ *               operationName: { type: string }
+ *     responses:
+ *       200:
+ *         description: '`data`, plus `errors` for fields that failed'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { type: object, nullable: true }
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       message: { type: string }
+ *                       path: { type: array, items: { oneOf: [{ type: string }, { type: integer }] } }
+ *                       extensions:
+ *                         type: object
+ *                         properties:
+ *                           code: { type: string, example: VALIDATION_FAILED }
+ *                           status: { type: integer, example: 400 }
+ *                           errors: { type: array, items: { type: object } }
+ *                           requestId: { type: string }
+ *       400:
+ *         description: Missing query, or a query that does not parse or validate against the schema
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     summary: Run a GraphQL query
+ *     description: Queries only; mutations are answered with 405.
+ *     tags: [GraphQL]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: variables
+ *         description: JSON object
+ *         schema: { type: string }
+ *       - in: query
+ *         name: operationName
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: '`data`, plus `errors` for fields that failed'
+ *       400:
+ *         description: Missing query, or a query that does not parse or validate against the schema
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       405:
+ *         description: Mutations must be sent with POST
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', controller.execute);
+router.get('/', controller.execute);
+
+export default router;
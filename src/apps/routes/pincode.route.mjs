@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import controller from '../controllers/pincode.controller.mjs';
+import { authorize } from '../../middlewares/auth.middleware.mjs';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pincodes
+ *   description: Indian pincode directory
+ */
+
+/**
+ * @swagger
+ * /api/pincodes/{pincode}:
+ *   get:
+ *     summary: Look up a pincode
+ *     description: Returns the city, district and state the pincode belongs to. Used to auto-complete and check addresses.
+ *     tags: [Pincodes]
+ *     parameters:
+ *       - in: path
+ *         name: pincode
+ *         required: true
+ *         schema: { type: string, pattern: '^[1-9][0-9]{5}$' }
+ *     responses:
+ *       200:
+ *         description: Directory entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data: { $ref: '#/components/schemas/Pincode' }
+ *       400:
+ *         description: Pincode is not 6 digits
+ *       404:
+ *         description: Pincode not in the directory
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:pincode', authorize('customers:read'), controller.getByPincode);
+
+export default router;
@@ -0,0 +1,249 @@
+import { Router } from 'express';
+import controller from '../controllers/webhook.controller.mjs';
+import { authorize } from '../../middlewares/auth.middleware.mjs';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: |
+ *     Subscriptions to customer lifecycle events.
+ *
+ *     Events are queued in the same transaction as the change and POSTed to the webhook URL as JSON
+ *     (`{ id, type, createdAt, data }`). Each request carries `X-Webhook-Event`, `X-Webhook-Event-Id`,
+ *     `X-Webhook-Delivery`, `X-Webhook-Timestamp` (Unix seconds) and
+ *     `X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>`.
+ *     Any 2xx answer counts as delivered. Failures are retried with exponential backoff and, after
+ *     `WEBHOOK_MAX_ATTEMPTS` attempts, moved to the dead-letter list (`status=dead`).
+ *     Deliveries are at-least-once and not strictly ordered: use the event `id` to de-duplicate.
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url: { type: string, format: uri, example: 'https://crm.example.com/hooks/customers' }
+ *               secret: { type: string, minLength: 16, description: 'Signing secret; generated when omitted' }
+ *               events:
+ *                 type: array
+ *                 items: { $ref: '#/components/schemas/WebhookEventType' }
+ *               description: { type: string }
+ *     responses:
+ *       201:
+ *         description: Webhook created; the response includes the signing secret, which is not shown again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Webhook'
+ *                     - type: object
+ *                       properties:
+ *                         secret: { type: string }
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     summary: List webhooks
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks, oldest first (secrets omitted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Webhook' }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authorize('webhooks:manage'), controller.create);
+router.get('/', authorize('webhooks:manage'), controller.list);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Webhook (secret omitted)
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ *   patch:
+ *     summary: Update a webhook
+ *     description: Setting `active` to false pauses deliveries; events keep being queued and are sent once it is reactivated.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url: { type: string, format: uri }
+ *               secret: { type: string, minLength: 16 }
+ *               events:
+ *                 type: array
+ *                 items: { $ref: '#/components/schemas/WebhookEventType' }
+ *               description: { type: string }
+ *               active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Updated webhook
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a webhook and its deliveries
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', authorize('webhooks:manage'), controller.getById);
+router.patch('/:id', authorize('webhooks:manage'), controller.update);
+router.delete('/:id', authorize('webhooks:manage'), controller.remove);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List a webhook's deliveries
+ *     description: Newest first. Use `status=dead` for the dead-letter list.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, delivered, dead] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: Paginated deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       400:
+ *         description: Unknown status
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/deliveries', authorize('webhooks:manage'), controller.deliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/retry:
+ *   post:
+ *     summary: Requeue a dead delivery
+ *     description: The delivery gets a fresh set of attempts and is sent on the next dispatcher run.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Delivery requeued
+ *       404:
+ *         description: Webhook or dead delivery not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/deliveries/:deliveryId/retry', authorize('webhooks:manage'), controller.retryDelivery);
+
+export default router;
@@ -0,0 +1,209 @@
+import Joi from 'joi';
+import AttributeRepository from '../repositories/attribute.repository.mjs';
+import { BadRequestError, ConflictError, NotFoundError, ValidationError, toPointer } from '../../utils/error.utils.mjs';
+
+/** Attribute keys: a letter followed by letters, digits or underscores. */
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+/** Calendar dates are stored as `YYYY-MM-DD` strings so they sort and compare as text. */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Comparison operators accepted in `attr.<key>[op]` filters. */
+const FILTER_OPERATORS = { eq: '=', ne: 'IS NOT', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/** Operators that only make sense for ordered types. */
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Check a date string is a real calendar date.
+ * @param {string} value - `YYYY-MM-DD`.
+ * @returns {boolean}
+ */
+function isDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(value);
+}
+
+/**
+ * Use case class for custom customer attributes: the registry of allowed keys and
+ * types, validation of attribute values, and attribute filters for list queries.
+ */
+class AttributeUsecase {
+  constructor() {
+    /** @type {AttributeRepository} */
+    this.repo = new AttributeRepository();
+  }
+
+  /**
+   * Joi schema for an attribute definition.
+   * `options` lists the allowed values of an `enum` attribute and is not allowed for other types.
+   * @type {Joi.ObjectSchema}
+   */
+  get definitionSchema() {
+    return Joi.object({
+      type: Joi.string().valid('string', 'number', 'boolean', 'date', 'enum').required(),
+      options: Joi.when('type', {
+        is: 'enum',
+        then: Joi.array().items(Joi.string().trim().min(1)).min(1).unique().required(),
+        otherwise: Joi.forbidden(),
+      }),
+      description: Joi.string().allow('', null),
+    });
+  }
+
+  /**
+   * List the registered attributes.
+   * @returns {Promise<Object[]>}
+   */
+  async listDefinitions() {
+    return this.repo.findAll();
+  }
+
+  /**
+   * Register an attribute or change its definition.
+   * A definition that is in use may only change in ways that keep every stored value valid.
+   * @param {string} key - Attribute key.
+   * @param {Object} payload - Definition (see `definitionSchema`).
+   * @returns {Promise<Object>} The stored definition.
+   * @throws {BadRequestError|ValidationError} 400 for an invalid key or definition.
+   * @throws {ConflictError} 409 if stored values would no longer be valid (listed in `errors`).
+   */
+  async defineAttribute(key, payload) {
+    if (!KEY_PATTERN.test(String(key))) {
+      throw new BadRequestError('Attribute keys start with a letter and contain only letters, digits and underscores (max 64)', {
+        code: 'INVALID_ATTRIBUTE_KEY',
+      });
+    }
+    const { error, value } = this.definitionSchema.validate(payload, { abortEarly: false });
+    if (error) throw ValidationError.fromJoi(error);
+
+    const invalid = this.repo.distinctValues(key).filter(v => this.checkValue(value, v) !== null);
+    if (invalid.length) {
+      throw new ConflictError(`Attribute "${key}" has stored values that the new definition rejects`, {
+        code: 'ATTRIBUTE_VALUES_REJECTED',
+        errors: invalid.slice(0, 10).map(v => ({ message: `${JSON.stringify(v)} is stored on customers`, code: 'attribute.stored' })),
+      });
+    }
+    return this.repo.upsert({ key, ...value, options: value.options || null, description: value.description || null });
+  }
+
+  /**
+   * Remove an attribute from the registry.
+   * @param {string} key - Attribute key.
+   * @returns {Promise<{deletedKey:string}>}
+   * @throws {NotFoundError|ConflictError} 404 if unknown, 409 while customers still have a value for it.
+   */
+  async removeDefinition(key) {
+    if (!this.repo.findByKey(key)) throw new NotFoundError('Attribute not found', { code: 'ATTRIBUTE_NOT_FOUND' });
+    if (this.repo.distinctValues(key).length) {
+      throw new ConflictError(`Attribute "${key}" is still set on customers; clear it first`, { code: 'ATTRIBUTE_IN_USE' });
+    }
+    this.repo.remove(key);
+    return { deletedKey: key };
+  }
+
+  /**
+   * Check one value against a definition.
+   * @param {{type:string, options?:string[]|null}} definition - Attribute definition.
+   * @param {*} value - Value from a request body.
+   * @returns {string|null} What is wrong (to follow the attribute name), or `null` if valid.
+   */
+  checkValue(definition, value) {
+    switch (definition.type) {
+      case 'string': return typeof value === 'string' ? null : 'must be a string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+      case 'boolean': return typeof value === 'boolean' ? null : 'must be a boolean';
+      case 'date': return typeof value === 'string' && isDate(value) ? null : 'must be a date (YYYY-MM-DD)';
+      case 'enum': return definition.options.includes(value) ? null : `must be one of [${definition.options.join(', ')}]`;
+      default: return 'has an unknown type';
+    }
+  }
+
+  /**
+   * Validate custom attribute values against the registry.
+   * @param {Object} attributes - Key/value pairs.
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Allow `null` values (they remove the attribute in an update).
+   * @returns {Object} The same attributes.
+   * @throws {ValidationError} 400 for unknown keys or values of the wrong type.
+   */
+  validateValues(attributes, { partial = false } = {}) {
+    const errors = [];
+    const issue = (key, message, code) => ({ field: toPointer(['attributes', key]), message: `"attributes.${key}" ${message}`, code });
+    for (const [key, value] of Object.entries(attributes)) {
+      const definition = this.repo.findByKey(key);
+      if (!definition) { errors.push(issue(key, 'is not a registered attribute', 'attribute.unknown')); continue; }
+      if (value === null && partial) continue;
+      const problem = this.checkValue(definition, value);
+      if (problem) errors.push(issue(key, problem, `attribute.${definition.type}`));
+    }
+    if (errors.length) throw new ValidationError('Validation failed', { errors });
+    return attributes;
+  }
+
+  /**
+   * Translate `attr.<key>=value` and `attr.<key>[op]=value` query params into SQL
+   * conditions on `customers.attributes`. Query values are read according to the
+   * attribute's type; `ne` also matches customers without the attribute.
+   *
+   * @param {Object} query - Query params.
+   * @returns {{filters:string[], params:Object}}
+   * @throws {BadRequestError} 400 for unknown attributes or operators, or unreadable values.
+   *
+   * @example
+   * buildFilters({ 'attr.loyaltyTier': 'gold', 'attr.creditLimit[gte]': '1000' });
+   * // => { filters: ['json_extract(customers.attributes, @attrPath0) = @attrValue0', …], params: { attrPath0: '$."loyaltyTier"', attrValue0: 'gold', … } }
+   */
+  buildFilters(query) {
+    const filters = [];
+    const params = {};
+    let i = 0;
+
+    for (const [param, raw] of Object.entries(query)) {
+      const m = param.match(/^attr\.([^[\]]+)(?:\[(\w+)\])?$/);
+      if (!m) continue;
+      const [, key, op = 'eq'] = m;
+
+      const definition = KEY_PATTERN.test(key) ? this.repo.findByKey(key) : null;
+      if (!definition) throw new BadRequestError(`Unknown attribute "${key}"`, { code: 'INVALID_QUERY' });
+      if (!FILTER_OPERATORS[op]) {
+        throw new BadRequestError(`Unknown operator "${op}" (use ${Object.keys(FILTER_OPERATORS).join(', ')})`, { code: 'INVALID_QUERY' });
+      }
+      if (RANGE_OPERATORS.includes(op) && !['number', 'date'].includes(definition.type)) {
+        throw new BadRequestError(`Operator "${op}" needs a number or date attribute`, { code: 'INVALID_QUERY' });
+      }
+
+      const value = this.readQueryValue(definition, Array.isArray(raw) ? raw[raw.length - 1] : raw);
+      if (value === undefined) {
+        throw new BadRequestError(`Invalid value for attribute "${key}": ${this.checkValue(definition, undefined)}`, {
+          code: 'INVALID_QUERY',
+        });
+      }
+      filters.push(`json_extract(customers.attributes, @attrPath${i}) ${FILTER_OPERATORS[op]} @attrValue${i}`);
+      params[`attrPath${i}`] = `$."${key}"`;
+      params[`attrValue${i}`] = value;
+      i++;
+    }
+    return { filters, params };
+  }
+
+  /**
+   * Read a query-string value as the attribute's type, in the form `json_extract` returns it.
+   * @param {{type:string, options?:string[]|null}} definition - Attribute definition.
+   * @param {string} raw - Query value.
+   * @returns {string|number|undefined} `undefined` if the value cannot be read.
+   */
+  readQueryValue(definition, raw) {
+    const text = String(raw ?? '');
+    switch (definition.type) {
+      case 'number': return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+      case 'boolean': return text === 'true' ? 1 : text === 'false' ? 0 : undefined;
+      case 'date': return isDate(text) ? text : undefined;
+      case 'enum': return definition.options.includes(text) ? text : undefined;
+      default: return text;
+    }
+  }
+}
+
+export default new AttributeUsecase();
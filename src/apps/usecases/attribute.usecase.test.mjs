@@ -0,0 +1,109 @@
+// attribute.usecase.test.mjs
+import AttributeUsecase from './attribute.usecase.mjs';
+
+jest.mock('../repositories/attribute.repository.mjs');
+
+describe('AttributeUsecase', () => {
+  let usecase;
+  let stored;
+  const registry = {
+    loyaltyTier: { key: 'loyaltyTier', type: 'enum', options: ['silver', 'gold'] },
+    creditLimit: { key: 'creditLimit', type: 'number', options: null },
+    renewsOn: { key: 'renewsOn', type: 'date', options: null },
+    gstRegistered: { key: 'gstRegistered', type: 'boolean', options: null },
+    notes: { key: 'notes', type: 'string', options: null },
+  };
+
+  beforeEach(() => {
+    stored = [];
+    usecase = new (AttributeUsecase.constructor)();
+    usecase.repo = {
+      findByKey: jest.fn(k => registry[k] || null),
+      distinctValues: jest.fn(() => stored),
+      upsert: jest.fn(d => d),
+      remove: jest.fn().mockReturnValue(true),
+    };
+  });
+
+  describe('defineAttribute', () => {
+    it('should store a valid definition', async () => {
+      await expect(usecase.defineAttribute('segment', { type: 'enum', options: ['a', 'b'] }))
+        .resolves.toEqual({ key: 'segment', type: 'enum', options: ['a', 'b'], description: null });
+    });
+
+    it('should reject bad keys, missing enum options and options on other types', async () => {
+      await expect(usecase.defineAttribute('1st', { type: 'string' })).rejects.toMatchObject({ status: 400 });
+      await expect(usecase.defineAttribute('segment', { type: 'enum' })).rejects.toMatchObject({ status: 400 });
+      await expect(usecase.defineAttribute('segment', { type: 'number', options: ['x'] })).rejects.toMatchObject({ status: 400 });
+      expect(usecase.repo.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should 409 when stored values would no longer be valid', async () => {
+      stored = ['silver', 'gold'];
+      await expect(usecase.defineAttribute('loyaltyTier', { type: 'enum', options: ['gold', 'platinum'] }))
+        .rejects.toMatchObject({ status: 409, code: 'ATTRIBUTE_VALUES_REJECTED', errors: [{ message: '"silver" is stored on customers' }] });
+      await expect(usecase.defineAttribute('loyaltyTier', { type: 'enum', options: ['silver', 'gold', 'platinum'] }))
+        .resolves.toMatchObject({ options: ['silver', 'gold', 'platinum'] });
+    });
+  });
+
+  describe('removeDefinition', () => {
+    it('should 404 for unknown keys and 409 while values are stored', async () => {
+      await expect(usecase.removeDefinition('nope')).rejects.toMatchObject({ status: 404 });
+      stored = [1000];
+      await expect(usecase.removeDefinition('creditLimit')).rejects.toMatchObject({ status: 409 });
+      stored = [];
+      await expect(usecase.removeDefinition('creditLimit')).resolves.toEqual({ deletedKey: 'creditLimit' });
+    });
+  });
+
+  describe('validateValues', () => {
+    it('should accept values of the registered types', () => {
+      const attrs = { loyaltyTier: 'gold', creditLimit: 5000, renewsOn: '2026-02-28', gstRegistered: true, notes: 'x' };
+      expect(usecase.validateValues(attrs)).toBe(attrs);
+    });
+
+    it('should report unknown keys and wrongly typed values', () => {
+      expect(() => usecase.validateValues({ foo: 1, creditLimit: '10', renewsOn: '2026-02-30', loyaltyTier: 'bronze' }))
+        .toThrow(expect.objectContaining({
+          status: 400,
+          errors: [
+            { field: '/attributes/foo', message: '"attributes.foo" is not a registered attribute', code: 'attribute.unknown' },
+            { field: '/attributes/creditLimit', message: '"attributes.creditLimit" must be a number', code: 'attribute.number' },
+            { field: '/attributes/renewsOn', message: '"attributes.renewsOn" must be a date (YYYY-MM-DD)', code: 'attribute.date' },
+            { field: '/attributes/loyaltyTier', message: '"attributes.loyaltyTier" must be one of [silver, gold]', code: 'attribute.enum' },
+          ],
+        }));
+    });
+
+    it('should allow nulls only in partial updates', () => {
+      expect(() => usecase.validateValues({ creditLimit: null })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(usecase.validateValues({ creditLimit: null }, { partial: true })).toEqual({ creditLimit: null });
+    });
+  });
+
+  describe('buildFilters', () => {
+    it('should build typed conditions for attribute params', () => {
+      const { filters, params } = usecase.buildFilters({
+        city: 'Pune', 'attr.loyaltyTier': 'gold', 'attr.creditLimit[gte]': '1000', 'attr.gstRegistered[ne]': 'true',
+      });
+      expect(filters).toEqual([
+        'json_extract(customers.attributes, @attrPath0) = @attrValue0',
+        'json_extract(customers.attributes, @attrPath1) >= @attrValue1',
+        'json_extract(customers.attributes, @attrPath2) IS NOT @attrValue2',
+      ]);
+      expect(params).toEqual({
+        attrPath0: '$."loyaltyTier"', attrValue0: 'gold',
+        attrPath1: '$."creditLimit"', attrValue1: 1000,
+        attrPath2: '$."gstRegistered"', attrValue2: 1,
+      });
+    });
+
+    it('should 400 on unknown attributes, operators and unreadable values', () => {
+      expect(() => usecase.buildFilters({ 'attr.foo': 'x' })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => usecase.buildFilters({ 'attr.creditLimit[between]': '1' })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => usecase.buildFilters({ 'attr.loyaltyTier[gt]': 'gold' })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => usecase.buildFilters({ 'attr.creditLimit': 'lots' })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+});
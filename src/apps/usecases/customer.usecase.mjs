@@ -1,7 +1,61 @@
 import Joi from 'joi';
 import customerRepository from '../repositories/customer.repository.mjs';
-import { escapeLike } from '../../utils/search.utils.mjs';
-import { parsePagination } from '../../utils/pagination.utils.mjs';
+import pincodeUsecase from './pincode.usecase.mjs';
+import attributeUsecase from './attribute.usecase.mjs';
+import webhookUsecase from './webhook.usecase.mjs';
+import { toFtsQuery, phoneSearchDigits } from '../../utils/search.utils.mjs';
+import { parsePagination, encodeCursor } from '../../utils/pagination.utils.mjs';
+import {
+  BadRequestError, ConflictError, ForbiddenError, NotFoundError, PreconditionFailedError, ValidationError, toAppError,
+} from '../../utils/error.utils.mjs';
+import { parseExportOptions, exportLines, EXPORT_CONTENT_TYPES } from '../../utils/export.utils.mjs';
+import { findDuplicatePairs } from '../../utils/duplicate.utils.mjs';
+import { toE164, regionForCountry } from '../../utils/phone.utils.mjs';
+import { parseNear, boundingBox, haversineSql, nearestDistanceKm } from '../../utils/geo.utils.mjs';
+import { parseIfMatch, versionMatches } from '../../utils/etag.utils.mjs';
+import { parseSort, formatSort } from '../../utils/sort.utils.mjs';
+import { parseFilters } from '../../utils/filter.utils.mjs';
+import { parseFieldset, pickFields } from '../../utils/fieldset.utils.mjs';
+import { getGeocoder } from '../geocoders/index.mjs';
+import phoneConfig from '../../infrastructures/config/phone.config.mjs';
+
+/** Thrown inside a transaction to discard its work without reporting an error. */
+const ROLLBACK = Symbol('rollback');
+
+/**
+ * Report a failed import row or batch operation the way the error handler would answer it.
+ * @param {unknown} err - What was thrown.
+ * @returns {{ok:false, status:number, code:string, error:string, errors?:import('../../utils/error.utils.mjs').ErrorIssue[]}}
+ */
+function failure(err) {
+  const { status, code, message, errors } = toAppError(err);
+  return { ok: false, status, code, error: message, ...(errors && { errors }) };
+}
+
+/** Address fields that determine where an address is; changing one invalidates its coordinates. */
+const LOCATION_FIELDS = ['line1', 'line2', 'city', 'state', 'country', 'pincode'];
+
+/** Tag names: lowercase letters, digits, `-` and `_`, starting with a letter or digit. */
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/** Batch operations and the permission each needs (the same as the matching single-customer route). */
+const BATCH_PERMISSIONS = {
+  create: 'customers:create',
+  update: 'customers:update',
+  delete: 'customers:delete',
+  addAddress: 'customers:update',
+  updateAddress: 'customers:update',
+  deleteAddress: 'customers:update',
+  setPrimary: 'customers:update',
+  addTags: 'customers:update',
+  removeTags: 'customers:update',
+};
+
+/** Batch operations that can leave addresses without coordinates. */
+const GEOCODED_BATCH_OPERATIONS = ['create', 'addAddress', 'updateAddress'];
+
+/** Upper bound on operations per batch request. */
+const MAX_BATCH_OPERATIONS = 1000;
 
 /**
  * Use case class handling customer business logic.
@@ -11,6 +65,17 @@ class CustomerUsecase {
   constructor() {
     /** @type {customerRepository} */
     this.repo = new customerRepository();
+    /** Pincode directory, used to complete and check Indian addresses. */
+    this.pincodes = pincodeUsecase;
+    /** Custom attribute registry, used to validate and filter `attributes`. */
+    this.attributes = attributeUsecase;
+    /** Webhook outbox; events are queued inside the transaction of the change they describe. */
+    this.webhooks = webhookUsecase;
+    /**
+     * Geocoder override; when `null` the `GEOCODER` provider is looked up on each use.
+     * @type {import('../geocoders/index.mjs').Geocoder|null}
+     */
+    this.geocoder = null;
   }
 
   // ---------- Validation Schemas ----------
@@ -26,21 +91,54 @@ class CustomerUsecase {
       phone: Joi.string().trim().min(6).required(),
       email: Joi.string().email().optional().allow('', null),
       accountType: Joi.string().valid('standard', 'premium', 'enterprise').default('standard'),
-      addresses: Joi.array().items(
-        Joi.object({
-          line1: Joi.string().required(),
-          line2: Joi.string().allow('', null),
-          city: Joi.string().required(),
-          state: Joi.string().required(),
-          country: Joi.string().default('India'),
-          pincode: Joi.string().required(),
-          isPrimary: Joi.boolean().optional(),
-          status: Joi.string().valid('active', 'inactive').default('active'),
-        })
-      ).optional()
+      attributes: Joi.object().optional(),
+      tags: this.tagListSchema.optional(),
+      addresses: Joi.array().items(this.addressSchema).optional()
     });
   }
 
+  /**
+   * Joi schema for a list of tag names. Names are lowercased; duplicates are rejected.
+   * @type {Joi.ArraySchema}
+   */
+  get tagListSchema() {
+    return Joi.array().items(Joi.string().trim().lowercase().pattern(TAG_PATTERN)).min(1).unique();
+  }
+
+  /**
+   * Joi schema for a new address, used on its own and for `createSchema.addresses`.
+   * `city` and `state` may be left out for Indian pincodes found in the directory
+   * (see `PincodeUsecase#completeAddress`). `latitude`/`longitude` go together; when
+   * omitted they are filled in by the geocoder after the write.
+   * @type {Joi.ObjectSchema}
+   */
+  get addressSchema() {
+    return Joi.object({
+      line1: Joi.string().required(),
+      line2: Joi.string().allow('', null),
+      city: Joi.string(),
+      state: Joi.string(),
+      country: Joi.string().default('India'),
+      pincode: Joi.string().required(),
+      isPrimary: Joi.boolean().optional(),
+      addressType: Joi.string().valid('billing', 'shipping', 'home', 'work').allow(null),
+      isDefaultBilling: Joi.boolean().optional(),
+      isDefaultShipping: Joi.boolean().optional(),
+      latitude: Joi.number().min(-90).max(90),
+      longitude: Joi.number().min(-180).max(180),
+      status: Joi.string().valid('active', 'inactive').default('active'),
+    }).and('latitude', 'longitude');
+  }
+
+  /**
+   * Joi schema for an address patch: the `addressSchema` rules with every field optional.
+   * Requires at least one field. Validate with `noDefaults` so that omitted fields stay untouched.
+   * @type {Joi.ObjectSchema}
+   */
+  get addressPatchSchema() {
+    return this.addressSchema.fork(['line1', 'pincode'], s => s.optional()).min(1);
+  }
+
   /**
    * Joi schema for validating customer update payload.
    * Requires at least one updatable field.
@@ -52,8 +150,46 @@ class CustomerUsecase {
       lastName: Joi.string().trim().optional(),
       phone: Joi.string().trim().min(6).optional(),
       email: Joi.string().email().optional(),
-      accountType: Joi.string().valid('standard', 'premium', 'enterprise').optional()
-    }).or('firstName', 'lastName', 'phone', 'email', 'accountType');
+      accountType: Joi.string().valid('standard', 'premium', 'enterprise').optional(),
+      attributes: Joi.object().min(1).optional()
+    }).or('firstName', 'lastName', 'phone', 'email', 'accountType', 'attributes');
+  }
+
+  /**
+   * Joi schema for validating a merge request.
+   * @type {Joi.ObjectSchema}
+   */
+  get mergeSchema() {
+    return Joi.object({
+      duplicateId: Joi.number().integer().positive().required()
+    });
+  }
+
+  /**
+   * Joi schema for a batch request. Only the shape of each operation is checked
+   * here; its `data` is validated by the operation itself.
+   * @type {Joi.ObjectSchema}
+   */
+  get batchSchema() {
+    const id = Joi.number().integer().positive();
+    return Joi.object({
+      atomic: Joi.boolean().default(false),
+      operations: Joi.array().min(1).max(MAX_BATCH_OPERATIONS).required().items(Joi.object({
+        op: Joi.string().valid(...Object.keys(BATCH_PERMISSIONS)).required(),
+        id: Joi.when('op', { is: 'create', then: Joi.forbidden(), otherwise: id.required() }),
+        addressId: Joi.when('op', {
+          is: Joi.valid('updateAddress', 'deleteAddress', 'setPrimary'),
+          then: id.required(),
+          otherwise: Joi.forbidden(),
+        }),
+        data: Joi.when('op', {
+          is: Joi.valid('delete', 'deleteAddress', 'setPrimary'),
+          then: Joi.forbidden(),
+          otherwise: Joi.object().required(),
+        }),
+        ifMatch: Joi.when('op', { is: 'create', then: Joi.forbidden(), otherwise: Joi.string() }),
+      })),
+    });
   }
 
   // ---------- Customer CRUD ----------
@@ -61,100 +197,530 @@ class CustomerUsecase {
   /**
    * Create a new customer with optional addresses.
    * Performs validation, duplicate checks, and address primary validation.
+   * The customer and its addresses are written in a single transaction.
    * @param {Object} payload - Customer input.
    * @param {string} payload.firstName - Customer first name.
    * @param {string} payload.lastName - Customer last name.
    * @param {string} payload.phone - Customer phone number (unique).
    * @param {string} [payload.email] - Optional email.
    * @param {string} [payload.accountType] - Account type.
+   * @param {Object} [payload.attributes] - Custom attributes; keys must be registered (see `AttributeUsecase`).
+   * @param {string[]} [payload.tags] - Tag names.
    * @param {Object[]} [payload.addresses] - Optional list of addresses.
    * @returns {Promise<Object>} Created customer with addresses.
-   * @throws {Error & {status:number, details?:string[]}} On validation or uniqueness errors.
+   * @throws {AppError} On validation or uniqueness errors.
    */
   async createCustomer(payload) {
-    const { error, value } = this.createSchema.validate(payload, { abortEarly: false });
-    if (error) {
-      const e = new Error('Validation failed');
-      e.status = 400;
-      e.details = error.details.map(d => d.message);
-      throw e;
-    }
+    const customer = this.repo.transaction(() => this.insertCustomer(this.validateNewCustomer(payload)));
+    return (await this.locateAddresses(customer.id)) ? this.repo.getCustomerById(customer.id) : customer;
+  }
+
+  /**
+   * Validate a new customer payload against the schema and existing data.
+   * @param {Object} payload - Customer input.
+   * @returns {Object} Validated payload with defaults applied.
+   * @throws {AppError} On validation or uniqueness errors.
+   */
+  validateNewCustomer(payload) {
+    const value = this.validate(this.createSchema, payload);
+    if (value.attributes) this.attributes.validateValues(value.attributes);
+    if (value.addresses) value.addresses = value.addresses.map((a, i) => this.pincodes.completeAddress(a, { pointer: `/addresses/${i}` }));
 
-    if (this.repo.existsByPhone(value.phone)) throw Object.assign(new Error('Phone already exists'), { status: 409 });
-    if (value.email && this.repo.existsByEmail(value.email)) throw Object.assign(new Error('Email already exists'), { status: 409 });
+    const primary = value.addresses && value.addresses.find(a => a.isPrimary);
+    value.phone = this.normalizePhone(value.phone, primary && primary.country);
+
+    if (this.repo.existsByPhone(value.phone)) throw this.taken('phone', 'Phone already exists');
+    if (value.email && this.repo.existsByEmail(value.email)) throw this.taken('email', 'Email already exists');
 
     if (value.addresses && value.addresses.filter(a => a.isPrimary).length > 1) {
-      throw Object.assign(new Error('Only one address can be primary'), { status: 400 });
+      throw new BadRequestError('Only one address can be primary', { code: 'MULTIPLE_PRIMARY_ADDRESSES' });
+    }
+    if (value.addresses && value.addresses.filter(a => a.isDefaultBilling).length > 1) {
+      throw new BadRequestError('Only one address can be the default billing address', { code: 'MULTIPLE_DEFAULT_BILLING_ADDRESSES' });
+    }
+    if (value.addresses && value.addresses.filter(a => a.isDefaultShipping).length > 1) {
+      throw new BadRequestError('Only one address can be the default shipping address', { code: 'MULTIPLE_DEFAULT_SHIPPING_ADDRESSES' });
     }
+    return value;
+  }
 
+  /**
+   * Normalize a phone number to E.164.
+   * National-format numbers are read in the region of `country` (usually the
+   * primary address country), falling back to `DEFAULT_PHONE_REGION`.
+   * @param {string} phone - Phone as entered.
+   * @param {string} [country] - Country name or ISO code.
+   * @returns {string} E.164 phone number.
+   * @throws {AppError} 400 if the number is invalid for that region.
+   */
+  normalizePhone(phone, country) {
+    return toE164(phone, regionForCountry(country) || phoneConfig.defaultRegion);
+  }
+
+  /**
+   * Insert a validated customer and its addresses, and queue `customer.created`.
+   * Callers are expected to run this inside `repo.transaction`.
+   * @param {Object} value - Output of {@link validateNewCustomer}.
+   * @returns {Object} Created customer with addresses.
+   */
+  insertCustomer(value) {
     const hasOnlyOneAddress = (value.addresses && value.addresses.length === 1) ? 1 : 0;
-    const customer = await this.repo.createCustomer({ ...value, hasOnlyOneAddress });
+    let customer = this.repo.createCustomer({ ...value, hasOnlyOneAddress });
 
     if (value.addresses && value.addresses.length) {
-      for (const addr of value.addresses) await this.repo.addAddress(customer.id, addr);
-      return this.repo.getCustomerById(customer.id);
+      for (const addr of value.addresses) this.repo.addAddress(customer.id, addr);
+      customer = this.repo.getCustomerById(customer.id);
     }
+    this.webhooks.publish('customer.created', { customer });
     return customer;
   }
 
+  /**
+   * Import many customers, reporting the outcome of every row.
+   *
+   * Each row is validated and inserted exactly like {@link createCustomer}, inside
+   * its own savepoint. In `atomic` mode any failing row rolls back the whole import;
+   * in `bestEffort` mode valid rows are kept and failures are only reported.
+   * A `dryRun` validates and reports everything, then rolls back.
+   * Addresses of committed rows are geocoded afterwards.
+   *
+   * @param {{row:number, payload?:Object, error?:string}[]} records - Parsed rows (see `parseCustomerImport`).
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Roll back after reporting.
+   * @param {'atomic'|'bestEffort'} [options.mode='atomic'] - Failure handling.
+   * @returns {Promise<{total:number, succeeded:number, failed:number, committed:boolean, dryRun:boolean, mode:string, results:Object[]}>}
+   *   Summary; `results[].id` is only present when the import was committed.
+   * @throws {AppError} 400 for an unknown mode.
+   */
+  async importCustomers(records, { dryRun = false, mode = 'atomic' } = {}) {
+    if (!['atomic', 'bestEffort'].includes(mode)) {
+      throw new BadRequestError('mode must be one of atomic, bestEffort', { code: 'INVALID_QUERY' });
+    }
+
+    const results = [];
+    let committed = false;
+    try {
+      this.repo.transaction(() => {
+        for (const { row, payload, error } of records) {
+          if (error) {
+            results.push({ row, ok: false, status: 400, code: 'MALFORMED_ROW', error });
+            continue;
+          }
+          try {
+            const customer = this.repo.transaction(() => this.insertCustomer(this.validateNewCustomer(payload)));
+            results.push({ row, ok: true, status: 201, id: customer.id });
+          } catch (err) {
+            results.push({ row, ...failure(err) });
+          }
+        }
+        if (dryRun || (mode === 'atomic' && results.some(r => !r.ok))) throw ROLLBACK;
+      });
+      committed = true;
+    } catch (err) {
+      if (err !== ROLLBACK) throw err;
+    }
+
+    if (!committed) for (const r of results) delete r.id;
+    for (const r of results) if (r.id) await this.locateAddresses(r.id);
+    const succeeded = results.filter(r => r.ok).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded, committed, dryRun, mode, results };
+  }
+
+  /**
+   * Apply many operations in one request, reporting the outcome of each.
+   *
+   * Operations run in order through the same code as the single-customer routes,
+   * each inside its own savepoint of one transaction. With `atomic: true` any
+   * failing operation rolls back the whole batch; otherwise successful operations
+   * are kept and failures are only reported. Each failed result carries the status,
+   * `code`, message and field `errors` that the matching route would have answered with.
+   * Addresses written by a committed batch are geocoded afterwards, and the last result
+   * of each customer geocoded is re-read so its `version` is current.
+   *
+   * @param {Object} payload - Batch request (see `batchSchema`).
+   * @param {boolean} [payload.atomic=false] - All or nothing.
+   * @param {{op:string, id?:number, addressId?:number, data?:Object, ifMatch?:string}[]} payload.operations
+   *   Operations: `create` (data), `update` (id, data), `delete` (id), `addAddress` (id, data),
+   *   `updateAddress` (id, addressId, data), `deleteAddress` (id, addressId), `setPrimary` (id, addressId),
+   *   `addTags` / `removeTags` (id, data: `{ tags }`). `ifMatch` is an optional ETag checked like `If-Match`.
+   * @param {Object} [options]
+   * @param {(permission:string) => boolean} [options.can] - Whether the caller holds a permission;
+   *   operations it does not allow fail with 403.
+   * @returns {Promise<{total:number, succeeded:number, failed:number, committed:boolean, atomic:boolean, results:Object[]}>}
+   *   Summary; `results[].data` is only present when the batch was committed.
+   * @throws {AppError} 400 if the batch itself is malformed.
+   */
+  async runBatch(payload, { can = () => true } = {}) {
+    const { atomic, operations } = this.validate(this.batchSchema, payload);
+
+    const results = [];
+    let committed = false;
+    try {
+      this.repo.transaction(() => {
+        operations.forEach((operation, index) => {
+          const { op } = operation;
+          try {
+            if (!can(BATCH_PERMISSIONS[op])) {
+              throw new ForbiddenError(`Missing permission: ${BATCH_PERMISSIONS[op]}`, { code: 'MISSING_PERMISSION' });
+            }
+            const data = this.repo.transaction(() => this.runBatchOperation(operation));
+            results.push({ index, op, ok: true, status: ['create', 'addAddress'].includes(op) ? 201 : 200, data });
+          } catch (err) {
+            results.push({ index, op, ...failure(err) });
+          }
+        });
+        if (atomic && results.some(r => !r.ok)) throw ROLLBACK;
+      });
+      committed = true;
+    } catch (err) {
+      if (err !== ROLLBACK) throw err;
+    }
+
+    if (!committed) for (const r of results) delete r.data;
+    const located = new Set(results.filter(r => r.ok && GEOCODED_BATCH_OPERATIONS.includes(r.op)).map(r => r.data.id));
+    for (const customerId of committed ? located : []) {
+      if (!(await this.locateAddresses(customerId))) continue;
+      // Geocoding bumped the version: re-read so the customer's last result matches the stored row.
+      const latest = results.findLast(r => r.ok && r.data?.id === customerId);
+      const fresh = this.repo.getCustomerById(customerId);
+      if (latest && fresh) latest.data = fresh;
+    }
+    const succeeded = results.filter(r => r.ok).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded, committed, atomic, results };
+  }
+
+  /**
+   * Run one batch operation synchronously. Callers provide the transaction.
+   * @param {{op:string, id?:number, addressId?:number, data?:Object, ifMatch?:string}} operation - Validated operation.
+   * @returns {Object} What the matching route returns (the customer, or `{deletedId}`).
+   * @throws {AppError} Whatever the matching route would throw.
+   */
+  runBatchOperation({ op, id, addressId, data, ifMatch }) {
+    const options = { ifMatch: ifMatch === undefined ? undefined : parseIfMatch(ifMatch) };
+    switch (op) {
+      case 'create': return this.insertCustomer(this.validateNewCustomer(data));
+      case 'update': return this.patchCustomer(id, data, options);
+      case 'delete': return this.softDeleteCustomer(id, options);
+      case 'addAddress': return this.insertAddress(id, data, options);
+      case 'updateAddress': return this.patchAddress(id, addressId, data, options);
+      case 'setPrimary': return this.patchAddress(id, addressId, { isPrimary: true }, options);
+      case 'deleteAddress': return this.softDeleteAddress(id, addressId, options);
+      case 'addTags':
+      case 'removeTags': {
+        const tags = this.parseTags(data);
+        return this.writeTags(id, () => this.repo[op](id, tags), options.ifMatch);
+      }
+      default: throw new BadRequestError(`Unknown operation "${op}"`, { code: 'UNKNOWN_OPERATION' });
+    }
+  }
+
   /**
    * Get a single customer by ID.
    * @param {number|string} id - Customer ID.
-   * @returns {Promise<Object>} Customer object.
-   * @throws {Error & {status:number}} If customer is not found.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Also return a soft-deleted customer.
+   * @param {string} [options.fields] - Comma-separated properties to return (see `parseFieldset`); all by default.
+   * @param {'addresses'|'primaryAddress'|'none'} [options.include='addresses'] - Which addresses to embed.
+   * @returns {Promise<Object>} Customer object. Its `version` stays readable (non-enumerable) when not requested,
+   *   for the `ETag`.
+   * @throws {AppError} 404 if the customer is not found, 400 for invalid `fields` or `include`.
    */
-  async getCustomerById(id) {
-    const c = this.repo.getCustomerById(id);
-    if (!c) throw Object.assign(new Error('Customer not found'), { status: 404 });
-    return c;
+  async getCustomerById(id, { includeDeleted = false, fields, include } = {}) {
+    const fieldset = parseFieldset({ fields, include });
+    const c = this.repo.getCustomerById(id, { includeDeleted, include: fieldset.include });
+    if (!c) throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    if (!fieldset.fields) return c;
+    const picked = pickFields(c, fieldset.fields);
+    if (!fieldset.fields.includes('version')) Object.defineProperty(picked, 'version', { value: c.version, enumerable: false });
+    return picked;
+  }
+
+  /**
+   * Addresses of several customers at once, for batching loaders (see `customer.loader.mjs`).
+   * @param {Array<number|string>} customerIds - Customer IDs.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Also return soft-deleted addresses.
+   * @returns {Promise<Object[][]>} One address list per ID, in the same order (primary first).
+   */
+  async getAddressesByCustomerIds(customerIds, { includeDeleted = false } = {}) {
+    const ids = customerIds.map(Number);
+    const addresses = this.repo.addressesOf(ids, { includeDeleted });
+    return ids.map(id => addresses.get(id) || []);
   }
 
   /**
    * Get multiple customers with filtering, searching, sorting, and pagination.
    * @param {Object} query - Query params.
-   * @param {string} [query.q] - Search text (matches name, phone, email, address).
+   * @param {string} [query.q] - Search text; full-text prefix match on name, phone, email and address.
    * @param {string} [query.city] - Filter by city.
    * @param {string} [query.state] - Filter by state.
    * @param {string} [query.pincode] - Filter by pincode.
+   * @param {'billing'|'shipping'|'home'|'work'} [query.addressType] - Filter by address type.
+   * @param {string} [query.hasShippingAddressIn] - Customers whose default shipping address is in this city.
+   * @param {string} [query.hasBillingAddressIn] - Customers whose default billing address is in this city.
    * @param {'true'|'false'} [query.onlyOneAddress] - Filter by single-address customers.
-   * @param {string} [query.sortBy] - Column to sort by.
-   * @param {'asc'|'desc'} [query.sortDir] - Sort direction.
-   * @param {string|number} [query.page] - Page number.
+   * @param {string} [query.tags] - Comma-separated tag names.
+   * @param {'any'|'all'} [query.tagsMatch='any'] - Whether customers need any or all of `tags`.
+   * @param {string} [query['attr.<key>']] - Custom attribute filter, optionally with an operator:
+   *   `attr.<key>[eq|ne|gt|gte|lt|lte]` (see `AttributeUsecase#buildFilters`).
+   * @param {string} [query['filter[<field>][<op>]']] - Structured filter, e.g. `filter[accountType][in]=premium,enterprise`
+   *   or `filter[addresses.status]=inactive` (see `parseFilters` for fields and operators).
+   * @param {string} [query.sort] - Comma-separated sort fields, `-` for descending, e.g.
+   *   `-createdAt,lastName,primaryAddress.city` (see `SORT_FIELDS`). `relevance` ranks `q` matches by bm25,
+   *   `distance` sorts nearest-first from `near` (the default when `near` is given without a sort).
+   *   Ties are broken by id. Defaults to `-createdAt`.
+   * @param {string} [query.sortBy] - Single sort field (older form of `sort`).
+   * @param {'asc'|'desc'} [query.sortDir] - Direction for `sortBy`.
+   * @param {string} [query.near] - Only customers with a geocoded address within `radiusKm` of `lat,lng`;
+   *   each item then carries `distanceKm` to its nearest address.
+   * @param {string|number} [query.radiusKm=5] - Search radius for `near`, in kilometres.
+   * @param {string|number} [query.page] - Page number (ignored when `cursor` is given).
    * @param {string|number} [query.limit] - Page size.
-   * @returns {Promise<{items:Object[], total:number, page:number, limit:number, pages:number}>}
+   * @param {string} [query.cursor] - Keyset cursor from a previous `nextCursor`/`prevCursor`.
+   * @param {'true'|'false'} [query.includeDeleted] - Include soft-deleted customers (authorization is the caller's job).
+   * @param {string} [query.fields] - Comma-separated properties to return, e.g. `id,firstName,phone` (see `parseFieldset`).
+   * @param {'addresses'|'primaryAddress'|'none'} [query.include='addresses'] - Which addresses to embed; `none` skips loading them.
+   * @returns {Promise<{items:Object[], total:number, page:number|null, limit:number, pages:number, nextCursor:string|null, prevCursor:string|null}>}
+   *   `page` is `null` in cursor mode.
+   * @throws {AppError} 400 for an invalid sort, filter, `fields` or `include`, if the cursor is malformed or was issued
+   *   for a different sort, or for an invalid `near`/`radiusKm`.
    */
   async getCustomers(query) {
-    const { page, limit, offset } = parsePagination(query);
-    const sortBy = query.sortBy || 'createdAt';
-    const sortDir = (query.sortDir || 'desc').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    const { page, limit, offset, cursor } = parsePagination(query);
+    const { filterQuery, params, sort, includeDeleted, near } = this.buildListQuery(query);
+    const { fields, include } = parseFieldset(query);
+    // Distances are measured to every geocoded address, so `near` always loads them.
+    const load = near ? 'addresses' : include;
+
+    // Distance cursors are only valid around the centre they were issued for.
+    const signature = formatSort(sort) + (sort.some(s => s.field === 'distance') ? `@${near.latitude},${near.longitude}` : '');
+    if (cursor && cursor.sort !== signature) {
+      throw new BadRequestError('Cursor does not match the requested sort', { code: 'INVALID_CURSOR' });
+    }
+
+    const total = this.repo.countCustomers(filterQuery, params, { includeDeleted });
+    const pages = Math.ceil(total / limit) || 0;
+
+    if (!cursor) {
+      const items = this.repo.findCustomers({
+        filterQuery,
+        params,
+        sort,
+        limit,
+        offset,
+        includeDeleted,
+        include: load
+      });
+      if (near) this.addDistances(items, near);
+      const nextCursor = offset + items.length < total ? this.cursorFor(items[items.length - 1], 'next', signature) : null;
+      const prevCursor = offset > 0 ? this.cursorFor(items[0], 'prev', signature) : null;
+      return { items: this.shapeItems(items, { fields, include, loaded: load }), total, page, limit, pages, nextCursor, prevCursor };
+    }
+
+    // Keyset mode: fetch one extra row to learn whether another page exists in the travel direction.
+    const items = this.repo.findCustomers({
+      filterQuery,
+      params,
+      sort,
+      limit: limit + 1,
+      offset: 0,
+      includeDeleted,
+      cursor,
+      include: load
+    });
+    const forward = cursor.direction === 'next';
+    const hasMore = items.length > limit;
+    if (hasMore && forward) items.pop();
+    if (hasMore && !forward) items.shift();
+    if (near) this.addDistances(items, near);
+
+    // Arriving via a cursor means there is a page behind us; ahead depends on `hasMore`.
+    const nextCursor = (!forward || hasMore) ? this.cursorFor(items[items.length - 1], 'next', signature) : null;
+    const prevCursor = (forward || hasMore) ? this.cursorFor(items[0], 'prev', signature) : null;
+    return { items: this.shapeItems(items, { fields, include, loaded: load }), total, page: null, limit, pages, nextCursor, prevCursor };
+  }
+
+  /**
+   * Reduce list items to the requested `include` and `fields`.
+   * @param {Object[]} items - Customers as read from the repository.
+   * @param {Object} options
+   * @param {string[]|null} options.fields - Requested properties (see `parseFieldset`).
+   * @param {'addresses'|'primaryAddress'|'none'} options.include - Requested address embedding.
+   * @param {'addresses'|'primaryAddress'|'none'} options.loaded - What the repository was asked to embed.
+   * @returns {Object[]}
+   */
+  shapeItems(items, { fields, include, loaded }) {
+    return items.map((c) => {
+      if (loaded !== include) {
+        const { addresses, ...rest } = c;
+        c = include === 'primaryAddress' ? { ...rest, primaryAddress: addresses.find(a => a.isPrimary) ?? null } : rest;
+      }
+      return pickFields(c, fields);
+    });
+  }
+
+  /**
+   * Set `distanceKm` on each customer: the distance from `near` to its nearest geocoded address.
+   * @param {Object[]} customers - Customers with addresses (modified in place).
+   * @param {{latitude:number, longitude:number}} near - Search centre.
+   * @returns {void}
+   */
+  addDistances(customers, near) {
+    for (const c of customers) c.distanceKm = nearestDistanceKm(c.addresses, near);
+  }
+
+  /**
+   * Translate list query params into the filter, parameters and sort shared by
+   * {@link getCustomers} and {@link exportCustomers}.
+   * @param {Object} query - Query params (see {@link getCustomers}).
+   * @returns {{filterQuery:string, params:Object, sort:{field:string, dir:'ASC'|'DESC'}[], includeDeleted:boolean,
+   *   near:{latitude:number, longitude:number, radiusKm:number}|null}}
+   * @throws {AppError} 400 for an invalid sort or `filter[…]`, a malformed `near`/`radiusKm`, `sort=distance` without `near`,
+   *   an invalid `tagsMatch`, or an unknown attribute filter.
+   */
+  buildListQuery(query) {
+    const near = parseNear(query);
+    let sort = this.readSort(query);
+    let ranked = false;
 
     const filters = [];
     const params = {};
 
     if (query.q) {
-      filters.push(`(customers.firstName LIKE @q OR customers.lastName LIKE @q OR customers.phone LIKE @q OR customers.email LIKE @q OR addresses.line1 LIKE @q OR addresses.city LIKE @q OR addresses.state LIKE @q OR addresses.pincode LIKE @q)`);
-      params.q = `%${escapeLike(query.q)}%`;
+      const fts = toFtsQuery(query.q);
+      const phoneDigits = phoneSearchDigits(query.q);
+      const matches = [];
+      if (fts) { matches.push('customers.id IN (SELECT rowid FROM customers_fts WHERE customers_fts MATCH @fts)'); params.fts = fts; }
+      if (phoneDigits) { matches.push('customers.phone LIKE @phoneDigits'); params.phoneDigits = `%${phoneDigits}%`; }
+      filters.push(matches.length ? `(${matches.join(' OR ')})` : '0');
+      if (fts) ranked = true;
+    }
+    // Without a full-text search (no `q`, or a phone-only one) there is nothing to rank by.
+    if (!ranked && sort?.some(s => s.field === 'relevance')) {
+      sort = sort.filter(s => s.field !== 'relevance');
+      if (!sort.length) sort = null;
     }
 
     if (query.city) { filters.push('addresses.city = @city'); params.city = query.city; }
     if (query.state) { filters.push('addresses.state = @state'); params.state = query.state; }
     if (query.pincode) { filters.push('addresses.pincode = @pincode'); params.pincode = query.pincode; }
+    if (query.addressType) { filters.push('addresses.addressType = @addressType'); params.addressType = query.addressType; }
+
+    // Match on the default address itself, independently of the other address filters.
+    const defaultIn = (flag, param) => `EXISTS (
+      SELECT 1 FROM addresses d WHERE d.customerId = customers.id AND d.${flag} = 1 AND d.deletedAt IS NULL AND d.city = @${param}
+    )`;
+    if (query.hasShippingAddressIn) { filters.push(defaultIn('isDefaultShipping', 'shippingCity')); params.shippingCity = query.hasShippingAddressIn; }
+    if (query.hasBillingAddressIn) { filters.push(defaultIn('isDefaultBilling', 'billingCity')); params.billingCity = query.hasBillingAddressIn; }
 
     if (query.onlyOneAddress === 'true') { filters.push('customers.hasOnlyOneAddress = 1'); }
     else if (query.onlyOneAddress === 'false') { filters.push('customers.hasOnlyOneAddress = 0'); }
 
-    const filterQuery = filters.join(' AND ');
-    const total = this.repo.countCustomers(filterQuery, params);
+    if (query.tags) {
+      const tags = [...new Set(String(query.tags).split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+      const match = query.tagsMatch || 'any';
+      if (!['any', 'all'].includes(match)) throw new BadRequestError('tagsMatch must be any or all', { code: 'INVALID_QUERY' });
+      tags.forEach((t, i) => { params[`tag${i}`] = t; });
+      const tagged = `SELECT ct.customerId FROM customer_tags ct JOIN tags t ON t.id = ct.tagId
+        WHERE t.name IN (${tags.map((_, i) => `@tag${i}`).join(', ')})`;
+      filters.push(match === 'all'
+        ? `customers.id IN (${tagged} GROUP BY ct.customerId HAVING COUNT(*) = ${tags.length})`
+        : `customers.id IN (${tagged})`);
+    }
 
-    const items = this.repo.findCustomers({
-      filterQuery,
-      params,
-      sortBy,
-      sortDir,
-      limit,
-      offset
-    });
+    const attributeFilters = this.attributes.buildFilters(query);
+    filters.push(...attributeFilters.filters);
+    Object.assign(params, attributeFilters.params);
+
+    const structured = parseFilters(query);
+    filters.push(...structured.filters);
+    Object.assign(params, structured.params);
+
+    if (near) {
+      // The bounding box lets SQLite use the coordinates index; haversine then trims the corners.
+      filters.push(`EXISTS (
+        SELECT 1 FROM addresses g
+        WHERE g.customerId = customers.id AND g.deletedAt IS NULL
+          AND g.latitude BETWEEN @minLat AND @maxLat AND g.longitude BETWEEN @minLng AND @maxLng
+          AND ${haversineSql('g')} <= @radiusKm
+      )`);
+      Object.assign(params, { nearLat: near.latitude, nearLng: near.longitude, radiusKm: near.radiusKm },
+        boundingBox(near.latitude, near.longitude, near.radiusKm));
+      if (!sort) sort = [{ field: 'distance', dir: 'ASC' }];
+    } else if (sort?.some(s => s.field === 'distance')) {
+      throw new BadRequestError('sort=distance requires near', { code: 'INVALID_SORT' });
+    }
+    if (!sort) sort = [{ field: 'createdAt', dir: (query.sortDir || 'desc').toUpperCase() === 'ASC' ? 'ASC' : 'DESC' }];
+
+    return { filterQuery: filters.join(' AND '), params, sort, includeDeleted: query.includeDeleted === 'true', near };
+  }
+
+  /**
+   * Read the requested list order from `sort`, or from the older `sortBy`/`sortDir` pair.
+   * @param {Object} query - Query params (see {@link getCustomers}).
+   * @returns {{field:string, dir:'ASC'|'DESC'}[]|null} Sort fields, or `null` when none were requested.
+   * @throws {BadRequestError} 400 `INVALID_SORT` for unknown or repeated fields.
+   */
+  readSort(query) {
+    if (query.sort !== undefined && query.sort !== '') return parseSort(query.sort);
+    if (!query.sortBy) return null;
+    const ranked = query.sortBy === 'relevance' || query.sortBy === 'distance';
+    return parseSort(`${ranked || String(query.sortDir).toLowerCase() === 'asc' ? '' : '-'}${query.sortBy}`);
+  }
+
+  /**
+   * Export every customer matching the list filters, without pagination.
+   * Lines are produced lazily from a database iterator, so callers should stream them.
+   * @param {Object} query - List filters (see {@link getCustomers}) plus export options (see `parseExportOptions`).
+   * @returns {Promise<{format:'csv'|'ndjson', contentType:string, lines:Generator<string>}>}
+   * @throws {AppError} 400 for invalid export options.
+   */
+  async exportCustomers(query) {
+    const options = parseExportOptions(query);
+    const { filterQuery, params, sort, includeDeleted } = this.buildListQuery(query);
 
+    const maxAddresses = options.layout === 'columns' && options.addressFields.length
+      ? this.repo.maxAddressCount(filterQuery, params, { includeDeleted })
+      : 0;
+    const customers = this.repo.iterateCustomers({ filterQuery, params, sort, includeDeleted });
+
+    return {
+      format: options.format,
+      contentType: EXPORT_CONTENT_TYPES[options.format],
+      lines: exportLines(customers, options, maxAddresses)
+    };
+  }
+
+  /**
+   * Build a keyset cursor pointing just past (or before) a list item.
+   * @param {Object|undefined} item - Row returned by `findCustomers` (carries `sortKey`).
+   * @param {'next'|'prev'} direction - Which side of the item the cursor selects.
+   * @param {string} sort - Sort signature (`sort` syntax, plus the centre for distance sorts).
+   * @returns {string|null} Encoded cursor, or `null` without a boundary item.
+   */
+  cursorFor(item, direction, sort) {
+    if (!item || !item.sortKey) return null;
+    return encodeCursor({ values: item.sortKey, id: item.id, direction, sort });
+  }
+
+  /**
+   * Get the change history of a customer and its addresses, newest first.
+   * History stays available for soft-deleted customers.
+   * @param {number|string} id - Customer ID.
+   * @param {Object} [query] - Query params.
+   * @param {string|number} [query.page] - Page number.
+   * @param {string|number} [query.limit] - Page size.
+   * @returns {Promise<{items:Object[], total:number, page:number, limit:number, pages:number}>}
+   * @throws {AppError} If the customer does not exist.
+   */
+  async getCustomerHistory(id, query = {}) {
+    const customerId = Number(id);
+    if (!this.repo.getCustomerById(customerId, { includeDeleted: true })) {
+      throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    }
+    const { page, limit, offset } = parsePagination(query);
+    const total = this.repo.audit.countByCustomer(customerId);
+    const items = this.repo.audit.findByCustomer(customerId, { limit, offset });
     return { items, total, page, limit, pages: Math.ceil(total / limit) || 0 };
   }
 
@@ -163,83 +729,569 @@ class CustomerUsecase {
    * Validates payload, checks uniqueness, and updates record.
    * @param {number|string} id - Customer ID.
    * @param {Object} payload - Fields to update.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
    * @returns {Promise<Object>} Updated customer object.
-   * @throws {Error & {status:number}} On validation, uniqueness, or not found errors.
+   * @throws {AppError} On validation, uniqueness, or not found errors; 412 on a version mismatch.
    */
-  async updateCustomer(id, payload) {
-    const { error, value } = this.updateSchema.validate(payload, { abortEarly: false });
-    if (error) {
-      const e = new Error('Validation failed'); e.status = 400; e.details = error.details.map(d => d.message); throw e;
-    }
+  async updateCustomer(id, payload, options = {}) {
+    return this.patchCustomer(id, payload, options);
+  }
+
+  /**
+   * Synchronous body of {@link updateCustomer}, for callers running it inside their own transaction (see `runBatch`).
+   * @param {number|string} id - Customer ID.
+   * @param {Object} payload - Fields to update.
+   * @param {{ifMatch?: '*'|number[]}} [options] - See `assertVersion`.
+   * @returns {Object} Updated customer object.
+   * @throws {AppError} See {@link updateCustomer}.
+   */
+  patchCustomer(id, payload, { ifMatch } = {}) {
+    const value = this.validate(this.updateSchema, payload);
+    if (value.attributes) this.attributes.validateValues(value.attributes, { partial: true });
 
     if (value.phone) {
+      const current = this.repo.getCustomerById(Number(id));
+      if (!current) throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+      const primary = current.addresses.find(a => a.isPrimary);
+      value.phone = this.normalizePhone(value.phone, primary && primary.country);
+
       const exists = this.repo.db.prepare('SELECT id FROM customers WHERE phone = ?').get(value.phone);
-      if (exists && exists.id !== Number(id)) throw Object.assign(new Error('Phone already used'), { status: 409 });
+      if (exists && exists.id !== Number(id)) throw this.taken('phone', 'Phone already used');
     }
     if (value.email) {
       const exists = this.repo.db.prepare('SELECT id FROM customers WHERE email = ?').get(value.email);
-      if (exists && exists.id !== Number(id)) throw Object.assign(new Error('Email already used'), { status: 409 });
+      if (exists && exists.id !== Number(id)) throw this.taken('email', 'Email already used');
     }
 
-    const updated = this.repo.updateCustomer(id, value);
-    if (!updated) throw Object.assign(new Error('Customer not found'), { status: 404 });
+    const updated = this.repo.transaction(() => {
+      this.assertVersion(Number(id), ifMatch);
+      const customer = this.repo.updateCustomer(id, value);
+      if (customer) this.webhooks.publish('customer.updated', { customer });
+      return customer;
+    });
+    if (!updated) throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
     return updated;
   }
 
   /**
-   * Delete a customer by ID.
+   * Soft-delete a customer by ID. The customer can be restored until it is purged.
    * @param {number|string} id - Customer ID.
-   * @param {{allowIfLinked?:boolean}} [options] - Options (placeholder for foreign key checks).
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
    * @returns {Promise<{deletedId:number|string}>}
-   * @throws {Error & {status:number}} If customer not found.
+   * @throws {AppError} If customer not found; 412 on a version mismatch.
+   */
+  async deleteCustomer(id, options = {}) {
+    return this.softDeleteCustomer(id, options);
+  }
+
+  /**
+   * Synchronous body of {@link deleteCustomer}, for callers running it inside their own transaction (see `runBatch`).
+   * @param {number|string} id - Customer ID.
+   * @param {{ifMatch?: '*'|number[]}} [options] - See `assertVersion`.
+   * @returns {{deletedId:number|string}}
+   * @throws {AppError} See {@link deleteCustomer}.
    */
-  async deleteCustomer(id, options = { allowIfLinked: false }) {
-    const ok = this.repo.deleteCustomer(id);
-    if (!ok) throw Object.assign(new Error('Customer not found'), { status: 404 });
+  softDeleteCustomer(id, { ifMatch } = {}) {
+    const ok = this.repo.transaction(() => {
+      this.assertVersion(Number(id), ifMatch);
+      const deleted = this.repo.deleteCustomer(id);
+      if (deleted) this.webhooks.publish('customer.deleted', { customerId: Number(id) });
+      return deleted;
+    });
+    if (!ok) throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
     return { deletedId: id };
   }
 
+  /**
+   * Restore a soft-deleted customer and the addresses deleted with it.
+   * @param {number|string} id - Customer ID.
+   * @returns {Promise<Object>} Restored customer with addresses.
+   * @throws {AppError} If no deleted customer has that ID.
+   */
+  async restoreCustomer(id) {
+    const restored = this.repo.transaction(() => {
+      const customer = this.repo.restoreCustomer(Number(id));
+      if (customer) this.webhooks.publish('customer.restored', { customer });
+      return customer;
+    });
+    if (!restored) throw new NotFoundError('Deleted customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    return restored;
+  }
+  // ---------- Phone backfill ----------
+
+  /**
+   * Normalize every stored phone number to E.164 (one-time backfill).
+   *
+   * Each number is read in its customer's primary address country, falling back to
+   * `DEFAULT_PHONE_REGION`. Invalid numbers are left as they are. Customers whose
+   * numbers normalize to the same value are reported as collisions and left untouched;
+   * resolve them with the duplicates/merge workflow and run the backfill again.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report without writing.
+   * @returns {Promise<{updated:number, unchanged:number, invalid:{id:number, phone:string}[], collisions:{phone:string, ids:number[]}[]}>}
+   */
+  async normalizeStoredPhones({ dryRun = false } = {}) {
+    const rows = this.repo.listPhones();
+    const invalid = [];
+    const byTarget = new Map();
+
+    for (const row of rows) {
+      let target = row.phone;
+      try {
+        target = this.normalizePhone(row.phone, row.country);
+      } catch {
+        invalid.push({ id: row.id, phone: row.phone });
+      }
+      if (!byTarget.has(target)) byTarget.set(target, []);
+      byTarget.get(target).push(row);
+    }
+
+    const collisions = [];
+    const changes = [];
+    for (const [phone, group] of byTarget) {
+      if (group.length > 1) collisions.push({ phone, ids: group.map(r => r.id) });
+      else if (group[0].phone !== phone) changes.push({ id: group[0].id, phone });
+    }
+
+    if (!dryRun && changes.length) this.repo.setPhones(changes);
+    return { updated: changes.length, unchanged: rows.length - changes.length, invalid, collisions };
+  }
+
+  // ---------- Stats ----------
+
+  /**
+   * Aggregate statistics over the customers matching the list filters: counts by account type,
+   * by the single-address flag and by address state and city, signups per interval, and how
+   * many customers lack an email or a primary address.
+   * @param {Object} query - List filters (see {@link getCustomers}) plus:
+   * @param {'day'|'week'|'month'} [query.interval='month'] - Bucket size for `newCustomers`; weeks start on Monday.
+   * @param {string|number} [query.top=10] - Most states and cities to return (1-100), largest first.
+   * @returns {Promise<{total:number, byAccountType:Object[], byOnlyOneAddress:Object[], byState:Object[], byCity:Object[],
+   *   newCustomers:{interval:string, buckets:{period:string, count:number}[]},
+   *   missing:{email:{count:number, share:number}, primaryAddress:{count:number, share:number}}}>}
+   *   Shares are fractions of `total`, rounded to four decimals.
+   * @throws {AppError} 400 for an invalid filter, `interval` or `top`.
+   */
+  async getCustomerStats(query = {}) {
+    const { filterQuery, params, includeDeleted } = this.buildListQuery(query);
+    const interval = query.interval || 'month';
+    if (!['day', 'week', 'month'].includes(interval)) {
+      throw new BadRequestError('interval must be day, week or month', { code: 'INVALID_QUERY' });
+    }
+    const top = query.top === undefined ? 10 : Number(query.top);
+    if (!(Number.isInteger(top) && top >= 1 && top <= 100)) {
+      throw new BadRequestError('top must be an integer between 1 and 100', { code: 'INVALID_QUERY' });
+    }
+
+    const stats = this.repo.customerStats(filterQuery, params, { includeDeleted, interval, top });
+    const share = count => (stats.total ? Math.round((count / stats.total) * 10000) / 10000 : 0);
+    return {
+      total: stats.total,
+      byAccountType: stats.byAccountType,
+      byOnlyOneAddress: stats.byOnlyOneAddress,
+      byState: stats.byState,
+      byCity: stats.byCity,
+      newCustomers: { interval, buckets: stats.newCustomers },
+      missing: {
+        email: { count: stats.missingEmail, share: share(stats.missingEmail) },
+        primaryAddress: { count: stats.missingPrimaryAddress, share: share(stats.missingPrimaryAddress) },
+      },
+    };
+  }
+
+  // ---------- Duplicates ----------
+
+  /**
+   * List likely duplicate customer pairs, best match first.
+   * Pairs are scored on normalized phone, case-folded email and Jaro-Winkler
+   * similarity of first and last names (see `findDuplicatePairs`).
+   * @param {Object} query - Query params.
+   * @param {string|number} [query.minScore=0.5] - Smallest score to report, between 0 and 1.
+   * @param {string|number} [query.page] - Page number.
+   * @param {string|number} [query.limit] - Page size.
+   * @returns {Promise<{items:{score:number, reasons:Object, customers:Object[]}[], total:number, page:number, limit:number, pages:number}>}
+   * @throws {AppError} 400 if `minScore` is out of range.
+   */
+  async findDuplicates(query = {}) {
+    const minScore = query.minScore === undefined ? 0.5 : Number(query.minScore);
+    if (!(minScore >= 0 && minScore <= 1)) {
+      throw new BadRequestError('minScore must be a number between 0 and 1', { code: 'INVALID_QUERY' });
+    }
+    const { page, limit, offset } = parsePagination(query);
+
+    const pairs = findDuplicatePairs(this.repo.listIdentities(), { minScore });
+    const items = pairs.slice(offset, offset + limit).map(({ ids, score, reasons }) => ({
+      score,
+      reasons,
+      customers: ids.map(id => this.repo.getCustomerById(id))
+    }));
+    return { items, total: pairs.length, page, limit, pages: Math.ceil(pairs.length / limit) || 0 };
+  }
+
+  /**
+   * Merge a duplicate customer into the given one.
+   * Addresses and tags move to the survivor, which also takes any attributes it lacks.
+   * The duplicate is soft-deleted with a pointer to the survivor, all in one transaction.
+   * @param {number|string} id - Surviving customer ID.
+   * @param {Object} payload - Merge request.
+   * @param {number} payload.duplicateId - Customer to fold in and delete.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: survivor versions the client last saw (see `assertVersion`).
+   * @returns {Promise<Object>} Survivor with its addresses.
+   * @throws {AppError} 400 on validation errors, 404 if either customer is not found,
+   *   412 on a version mismatch.
+   */
+  async mergeCustomers(id, payload, { ifMatch } = {}) {
+    const value = this.validate(this.mergeSchema, payload);
+    if (value.duplicateId === Number(id)) {
+      throw new BadRequestError('Cannot merge a customer into itself', { code: 'MERGE_INTO_SELF' });
+    }
+
+    const merged = this.repo.transaction(() => {
+      this.assertVersion(Number(id), ifMatch);
+      const before = this.repo.getCustomerById(Number(id));
+      const customer = this.repo.mergeCustomers(Number(id), value.duplicateId);
+      if (customer) {
+        this.webhooks.publish('customer.merged', { customer, duplicateId: value.duplicateId });
+        this.publishPrimaryChange(before, customer);
+      }
+      return customer;
+    });
+    if (!merged) throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    return merged;
+  }
+
+
+  /**
+   * Permanently remove customers and addresses soft-deleted longer ago than the retention period.
+   * @param {number} retentionDays - Retention period in days.
+   * @returns {Promise<{customers:number, addresses:number}>} Number of purged rows.
+   */
+  async purgeDeleted(retentionDays) {
+    return this.repo.purgeDeleted(retentionDays);
+  }
+
   // ---------- Address Delegations ----------
 
+  /**
+   * Validate a payload against a schema, throwing a 400 that lists each Joi issue with its field.
+   * @param {Joi.ObjectSchema} schema - Schema to apply.
+   * @param {Object} payload - Input.
+   * @param {Joi.ValidationOptions} [options] - Extra Joi options.
+   * @returns {Object} Validated value.
+   * @throws {ValidationError} On validation errors.
+   */
+  validate(schema, payload, options = {}) {
+    const { error, value } = schema.validate(payload, { abortEarly: false, ...options });
+    if (error) throw ValidationError.fromJoi(error);
+    return value;
+  }
+
+  /**
+   * Build the 409 for a phone or email that belongs to another customer.
+   * @param {'phone'|'email'} field - Unique field.
+   * @param {string} message - Error message.
+   * @returns {ConflictError} Coded `PHONE_TAKEN` / `EMAIL_TAKEN`.
+   */
+  taken(field, message) {
+    return new ConflictError(message, {
+      code: `${field.toUpperCase()}_TAKEN`,
+      errors: [{ field: `/${field}`, message: `"${field}" is already used by another customer`, code: 'unique' }],
+    });
+  }
+
+  /**
+   * Ensure an active customer exists.
+   * @param {number} customerId - Customer ID.
+   * @returns {Object} The customer with addresses.
+   * @throws {NotFoundError} 404 if the customer is not found.
+   */
+  assertCustomerExists(customerId) {
+    const customer = this.repo.getCustomerById(customerId);
+    if (!customer) throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    return customer;
+  }
+
+  /**
+   * Optimistic concurrency check: refuse a write when the customer changed since the client read it.
+   * Call inside the write's transaction so nothing can slip in between the check and the write.
+   * Unknown or deleted customers pass; the write itself reports them.
+   * @param {number} customerId - Customer ID.
+   * @param {'*'|number[]} [ifMatch] - Versions from the `If-Match` header; no check when omitted.
+   * @returns {void}
+   * @throws {PreconditionFailedError} 412 if the current version is not among them.
+   */
+  assertVersion(customerId, ifMatch) {
+    if (ifMatch === undefined) return;
+    const row = this.repo.customerRow(customerId);
+    if (row && !row.deletedAt && !versionMatches(ifMatch, row.version)) {
+      throw new PreconditionFailedError(`Customer was modified (now at version ${row.version}); fetch it again and retry`, {
+        code: 'VERSION_MISMATCH',
+      });
+    }
+  }
+
   /**
    * Add an address to a customer.
    * @param {number|string} customerId - Customer ID.
-   * @param {Object} address - Address payload.
+   * @param {Object} address - Address payload (see `addressSchema`); city/state are filled in from the pincode.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
    * @returns {Promise<Object>} Updated customer with addresses.
+   * @throws {AppError} 400 on validation errors or a state/pincode mismatch, 404 if the customer is not found,
+   *   412 on a version mismatch.
+   */
+  async addAddress(customerId, address, options = {}) {
+    const updated = this.insertAddress(customerId, address, options);
+    return (await this.locateAddresses(Number(customerId))) ? this.repo.getCustomerById(Number(customerId)) : updated;
+  }
+
+  /**
+   * Synchronous body of {@link addAddress}, for callers running it inside their own transaction (see `runBatch`).
+   * @param {number|string} customerId - Customer ID.
+   * @param {Object} address - Address payload (see `addressSchema`).
+   * @param {{ifMatch?: '*'|number[]}} [options] - See `assertVersion`.
+   * @returns {Object} Updated customer with addresses, before geocoding.
+   * @throws {AppError} See {@link addAddress}.
    */
-  async addAddress(customerId, address) { 
-    return this.repo.addAddress(Number(customerId), address); 
+  insertAddress(customerId, address, { ifMatch } = {}) {
+    const value = this.pincodes.completeAddress(this.validate(this.addressSchema, address));
+    const before = this.assertCustomerExists(Number(customerId));
+    const updated = this.repo.transaction(() => {
+      this.assertVersion(Number(customerId), ifMatch);
+      const customer = this.repo.addAddress(Number(customerId), value);
+      const added = customer.addresses.find(a => !before.addresses.some(b => b.id === a.id));
+      this.webhooks.publish('address.added', { customerId: customer.id, address: added });
+      this.publishPrimaryChange(before, customer);
+      return customer;
+    });
+    return updated;
   }
 
   /**
    * Update an existing address.
    * @param {number|string} customerId - Customer ID.
    * @param {number|string} addressId - Address ID.
-   * @param {Object} patch - Address fields to update.
+   * @param {Object} patch - Address fields to update (see `addressPatchSchema`).
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
    * @returns {Promise<Object>} Updated customer with addresses.
+   * @throws {AppError} 400 on validation errors, 404 if the customer or address is not found,
+   *   412 on a version mismatch.
    */
-  async updateAddress(customerId, addressId, patch) { 
-    return this.repo.updateAddress(Number(customerId), Number(addressId), patch); 
+  async updateAddress(customerId, addressId, patch, options = {}) {
+    const updated = this.patchAddress(customerId, addressId, patch, options);
+    return (await this.locateAddresses(Number(customerId))) ? this.repo.getCustomerById(Number(customerId)) : updated;
   }
 
   /**
-   * Delete a customer's address.
+   * Synchronous body of {@link updateAddress}, for callers running it inside their own transaction (see `runBatch`).
    * @param {number|string} customerId - Customer ID.
    * @param {number|string} addressId - Address ID.
+   * @param {Object} patch - Address fields to update (see `addressPatchSchema`).
+   * @param {{ifMatch?: '*'|number[]}} [options] - See `assertVersion`.
+   * @returns {Object} Updated customer with addresses, before geocoding.
+   * @throws {AppError} See {@link updateAddress}.
+   */
+  patchAddress(customerId, addressId, patch, { ifMatch } = {}) {
+    let value = this.validate(this.addressPatchSchema, patch, { noDefaults: true });
+    const customer = this.assertCustomerExists(Number(customerId));
+
+    const current = customer.addresses.find(a => a.id === Number(addressId));
+    if (current && ['pincode', 'city', 'state', 'country'].some(k => k in value)) {
+      // A new pincode brings its own city/state unless they are given explicitly.
+      const merged = { ...current, ...value };
+      if ('pincode' in value) {
+        if (!('city' in value)) delete merged.city;
+        if (!('state' in value)) delete merged.state;
+      }
+      const completed = this.pincodes.completeAddress(merged);
+      value = { ...value, city: completed.city, state: completed.state, pincode: completed.pincode };
+    }
+    // A moved address is geocoded again unless the patch brings its own coordinates.
+    if (LOCATION_FIELDS.some(k => k in value) && !('latitude' in value)) {
+      value = { ...value, latitude: null, longitude: null };
+    }
+
+    const updated = this.repo.transaction(() => {
+      this.assertVersion(Number(customerId), ifMatch);
+      const after = this.repo.updateAddress(Number(customerId), Number(addressId), value);
+      if (after) {
+        this.webhooks.publish('address.updated', { customerId: after.id, address: after.addresses.find(a => a.id === Number(addressId)) });
+        this.publishPrimaryChange(customer, after);
+      }
+      return after;
+    });
+    if (!updated) throw new NotFoundError('Address not found', { code: 'ADDRESS_NOT_FOUND' });
+    return updated;
+  }
+
+  /**
+   * Read a tag list from a request body (`{ tags: [...] }`) or query (`?tags=a,b`).
+   * @param {Object} body - Request body.
+   * @param {Object} [query] - Query params.
+   * @returns {string[]} Validated, lowercased tag names.
+   * @throws {AppError} 400 if the list is missing or invalid.
+   */
+  parseTags(body, query = {}) {
+    const tags = body?.tags ?? (query.tags ? String(query.tags).split(',').map(t => t.trim()) : undefined);
+    return this.validate(Joi.object({ tags: this.tagListSchema.required() }), { tags }).tags;
+  }
+
+  /**
+   * Add tags to a customer. Tags it already has are ignored.
+   * @param {number|string} customerId - Customer ID.
+   * @param {Object} body - `{ tags: string[] }`.
+   * @param {Object} [query] - Query params; `tags` may be given here as a comma-separated list instead.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
+   * @returns {Promise<Object>} Updated customer.
+   * @throws {AppError} 400 for invalid tags, 404 if the customer is not found,
+   *   412 on a version mismatch.
+   */
+  async addTags(customerId, body, query, { ifMatch } = {}) {
+    const tags = this.parseTags(body, query);
+    return this.writeTags(Number(customerId), () => this.repo.addTags(Number(customerId), tags), ifMatch);
+  }
+
+  /**
+   * Remove tags from a customer. Tags it does not have are ignored.
+   * @param {number|string} customerId - Customer ID.
+   * @param {Object} body - `{ tags: string[] }`.
+   * @param {Object} [query] - Query params; `tags` may be given here as a comma-separated list instead.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
+   * @returns {Promise<Object>} Updated customer.
+   * @throws {AppError} 400 for invalid tags, 404 if the customer is not found,
+   *   412 on a version mismatch.
+   */
+  async removeTags(customerId, body, query, { ifMatch } = {}) {
+    const tags = this.parseTags(body, query);
+    return this.writeTags(Number(customerId), () => this.repo.removeTags(Number(customerId), tags), ifMatch);
+  }
+
+  /**
+   * Run a tag write and queue `customer.updated` if the customer's tags changed.
+   * @param {number} customerId - Customer ID.
+   * @param {() => Object|null} write - Repository call returning the updated customer.
+   * @param {'*'|number[]} [ifMatch] - Versions the client last saw (see `assertVersion`).
+   * @returns {Object} Updated customer.
+   * @throws {AppError} 404 if the customer is not found, 412 on a version mismatch.
+   */
+  writeTags(customerId, write, ifMatch) {
+    const updated = this.repo.transaction(() => {
+      this.assertVersion(customerId, ifMatch);
+      const before = this.repo.getCustomerById(customerId);
+      const customer = write();
+      if (customer && before.tags.join() !== customer.tags.join()) this.webhooks.publish('customer.updated', { customer });
+      return customer;
+    });
+    if (!updated) throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    return updated;
+  }
+
+  /**
+   * Fill in coordinates for active addresses that have none, using the configured geocoder.
+   * Addresses the geocoder cannot place (or fails on) are left without coordinates.
+   * @param {number} [customerId] - Limit to one customer; every customer when omitted.
+   * @returns {Promise<number>} Number of addresses that were located.
+   */
+  async locateAddresses(customerId) {
+    const geocoder = this.geocoder || getGeocoder();
+    let located = 0;
+    for (const address of this.repo.listUnlocatedAddresses(customerId)) {
+      const coordinates = await geocoder.geocode(address).catch(() => null);
+      if (coordinates && this.repo.setCoordinates(address.id, coordinates)) located++;
+    }
+    return located;
+  }
+
+  /**
+   * Soft-delete a customer's address.
+   * @param {number|string} customerId - Customer ID.
+   * @param {number|string} addressId - Address ID.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
    * @returns {Promise<Object>} Updated customer with remaining addresses.
+   * @throws {AppError} 404 if the customer or address is not found, 412 on a version mismatch.
    */
-  async deleteAddress(customerId, addressId) { 
-    return this.repo.deleteAddress(Number(customerId), Number(addressId)); 
+  async deleteAddress(customerId, addressId, options = {}) {
+    return this.softDeleteAddress(customerId, addressId, options);
+  }
+
+  /**
+   * Synchronous body of {@link deleteAddress}, for callers running it inside their own transaction (see `runBatch`).
+   * @param {number|string} customerId - Customer ID.
+   * @param {number|string} addressId - Address ID.
+   * @param {{ifMatch?: '*'|number[]}} [options] - See `assertVersion`.
+   * @returns {Object} Updated customer with remaining addresses.
+   * @throws {AppError} See {@link deleteAddress}.
+   */
+  softDeleteAddress(customerId, addressId, { ifMatch } = {}) {
+    const before = this.assertCustomerExists(Number(customerId));
+    const updated = this.repo.transaction(() => {
+      this.assertVersion(Number(customerId), ifMatch);
+      const after = this.repo.deleteAddress(Number(customerId), Number(addressId));
+      if (after) {
+        this.webhooks.publish('address.deleted', { customerId: after.id, addressId: Number(addressId) });
+        this.publishPrimaryChange(before, after);
+      }
+      return after;
+    });
+    if (!updated) throw new NotFoundError('Address not found', { code: 'ADDRESS_NOT_FOUND' });
+    return updated;
+  }
+
+  /**
+   * Restore a soft-deleted address.
+   * @param {number|string} customerId - Customer ID.
+   * @param {number|string} addressId - Address ID.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
+   * @returns {Promise<Object>} Updated customer with addresses.
+   * @throws {AppError} If no deleted address matches; 412 on a version mismatch.
+   */
+  async restoreAddress(customerId, addressId, { ifMatch } = {}) {
+    const restored = this.repo.transaction(() => {
+      this.assertVersion(Number(customerId), ifMatch);
+      const before = this.repo.getCustomerById(Number(customerId));
+      const after = this.repo.restoreAddress(Number(customerId), Number(addressId));
+      if (after) {
+        this.webhooks.publish('address.restored', { customerId: after.id, address: after.addresses.find(a => a.id === Number(addressId)) });
+        this.publishPrimaryChange(before, after);
+      }
+      return after;
+    });
+    if (!restored) throw new NotFoundError('Deleted address not found', { code: 'ADDRESS_NOT_FOUND' });
+    return restored;
   }
 
   /**
    * Toggle the "only one address" flag for a customer.
    * @param {number|string} customerId - Customer ID.
    * @param {boolean|string} value - Flag value.
+   * @param {{ifMatch?: '*'|number[]}} [options] - `ifMatch`: versions the client last saw (see `assertVersion`).
    * @returns {Promise<Object>} Updated customer object.
+   * @throws {AppError} 404 if the customer is not found, 400 if the address count does not allow the flag,
+   *   412 on a version mismatch.
+   */
+  async markOnlyOneAddress(customerId, value, { ifMatch } = {}) {
+    this.assertCustomerExists(Number(customerId));
+    return this.repo.transaction(() => {
+      this.assertVersion(Number(customerId), ifMatch);
+      const customer = this.repo.markOnlyOneAddress(Number(customerId), Boolean(value));
+      this.webhooks.publish('customer.updated', { customer });
+      return customer;
+    });
+  }
+
+  /**
+   * Queue `address.primary_changed` when a write moved a customer's primary address.
+   * Call inside the write's transaction.
+   * @param {Object|null} before - Customer with addresses before the write.
+   * @param {Object} after - Customer with addresses after the write.
+   * @returns {void}
    */
-  async markOnlyOneAddress(customerId, value) { 
-    return this.repo.markOnlyOneAddress(Number(customerId), Boolean(value)); 
+  publishPrimaryChange(before, after) {
+    const previousAddressId = before?.addresses.find(a => a.isPrimary)?.id ?? null;
+    const addressId = after.addresses.find(a => a.isPrimary)?.id ?? null;
+    if (previousAddressId !== addressId) {
+      this.webhooks.publish('address.primary_changed', { customerId: after.id, previousAddressId, addressId });
+    }
   }
 }
 
@@ -2,6 +2,7 @@
 import Joi from 'joi';
 import CustomerUsecase from '../usecases/customer.usecase.mjs';
 import customerRepository from '../repositories/customer.repository.mjs';
+import { encodeCursor, decodeCursor } from '../../utils/pagination.utils.mjs';
 
 // Mock repository
 jest.mock('../repositories/customer.repository.mjs');
@@ -24,6 +25,26 @@ describe('CustomerUsecase', () => {
       updateAddress: jest.fn(),
       deleteAddress: jest.fn(),
       markOnlyOneAddress: jest.fn(),
+      restoreCustomer: jest.fn(),
+      restoreAddress: jest.fn(),
+      purgeDeleted: jest.fn(),
+      transaction: jest.fn(fn => fn()),
+      iterateCustomers: jest.fn(),
+      maxAddressCount: jest.fn(),
+      customerStats: jest.fn(),
+      listIdentities: jest.fn(),
+      mergeCustomers: jest.fn(),
+      listPhones: jest.fn(),
+      setPhones: jest.fn(),
+      listUnlocatedAddresses: jest.fn().mockReturnValue([]),
+      setCoordinates: jest.fn(),
+      addTags: jest.fn(),
+      removeTags: jest.fn(),
+      customerRow: jest.fn(),
+      audit: {
+        countByCustomer: jest.fn(),
+        findByCustomer: jest.fn(),
+      },
       db: {
         prepare: jest.fn().mockReturnValue({ get: jest.fn() })
       }
@@ -31,6 +52,12 @@ describe('CustomerUsecase', () => {
     customerRepository.mockImplementation(() => repoMock);
     usecase = new (CustomerUsecase.constructor)(); // force new with mocked repo
     usecase.repo = repoMock;
+    usecase.pincodes = { completeAddress: jest.fn(a => a) };
+    usecase.attributes = {
+      validateValues: jest.fn(a => a),
+      buildFilters: jest.fn().mockReturnValue({ filters: [], params: {} }),
+    };
+    usecase.webhooks = { publish: jest.fn() };
   });
 
   // ---------- CREATE ----------
@@ -42,7 +69,7 @@ describe('CustomerUsecase', () => {
   it('should throw if phone already exists', async () => {
     repoMock.existsByPhone.mockReturnValue(true);
     await expect(
-      usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '123456' })
+      usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '9876543210' })
     ).rejects.toMatchObject({ status: 409 });
   });
 
@@ -51,7 +78,7 @@ describe('CustomerUsecase', () => {
     repoMock.existsByEmail.mockReturnValue(true);
 
     await expect(
-      usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '123456', email: 'test@mail.com' })
+      usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '9876543210', email: 'test@mail.com' })
     ).rejects.toMatchObject({ status: 409 });
   });
 
@@ -63,7 +90,7 @@ describe('CustomerUsecase', () => {
       usecase.createCustomer({
         firstName: 'John',
         lastName: 'Doe',
-        phone: '123456',
+        phone: '9876543210',
         addresses: [
           { line1: 'a', city: 'c', state: 's', pincode: 'p', isPrimary: true },
           { line1: 'b', city: 'c', state: 's', pincode: 'p', isPrimary: true }
@@ -79,11 +106,279 @@ describe('CustomerUsecase', () => {
   repoMock.createCustomer.mockResolvedValue({ id: 1, firstName: 'John', addresses: [] });
   repoMock.getCustomerById.mockResolvedValue({ id: 1, firstName: 'John', addresses: [] });
 
-  const result = await usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '123456' });
+  const result = await usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '9876543210' });
   expect(result).toEqual({ id: 1, firstName: 'John', addresses: [] });
   expect(repoMock.createCustomer).toHaveBeenCalled();
   });
 
+  // ---------- PHONE NORMALIZATION ----------
+  it('should store phones in E.164 using the default region', async () => {
+    repoMock.existsByPhone.mockReturnValue(false);
+    repoMock.createCustomer.mockReturnValue({ id: 1, addresses: [] });
+
+    await usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '098765 43210' });
+    expect(repoMock.existsByPhone).toHaveBeenCalledWith('+919876543210');
+    expect(repoMock.createCustomer).toHaveBeenCalledWith(expect.objectContaining({ phone: '+919876543210' }));
+  });
+
+  it('should read national numbers in the primary address country', async () => {
+    repoMock.existsByPhone.mockReturnValue(false);
+    repoMock.createCustomer.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+
+    await usecase.createCustomer({
+      firstName: 'John', lastName: 'Doe', phone: '(415) 555-2671',
+      addresses: [{ line1: 'a', city: 'SF', state: 'CA', country: 'US', pincode: '94105', isPrimary: true }]
+    });
+    expect(repoMock.createCustomer).toHaveBeenCalledWith(expect.objectContaining({ phone: '+14155552671' }));
+  });
+
+  it('should reject phones that are invalid for the region', async () => {
+    await expect(usecase.createCustomer({ firstName: 'John', lastName: 'Doe', phone: '123456' }))
+      .rejects.toMatchObject({
+        status: 400,
+        code: 'INVALID_PHONE',
+        errors: [{ field: '/phone', message: '"phone" is not a valid IN number', code: 'phone.invalid' }],
+      });
+    expect(repoMock.createCustomer).not.toHaveBeenCalled();
+  });
+
+  it('should backfill stored phones and report collisions and invalid numbers', async () => {
+    repoMock.listPhones.mockReturnValue([
+      { id: 1, phone: '9876543210', country: null },
+      { id: 2, phone: '+91 98765 43210', country: 'India' },
+      { id: 3, phone: '(415) 555-2671', country: 'United States' },
+      { id: 4, phone: '+919812345678', country: null },
+      { id: 5, phone: '12', country: null },
+    ]);
+
+    const report = await usecase.normalizeStoredPhones();
+    expect(report).toEqual({
+      updated: 1,
+      unchanged: 4,
+      invalid: [{ id: 5, phone: '12' }],
+      collisions: [{ phone: '+919876543210', ids: [1, 2] }],
+    });
+    expect(repoMock.setPhones).toHaveBeenCalledWith([{ id: 3, phone: '+14155552671' }]);
+  });
+
+  it('should not write during a dry-run backfill', async () => {
+    repoMock.listPhones.mockReturnValue([{ id: 1, phone: '9876543210', country: null }]);
+    await expect(usecase.normalizeStoredPhones({ dryRun: true })).resolves.toMatchObject({ updated: 1 });
+    expect(repoMock.setPhones).not.toHaveBeenCalled();
+  });
+
+  // ---------- IMPORT ----------
+  describe('importCustomers', () => {
+    const valid = (phone) => ({ firstName: 'John', lastName: 'Doe', phone });
+    let nextId;
+
+    beforeEach(() => {
+      nextId = 1;
+      repoMock.existsByPhone.mockImplementation(phone => phone === '+919876599999');
+      repoMock.existsByEmail.mockReturnValue(false);
+      repoMock.createCustomer.mockImplementation(data => ({ id: nextId++, ...data, addresses: [] }));
+    });
+
+    it('should commit all rows when every row is valid', async () => {
+      const report = await usecase.importCustomers([{ row: 1, payload: valid('9876500001') }, { row: 2, payload: valid('9876500002') }]);
+      expect(report).toMatchObject({ total: 2, succeeded: 2, failed: 0, committed: true, mode: 'atomic' });
+      expect(report.results).toEqual([
+        { row: 1, ok: true, status: 201, id: 1 },
+        { row: 2, ok: true, status: 201, id: 2 },
+      ]);
+    });
+
+    it('should roll back an atomic import when a row fails', async () => {
+      const report = await usecase.importCustomers([
+        { row: 1, payload: valid('9876500001') },
+        { row: 2, payload: valid('9876599999') },
+        { row: 3, payload: {} },
+        { row: 4, error: 'Invalid JSON' },
+      ]);
+      expect(report).toMatchObject({ total: 4, succeeded: 1, failed: 3, committed: false });
+      expect(report.results[0]).toEqual({ row: 1, ok: true, status: 201 });
+      expect(report.results[1]).toMatchObject({ row: 2, ok: false, status: 409, code: 'PHONE_TAKEN', error: 'Phone already exists' });
+      expect(report.results[2]).toMatchObject({ row: 3, ok: false, status: 400, code: 'VALIDATION_FAILED', errors: expect.any(Array) });
+      expect(report.results[3]).toEqual({ row: 4, ok: false, status: 400, code: 'MALFORMED_ROW', error: 'Invalid JSON' });
+    });
+
+    it('should keep valid rows in bestEffort mode', async () => {
+      const report = await usecase.importCustomers(
+        [{ row: 1, payload: valid('9876500001') }, { row: 2, payload: valid('9876599999') }],
+        { mode: 'bestEffort' }
+      );
+      expect(report).toMatchObject({ succeeded: 1, failed: 1, committed: true });
+      expect(report.results[0].id).toBe(1);
+    });
+
+    it('should never commit a dry run', async () => {
+      const report = await usecase.importCustomers([{ row: 1, payload: valid('9876500001') }], { dryRun: true });
+      expect(report).toMatchObject({ succeeded: 1, committed: false, dryRun: true });
+      expect(report.results[0].id).toBeUndefined();
+    });
+
+    it('should reject an unknown mode', async () => {
+      await expect(usecase.importCustomers([], { mode: 'yolo' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  // ---------- BATCH ----------
+  describe('runBatch', () => {
+    const customer = { id: 5, version: 2, tags: [], addresses: [{ id: 30, isPrimary: 0 }] };
+
+    beforeEach(() => {
+      repoMock.existsByPhone.mockReturnValue(false);
+      repoMock.createCustomer.mockImplementation(data => ({ id: 9, ...data, addresses: [] }));
+      repoMock.getCustomerById.mockImplementation(id => (id === 5 ? customer : null));
+      repoMock.updateCustomer.mockImplementation(id => (id === 5 ? { ...customer, accountType: 'premium' } : null));
+      repoMock.updateAddress.mockReturnValue({ ...customer, addresses: [{ id: 30, isPrimary: 1 }] });
+      repoMock.customerRow.mockReturnValue({ id: 5, version: 2, deletedAt: null });
+    });
+
+    it('should keep successful operations and report failures with route status codes', async () => {
+      const report = await usecase.runBatch({
+        operations: [
+          { op: 'create', data: { firstName: 'A', lastName: 'B', phone: '9876500001' } },
+          { op: 'update', id: 5, data: { accountType: 'premium' } },
+          { op: 'update', id: 6, data: { accountType: 'premium' } },
+          { op: 'update', id: 5, data: { accountType: 'gold' } },
+          { op: 'setPrimary', id: 5, addressId: 30, ifMatch: '"1"' },
+        ],
+      });
+      expect(report).toMatchObject({ total: 5, succeeded: 2, failed: 3, committed: true, atomic: false });
+      expect(report.results.map(r => r.status)).toEqual([201, 200, 404, 400, 412]);
+      expect(report.results[0]).toMatchObject({ index: 0, op: 'create', ok: true, data: { id: 9 } });
+      expect(report.results[3]).toMatchObject({ ok: false, code: 'VALIDATION_FAILED', error: 'Validation failed', errors: expect.any(Array) });
+      expect(report.results[4]).toMatchObject({ ok: false, code: 'VERSION_MISMATCH' });
+      expect(repoMock.updateAddress).not.toHaveBeenCalled();
+    });
+
+    it('should roll back everything in atomic mode when an operation fails', async () => {
+      const report = await usecase.runBatch({
+        atomic: true,
+        operations: [{ op: 'setPrimary', id: 5, addressId: 30 }, { op: 'delete', id: 6 }],
+      });
+      expect(repoMock.updateAddress).toHaveBeenCalledWith(5, 30, { isPrimary: true });
+      expect(report).toMatchObject({ succeeded: 1, failed: 1, committed: false, atomic: true });
+      expect(report.results[0]).toEqual({ index: 0, op: 'setPrimary', ok: true, status: 200 });
+      expect(report.results[1]).toMatchObject({ ok: false, status: 404 });
+    });
+
+    it('should fail operations the caller may not perform with 403', async () => {
+      repoMock.deleteCustomer.mockReturnValue(true);
+      const can = permission => permission !== 'customers:delete';
+      const report = await usecase.runBatch({ operations: [{ op: 'delete', id: 5 }, { op: 'addTags', id: 5, data: { tags: ['vip'] } }] }, { can });
+      expect(report.results[0]).toMatchObject({ ok: false, status: 403, error: 'Missing permission: customers:delete' });
+      expect(repoMock.deleteCustomer).not.toHaveBeenCalled();
+      expect(repoMock.addTags).toHaveBeenCalledWith(5, ['vip']);
+    });
+
+    it('should return the version written by geocoding for the last result of each customer', async () => {
+      usecase.geocoder = { geocode: jest.fn(async () => ({ latitude: 18.5, longitude: 73.8 })) };
+      repoMock.listUnlocatedAddresses.mockImplementation(id => (id === 5 ? [{ id: 30, pincode: '411001' }] : []));
+      const geocoded = { ...customer, version: 3 };
+      repoMock.setCoordinates.mockImplementation(() => {
+        repoMock.getCustomerById.mockReturnValue(geocoded);
+        return true;
+      });
+
+      const report = await usecase.runBatch({
+        operations: [
+          { op: 'updateAddress', id: 5, addressId: 30, data: { line2: 'Flat 1' } },
+          { op: 'setPrimary', id: 5, addressId: 30 },
+        ],
+      });
+      expect(repoMock.setCoordinates).toHaveBeenCalledWith(30, { latitude: 18.5, longitude: 73.8 });
+      expect(report.results[0].data.version).toBe(2);
+      expect(report.results[1].data).toBe(geocoded);
+    });
+
+    it('should reject malformed batches', async () => {
+      await expect(usecase.runBatch({ operations: [] })).rejects.toMatchObject({ status: 400 });
+      await expect(usecase.runBatch({ operations: [{ op: 'explode', id: 1 }] })).rejects.toMatchObject({ status: 400 });
+      await expect(usecase.runBatch({ operations: [{ op: 'update', data: {} }] })).rejects.toMatchObject({ status: 400 });
+      await expect(usecase.runBatch({ operations: [{ op: 'create', id: 1, data: {} }] })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  // ---------- STATS ----------
+  it('should compute stats for the list filters with shares of the total', async () => {
+    repoMock.customerStats.mockReturnValue({
+      total: 8, byAccountType: [], byOnlyOneAddress: [], byState: [], byCity: [],
+      newCustomers: [{ period: '2025-09-01', count: 8 }], missingEmail: 3, missingPrimaryAddress: 0,
+    });
+
+    const stats = await usecase.getCustomerStats({ city: 'Pune', interval: 'week', top: '5' });
+    expect(repoMock.customerStats).toHaveBeenCalledWith('addresses.city = @city', { city: 'Pune' }, { includeDeleted: false, interval: 'week', top: 5 });
+    expect(stats.newCustomers).toEqual({ interval: 'week', buckets: [{ period: '2025-09-01', count: 8 }] });
+    expect(stats.missing).toEqual({ email: { count: 3, share: 0.375 }, primaryAddress: { count: 0, share: 0 } });
+  });
+
+  it('should reject an unknown interval or top', async () => {
+    await expect(usecase.getCustomerStats({ interval: 'year' })).rejects.toMatchObject({ status: 400, code: 'INVALID_QUERY' });
+    await expect(usecase.getCustomerStats({ top: '0' })).rejects.toMatchObject({ status: 400, code: 'INVALID_QUERY' });
+    expect(repoMock.customerStats).not.toHaveBeenCalled();
+  });
+
+  // ---------- EXPORT ----------
+  it('should export filtered customers lazily with address columns', async () => {
+    repoMock.maxAddressCount.mockReturnValue(1);
+    repoMock.iterateCustomers.mockReturnValue([{ id: 1, firstName: 'John', addresses: [{ city: 'Pune' }] }][Symbol.iterator]());
+
+    const result = await usecase.exportCustomers({ city: 'Pune', sortBy: 'firstName', sortDir: 'asc', fields: 'id,firstName,address.city' });
+
+    expect(result).toMatchObject({ format: 'csv', contentType: 'text/csv; charset=utf-8' });
+    expect(repoMock.iterateCustomers).toHaveBeenCalledWith({
+      filterQuery: 'addresses.city = @city', params: { city: 'Pune' }, sort: [{ field: 'firstName', dir: 'ASC' }], includeDeleted: false,
+    });
+    expect([...result.lines]).toEqual(['id,firstName,address1.city\r\n', '1,John,Pune\r\n']);
+  });
+
+  it('should skip the address count when no address columns are exported', async () => {
+    repoMock.iterateCustomers.mockReturnValue([][Symbol.iterator]());
+    await usecase.exportCustomers({ format: 'ndjson' });
+    await usecase.exportCustomers({ fields: 'id' });
+    expect(repoMock.maxAddressCount).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid export options before querying', async () => {
+    await expect(usecase.exportCustomers({ format: 'xlsx' })).rejects.toMatchObject({ status: 400 });
+    expect(repoMock.iterateCustomers).not.toHaveBeenCalled();
+  });
+
+  // ---------- DUPLICATES ----------
+  it('should page duplicate pairs with hydrated customers', async () => {
+    repoMock.listIdentities.mockReturnValue([
+      { id: 1, firstName: 'John', lastName: 'Smith', phone: '9876543210' },
+      { id: 2, firstName: 'Jon', lastName: 'Smith', phone: '+91 98765 43210' },
+      { id: 3, firstName: 'Asha', lastName: 'Rao', phone: '111' },
+    ]);
+    repoMock.getCustomerById.mockImplementation(id => ({ id }));
+
+    const result = await usecase.findDuplicates({ limit: '1' });
+    expect(result).toMatchObject({ total: 1, page: 1, limit: 1, pages: 1 });
+    expect(result.items[0]).toMatchObject({ customers: [{ id: 1 }, { id: 2 }], reasons: { phone: true } });
+  });
+
+  it('should reject an out-of-range minScore', async () => {
+    await expect(usecase.findDuplicates({ minScore: '2' })).rejects.toMatchObject({ status: 400 });
+    await expect(usecase.findDuplicates({ minScore: 'abc' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should merge a duplicate into the survivor', async () => {
+    repoMock.mergeCustomers.mockReturnValue({ id: 1, addresses: [] });
+    await expect(usecase.mergeCustomers('1', { duplicateId: 2 })).resolves.toEqual({ id: 1, addresses: [] });
+    expect(repoMock.mergeCustomers).toHaveBeenCalledWith(1, 2);
+  });
+
+  it('should validate merge requests', async () => {
+    await expect(usecase.mergeCustomers(1, {})).rejects.toMatchObject({ status: 400 });
+    await expect(usecase.mergeCustomers(1, { duplicateId: 1 })).rejects.toMatchObject({ status: 400 });
+    repoMock.mergeCustomers.mockReturnValue(null);
+    await expect(usecase.mergeCustomers(1, { duplicateId: 2 })).rejects.toMatchObject({ status: 404 });
+  });
+
   // ---------- GET ----------
   it('should get customer by id', async () => {
     repoMock.getCustomerById.mockResolvedValue({ id: 1 });
@@ -91,6 +386,14 @@ describe('CustomerUsecase', () => {
     expect(result).toEqual({ id: 1 });
   });
 
+  it('should get a sparse customer and keep its version for the ETag', async () => {
+    repoMock.getCustomerById.mockReturnValue({ id: 1, firstName: 'John', phone: '+91', version: 3, primaryAddress: null });
+    const result = await usecase.getCustomerById(1, { fields: 'firstName', include: 'primaryAddress' });
+    expect(repoMock.getCustomerById).toHaveBeenCalledWith(1, { includeDeleted: false, include: 'primaryAddress' });
+    expect(JSON.parse(JSON.stringify(result))).toEqual({ id: 1, firstName: 'John', primaryAddress: null });
+    expect(result.version).toBe(3);
+  });
+
   it('should throw if customer not found', async () => {
     repoMock.getCustomerById.mockReturnValue(null);
     await expect(usecase.getCustomerById(1)).rejects.toMatchObject({ status: 404 });
@@ -106,14 +409,135 @@ describe('CustomerUsecase', () => {
     expect(result.total).toBe(2);
   });
 
+  // ---------- HISTORY ----------
+  it('should return paginated customer history', async () => {
+    repoMock.getCustomerById.mockReturnValue({ id: 1 });
+    repoMock.audit.countByCustomer.mockReturnValue(3);
+    repoMock.audit.findByCustomer.mockReturnValue([{ id: 3 }, { id: 2 }]);
+
+    const result = await usecase.getCustomerHistory('1', { page: '1', limit: '2' });
+    expect(repoMock.audit.findByCustomer).toHaveBeenCalledWith(1, { limit: 2, offset: 0 });
+    expect(result).toMatchObject({ total: 3, page: 1, limit: 2, pages: 2 });
+  });
+
+  it('should throw history for unknown customer', async () => {
+    repoMock.getCustomerById.mockReturnValue(null);
+    await expect(usecase.getCustomerHistory(1)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should return cursors in offset mode', async () => {
+    const rows = [{ id: 1 }, { id: 2 }].map(r => Object.defineProperty(r, 'sortKey', { value: [`k${r.id}`] }));
+    repoMock.countCustomers.mockReturnValue(5);
+    repoMock.findCustomers.mockReturnValue(rows);
+
+    const result = await usecase.getCustomers({ page: '2', limit: '2' });
+    expect(decodeCursor(result.nextCursor)).toEqual({ values: ['k2'], id: 2, direction: 'next', sort: '-createdAt' });
+    expect(decodeCursor(result.prevCursor)).toMatchObject({ id: 1, direction: 'prev' });
+  });
+
+  it('should fetch one extra row in cursor mode and trim it', async () => {
+    const rows = [1, 2, 3].map(id => Object.defineProperty({ id }, 'sortKey', { value: [id] }));
+    repoMock.countCustomers.mockReturnValue(10);
+    repoMock.findCustomers.mockReturnValue(rows);
+    const cursor = encodeCursor({ values: [0], id: 0, direction: 'next', sort: '-createdAt' });
+
+    const result = await usecase.getCustomers({ limit: '2', cursor });
+    expect(repoMock.findCustomers).toHaveBeenCalledWith(expect.objectContaining({ limit: 3, offset: 0, cursor: expect.objectContaining({ id: 0 }) }));
+    expect(result.items.map(i => i.id)).toEqual([1, 2]);
+    expect(result.page).toBeNull();
+    expect(decodeCursor(result.nextCursor).id).toBe(2);
+    expect(decodeCursor(result.prevCursor).id).toBe(1);
+  });
+
+  it('should reject a cursor issued for another sort', async () => {
+    repoMock.countCustomers.mockReturnValue(0);
+    const cursor = encodeCursor({ values: ['a'], id: 1, direction: 'next', sort: 'lastName' });
+    await expect(usecase.getCustomers({ cursor })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should search with FTS and rank by relevance when asked', async () => {
+    repoMock.countCustomers.mockReturnValue(0);
+    repoMock.findCustomers.mockReturnValue([]);
+
+    await usecase.getCustomers({ q: 'Jo Sm', sort: 'relevance' });
+    const args = repoMock.findCustomers.mock.calls[0][0];
+    expect(args.filterQuery).toContain('customers_fts MATCH @fts');
+    expect(args.params).toEqual({ fts: '"Jo"* "Sm"*' });
+    expect(args.sort).toEqual([{ field: 'relevance', dir: 'ASC' }]);
+  });
+
+  it('should parse multi-column sorts and fall back to the legacy sortBy/sortDir', () => {
+    expect(usecase.buildListQuery({ sort: '-createdAt,lastName,primaryAddress.city' }).sort).toEqual([
+      { field: 'createdAt', dir: 'DESC' }, { field: 'lastName', dir: 'ASC' }, { field: 'primaryAddress.city', dir: 'ASC' },
+    ]);
+    expect(usecase.buildListQuery({ sortBy: 'firstName', sortDir: 'asc' }).sort).toEqual([{ field: 'firstName', dir: 'ASC' }]);
+    expect(usecase.buildListQuery({ sort: 'relevance,lastName' }).sort).toEqual([{ field: 'lastName', dir: 'ASC' }]);
+    expect(() => usecase.buildListQuery({ sort: 'password' })).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_SORT' }));
+  });
+
+  it('should add structured filters to the list query', () => {
+    const { filterQuery, params } = usecase.buildListQuery({ city: 'Pune', 'filter[accountType][in]': 'premium,enterprise' });
+    expect(filterQuery).toBe('addresses.city = @city AND customers.accountType IN (@filter0_0, @filter0_1)');
+    expect(params).toEqual({ city: 'Pune', filter0_0: 'premium', filter0_1: 'enterprise' });
+    expect(() => usecase.buildListQuery({ 'filter[password]': 'x' })).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_FILTER' }));
+  });
+
+  it('should return sparse fieldsets without loading addresses', async () => {
+    repoMock.countCustomers.mockReturnValue(1);
+    repoMock.findCustomers.mockReturnValue([{ id: 1, firstName: 'Jo', lastName: 'Sm', phone: '+91', tags: [] }]);
+
+    const result = await usecase.getCustomers({ fields: 'firstName,lastName', include: 'none' });
+    expect(repoMock.findCustomers).toHaveBeenCalledWith(expect.objectContaining({ include: 'none' }));
+    expect(result.items).toEqual([{ id: 1, firstName: 'Jo', lastName: 'Sm' }]);
+    await expect(usecase.getCustomers({ fields: 'firstName,password' })).rejects.toMatchObject({ status: 400, code: 'INVALID_FIELDS' });
+    await expect(usecase.getCustomers({ include: 'orders' })).rejects.toMatchObject({ status: 400, code: 'INVALID_INCLUDE' });
+  });
+
+  it('should still load every address for near searches and embed only the primary one', async () => {
+    repoMock.countCustomers.mockReturnValue(1);
+    repoMock.findCustomers.mockReturnValue([{ id: 1, addresses: [
+      { id: 7, isPrimary: 0, latitude: 18.52, longitude: 73.85 },
+      { id: 8, isPrimary: 1, latitude: null, longitude: null },
+    ] }]);
+
+    const { items } = await usecase.getCustomers({ near: '18.52,73.85', include: 'primaryAddress', fields: 'id' });
+    expect(repoMock.findCustomers).toHaveBeenCalledWith(expect.objectContaining({ include: 'addresses' }));
+    expect(items).toEqual([{ id: 1, primaryAddress: expect.objectContaining({ id: 8 }), distanceKm: 0 }]);
+  });
+
+  it('should also substring-match phone fragments', async () => {
+    repoMock.countCustomers.mockReturnValue(0);
+    repoMock.findCustomers.mockReturnValue([]);
+
+    await usecase.getCustomers({ q: '98765' });
+    const args = repoMock.findCustomers.mock.calls[0][0];
+    expect(args.params).toEqual({ fts: '"98765"*', phoneDigits: '%98765%' });
+    expect(args.sort).toEqual([{ field: 'createdAt', dir: 'DESC' }]);
+  });
+
   // ---------- UPDATE ----------
   it('should throw validation error on update', async () => {
     await expect(usecase.updateCustomer(1, {})).rejects.toMatchObject({ status: 400 });
   });
 
   it('should throw if phone already used by another customer', async () => {
+  repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
   repoMock.db.prepare.mockReturnValue({ get: () => ({ id: 2 }) });
-  await expect(usecase.updateCustomer(1, { phone: '999999' })).rejects.toMatchObject({ status: 409 });
+  await expect(usecase.updateCustomer(1, { phone: '9876599999' })).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should normalize the phone on update using the primary address country', async () => {
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [{ isPrimary: 1, country: 'United States' }] });
+    repoMock.db.prepare.mockReturnValue({ get: () => null });
+    repoMock.updateCustomer.mockReturnValue({ id: 1 });
+
+    await usecase.updateCustomer(1, { phone: '(415) 555-2671' });
+    expect(repoMock.updateCustomer).toHaveBeenCalledWith(1, { phone: '+14155552671' });
+  });
+
+  it('should 404 when updating the phone of an unknown customer', async () => {
+    repoMock.getCustomerById.mockReturnValue(null);
+    await expect(usecase.updateCustomer(1, { phone: '9876543210' })).rejects.toMatchObject({ status: 404 });
   });
 
   it('should update customer successfully', async () => {
@@ -136,26 +560,285 @@ describe('CustomerUsecase', () => {
     await expect(usecase.deleteCustomer(1)).rejects.toMatchObject({ status: 404 });
   });
 
+  it('should restore a deleted customer', async () => {
+    repoMock.restoreCustomer.mockReturnValue({ id: 1, deletedAt: null });
+    const result = await usecase.restoreCustomer('1');
+    expect(repoMock.restoreCustomer).toHaveBeenCalledWith(1);
+    expect(result).toEqual({ id: 1, deletedAt: null });
+  });
+
+  it('should throw if restoring a customer that is not deleted', async () => {
+    repoMock.restoreCustomer.mockReturnValue(null);
+    await expect(usecase.restoreCustomer(1)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should pass includeDeleted through to the repository', async () => {
+    repoMock.countCustomers.mockReturnValue(0);
+    repoMock.findCustomers.mockReturnValue([]);
+    await usecase.getCustomers({ includeDeleted: 'true' });
+    expect(repoMock.countCustomers).toHaveBeenCalledWith(expect.any(String), expect.any(Object), { includeDeleted: true });
+    expect(repoMock.findCustomers).toHaveBeenCalledWith(expect.objectContaining({ includeDeleted: true }));
+  });
+
   // ---------- ADDRESS OPS ----------
+  const address = { line1: 'addr', city: 'c', state: 's', pincode: '1' };
+
   it('should add address', async () => {
-    repoMock.addAddress.mockResolvedValue({ id: 1, addresses: [{ id: 2 }] });
-    const result = await usecase.addAddress(1, { line1: 'addr' });
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.addAddress.mockReturnValue({ id: 1, addresses: [{ id: 2 }] });
+    const result = await usecase.addAddress(1, address);
     expect(result.addresses).toHaveLength(1);
+    expect(repoMock.addAddress).toHaveBeenCalledWith(1, { ...address, country: 'India', status: 'active' });
+  });
+
+  it('should reject invalid address payloads with Joi details', async () => {
+    await expect(usecase.addAddress(1, { city: 'c', pincode: '1', status: 'gone' })).rejects.toMatchObject({
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      errors: expect.arrayContaining([
+        { field: '/line1', message: '"line1" is required', code: 'any.required' },
+        { field: '/status', message: '"status" must be one of [active, inactive]', code: 'any.only' },
+      ]),
+    });
+    await expect(usecase.updateAddress(1, 2, {})).rejects.toMatchObject({ status: 400 });
+    await expect(usecase.updateAddress(1, 2, { pincode: 12 })).rejects.toMatchObject({ status: 400 });
+    expect(repoMock.addAddress).not.toHaveBeenCalled();
+    expect(repoMock.updateAddress).not.toHaveBeenCalled();
+  });
+
+  it('should complete addresses from the pincode directory', async () => {
+    usecase.pincodes.completeAddress.mockImplementation(a => ({ ...a, city: 'Pune', state: 'Maharashtra' }));
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.addAddress.mockReturnValue({ id: 1, addresses: [{ id: 3 }] });
+    await usecase.addAddress(1, { line1: 'addr', pincode: '411001' });
+    expect(repoMock.addAddress).toHaveBeenCalledWith(1, expect.objectContaining({ city: 'Pune', state: 'Maharashtra' }));
+
+    repoMock.createCustomer.mockReturnValue({ id: 2 });
+    await usecase.createCustomer({ firstName: 'A', lastName: 'B', phone: '9876543210', addresses: [{ line1: 'addr', pincode: '411001' }] });
+    expect(repoMock.addAddress).toHaveBeenLastCalledWith(2, expect.objectContaining({ city: 'Pune', state: 'Maharashtra' }));
+  });
+
+  it('should re-derive city/state when an address patch changes the pincode', async () => {
+    usecase.pincodes.completeAddress.mockImplementation(a => ({ ...a, city: a.city || 'Hyderabad', state: 'Telangana' }));
+    repoMock.getCustomerById.mockReturnValue({
+      id: 1, addresses: [{ id: 2, line1: 'addr', city: 'Pune', state: 'Maharashtra', pincode: '411001', country: 'India' }],
+    });
+    repoMock.updateAddress.mockReturnValue({ id: 1, addresses: [] });
+
+    await usecase.updateAddress(1, 2, { pincode: '500034' });
+    expect(usecase.pincodes.completeAddress).toHaveBeenCalledWith(expect.not.objectContaining({ city: 'Pune' }));
+    expect(repoMock.updateAddress).toHaveBeenCalledWith(1, 2, {
+      pincode: '500034', city: 'Hyderabad', state: 'Telangana', latitude: null, longitude: null,
+    });
+
+    usecase.pincodes.completeAddress.mockClear();
+    await usecase.updateAddress(1, 2, { line1: 'new' });
+    expect(usecase.pincodes.completeAddress).not.toHaveBeenCalled();
+  });
+
+  it('should reject more than one default billing or shipping address on create', async () => {
+    const base = { firstName: 'A', lastName: 'B', phone: '9876543210' };
+    const addr = { line1: 'a', city: 'c', state: 's', pincode: '411001' };
+    await expect(usecase.createCustomer({ ...base, addresses: [{ ...addr, isDefaultBilling: true }, { ...addr, isDefaultBilling: true }] }))
+      .rejects.toMatchObject({ status: 400, message: 'Only one address can be the default billing address' });
+    await expect(usecase.createCustomer({ ...base, addresses: [{ ...addr, isDefaultShipping: true }, { ...addr, isDefaultShipping: true }] }))
+      .rejects.toMatchObject({ status: 400, message: 'Only one address can be the default shipping address' });
+    await expect(usecase.addAddress(1, { ...addr, addressType: 'office' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should filter on the city of the default shipping and billing addresses', () => {
+    const { filterQuery, params } = usecase.buildListQuery({ hasShippingAddressIn: 'Pune', hasBillingAddressIn: 'Mumbai', addressType: 'work' });
+    expect(filterQuery).toContain('d.isDefaultShipping = 1');
+    expect(filterQuery).toContain('d.isDefaultBilling = 1');
+    expect(filterQuery).toContain('addresses.addressType = @addressType');
+    expect(params).toEqual({ shippingCity: 'Pune', billingCity: 'Mumbai', addressType: 'work' });
+  });
+
+  it('should filter on any or all of the given tags', () => {
+    const any = usecase.buildListQuery({ tags: 'VIP, wholesale,vip' });
+    expect(any.filterQuery).toContain('WHERE t.name IN (@tag0, @tag1))');
+    expect(any.params).toEqual({ tag0: 'vip', tag1: 'wholesale' });
+
+    const all = usecase.buildListQuery({ tags: 'vip,wholesale', tagsMatch: 'all' });
+    expect(all.filterQuery).toContain('GROUP BY ct.customerId HAVING COUNT(*) = 2');
+    expect(() => usecase.buildListQuery({ tags: 'vip', tagsMatch: 'most' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should merge attribute filters into the list query', () => {
+    usecase.attributes.buildFilters.mockReturnValue({ filters: ['json_extract(customers.attributes, @attrPath0) = @attrValue0'], params: { attrPath0: '$."tier"', attrValue0: 'gold' } });
+    const { filterQuery, params } = usecase.buildListQuery({ city: 'Pune', 'attr.tier': 'gold' });
+    expect(filterQuery).toBe('addresses.city = @city AND json_extract(customers.attributes, @attrPath0) = @attrValue0');
+    expect(params).toEqual({ city: 'Pune', attrPath0: '$."tier"', attrValue0: 'gold' });
+  });
+
+  it('should validate attributes against the registry on create and update', async () => {
+    repoMock.existsByPhone.mockReturnValue(false);
+    repoMock.createCustomer.mockReturnValue({ id: 1, addresses: [] });
+    await usecase.createCustomer({ firstName: 'A', lastName: 'B', phone: '+919876543210', attributes: { tier: 'gold' }, tags: ['VIP'] });
+    expect(usecase.attributes.validateValues).toHaveBeenCalledWith({ tier: 'gold' });
+    expect(repoMock.createCustomer).toHaveBeenCalledWith(expect.objectContaining({ tags: ['vip'], attributes: { tier: 'gold' } }));
+
+    repoMock.updateCustomer.mockReturnValue({ id: 1 });
+    await usecase.updateCustomer(1, { attributes: { tier: null } });
+    expect(usecase.attributes.validateValues).toHaveBeenLastCalledWith({ tier: null }, { partial: true });
+  });
+
+  it('should add and remove tags from the body or query', async () => {
+    repoMock.getCustomerById.mockReturnValue({ id: 1, tags: [] });
+    repoMock.addTags.mockReturnValue({ id: 1, tags: ['vip'] });
+    repoMock.removeTags.mockReturnValue(null);
+    await expect(usecase.addTags(1, { tags: ['VIP'] })).resolves.toEqual({ id: 1, tags: ['vip'] });
+    expect(repoMock.addTags).toHaveBeenCalledWith(1, ['vip']);
+    await expect(usecase.removeTags(1, {}, { tags: 'vip' })).rejects.toMatchObject({ status: 404 });
+    expect(repoMock.removeTags).toHaveBeenCalledWith(1, ['vip']);
+    await expect(usecase.addTags(1, { tags: ['no spaces'] })).rejects.toMatchObject({ status: 400 });
+    await expect(usecase.addTags(1, {})).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should queue webhook events inside the write transaction', async () => {
+    let depth = 0;
+    repoMock.transaction.mockImplementation(fn => { depth++; try { return fn(); } finally { depth--; } });
+    usecase.webhooks.publish.mockImplementation(() => expect(depth).toBeGreaterThan(0));
+
+    repoMock.existsByPhone.mockReturnValue(false);
+    repoMock.createCustomer.mockReturnValue({ id: 1, addresses: [] });
+    await usecase.createCustomer({ firstName: 'A', lastName: 'B', phone: '+919876543210' });
+    expect(usecase.webhooks.publish).toHaveBeenLastCalledWith('customer.created', { customer: { id: 1, addresses: [] } });
+
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [{ id: 1, isPrimary: 0 }] });
+    repoMock.addAddress.mockReturnValue({ id: 1, addresses: [{ id: 2, isPrimary: 1 }, { id: 1, isPrimary: 0 }] });
+    await usecase.addAddress(1, { ...address, isPrimary: true });
+    expect(usecase.webhooks.publish.mock.calls.slice(-2)).toEqual([
+      ['address.added', { customerId: 1, address: { id: 2, isPrimary: 1 } }],
+      ['address.primary_changed', { customerId: 1, previousAddressId: null, addressId: 2 }],
+    ]);
+
+    repoMock.deleteCustomer.mockReturnValue(true);
+    await usecase.deleteCustomer('1');
+    expect(usecase.webhooks.publish).toHaveBeenLastCalledWith('customer.deleted', { customerId: 1 });
+
+    usecase.webhooks.publish.mockClear();
+    repoMock.updateCustomer.mockReturnValue(null);
+    await expect(usecase.updateCustomer(9, { firstName: 'Z' })).rejects.toMatchObject({ status: 404 });
+    expect(usecase.webhooks.publish).not.toHaveBeenCalled();
+  });
+
+  it('should refuse writes with a stale If-Match version', async () => {
+    let depth = 0;
+    repoMock.transaction.mockImplementation(fn => { depth++; try { return fn(); } finally { depth--; } });
+    repoMock.customerRow.mockImplementation(() => { expect(depth).toBeGreaterThan(0); return { id: 1, version: 3, deletedAt: null }; });
+    repoMock.updateCustomer.mockReturnValue({ id: 1, version: 4 });
+
+    await expect(usecase.updateCustomer(1, { firstName: 'Z' }, { ifMatch: [2] })).rejects.toMatchObject({ status: 412 });
+    expect(repoMock.updateCustomer).not.toHaveBeenCalled();
+    expect(usecase.webhooks.publish).not.toHaveBeenCalled();
+
+    await expect(usecase.updateCustomer(1, { firstName: 'Z' }, { ifMatch: [2, 3] })).resolves.toEqual({ id: 1, version: 4 });
+    await expect(usecase.updateCustomer(1, { firstName: 'Z' }, { ifMatch: '*' })).resolves.toEqual({ id: 1, version: 4 });
+
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    await expect(usecase.deleteAddress(1, 5, { ifMatch: [1] })).rejects.toMatchObject({ status: 412 });
+    await expect(usecase.addTags(1, { tags: ['vip'] }, {}, { ifMatch: [1] })).rejects.toMatchObject({ status: 412 });
+    expect(repoMock.deleteAddress).not.toHaveBeenCalled();
+    expect(repoMock.addTags).not.toHaveBeenCalled();
+  });
+
+  it('should skip the version check without If-Match and leave missing customers to a 404', async () => {
+    repoMock.updateCustomer.mockReturnValue(null);
+    await expect(usecase.updateCustomer(1, { firstName: 'Z' })).rejects.toMatchObject({ status: 404 });
+    expect(repoMock.customerRow).not.toHaveBeenCalled();
+
+    repoMock.customerRow.mockReturnValue(undefined);
+    await expect(usecase.updateCustomer(1, { firstName: 'Z' }, { ifMatch: [1] })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should geocode addresses without coordinates after writing them', async () => {
+    usecase.geocoder = { geocode: jest.fn(async a => (a.pincode === '411001' ? { latitude: 18.5, longitude: 73.8 } : null)) };
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.addAddress.mockReturnValue({ id: 1, addresses: [{ id: 2 }] });
+    repoMock.listUnlocatedAddresses.mockReturnValue([{ id: 2, pincode: '411001' }, { id: 3, pincode: '999999' }]);
+    repoMock.setCoordinates.mockReturnValue(true);
+
+    await usecase.addAddress(1, { line1: 'a', city: 'c', state: 's', pincode: '411001' });
+    expect(repoMock.listUnlocatedAddresses).toHaveBeenCalledWith(1);
+    expect(repoMock.setCoordinates).toHaveBeenCalledTimes(1);
+    expect(repoMock.setCoordinates).toHaveBeenCalledWith(2, { latitude: 18.5, longitude: 73.8 });
+    expect(repoMock.getCustomerById).toHaveBeenCalledTimes(2);
+
+    usecase.geocoder.geocode.mockRejectedValue(new Error('down'));
+    await expect(usecase.locateAddresses()).resolves.toBe(0);
+  });
+
+  it('should keep explicit coordinates and require both of them', async () => {
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.updateAddress.mockReturnValue({ id: 1, addresses: [] });
+    await usecase.updateAddress(1, 2, { pincode: '411001', latitude: 18.5, longitude: 73.8 });
+    expect(repoMock.updateAddress).toHaveBeenCalledWith(1, 2, expect.objectContaining({ latitude: 18.5, longitude: 73.8 }));
+    await expect(usecase.updateAddress(1, 2, { latitude: 18.5 })).rejects.toMatchObject({ status: 400 });
+    await expect(usecase.addAddress(1, { line1: 'a', pincode: '411001', latitude: 91, longitude: 0 })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should search near a point, nearest first, with distances', async () => {
+    repoMock.countCustomers.mockReturnValue(2);
+    repoMock.findCustomers.mockReturnValue([
+      { id: 1, addresses: [{ latitude: 18.5204, longitude: 73.8567 }] },
+      { id: 2, addresses: [{ latitude: null, longitude: null }, { latitude: 18.55, longitude: 73.85 }] },
+    ]);
+    const result = await usecase.getCustomers({ near: '18.5204,73.8567', radiusKm: '10' });
+
+    const { filterQuery, params, sort } = repoMock.findCustomers.mock.calls[0][0];
+    expect(sort).toEqual([{ field: 'distance', dir: 'ASC' }]);
+    expect(filterQuery).toContain('g.latitude BETWEEN @minLat AND @maxLat');
+    expect(params).toMatchObject({ nearLat: 18.5204, nearLng: 73.8567, radiusKm: 10 });
+    expect(params.maxLat - params.minLat).toBeCloseTo(20 / 111.32, 6);
+    expect(result.items.map(c => c.distanceKm)).toEqual([0, expect.any(Number)]);
+    expect(result.items[1].distanceKm).toBeCloseTo(3.37, 2);
+  });
+
+  it('should keep an explicit sort with near and reject distance sorting without it', async () => {
+    expect(usecase.buildListQuery({ near: '18.5,73.8', sortBy: 'lastName' }).sort).toEqual([{ field: 'lastName', dir: 'DESC' }]);
+    expect(() => usecase.buildListQuery({ sort: 'distance' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => usecase.buildListQuery({ near: 'x' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should 404 address operations on an unknown customer', async () => {
+    repoMock.getCustomerById.mockReturnValue(null);
+    await expect(usecase.addAddress(1, address)).rejects.toMatchObject({ status: 404, message: 'Customer not found' });
+    await expect(usecase.updateAddress(1, 2, { line1: 'x' })).rejects.toMatchObject({ status: 404, message: 'Customer not found' });
+    await expect(usecase.deleteAddress(1, 2)).rejects.toMatchObject({ status: 404, message: 'Customer not found' });
+    await expect(usecase.markOnlyOneAddress(1, true)).rejects.toMatchObject({ status: 404 });
   });
 
   it('should update address', async () => {
-    repoMock.updateAddress.mockResolvedValue({ id: 1, addresses: [{ id: 2, line1: 'x' }] });
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.updateAddress.mockReturnValue({ id: 1, addresses: [{ id: 2, line1: 'x' }] });
     const result = await usecase.updateAddress(1, 2, { line1: 'x' });
     expect(result.addresses[0].line1).toBe('x');
+    expect(repoMock.updateAddress).toHaveBeenCalledWith(1, 2, { line1: 'x', latitude: null, longitude: null });
+  });
+
+  it('should 404 when the address does not belong to the customer', async () => {
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.updateAddress.mockReturnValue(null);
+    repoMock.deleteAddress.mockReturnValue(null);
+    await expect(usecase.updateAddress(1, 99, { line1: 'x' })).rejects.toMatchObject({ status: 404, message: 'Address not found' });
+    await expect(usecase.deleteAddress(1, 99)).rejects.toMatchObject({ status: 404, message: 'Address not found' });
   });
 
   it('should delete address', async () => {
-    repoMock.deleteAddress.mockResolvedValue({ id: 1, addresses: [] });
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
+    repoMock.deleteAddress.mockReturnValue({ id: 1, addresses: [] });
     const result = await usecase.deleteAddress(1, 2);
     expect(result.addresses).toHaveLength(0);
   });
 
+  it('should throw if restoring an address that is not deleted', async () => {
+    repoMock.restoreAddress.mockReturnValue(null);
+    await expect(usecase.restoreAddress(1, 2)).rejects.toMatchObject({ status: 404 });
+  });
+
   it('should mark only one address', async () => {
+    repoMock.getCustomerById.mockReturnValue({ id: 1, addresses: [] });
     repoMock.markOnlyOneAddress.mockResolvedValue({ id: 1, hasOnlyOneAddress: true });
     const result = await usecase.markOnlyOneAddress(1, true);
     expect(result.hasOnlyOneAddress).toBe(true);
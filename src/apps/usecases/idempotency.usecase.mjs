@@ -0,0 +1,78 @@
+import { createHash } from 'node:crypto';
+import IdempotencyRepository from '../repositories/idempotency.repository.mjs';
+import idempotencyConfig from '../../infrastructures/config/idempotency.config.mjs';
+import { AppError, BadRequestError, ConflictError } from '../../utils/error.utils.mjs';
+
+/** Idempotency keys: 1–255 visible ASCII characters (a UUID is the usual choice). */
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Use case class for `Idempotency-Key` handling: claiming keys, detecting reuse
+ * with a different request, and storing responses so that retries replay them.
+ */
+class IdempotencyUsecase {
+  constructor() {
+    /** @type {IdempotencyRepository} */
+    this.repo = new IdempotencyRepository();
+  }
+
+  /**
+   * Fingerprint a request; a key may only be reused for the same method, path and body.
+   * @param {{method:string, path:string, body:*}} request
+   * @returns {string} SHA-256 hex digest.
+   */
+  hashRequest({ method, path, body }) {
+    return createHash('sha256').update(JSON.stringify([method, path, body ?? null])).digest('hex');
+  }
+
+  /**
+   * Start handling a request made with an idempotency key.
+   * Expired keys are cleared first, so a key can be used again once its TTL (`IDEMPOTENCY_TTL_HOURS`) has passed.
+   * @param {{actor:string, key:string, requestHash:string}} request - Keys are scoped to the user sending them.
+   * @returns {{statusCode:number, headers:Object, body:*}|null} The stored response to replay, or `null`
+   *   when the key is new and the request should run (finish with `complete`).
+   * @throws {AppError} 400 for a malformed key, 409 while the first request with the key
+   *   is still running, 422 if the key was used for a different request.
+   */
+  begin({ actor, key, requestHash }) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new BadRequestError('Idempotency-Key must be 1-255 visible ASCII characters', { code: 'INVALID_IDEMPOTENCY_KEY' });
+    }
+    this.repo.purgeExpired();
+    if (this.repo.reserve({ actor, key, requestHash, ttlSeconds: idempotencyConfig.ttlHours * 60 * 60 })) return null;
+
+    const stored = this.repo.find(actor, key);
+    if (stored.requestHash !== requestHash) {
+      throw new AppError('Idempotency-Key was already used for a different request', { status: 422, code: 'IDEMPOTENCY_KEY_REUSED' });
+    }
+    if (stored.statusCode === null) {
+      throw new ConflictError('A request with this Idempotency-Key is still in progress', { code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+    }
+    return { statusCode: stored.statusCode, headers: stored.headers, body: stored.body };
+  }
+
+  /**
+   * Record the outcome of a request started with `begin`.
+   * Server errors (5xx) are not stored: the key is released so the client can retry.
+   * @param {string} actor - User the key belongs to.
+   * @param {string} key - Idempotency key.
+   * @param {{statusCode:number, headers:Object, body:*}} response - Response sent to the client.
+   * @returns {void}
+   */
+  complete(actor, key, response) {
+    if (response.statusCode >= 500) this.repo.release(actor, key);
+    else this.repo.complete(actor, key, response);
+  }
+
+  /**
+   * Release a key whose request ended without a response (e.g. the client disconnected).
+   * @param {string} actor - User the key belongs to.
+   * @param {string} key - Idempotency key.
+   * @returns {void}
+   */
+  release(actor, key) {
+    this.repo.release(actor, key);
+  }
+}
+
+export default new IdempotencyUsecase();
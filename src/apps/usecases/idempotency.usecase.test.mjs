@@ -0,0 +1,62 @@
+// idempotency.usecase.test.mjs
+import IdempotencyUsecase from './idempotency.usecase.mjs';
+
+jest.mock('../repositories/idempotency.repository.mjs');
+
+describe('IdempotencyUsecase', () => {
+  let usecase;
+  const request = { method: 'POST', path: '/api/customers', body: { firstName: 'A' } };
+
+  beforeEach(() => {
+    usecase = new (IdempotencyUsecase.constructor)();
+    usecase.repo = {
+      purgeExpired: jest.fn(),
+      reserve: jest.fn().mockReturnValue(true),
+      find: jest.fn(),
+      complete: jest.fn(),
+      release: jest.fn(),
+    };
+  });
+
+  it('should fingerprint method, path and body', () => {
+    const hash = usecase.hashRequest(request);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(usecase.hashRequest({ ...request })).toBe(hash);
+    expect(usecase.hashRequest({ ...request, body: { firstName: 'B' } })).not.toBe(hash);
+    expect(usecase.hashRequest({ ...request, path: '/api/customers/1/addresses' })).not.toBe(hash);
+  });
+
+  it('should let a new key run after clearing expired keys', () => {
+    expect(usecase.begin({ actor: 'u1', key: 'k-1', requestHash: 'h' })).toBeNull();
+    expect(usecase.repo.purgeExpired).toHaveBeenCalled();
+    expect(usecase.repo.reserve).toHaveBeenCalledWith({ actor: 'u1', key: 'k-1', requestHash: 'h', ttlSeconds: 24 * 60 * 60 });
+  });
+
+  it('should replay the stored response for the same request', () => {
+    usecase.repo.reserve.mockReturnValue(false);
+    usecase.repo.find.mockReturnValue({ requestHash: 'h', statusCode: 201, headers: { etag: '"1"' }, body: { success: true } });
+    expect(usecase.begin({ actor: 'u1', key: 'k-1', requestHash: 'h' })).toEqual({ statusCode: 201, headers: { etag: '"1"' }, body: { success: true } });
+  });
+
+  it('should reject a reused key with 422 and a concurrent repeat with 409', () => {
+    usecase.repo.reserve.mockReturnValue(false);
+    usecase.repo.find.mockReturnValue({ requestHash: 'other', statusCode: 201, headers: {}, body: {} });
+    expect(() => usecase.begin({ actor: 'u1', key: 'k-1', requestHash: 'h' })).toThrow(expect.objectContaining({ status: 422 }));
+
+    usecase.repo.find.mockReturnValue({ requestHash: 'h', statusCode: null, headers: {}, body: null });
+    expect(() => usecase.begin({ actor: 'u1', key: 'k-1', requestHash: 'h' })).toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should reject malformed keys', () => {
+    expect(() => usecase.begin({ actor: 'u1', key: '', requestHash: 'h' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => usecase.begin({ actor: 'u1', key: 'has space', requestHash: 'h' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(usecase.repo.reserve).not.toHaveBeenCalled();
+  });
+
+  it('should store responses but release the key after a server error', () => {
+    usecase.complete('u1', 'k-1', { statusCode: 400, headers: {}, body: { success: false } });
+    expect(usecase.repo.complete).toHaveBeenCalledWith('u1', 'k-1', { statusCode: 400, headers: {}, body: { success: false } });
+    usecase.complete('u1', 'k-2', { statusCode: 503, headers: {}, body: {} });
+    expect(usecase.repo.release).toHaveBeenCalledWith('u1', 'k-2');
+  });
+});
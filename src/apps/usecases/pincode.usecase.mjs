@@ -0,0 +1,80 @@
+import PincodeRepository from '../repositories/pincode.repository.mjs';
+import { regionForCountry } from '../../utils/phone.utils.mjs';
+import { BadRequestError, NotFoundError, ValidationError } from '../../utils/error.utils.mjs';
+
+/** Six digits, first one non-zero. */
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * Comparison form of a state name: case-folded letters and digits only, `&` read as `and`.
+ * @param {string} state - State name.
+ * @returns {string}
+ */
+function stateKey(state) {
+  return String(state).toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Use case class for the Indian pincode directory: lookups and address completion.
+ */
+class PincodeUsecase {
+  constructor() {
+    /** @type {PincodeRepository} */
+    this.repo = new PincodeRepository();
+  }
+
+  /**
+   * Look up a pincode in the directory.
+   * @param {string} pincode - Six-digit pincode.
+   * @returns {Promise<{pincode:string, city:string, district:string, state:string}>}
+   * @throws {BadRequestError|NotFoundError} 400 for a malformed pincode, 404 if it is not in the directory.
+   */
+  async getByPincode(pincode) {
+    if (!PINCODE_PATTERN.test(String(pincode))) throw new BadRequestError('Pincode must be 6 digits', { code: 'INVALID_PINCODE' });
+    const entry = this.repo.findByPincode(pincode);
+    if (!entry) throw new NotFoundError('Pincode not found', { code: 'PINCODE_NOT_FOUND' });
+    return entry;
+  }
+
+  /**
+   * Check an address against the directory and fill in what is missing.
+   *
+   * For Indian addresses the pincode must be six digits. If it is in the directory,
+   * a missing city is filled in, the state is set to the directory spelling, and a
+   * different state is rejected. Pincodes missing from the directory are accepted
+   * as long as city and state are given. Other countries only need city and state.
+   *
+   * @param {Object} address - Address with `pincode`, `country` and optional `city`/`state`.
+   * @param {Object} [options]
+   * @param {string} [options.pointer=''] - JSON Pointer of the address in the request body, used in error `field`s.
+   * @returns {Object} The address with `city` and `state` set.
+   * @throws {ValidationError} 400 when the address is incomplete or inconsistent.
+   */
+  completeAddress(address, { pointer = '' } = {}) {
+    const invalid = issues => new ValidationError('Validation failed', {
+      errors: issues.map(([key, message, code]) => ({ field: `${pointer}/${key}`, message, code })),
+    });
+    const missing = ['city', 'state'].filter(k => !address[k]);
+    if (regionForCountry(address.country || 'India') !== 'IN') {
+      if (missing.length) throw invalid(missing.map(k => [k, `"${k}" is required`, 'any.required']));
+      return address;
+    }
+
+    const pincode = String(address.pincode ?? '').trim();
+    if (!PINCODE_PATTERN.test(pincode)) throw invalid([['pincode', '"pincode" must be a 6-digit Indian pincode', 'pincode.format']]);
+
+    const entry = this.repo.findByPincode(pincode);
+    if (!entry) {
+      if (missing.length) {
+        throw invalid(missing.map(k => [k, `"${k}" is required (pincode ${pincode} is not in the directory)`, 'any.required']));
+      }
+      return { ...address, pincode };
+    }
+    if (address.state && stateKey(address.state) !== stateKey(entry.state)) {
+      throw invalid([['state', `"state" must be ${entry.state} for pincode ${pincode}`, 'pincode.state']]);
+    }
+    return { ...address, pincode, city: address.city || entry.city, state: entry.state };
+  }
+}
+
+export default new PincodeUsecase();
@@ -0,0 +1,66 @@
+// pincode.usecase.test.mjs
+import PincodeUsecase from './pincode.usecase.mjs';
+
+jest.mock('../repositories/pincode.repository.mjs');
+
+describe('PincodeUsecase', () => {
+  let usecase;
+  const directory = {
+    '411001': { pincode: '411001', city: 'Pune', district: 'Pune', state: 'Maharashtra' },
+    '403001': { pincode: '403001', city: 'Panaji', district: 'North Goa', state: 'Goa' },
+  };
+
+  beforeEach(() => {
+    usecase = new (PincodeUsecase.constructor)();
+    usecase.repo = { findByPincode: jest.fn(p => directory[p] || null) };
+  });
+
+  it('should look up a pincode', async () => {
+    await expect(usecase.getByPincode('411001')).resolves.toMatchObject({ city: 'Pune', state: 'Maharashtra' });
+  });
+
+  it('should 400 on malformed pincodes and 404 on unknown ones', async () => {
+    await expect(usecase.getByPincode('0110')).rejects.toMatchObject({ status: 400 });
+    await expect(usecase.getByPincode('999999')).rejects.toMatchObject({ status: 404, message: 'Pincode not found' });
+    expect(usecase.repo.findByPincode).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fill city and state from the directory', () => {
+    expect(usecase.completeAddress({ line1: 'a', pincode: ' 411001 ', country: 'India' }))
+      .toEqual({ line1: 'a', pincode: '411001', country: 'India', city: 'Pune', state: 'Maharashtra' });
+  });
+
+  it('should keep a given city and canonicalise the state spelling', () => {
+    expect(usecase.completeAddress({ pincode: '411001', city: 'Shivajinagar', state: 'MAHARASHTRA' }))
+      .toMatchObject({ city: 'Shivajinagar', state: 'Maharashtra' });
+  });
+
+  it('should reject a state that does not match the pincode', () => {
+    expect(() => usecase.completeAddress({ pincode: '411001', state: 'Goa' })).toThrow(expect.objectContaining({
+      status: 400, errors: [{ field: '/state', message: '"state" must be Maharashtra for pincode 411001', code: 'pincode.state' }],
+    }));
+  });
+
+  it('should accept unknown pincodes only with city and state', () => {
+    expect(usecase.completeAddress({ pincode: '999999', city: 'X', state: 'Y' })).toMatchObject({ city: 'X', state: 'Y' });
+    expect(() => usecase.completeAddress({ pincode: '999999', city: 'X' })).toThrow(expect.objectContaining({
+      status: 400, errors: [{ field: '/state', message: '"state" is required (pincode 999999 is not in the directory)', code: 'any.required' }],
+    }));
+  });
+
+  it('should require a 6-digit pincode for Indian addresses', () => {
+    expect(() => usecase.completeAddress({ pincode: '94105', city: 'X', state: 'Y' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should only require city and state outside India', () => {
+    const address = { pincode: '94105', city: 'SF', state: 'CA', country: 'US' };
+    expect(usecase.completeAddress(address)).toBe(address);
+    expect(() => usecase.completeAddress({ pincode: '94105', country: 'US' })).toThrow(expect.objectContaining({
+      errors: [
+        { field: '/city', message: '"city" is required', code: 'any.required' },
+        { field: '/state', message: '"state" is required', code: 'any.required' },
+      ],
+    }));
+    expect(usecase.repo.findByPincode).not.toHaveBeenCalled();
+  });
+});
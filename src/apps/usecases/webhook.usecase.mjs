@@ -0,0 +1,275 @@
+import Joi from 'joi';
+import { randomBytes, randomUUID } from 'node:crypto';
+import WebhookRepository from '../repositories/webhook.repository.mjs';
+import { WEBHOOK_EVENTS, signPayload, backoffSeconds } from '../../utils/webhook.utils.mjs';
+import { parsePagination } from '../../utils/pagination.utils.mjs';
+import { BadRequestError, NotFoundError, ValidationError } from '../../utils/error.utils.mjs';
+import webhookConfig from '../../infrastructures/config/webhook.config.mjs';
+
+/** Delivery states that can be listed. */
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Use case class for webhook subscriptions: managing subscribers, queuing events
+ * in the outbox and delivering them with signatures, retries and a dead-letter list.
+ */
+class WebhookUsecase {
+  constructor() {
+    /** @type {WebhookRepository} */
+    this.repo = new WebhookRepository();
+    /**
+     * HTTP client used for deliveries (replaceable in tests).
+     * @type {typeof fetch}
+     */
+    this.fetch = (...args) => fetch(...args);
+  }
+
+  // ---------- Validation Schemas ----------
+
+  /**
+   * Joi schema for registering a webhook. A secret is generated when none is given.
+   * @type {Joi.ObjectSchema}
+   */
+  get createSchema() {
+    return Joi.object({
+      url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+      secret: Joi.string().min(16).max(256),
+      events: Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENTS)).min(1).unique().required(),
+      description: Joi.string().allow('', null),
+    });
+  }
+
+  /**
+   * Joi schema for a webhook patch. Requires at least one field.
+   * @type {Joi.ObjectSchema}
+   */
+  get updateSchema() {
+    return this.createSchema.fork(['url', 'events'], s => s.optional()).keys({ active: Joi.boolean() }).min(1);
+  }
+
+  // ---------- Subscriptions ----------
+
+  /**
+   * Hide a webhook's secret; it is only returned when the webhook is created.
+   * @param {Object} webhook - Stored webhook.
+   * @returns {Object}
+   */
+  withoutSecret(webhook) {
+    const rest = { ...webhook };
+    delete rest.secret;
+    return rest;
+  }
+
+  /**
+   * Register a webhook.
+   * @param {Object} payload - See `createSchema`.
+   * @returns {Promise<Object>} The webhook, including its signing secret.
+   * @throws {ValidationError} 400 on validation errors.
+   */
+  async createWebhook(payload) {
+    const value = this.validate(this.createSchema, payload);
+    return this.repo.create({ ...value, secret: value.secret || randomBytes(32).toString('hex') });
+  }
+
+  /**
+   * List every webhook (without secrets).
+   * @returns {Promise<Object[]>}
+   */
+  async listWebhooks() {
+    return this.repo.findAll().map(w => this.withoutSecret(w));
+  }
+
+  /**
+   * Get a webhook (without its secret).
+   * @param {number|string} id - Webhook ID.
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError} 404 if not found.
+   */
+  async getWebhook(id) {
+    return this.withoutSecret(this.assertWebhookExists(Number(id)));
+  }
+
+  /**
+   * Update a webhook. Setting `active: false` pauses deliveries; queued ones are sent once it is reactivated.
+   * @param {number|string} id - Webhook ID.
+   * @param {Object} payload - See `updateSchema`.
+   * @returns {Promise<Object>} Updated webhook (without its secret).
+   * @throws {ValidationError|NotFoundError} 400 on validation errors, 404 if not found.
+   */
+  async updateWebhook(id, payload) {
+    const value = this.validate(this.updateSchema, payload);
+    this.assertWebhookExists(Number(id));
+    return this.withoutSecret(this.repo.update(Number(id), value));
+  }
+
+  /**
+   * Delete a webhook and its queued and past deliveries.
+   * @param {number|string} id - Webhook ID.
+   * @returns {Promise<{deletedId:number}>}
+   * @throws {NotFoundError} 404 if not found.
+   */
+  async deleteWebhook(id) {
+    if (!this.repo.remove(Number(id))) throw new NotFoundError('Webhook not found', { code: 'WEBHOOK_NOT_FOUND' });
+    return { deletedId: Number(id) };
+  }
+
+  /**
+   * List a webhook's deliveries, newest first. `status=dead` gives the dead-letter list.
+   * @param {number|string} id - Webhook ID.
+   * @param {Object} [query] - Query params.
+   * @param {'pending'|'delivered'|'dead'} [query.status] - Only deliveries in this state.
+   * @param {string|number} [query.page] - Page number.
+   * @param {string|number} [query.limit] - Page size.
+   * @returns {Promise<{items:Object[], total:number, page:number, limit:number, pages:number}>}
+   * @throws {BadRequestError|NotFoundError} 400 for an unknown status, 404 if the webhook is not found.
+   */
+  async listDeliveries(id, query = {}) {
+    const webhookId = Number(id);
+    this.assertWebhookExists(webhookId);
+    const { status } = query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw new BadRequestError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`, { code: 'INVALID_QUERY' });
+    }
+    const { page, limit, offset } = parsePagination(query);
+    const total = this.repo.countDeliveries(webhookId, { status });
+    const items = this.repo.findDeliveries(webhookId, { status, limit, offset });
+    return { items, total, page, limit, pages: Math.ceil(total / limit) || 0 };
+  }
+
+  /**
+   * Move a dead delivery back to the queue for another round of attempts.
+   * @param {number|string} id - Webhook ID.
+   * @param {number|string} deliveryId - Delivery ID.
+   * @returns {Promise<{requeuedId:number}>}
+   * @throws {NotFoundError} 404 if the webhook has no dead delivery with that ID.
+   */
+  async retryDelivery(id, deliveryId) {
+    this.assertWebhookExists(Number(id));
+    if (!this.repo.requeue(Number(id), Number(deliveryId))) {
+      throw new NotFoundError('Dead delivery not found', { code: 'DELIVERY_NOT_FOUND' });
+    }
+    return { requeuedId: Number(deliveryId) };
+  }
+
+  // ---------- Outbox ----------
+
+  /**
+   * Queue an event for every subscribed webhook.
+   * Synchronous so that it can run inside the transaction of the change it describes:
+   * if that transaction rolls back, the event is never sent.
+   * @param {string} type - One of `WEBHOOK_EVENTS`.
+   * @param {Object} data - Event data.
+   * @returns {{id:string, type:string, createdAt:string, data:Object}} The event envelope.
+   *
+   * @example
+   * repo.transaction(() => {
+   *   const customer = repo.updateCustomer(1, patch);
+   *   webhookUsecase.publish('customer.updated', { customer });
+   * });
+   */
+  publish(type, data) {
+    const event = { id: randomUUID(), type, createdAt: new Date().toISOString(), data };
+    this.repo.enqueue(event);
+    return event;
+  }
+
+  /**
+   * Send every due delivery once.
+   * Each delivery is claimed just before it is sent (see `WebhookRepository#claimDue`), so
+   * dispatchers running at the same time, in one process or several, never send it twice.
+   * Failures are retried with exponential backoff; after `WEBHOOK_MAX_ATTEMPTS`
+   * attempts a delivery is moved to the dead-letter list.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Max deliveries to send (defaults to `WEBHOOK_BATCH_SIZE`).
+   * @returns {Promise<{delivered:number, retrying:number, dead:number}>}
+   */
+  async deliverDue({ limit = webhookConfig.batchSize } = {}) {
+    const summary = { delivered: 0, retrying: 0, dead: 0 };
+    for (let sent = 0; sent < limit; sent++) {
+      const delivery = this.repo.claimDue(webhookConfig.leaseSeconds);
+      if (!delivery) break;
+      summary[await this.deliver(delivery)]++;
+    }
+    return summary;
+  }
+
+  /**
+   * POST one delivery to its webhook and record the outcome.
+   *
+   * The body is the event envelope. Headers carry the event type and ID, the
+   * delivery ID, a Unix timestamp and `X-Webhook-Signature` (see `signPayload`).
+   * Any 2xx response counts as delivered.
+   *
+   * @param {{id:number, eventId:string, event:string, payload:string, attempts:number, url:string, secret:string}} delivery
+   *   Row from `claimDue`.
+   * @returns {Promise<'delivered'|'retrying'|'dead'>}
+   */
+  async deliver(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error;
+    try {
+      const res = await this.fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'customers-backend-webhooks',
+          'x-webhook-event': delivery.event,
+          'x-webhook-event-id': delivery.eventId,
+          'x-webhook-delivery': String(delivery.id),
+          'x-webhook-timestamp': String(timestamp),
+          'x-webhook-signature': signPayload(delivery.secret, timestamp, delivery.payload),
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+      });
+      statusCode = res.status;
+      await res.arrayBuffer().catch(() => null);
+      if (res.ok) {
+        this.repo.markDelivered(delivery.id, statusCode);
+        return 'delivered';
+      }
+      error = `Receiver answered HTTP ${statusCode}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `No response within ${webhookConfig.timeoutMs} ms` : (err.cause?.message || err.message);
+    }
+
+    const attempts = delivery.attempts + 1;
+    const retryInSeconds = attempts >= webhookConfig.maxAttempts ? null : backoffSeconds(attempts, {
+      baseSeconds: webhookConfig.backoffBaseSeconds,
+      maxSeconds: webhookConfig.backoffMaxSeconds,
+    });
+    this.repo.markFailed(delivery.id, { statusCode, error, retryInSeconds });
+    return retryInSeconds === null ? 'dead' : 'retrying';
+  }
+
+  // ---------- Helpers ----------
+
+  /**
+   * Validate a payload against a schema and return the coerced value.
+   * @param {Joi.Schema} schema - Joi schema.
+   * @param {*} payload - Input.
+   * @returns {*} Validated value.
+   * @throws {ValidationError} 400 on validation errors.
+   */
+  validate(schema, payload) {
+    const { error, value } = schema.validate(payload, { abortEarly: false });
+    if (error) throw ValidationError.fromJoi(error);
+    return value;
+  }
+
+  /**
+   * Ensure a webhook exists.
+   * @param {number} id - Webhook ID.
+   * @returns {Object} The stored webhook.
+   * @throws {NotFoundError} 404 if not found.
+   */
+  assertWebhookExists(id) {
+    const webhook = this.repo.findById(id);
+    if (!webhook) throw new NotFoundError('Webhook not found', { code: 'WEBHOOK_NOT_FOUND' });
+    return webhook;
+  }
+}
+
+export default new WebhookUsecase();
@@ -0,0 +1,156 @@
+// webhook.usecase.test.mjs
+import http from 'node:http';
+import WebhookUsecase from './webhook.usecase.mjs';
+import { verifySignature } from '../../utils/webhook.utils.mjs';
+import webhookConfig from '../../infrastructures/config/webhook.config.mjs';
+import { getDb, initDb } from '../models/customer.model.mjs';
+
+jest.mock('../repositories/webhook.repository.mjs');
+
+describe('WebhookUsecase', () => {
+  let usecase;
+
+  beforeEach(() => {
+    usecase = new (WebhookUsecase.constructor)();
+    usecase.repo = {
+      create: jest.fn(w => ({ id: 1, ...w, active: true })),
+      findAll: jest.fn().mockReturnValue([{ id: 1, url: 'http://x', secret: 's', events: ['*'] }]),
+      findById: jest.fn(id => (id === 1 ? { id: 1, url: 'http://x', secret: 's', events: ['*'] } : null)),
+      update: jest.fn((id, patch) => ({ id, secret: 's', ...patch })),
+      remove: jest.fn(id => id === 1),
+      enqueue: jest.fn(),
+      claimDue: jest.fn().mockReturnValue(null),
+      markDelivered: jest.fn(),
+      markFailed: jest.fn(),
+      countDeliveries: jest.fn().mockReturnValue(0),
+      findDeliveries: jest.fn().mockReturnValue([]),
+      requeue: jest.fn().mockReturnValue(false),
+    };
+  });
+
+  describe('subscriptions', () => {
+    it('should register a webhook and generate a secret when none is given', async () => {
+      const created = await usecase.createWebhook({ url: 'https://crm.example.com/hook', events: ['customer.created'] });
+      expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(usecase.repo.create).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://crm.example.com/hook', events: ['customer.created'] }));
+    });
+
+    it('should reject unknown events, non-http URLs and short secrets', async () => {
+      await expect(usecase.createWebhook({ url: 'https://x.test', events: ['customer.exploded'] })).rejects.toMatchObject({ status: 400 });
+      await expect(usecase.createWebhook({ url: 'ftp://x.test', events: ['*'] })).rejects.toMatchObject({ status: 400 });
+      await expect(usecase.createWebhook({ url: 'https://x.test', events: ['*'], secret: 'short' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should never return the secret after creation', async () => {
+      expect((await usecase.listWebhooks())[0]).not.toHaveProperty('secret');
+      expect(await usecase.getWebhook(1)).not.toHaveProperty('secret');
+      expect(await usecase.updateWebhook(1, { active: false })).toEqual({ id: 1, active: false });
+    });
+
+    it('should 404 on unknown webhooks and dead deliveries', async () => {
+      await expect(usecase.getWebhook(2)).rejects.toMatchObject({ status: 404 });
+      await expect(usecase.deleteWebhook(2)).rejects.toMatchObject({ status: 404 });
+      await expect(usecase.retryDelivery(1, 5)).rejects.toMatchObject({ status: 404, message: 'Dead delivery not found' });
+    });
+
+    it('should page deliveries and validate the status filter', async () => {
+      await expect(usecase.listDeliveries(1, { status: 'dead', limit: '5' })).resolves.toEqual({ items: [], total: 0, page: 1, limit: 5, pages: 0 });
+      expect(usecase.repo.findDeliveries).toHaveBeenCalledWith(1, { status: 'dead', limit: 5, offset: 0 });
+      await expect(usecase.listDeliveries(1, { status: 'lost' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  it('should wrap published events in an envelope', () => {
+    const event = usecase.publish('customer.updated', { customer: { id: 1 } });
+    expect(event).toEqual({ id: expect.any(String), type: 'customer.updated', createdAt: expect.any(String), data: { customer: { id: 1 } } });
+    expect(usecase.repo.enqueue).toHaveBeenCalledWith(event);
+  });
+
+  describe('delivery to a local receiver', () => {
+    let server;
+    let url;
+    let received;
+    let answer;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(answer).end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+      received = [];
+      answer = 204;
+    });
+
+    const delivery = (overrides = {}) => ({
+      id: 7, webhookId: 1, eventId: 'evt-1', event: 'customer.created', attempts: 0, url, secret: 'topsecret-signing-key',
+      payload: JSON.stringify({ id: 'evt-1', type: 'customer.created', data: { customer: { id: 1 } } }),
+      ...overrides,
+    });
+
+    it('should POST the event with a verifiable signature', async () => {
+      usecase.repo.claimDue.mockReturnValueOnce(delivery());
+      await expect(usecase.deliverDue()).resolves.toEqual({ delivered: 1, retrying: 0, dead: 0 });
+
+      const [{ headers, body }] = received;
+      expect(headers).toMatchObject({ 'content-type': 'application/json', 'x-webhook-event': 'customer.created', 'x-webhook-event-id': 'evt-1', 'x-webhook-delivery': '7' });
+      expect(verifySignature('topsecret-signing-key', headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(true);
+      expect(usecase.repo.markDelivered).toHaveBeenCalledWith(7, 204);
+    });
+
+    it('should schedule a retry with backoff when the receiver fails', async () => {
+      answer = 503;
+      await expect(usecase.deliver(delivery({ attempts: 2 }))).resolves.toBe('retrying');
+      expect(usecase.repo.markFailed).toHaveBeenCalledWith(7, {
+        statusCode: 503, error: 'Receiver answered HTTP 503', retryInSeconds: webhookConfig.backoffBaseSeconds * 4,
+      });
+    });
+
+    it('should dead-letter a delivery after the last attempt', async () => {
+      answer = 500;
+      await expect(usecase.deliver(delivery({ attempts: webhookConfig.maxAttempts - 1 }))).resolves.toBe('dead');
+      expect(usecase.repo.markFailed).toHaveBeenCalledWith(7, expect.objectContaining({ statusCode: 500, retryInSeconds: null }));
+    });
+
+    it('should treat connection errors as failures', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const deadUrl = `http://127.0.0.1:${closed.address().port}/hook`;
+      await new Promise(resolve => closed.close(resolve));
+
+      await expect(usecase.deliver(delivery({ url: deadUrl }))).resolves.toBe('retrying');
+      expect(usecase.repo.markFailed).toHaveBeenCalledWith(7, expect.objectContaining({ statusCode: null, error: expect.stringContaining('ECONNREFUSED') }));
+    });
+
+    it('should send each delivery once when two dispatches run at the same time', async () => {
+      const { default: RealWebhookRepository } = jest.requireActual('../repositories/webhook.repository.mjs');
+      initDb();
+      const reset = () => getDb().exec(`DELETE FROM webhook_outbox; DELETE FROM webhooks;`);
+      reset();
+      try {
+        usecase.repo = new RealWebhookRepository();
+        const hook = usecase.repo.create({ url, secret: 'topsecret-signing-key', events: ['*'] });
+        for (const type of ['customer.created', 'customer.updated', 'customer.deleted']) usecase.publish(type, {});
+
+        const summaries = await Promise.all([usecase.deliverDue(), usecase.deliverDue()]);
+        expect(summaries[0].delivered + summaries[1].delivered).toBe(3);
+        expect(received.map(r => r.headers['x-webhook-delivery']).sort()).toEqual(
+          usecase.repo.findDeliveries(hook.id).map(d => String(d.id)).sort(),
+        );
+        expect(usecase.repo.countDeliveries(hook.id, { status: 'delivered' })).toBe(3);
+      } finally {
+        reset();
+      }
+    });
+  });
+});
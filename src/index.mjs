@@ -8,15 +8,31 @@ import swaggerOptions from './infrastructures/config/swagger.config.mjs';
 import swaggerJSDoc from 'swagger-jsdoc';
 
 import customerRouter from './apps/routes/customer.route.mjs';
+import pincodeRouter from './apps/routes/pincode.route.mjs';
+import attributeRouter from './apps/routes/attribute.route.mjs';
+import webhookRouter from './apps/routes/webhook.route.mjs';
+import graphqlRouter from './apps/routes/graphql.route.mjs';
 import errorHandler from './middlewares/error.middleware.mjs';
+import { authenticate } from './middlewares/auth.middleware.mjs';
+import requestContext from './middlewares/context.middleware.mjs';
+import requestId from './middlewares/requestId.middleware.mjs';
+import authConfig from './infrastructures/config/auth.config.mjs';
 import { initDb } from './apps/models/customer.model.mjs';
+import { schedulePurge } from './apps/jobs/purge.job.mjs';
+import { scheduleWebhookDispatch } from './apps/jobs/webhook.job.mjs';
 
 dotenv.config();
 
 
 const app = express();
+// Request IDs first, so every error response can carry one
+app.use(requestId);
 app.use(cors());
 app.use(bodyParser.json({ limit: '1mb' }));
+// Raw bodies for bulk import uploads
+app.use(bodyParser.text({ type: ['text/csv', 'application/x-ndjson', 'application/ndjson'], limit: '20mb' }));
+// Request context (actor etc.) — keep after body parsers
+app.use(requestContext);
 
 // Swagger setup
 const swaggerSpec = swaggerJSDoc(swaggerOptions);
@@ -33,8 +49,12 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  */
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
-// Register routers
-app.use('/api/customers', customerRouter);
+// Register routers (all API routes require a valid bearer token)
+app.use('/api/customers', authenticate, customerRouter);
+app.use('/api/pincodes', authenticate, pincodeRouter);
+app.use('/api/attributes', authenticate, attributeRouter);
+app.use('/api/webhooks', authenticate, webhookRouter);
+app.use('/graphql', authenticate, graphqlRouter);
 
 // Global error handler (must be last middleware)
 app.use(errorHandler);
@@ -43,13 +63,22 @@ app.use(errorHandler);
 const port = process.env.PORT || 5000;
 
 try {
+  // Refuse to start without a token secret rather than serving an open API.
+  if (!authConfig.jwtSecret) throw new Error('JWT_SECRET is not set');
+
   /**
    * Initialize SQLite database.
    * - Automatically creates the database file if it doesn’t exist.
-   * - Ensures required tables and indexes are present.
+   * - Applies any pending schema migrations.
    */
   initDb(process.env.SQLITE_FILE || 'src/data/customers.db');
 
+  // Hard-delete soft-deleted rows once their retention period has passed.
+  schedulePurge();
+
+  // Deliver queued webhook events (retries and dead-lettering included).
+  scheduleWebhookDispatch();
+
   /**
    * Start Express server.
    *
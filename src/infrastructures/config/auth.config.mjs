@@ -0,0 +1,38 @@
+// Authentication / authorization configuration for customers-backend (ES6 syntax)
+//
+// Values are read lazily from the environment so that `dotenv.config()` in
+// `index.mjs` takes effect regardless of module import order.
+const authConfig = {
+	/** HS256 shared secret used to verify bearer tokens. */
+	get jwtSecret() {
+		return process.env.JWT_SECRET;
+	},
+
+	/** Optional expected `iss` claim. */
+	get jwtIssuer() {
+		return process.env.JWT_ISSUER || undefined;
+	},
+
+	/** Optional expected `aud` claim. */
+	get jwtAudience() {
+		return process.env.JWT_AUDIENCE || undefined;
+	},
+
+	/** Only HS256 tokens are accepted. */
+	algorithms: ['HS256'],
+
+	/**
+	 * Permissions granted to each role (taken from the token's `roles` claim).
+	 * A user holding several roles gets the union of their permissions.
+	 */
+	rolePermissions: {
+		viewer: ['customers:read'],
+		agent: ['customers:read', 'customers:create', 'customers:update', 'customers:restore'],
+		admin: [
+			'customers:read', 'customers:create', 'customers:update', 'customers:restore',
+			'customers:delete', 'customers:readDeleted', 'attributes:manage', 'webhooks:manage',
+		],
+	},
+};
+
+export default authConfig;
@@ -0,0 +1,15 @@
+// Geocoding configuration for customers-backend (ES6 syntax)
+//
+// Values are read lazily from the environment so that `dotenv.config()` in
+// `index.mjs` takes effect regardless of module import order.
+const geocoderConfig = {
+	/**
+	 * Geocoder used to fill address coordinates (see `src/apps/geocoders`).
+	 * `pincode` (default) uses the offline pincode centroids; `none` disables geocoding.
+	 */
+	get provider() {
+		return (process.env.GEOCODER || 'pincode').toLowerCase();
+	},
+};
+
+export default geocoderConfig;
@@ -0,0 +1,12 @@
+// Idempotency-Key configuration for customers-backend (ES6 syntax)
+//
+// Values are read lazily from the environment so that `dotenv.config()` in
+// `index.mjs` takes effect regardless of module import order.
+const idempotencyConfig = {
+	/** How long a key and its stored response are kept, in hours. */
+	get ttlHours() {
+		return Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+	},
+};
+
+export default idempotencyConfig;
@@ -0,0 +1,15 @@
+// Phone number configuration for customers-backend (ES6 syntax)
+//
+// Values are read lazily from the environment so that `dotenv.config()` in
+// `index.mjs` takes effect regardless of module import order.
+const phoneConfig = {
+	/**
+	 * ISO 3166-1 alpha-2 region used to read national-format numbers when the
+	 * customer has no primary address country.
+	 */
+	get defaultRegion() {
+		return (process.env.DEFAULT_PHONE_REGION || 'IN').toUpperCase();
+	},
+};
+
+export default phoneConfig;
@@ -0,0 +1,17 @@
+// Soft-delete retention configuration for customers-backend (ES6 syntax)
+//
+// Values are read lazily from the environment so that `dotenv.config()` in
+// `index.mjs` takes effect regardless of module import order.
+const retentionConfig = {
+	/** Days a soft-deleted customer/address stays restorable before it is purged. */
+	get softDeleteRetentionDays() {
+		return Number(process.env.SOFT_DELETE_RETENTION_DAYS || 30);
+	},
+
+	/** How often the purge job runs while the server is up, in minutes. */
+	get purgeIntervalMinutes() {
+		return Number(process.env.PURGE_INTERVAL_MINUTES || 60);
+	},
+};
+
+export default retentionConfig;
@@ -7,7 +7,7 @@ const swaggerOptions = {
 		info: {
 			title: 'Customers API',
 			version: '1.0.0',
-			description: 'API documentation for the Customers backend service\n\n---\n\n### Database Tables\n\n#### customers\n```sql\nCREATE TABLE customers (\n  id INTEGER PRIMARY KEY AUTOINCREMENT,\n  firstName TEXT NOT NULL,\n  lastName TEXT NOT NULL,\n  phone TEXT NOT NULL UNIQUE,\n  email TEXT,\n  accountType TEXT DEFAULT \'standard\',\n  hasOnlyOneAddress INTEGER DEFAULT 0,\n  createdAt TEXT DEFAULT (datetime(\'now\')),\n  updatedAt TEXT DEFAULT (datetime(\'now\'))\n);\n```\n\n#### addresses\n```sql\nCREATE TABLE addresses (\n  id INTEGER PRIMARY KEY AUTOINCREMENT,\n  customerId INTEGER NOT NULL,\n  line1 TEXT NOT NULL,\n  line2 TEXT,\n  city TEXT NOT NULL,\n  state TEXT NOT NULL,\n  country TEXT DEFAULT \'India\',\n  pincode TEXT NOT NULL,\n  isPrimary INTEGER DEFAULT 0,\n  status TEXT DEFAULT \'active\',\n  createdAt TEXT DEFAULT (datetime(\'now\')),\n  updatedAt TEXT DEFAULT (datetime(\'now\')),\n  FOREIGN KEY(customerId) REFERENCES customers(id) ON DELETE CASCADE\n);\n```\n\n---\n',
+			description: 'API documentation for the Customers backend service\n\n---\n\n### Database Tables\n\n#### customers\n```sql\nCREATE TABLE customers (\n  id INTEGER PRIMARY KEY AUTOINCREMENT,\n  firstName TEXT NOT NULL,\n  lastName TEXT NOT NULL,\n  phone TEXT NOT NULL UNIQUE,\n  email TEXT,\n  accountType TEXT DEFAULT \'standard\',\n  hasOnlyOneAddress INTEGER DEFAULT 0,\n  createdAt TEXT DEFAULT (datetime(\'now\')),\n  updatedAt TEXT DEFAULT (datetime(\'now\'))\n);\n```\n\n#### addresses\n```sql\nCREATE TABLE addresses (\n  id INTEGER PRIMARY KEY AUTOINCREMENT,\n  customerId INTEGER NOT NULL,\n  line1 TEXT NOT NULL,\n  line2 TEXT,\n  city TEXT NOT NULL,\n  state TEXT NOT NULL,\n  country TEXT DEFAULT \'India\',\n  pincode TEXT NOT NULL,\n  isPrimary INTEGER DEFAULT 0,\n  status TEXT DEFAULT \'active\',\n  createdAt TEXT DEFAULT (datetime(\'now\')),\n  updatedAt TEXT DEFAULT (datetime(\'now\')),\n  FOREIGN KEY(customerId) REFERENCES customers(id) ON DELETE CASCADE\n);\n```\n\n---\n\n### Errors\nEvery error is answered with `application/problem+json` (RFC 7807, see the `Problem` schema). Match on `code`, not on the message text; validation failures list each problem in `errors` with a JSON Pointer `field` into the request body. `requestId` repeats the `X-Request-Id` response header (send your own `X-Request-Id` to set it).\n',
 		},
 		servers: [
 			{
@@ -20,6 +20,61 @@ const swaggerOptions = {
 			},
 		],
 		components: {
+			responses: {
+				Unauthorized: {
+					description: 'Missing, invalid or expired bearer token',
+					content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+				},
+				Forbidden: {
+					description: 'Authenticated user lacks the required role (viewer: read, agent: create/update, admin: delete, attribute registry and webhooks)',
+					content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+				},
+				PreconditionFailed: {
+					description: 'The customer changed since the ETag in `If-Match` was read; fetch it again and retry',
+					content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+				},
+				PreconditionRequired: {
+					description: 'The `If-Match` header is missing',
+					content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+				},
+				IdempotencyKeyReused: {
+					description: 'The `Idempotency-Key` was already used for a request with a different path or body',
+					content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+				},
+			},
+			parameters: {
+				IfMatch: {
+					in: 'header',
+					name: 'If-Match',
+					required: true,
+					schema: { type: 'string', example: '"3"' },
+					description: 'ETag of the customer as last read (from `GET /api/customers/{id}` or a previous write); `*` skips the check',
+				},
+				IfNoneMatch: {
+					in: 'header',
+					name: 'If-None-Match',
+					schema: { type: 'string', example: '"3"' },
+					description: 'ETag of a cached copy; answered with 304 while the customer is unchanged',
+				},
+				Fields: {
+					in: 'query',
+					name: 'fields',
+					schema: { type: 'string', example: 'id,firstName,lastName' },
+					description: 'Comma-separated customer properties to return (`id` is always included): id, firstName, lastName, phone, email, accountType, hasOnlyOneAddress, attributes, tags, version, mergedIntoId, createdAt, updatedAt, deletedAt. Unknown fields are rejected with 400 `INVALID_FIELDS`.',
+				},
+				Include: {
+					in: 'query',
+					name: 'include',
+					schema: { type: 'string', enum: ['addresses', 'primaryAddress', 'none'], default: 'addresses' },
+					description: '`addresses` embeds every address, `primaryAddress` only the primary one (`null` without one), `none` skips loading addresses',
+				},
+				IdempotencyKey: {
+					in: 'header',
+					name: 'Idempotency-Key',
+					schema: { type: 'string', maxLength: 255, example: '5b0e3c7e-8f1d-4a59-9c2e-6d1f0a4b7e21' },
+					description: 'Unique key per intended change. Retrying with the same key and body replays the first response (with `Idempotent-Replayed: true`) instead of creating another record; keys are kept for `IDEMPOTENCY_TTL_HOURS` (default 24)',
+				},
+			},
 			securitySchemes: {
 				bearerAuth: {
 					type: 'http',
@@ -28,6 +83,34 @@ const swaggerOptions = {
 				},
 			},
 			schemas: {
+				Problem: {
+					type: 'object',
+					description: 'Error response (RFC 7807). `success` and `message` are kept for older clients.',
+					properties: {
+						type: { type: 'string', example: 'about:blank' },
+						title: { type: 'string', description: 'HTTP status text', example: 'Conflict' },
+						status: { type: 'integer', example: 409 },
+						detail: { type: 'string', example: 'Phone already exists' },
+						code: {
+							type: 'string',
+							description: 'Stable machine-readable code, e.g. `VALIDATION_FAILED`, `CUSTOMER_NOT_FOUND`, `ADDRESS_NOT_FOUND`, `PHONE_TAKEN`, `EMAIL_TAKEN`, `VERSION_MISMATCH`, `IF_MATCH_REQUIRED`, `MISSING_PERMISSION`, `TOKEN_EXPIRED`, `INVALID_QUERY`, `IDEMPOTENCY_KEY_REUSED`, `DUPLICATE_VALUE`, `DATABASE_BUSY`, `INTERNAL_ERROR`',
+							example: 'PHONE_TAKEN',
+						},
+						instance: { type: 'string', example: '/api/customers' },
+						requestId: { type: 'string', example: '1b4e28ba-2fa1-11d2-883f-0016d3cca427' },
+						errors: { type: 'array', items: { $ref: '#/components/schemas/ErrorIssue' } },
+						success: { type: 'boolean', example: false },
+						message: { type: 'string', example: 'Phone already exists' },
+					},
+				},
+				ErrorIssue: {
+					type: 'object',
+					properties: {
+						field: { type: 'string', description: 'JSON Pointer into the request body', example: '/addresses/0/pincode' },
+						message: { type: 'string', example: '"pincode" must be a 6-digit Indian pincode' },
+						code: { type: 'string', example: 'pincode.format' },
+					},
+				},
 				Customer: {
 					type: 'object',
 					properties: {
@@ -38,8 +121,14 @@ const swaggerOptions = {
 						email: { type: 'string', example: 'john.doe@email.com' },
 						accountType: { type: 'string', example: 'standard' },
 						hasOnlyOneAddress: { type: 'boolean', example: false },
+						version: { type: 'integer', example: 3, description: 'Goes up on every change to the customer, its addresses or tags; sent as the `ETag` header' },
 						createdAt: { type: 'string', format: 'date-time', example: '2025-09-03T12:00:00Z' },
-						updatedAt: { type: 'string', format: 'date-time', example: '2025-09-03T12:00:00Z' }
+						updatedAt: { type: 'string', format: 'date-time', example: '2025-09-03T12:00:00Z' },
+						tags: { type: 'array', items: { type: 'string' }, example: ['vip', 'wholesale'] },
+						attributes: { type: 'object', additionalProperties: true, description: 'Custom attributes registered under /api/attributes', example: { loyaltyTier: 'gold', creditLimit: 50000 } },
+						distanceKm: { type: 'number', description: 'Only in `near` searches: distance to the nearest geocoded address', example: 1.284 },
+						addresses: { type: 'array', items: { $ref: '#/components/schemas/Address' }, description: 'With `include=addresses` (the default); primary first' },
+						primaryAddress: { allOf: [{ $ref: '#/components/schemas/Address' }], nullable: true, description: 'Only with `include=primaryAddress`' }
 					},
 				},
 				Address: {
@@ -54,11 +143,99 @@ const swaggerOptions = {
 						country: { type: 'string', example: 'India' },
 						pincode: { type: 'string', example: '500001' },
 						isPrimary: { type: 'boolean', example: true },
+						addressType: { type: 'string', enum: ['billing', 'shipping', 'home', 'work'], nullable: true, example: 'home' },
+						isDefaultBilling: { type: 'boolean', example: true },
+						isDefaultShipping: { type: 'boolean', example: false },
+						latitude: { type: 'number', nullable: true, example: 17.4156 },
+						longitude: { type: 'number', nullable: true, example: 78.4347 },
 						status: { type: 'string', example: 'active' },
 						createdAt: { type: 'string', format: 'date-time', example: '2025-09-03T12:00:00Z' },
 						updatedAt: { type: 'string', format: 'date-time', example: '2025-09-03T12:00:00Z' }
 					},
 				},
+				Pincode: {
+					type: 'object',
+					properties: {
+						pincode: { type: 'string', example: '500034' },
+						city: { type: 'string', example: 'Hyderabad' },
+						district: { type: 'string', example: 'Hyderabad' },
+						state: { type: 'string', example: 'Telangana' },
+						latitude: { type: 'number', nullable: true, example: 17.4156 },
+						longitude: { type: 'number', nullable: true, example: 78.4347 }
+					},
+				},
+				TagList: {
+					type: 'object',
+					required: ['tags'],
+					properties: {
+						tags: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,49}$' }, example: ['vip', 'wholesale'] }
+					},
+				},
+				AttributeDefinition: {
+					type: 'object',
+					properties: {
+						key: { type: 'string', example: 'loyaltyTier' },
+						type: { type: 'string', enum: ['string', 'number', 'boolean', 'date', 'enum'], example: 'enum' },
+						options: { type: 'array', items: { type: 'string' }, nullable: true, example: ['silver', 'gold', 'platinum'] },
+						description: { type: 'string', nullable: true, example: 'Loyalty programme tier' },
+						createdAt: { type: 'string', example: '2025-09-03 12:00:00' },
+						updatedAt: { type: 'string', example: '2025-09-03 12:00:00' }
+					},
+				},
+				WebhookEventType: {
+					type: 'string',
+					enum: ['*', 'customer.created', 'customer.updated', 'customer.deleted', 'customer.restored', 'customer.merged',
+						'address.added', 'address.updated', 'address.deleted', 'address.restored', 'address.primary_changed'],
+					example: 'customer.created',
+				},
+				Webhook: {
+					type: 'object',
+					properties: {
+						id: { type: 'integer', example: 1 },
+						url: { type: 'string', example: 'https://crm.example.com/hooks/customers' },
+						events: { type: 'array', items: { $ref: '#/components/schemas/WebhookEventType' } },
+						description: { type: 'string', nullable: true, example: 'CRM sync' },
+						active: { type: 'boolean', example: true },
+						createdAt: { type: 'string', example: '2025-09-03 12:00:00' },
+						updatedAt: { type: 'string', example: '2025-09-03 12:00:00' }
+					},
+				},
+				WebhookDelivery: {
+					type: 'object',
+					properties: {
+						id: { type: 'integer', example: 12 },
+						webhookId: { type: 'integer', example: 1 },
+						eventId: { type: 'string', format: 'uuid' },
+						event: { $ref: '#/components/schemas/WebhookEventType' },
+						payload: {
+							type: 'object',
+							description: 'Event envelope as delivered',
+							example: { id: '6f1c…', type: 'customer.updated', createdAt: '2025-09-03T12:00:00.000Z', data: { customer: { id: 1 } } },
+						},
+						status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+						attempts: { type: 'integer', example: 3 },
+						nextAttemptAt: { type: 'string', example: '2025-09-03 12:04:00.000' },
+						lastStatusCode: { type: 'integer', nullable: true, example: 503 },
+						lastError: { type: 'string', nullable: true, example: 'Receiver answered HTTP 503' },
+						deliveredAt: { type: 'string', nullable: true },
+						createdAt: { type: 'string', example: '2025-09-03 12:00:00.000' }
+					},
+				},
+				AuditEntry: {
+					type: 'object',
+					properties: {
+						id: { type: 'integer', example: 1 },
+						actor: { type: 'string', nullable: true, example: 'user-42' },
+						action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'merge'], example: 'update' },
+						entity: { type: 'string', enum: ['customer', 'address'], example: 'customer' },
+						entityId: { type: 'integer', example: 1 },
+						changes: {
+							type: 'object',
+							example: { before: { phone: '+919876543210' }, after: { phone: '+919876500000' } },
+						},
+						createdAt: { type: 'string', example: '2025-09-03 12:00:00.000' }
+					},
+				},
 			},
 		},
 		security: [
@@ -0,0 +1,45 @@
+// Webhook delivery configuration for customers-backend (ES6 syntax)
+//
+// Values are read lazily from the environment so that `dotenv.config()` in
+// `index.mjs` takes effect regardless of module import order.
+const webhookConfig = {
+	/** How often the dispatcher looks for due deliveries while the server is up, in seconds. */
+	get dispatchIntervalSeconds() {
+		return Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS || 5);
+	},
+
+	/** Deliveries sent per dispatcher run. */
+	get batchSize() {
+		return Number(process.env.WEBHOOK_BATCH_SIZE || 50);
+	},
+
+	/** Attempts before a delivery is moved to the dead-letter list. */
+	get maxAttempts() {
+		return Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+	},
+
+	/** Delay before the first retry, in seconds; doubled after every failed attempt. */
+	get backoffBaseSeconds() {
+		return Number(process.env.WEBHOOK_BACKOFF_BASE_SECONDS || 30);
+	},
+
+	/** Upper bound for the retry delay, in seconds. */
+	get backoffMaxSeconds() {
+		return Number(process.env.WEBHOOK_BACKOFF_MAX_SECONDS || 6 * 60 * 60);
+	},
+
+	/** How long to wait for a receiver to answer, in milliseconds. */
+	get timeoutMs() {
+		return Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+	},
+
+	/**
+	 * How long a dispatcher holds a delivery it is sending, in seconds, before another
+	 * dispatcher may take it over: the receiver timeout plus a margin.
+	 */
+	get leaseSeconds() {
+		return Math.ceil(this.timeoutMs / 1000) + 30;
+	},
+};
+
+export default webhookConfig;
@@ -0,0 +1,60 @@
+/**
+ * Migration 0001 — base `customers` and `addresses` schema.
+ *
+ * Uses `IF NOT EXISTS` so databases created before the migration subsystem
+ * existed are adopted without error.
+ */
+export default {
+  version: '0001',
+  name: 'create_customers_and_addresses',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        firstName TEXT NOT NULL,
+        lastName TEXT NOT NULL,
+        phone TEXT NOT NULL UNIQUE,
+        email TEXT,
+        accountType TEXT DEFAULT 'standard',
+        hasOnlyOneAddress INTEGER DEFAULT 0,
+        createdAt TEXT DEFAULT (datetime('now')),
+        updatedAt TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE IF NOT EXISTS addresses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        customerId INTEGER NOT NULL,
+        line1 TEXT NOT NULL,
+        line2 TEXT,
+        city TEXT NOT NULL,
+        state TEXT NOT NULL,
+        country TEXT DEFAULT 'India',
+        pincode TEXT NOT NULL,
+        isPrimary INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        createdAt TEXT DEFAULT (datetime('now')),
+        updatedAt TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY(customerId) REFERENCES customers(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_addresses_city ON addresses(city);
+      CREATE INDEX IF NOT EXISTS idx_addresses_state ON addresses(state);
+      CREATE INDEX IF NOT EXISTS idx_addresses_pincode ON addresses(pincode);
+      CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone);
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS addresses;
+      DROP TABLE IF EXISTS customers;
+    `);
+  },
+};
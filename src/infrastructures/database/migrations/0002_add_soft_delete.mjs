@@ -0,0 +1,36 @@
+/**
+ * Migration 0002 — soft delete for customers and addresses.
+ *
+ * Adds a nullable `deletedAt` timestamp; rows with a value are hidden from
+ * normal reads and hard-deleted by the purge job after the retention period.
+ */
+export default {
+  version: '0002',
+  name: 'add_soft_delete',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      ALTER TABLE customers ADD COLUMN deletedAt TEXT;
+      ALTER TABLE addresses ADD COLUMN deletedAt TEXT;
+
+      CREATE INDEX IF NOT EXISTS idx_customers_deletedAt ON customers(deletedAt);
+      CREATE INDEX IF NOT EXISTS idx_addresses_deletedAt ON addresses(deletedAt);
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_addresses_deletedAt;
+      DROP INDEX IF EXISTS idx_customers_deletedAt;
+
+      ALTER TABLE addresses DROP COLUMN deletedAt;
+      ALTER TABLE customers DROP COLUMN deletedAt;
+    `);
+  },
+};
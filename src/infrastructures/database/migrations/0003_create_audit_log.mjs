@@ -0,0 +1,38 @@
+/**
+ * Migration 0003 — `audit_log` table.
+ *
+ * One row per change to a customer or address, with the acting user and a
+ * JSON `{ before, after }` diff of the changed columns. There is deliberately
+ * no foreign key so history outlives purged customers.
+ */
+export default {
+  version: '0003',
+  name: 'create_audit_log',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor TEXT,
+        action TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        entityId INTEGER NOT NULL,
+        customerId INTEGER NOT NULL,
+        changes TEXT NOT NULL,
+        createdAt TEXT DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_customer ON audit_log(customerId, id);
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`DROP TABLE IF EXISTS audit_log;`);
+  },
+};
@@ -0,0 +1,79 @@
+/**
+ * SQL producing the searchable text of a customer's active addresses.
+ * @param {string} customerId - SQL expression for the customer ID.
+ * @returns {string}
+ */
+const addressText = (customerId) => `(
+  SELECT group_concat(line1 || ' ' || IFNULL(line2, '') || ' ' || city || ' ' || state || ' ' || pincode, ' ')
+  FROM addresses WHERE customerId = ${customerId} AND deletedAt IS NULL
+)`;
+
+/**
+ * Migration 0004 — FTS5 index over customers and their addresses.
+ *
+ * `customers_fts` holds one document per customer (rowid = customers.id) with
+ * name, phone, email and the concatenated text of its active addresses.
+ * Triggers keep it in sync with both tables, so no application code writes to it.
+ */
+export default {
+  version: '0004',
+  name: 'create_customers_fts',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS customers_fts USING fts5(
+        firstName, lastName, phone, email, addresses,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS customers_fts_ai AFTER INSERT ON customers BEGIN
+        INSERT INTO customers_fts (rowid, firstName, lastName, phone, email, addresses)
+        VALUES (new.id, new.firstName, new.lastName, new.phone, new.email, ${addressText('new.id')});
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS customers_fts_au AFTER UPDATE OF firstName, lastName, phone, email ON customers BEGIN
+        UPDATE customers_fts
+        SET firstName = new.firstName, lastName = new.lastName, phone = new.phone, email = new.email
+        WHERE rowid = new.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS customers_fts_ad AFTER DELETE ON customers BEGIN
+        DELETE FROM customers_fts WHERE rowid = old.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS addresses_fts_ai AFTER INSERT ON addresses BEGIN
+        UPDATE customers_fts SET addresses = ${addressText('new.customerId')} WHERE rowid = new.customerId;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS addresses_fts_au AFTER UPDATE ON addresses BEGIN
+        UPDATE customers_fts SET addresses = ${addressText('old.customerId')} WHERE rowid = old.customerId;
+        UPDATE customers_fts SET addresses = ${addressText('new.customerId')} WHERE rowid = new.customerId;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS addresses_fts_ad AFTER DELETE ON addresses BEGIN
+        UPDATE customers_fts SET addresses = ${addressText('old.customerId')} WHERE rowid = old.customerId;
+      END;
+
+      INSERT INTO customers_fts (rowid, firstName, lastName, phone, email, addresses)
+      SELECT id, firstName, lastName, phone, email, ${addressText('customers.id')} FROM customers;
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS addresses_fts_ad;
+      DROP TRIGGER IF EXISTS addresses_fts_au;
+      DROP TRIGGER IF EXISTS addresses_fts_ai;
+      DROP TRIGGER IF EXISTS customers_fts_ad;
+      DROP TRIGGER IF EXISTS customers_fts_au;
+      DROP TRIGGER IF EXISTS customers_fts_ai;
+      DROP TABLE IF EXISTS customers_fts;
+    `);
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 0005 — record customer merges.
+ *
+ * A customer folded into another by the merge workflow is soft-deleted and
+ * keeps the surviving customer's id in `mergedIntoId`.
+ */
+export default {
+  version: '0005',
+  name: 'add_merged_into',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      ALTER TABLE customers ADD COLUMN mergedIntoId INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      ALTER TABLE customers DROP COLUMN mergedIntoId;
+    `);
+  },
+};
@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCsvRecords } from '../../../utils/csv.utils.mjs';
+
+/**
+ * Migration 0006 — Indian pincode directory.
+ *
+ * Creates `pincodes` and seeds it from the bundled CSV (`PINCODES_FILE`,
+ * default `src/data/pincodes.csv`). Reload a fuller directory later with
+ * `npm run pincodes:load -- <file.csv>`.
+ */
+export default {
+  version: '0006',
+  name: 'create_pincodes',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS pincodes (
+        pincode TEXT PRIMARY KEY,
+        city TEXT NOT NULL,
+        district TEXT NOT NULL DEFAULT '',
+        state TEXT NOT NULL
+      );
+    `);
+
+    const file = path.resolve(process.env.PINCODES_FILE || 'src/data/pincodes.csv');
+    if (!fs.existsSync(file)) return;
+    const insert = db.prepare(`INSERT OR IGNORE INTO pincodes (pincode, city, district, state) VALUES (@pincode, @city, @district, @state)`);
+    for (const row of parseCsvRecords(fs.readFileSync(file, 'utf8'))) insert.run(row);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS pincodes;
+    `);
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration 0007 — address types and default billing/shipping addresses.
+ *
+ * `addressType` classifies an address (billing, shipping, home or work).
+ * `isDefaultBilling` and `isDefaultShipping` pick the customer's default address
+ * for each purpose independently of `isPrimary`. Partial unique indexes make sure
+ * a customer has at most one active default of each kind.
+ */
+export default {
+  version: '0007',
+  name: 'add_address_types',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      ALTER TABLE addresses ADD COLUMN addressType TEXT CHECK (addressType IN ('billing', 'shipping', 'home', 'work'));
+      ALTER TABLE addresses ADD COLUMN isDefaultBilling INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE addresses ADD COLUMN isDefaultShipping INTEGER NOT NULL DEFAULT 0;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_addresses_default_billing
+        ON addresses(customerId) WHERE isDefaultBilling = 1 AND deletedAt IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_addresses_default_shipping
+        ON addresses(customerId) WHERE isDefaultShipping = 1 AND deletedAt IS NULL;
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_addresses_default_shipping;
+      DROP INDEX IF EXISTS idx_addresses_default_billing;
+
+      ALTER TABLE addresses DROP COLUMN isDefaultShipping;
+      ALTER TABLE addresses DROP COLUMN isDefaultBilling;
+      ALTER TABLE addresses DROP COLUMN addressType;
+    `);
+  },
+};
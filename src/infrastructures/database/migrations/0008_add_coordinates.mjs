@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCsvRecords } from '../../../utils/csv.utils.mjs';
+
+/**
+ * Migration 0008 — coordinates for addresses and pincode centroids.
+ *
+ * Adds nullable `latitude`/`longitude` to `addresses` (filled by the configured
+ * geocoder, see `src/apps/geocoders`) and to `pincodes`, whose centroids are read
+ * from the bundled CSV so the offline geocoder works out of the box. Existing
+ * addresses are located with `npm run addresses:geocode`.
+ */
+export default {
+  version: '0008',
+  name: 'add_coordinates',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      ALTER TABLE addresses ADD COLUMN latitude REAL;
+      ALTER TABLE addresses ADD COLUMN longitude REAL;
+      CREATE INDEX IF NOT EXISTS idx_addresses_lat_lng ON addresses(latitude, longitude);
+
+      ALTER TABLE pincodes ADD COLUMN latitude REAL;
+      ALTER TABLE pincodes ADD COLUMN longitude REAL;
+    `);
+
+    const file = path.resolve(process.env.PINCODES_FILE || 'src/data/pincodes.csv');
+    if (!fs.existsSync(file)) return;
+    const update = db.prepare(`UPDATE pincodes SET latitude = @latitude, longitude = @longitude WHERE pincode = @pincode`);
+    for (const row of parseCsvRecords(fs.readFileSync(file, 'utf8'))) {
+      if (!row.latitude || !row.longitude) continue;
+      update.run({ pincode: row.pincode, latitude: Number(row.latitude), longitude: Number(row.longitude) });
+    }
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      ALTER TABLE pincodes DROP COLUMN longitude;
+      ALTER TABLE pincodes DROP COLUMN latitude;
+
+      DROP INDEX IF EXISTS idx_addresses_lat_lng;
+      ALTER TABLE addresses DROP COLUMN longitude;
+      ALTER TABLE addresses DROP COLUMN latitude;
+    `);
+  },
+};
@@ -0,0 +1,58 @@
+/**
+ * Migration 0009 — customer tags and custom attributes.
+ *
+ * - `tags` holds each tag name once (stored lower-case); `customer_tags` links
+ *   tags to customers (many-to-many).
+ * - `customers.attributes` is a JSON object of custom values whose keys and
+ *   types are declared in `attribute_definitions`, so teams can add fields
+ *   without a schema change.
+ */
+export default {
+  version: '0009',
+  name: 'add_tags_and_attributes',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        createdAt TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE IF NOT EXISTS customer_tags (
+        customerId INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        tagId INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        createdAt TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (customerId, tagId)
+      ) WITHOUT ROWID;
+      CREATE INDEX IF NOT EXISTS idx_customer_tags_tagId ON customer_tags(tagId);
+
+      CREATE TABLE IF NOT EXISTS attribute_definitions (
+        key TEXT PRIMARY KEY,
+        type TEXT NOT NULL CHECK (type IN ('string', 'number', 'boolean', 'date', 'enum')),
+        options TEXT,
+        description TEXT,
+        createdAt TEXT DEFAULT (datetime('now')),
+        updatedAt TEXT DEFAULT (datetime('now'))
+      );
+
+      ALTER TABLE customers ADD COLUMN attributes TEXT NOT NULL DEFAULT '{}' CHECK (json_valid(attributes));
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      ALTER TABLE customers DROP COLUMN attributes;
+      DROP TABLE IF EXISTS attribute_definitions;
+      DROP INDEX IF EXISTS idx_customer_tags_tagId;
+      DROP TABLE IF EXISTS customer_tags;
+      DROP TABLE IF EXISTS tags;
+    `);
+  },
+};
@@ -0,0 +1,61 @@
+/**
+ * Migration 0010 — webhook subscriptions and their delivery outbox.
+ *
+ * - `webhooks` holds each subscriber's URL, signing secret and the event types
+ *   (a JSON array, `*` for all) it wants.
+ * - `webhook_outbox` gets one row per event and subscriber, written in the same
+ *   transaction as the change that raised the event. The dispatcher delivers
+ *   `pending` rows once `nextAttemptAt` has passed; rows that run out of
+ *   attempts become `dead` (the dead-letter list) until retried by hand.
+ */
+export default {
+  version: '0010',
+  name: 'create_webhooks',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL CHECK (json_valid(events)),
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT DEFAULT (datetime('now')),
+        updatedAt TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhookId INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        eventId TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        nextAttemptAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+        lastStatusCode INTEGER,
+        lastError TEXT,
+        deliveredAt TEXT,
+        createdAt TEXT DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_outbox_due ON webhook_outbox(nextAttemptAt) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_webhook_outbox_webhook ON webhook_outbox(webhookId, status, id);
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_webhook_outbox_webhook;
+      DROP INDEX IF EXISTS idx_webhook_outbox_due;
+      DROP TABLE IF EXISTS webhook_outbox;
+      DROP TABLE IF EXISTS webhooks;
+    `);
+  },
+};
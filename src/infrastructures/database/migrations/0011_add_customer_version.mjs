@@ -0,0 +1,74 @@
+/**
+ * SQL bumping the version of one customer.
+ * @param {string} customerId - SQL expression for the customer ID.
+ * @returns {string}
+ */
+const bump = (customerId) => `UPDATE customers SET version = version + 1 WHERE id = ${customerId};`;
+
+/**
+ * Migration 0011 — `customers.version` for optimistic concurrency.
+ *
+ * The version starts at 1 and goes up on every write to the customer row, its
+ * addresses or its tags; it is served as the customer's ETag. Triggers keep it
+ * current, so no repository method can forget to bump it.
+ */
+export default {
+  version: '0011',
+  name: 'add_customer_version',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      ALTER TABLE customers ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+      CREATE TRIGGER IF NOT EXISTS customers_version_au AFTER UPDATE ON customers
+      WHEN new.version = old.version BEGIN
+        ${bump('new.id')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS addresses_version_ai AFTER INSERT ON addresses BEGIN
+        ${bump('new.customerId')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS addresses_version_au AFTER UPDATE ON addresses BEGIN
+        ${bump('new.customerId')}
+        UPDATE customers SET version = version + 1 WHERE id = old.customerId AND old.customerId <> new.customerId;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS addresses_version_ad AFTER DELETE ON addresses BEGIN
+        ${bump('old.customerId')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS customer_tags_version_ai AFTER INSERT ON customer_tags BEGIN
+        ${bump('new.customerId')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS customer_tags_version_au AFTER UPDATE ON customer_tags BEGIN
+        ${bump('new.customerId')}
+        UPDATE customers SET version = version + 1 WHERE id = old.customerId AND old.customerId <> new.customerId;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS customer_tags_version_ad AFTER DELETE ON customer_tags BEGIN
+        ${bump('old.customerId')}
+      END;
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS customer_tags_version_ad;
+      DROP TRIGGER IF EXISTS customer_tags_version_au;
+      DROP TRIGGER IF EXISTS customer_tags_version_ai;
+      DROP TRIGGER IF EXISTS addresses_version_ad;
+      DROP TRIGGER IF EXISTS addresses_version_au;
+      DROP TRIGGER IF EXISTS addresses_version_ai;
+      DROP TRIGGER IF EXISTS customers_version_au;
+      ALTER TABLE customers DROP COLUMN version;
+    `);
+  },
+};
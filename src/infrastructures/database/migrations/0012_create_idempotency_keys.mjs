@@ -0,0 +1,41 @@
+/**
+ * Migration 0012 — stored responses for `Idempotency-Key` requests.
+ *
+ * One row per key and user: a hash of the request, and once it has finished,
+ * the response to replay. `statusCode` is NULL while the first request is still
+ * running. Rows past `expiresAt` are ignored and cleared lazily.
+ */
+export default {
+  version: '0012',
+  name: 'create_idempotency_keys',
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        actor TEXT NOT NULL,
+        key TEXT NOT NULL,
+        requestHash TEXT NOT NULL,
+        statusCode INTEGER,
+        headers TEXT,
+        body TEXT,
+        createdAt TEXT DEFAULT (datetime('now')),
+        expiresAt TEXT NOT NULL,
+        PRIMARY KEY (actor, key)
+      ) WITHOUT ROWID;
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expiresAt ON idempotency_keys(expiresAt);
+    `);
+  },
+
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_idempotency_keys_expiresAt;
+      DROP TABLE IF EXISTS idempotency_keys;
+    `);
+  },
+};
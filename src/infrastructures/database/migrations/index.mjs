@@ -0,0 +1,39 @@
+import m0001 from './0001_create_customers_and_addresses.mjs';
+import m0002 from './0002_add_soft_delete.mjs';
+import m0003 from './0003_create_audit_log.mjs';
+import m0004 from './0004_create_customers_fts.mjs';
+import m0005 from './0005_add_merged_into.mjs';
+import m0006 from './0006_create_pincodes.mjs';
+import m0007 from './0007_add_address_types.mjs';
+import m0008 from './0008_add_coordinates.mjs';
+import m0009 from './0009_add_tags_and_attributes.mjs';
+import m0010 from './0010_create_webhooks.mjs';
+import m0011 from './0011_add_customer_version.mjs';
+import m0012 from './0012_create_idempotency_keys.mjs';
+
+/**
+ * All schema migrations, in the order they must be applied.
+ *
+ * Each entry exposes a zero-padded `version`, a descriptive `name`,
+ * and synchronous `up(db)` / `down(db)` functions.
+ * Append new migrations to the end of this list; never reorder or edit
+ * a migration that has already shipped.
+ *
+ * @type {{version:string, name:string, up:(db:import('better-sqlite3').Database)=>void, down:(db:import('better-sqlite3').Database)=>void}[]}
+ */
+const migrations = [
+  m0001,
+  m0002,
+  m0003,
+  m0004,
+  m0005,
+  m0006,
+  m0007,
+  m0008,
+  m0009,
+  m0010,
+  m0011,
+  m0012,
+];
+
+export default migrations;
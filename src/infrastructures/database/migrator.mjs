@@ -0,0 +1,116 @@
+import allMigrations from './migrations/index.mjs';
+
+/**
+ * Create the `schema_migrations` bookkeeping table if it does not exist.
+ *
+ * @param {import('better-sqlite3').Database} db - Open database connection.
+ * @returns {void}
+ */
+export function ensureMigrationsTable(db) {
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT DEFAULT (datetime('now'))
+    );
+  `).run();
+}
+
+/**
+ * Get the migrations recorded as applied, oldest first.
+ *
+ * @param {import('better-sqlite3').Database} db - Open database connection.
+ * @returns {{version:string, name:string, appliedAt:string}[]}
+ */
+export function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare(`SELECT version, name, appliedAt FROM schema_migrations ORDER BY version ASC`).all();
+}
+
+/**
+ * Apply every pending migration in order.
+ * Each migration runs in its own transaction together with its bookkeeping row,
+ * so a failing migration leaves the schema at the previous version.
+ *
+ * @param {import('better-sqlite3').Database} db - Open database connection.
+ * @param {Object} [options]
+ * @param {Object[]} [options.migrations] - Migration list (defaults to the registered migrations).
+ * @param {string} [options.to] - Stop after applying this version.
+ * @returns {string[]} Versions that were applied.
+ *
+ * @example
+ * migrateUp(db); // => ['0001']
+ */
+export function migrateUp(db, { migrations = allMigrations, to } = {}) {
+  const applied = new Set(getAppliedMigrations(db).map(m => m.version));
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`);
+  const done = [];
+
+  for (const migration of migrations) {
+    if (to && migration.version > to) break;
+    if (applied.has(migration.version)) continue;
+
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name);
+    })();
+    done.push(migration.version);
+  }
+  return done;
+}
+
+/**
+ * Revert the most recently applied migrations.
+ *
+ * @param {import('better-sqlite3').Database} db - Open database connection.
+ * @param {Object} [options]
+ * @param {Object[]} [options.migrations] - Migration list (defaults to the registered migrations).
+ * @param {number} [options.steps=1] - Number of migrations to revert.
+ * @returns {string[]} Versions that were reverted, newest first.
+ * @throws {Error} If an applied version has no matching migration in code.
+ */
+export function migrateDown(db, { migrations = allMigrations, steps = 1 } = {}) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const toRevert = getAppliedMigrations(db).reverse().slice(0, steps);
+  const unrecord = db.prepare(`DELETE FROM schema_migrations WHERE version = ?`);
+  const done = [];
+
+  for (const { version } of toRevert) {
+    const migration = byVersion.get(version);
+    if (!migration) throw new Error(`Cannot revert migration ${version}: not found in code`);
+
+    db.transaction(() => {
+      migration.down(db);
+      unrecord.run(version);
+    })();
+    done.push(version);
+  }
+  return done;
+}
+
+/**
+ * Report the state of every known migration.
+ * Versions recorded in the database but missing from code are reported as `missing`.
+ *
+ * @param {import('better-sqlite3').Database} db - Open database connection.
+ * @param {Object} [options]
+ * @param {Object[]} [options.migrations] - Migration list (defaults to the registered migrations).
+ * @returns {{version:string, name:string, state:'applied'|'pending'|'missing', appliedAt:string|null}[]}
+ */
+export function migrationStatus(db, { migrations = allMigrations } = {}) {
+  const applied = new Map(getAppliedMigrations(db).map(m => [m.version, m]));
+  const status = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    state: applied.has(m.version) ? 'applied' : 'pending',
+    appliedAt: applied.get(m.version)?.appliedAt || null,
+  }));
+
+  const known = new Set(migrations.map(m => m.version));
+  for (const [version, row] of applied) {
+    if (!known.has(version)) status.push({ version, name: row.name, state: 'missing', appliedAt: row.appliedAt });
+  }
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+export default { ensureMigrationsTable, getAppliedMigrations, migrateUp, migrateDown, migrationStatus };
@@ -0,0 +1,90 @@
+import Database from 'better-sqlite3';
+import { migrateUp, migrateDown, migrationStatus, getAppliedMigrations } from './migrator.mjs';
+
+const tableExists = (db, name) =>
+  !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+
+const fakeMigrations = [
+  {
+    version: '0001',
+    name: 'create_a',
+    up: db => db.exec('CREATE TABLE a (id INTEGER PRIMARY KEY)'),
+    down: db => db.exec('DROP TABLE a'),
+  },
+  {
+    version: '0002',
+    name: 'create_b',
+    up: db => db.exec('CREATE TABLE b (id INTEGER PRIMARY KEY)'),
+    down: db => db.exec('DROP TABLE b'),
+  },
+];
+
+describe('migrator', () => {
+  let db;
+  beforeEach(() => { db = new Database(':memory:'); });
+  afterEach(() => { db.close(); });
+
+  it('should apply pending migrations in order and record them', () => {
+    expect(migrateUp(db, { migrations: fakeMigrations })).toEqual(['0001', '0002']);
+    expect(tableExists(db, 'a')).toBe(true);
+    expect(tableExists(db, 'b')).toBe(true);
+    expect(getAppliedMigrations(db).map(m => m.version)).toEqual(['0001', '0002']);
+  });
+
+  it('should be idempotent', () => {
+    migrateUp(db, { migrations: fakeMigrations });
+    expect(migrateUp(db, { migrations: fakeMigrations })).toEqual([]);
+  });
+
+  it('should stop at the requested version', () => {
+    expect(migrateUp(db, { migrations: fakeMigrations, to: '0001' })).toEqual(['0001']);
+    expect(tableExists(db, 'b')).toBe(false);
+  });
+
+  it('should roll back a failing migration', () => {
+    const broken = [...fakeMigrations, {
+      version: '0003',
+      name: 'broken',
+      up: db => { db.exec('CREATE TABLE c (id INTEGER)'); throw new Error('boom'); },
+      down: () => {},
+    }];
+    expect(() => migrateUp(db, { migrations: broken })).toThrow('boom');
+    expect(tableExists(db, 'c')).toBe(false);
+    expect(getAppliedMigrations(db).map(m => m.version)).toEqual(['0001', '0002']);
+  });
+
+  it('should revert the latest migrations', () => {
+    migrateUp(db, { migrations: fakeMigrations });
+    expect(migrateDown(db, { migrations: fakeMigrations })).toEqual(['0002']);
+    expect(tableExists(db, 'b')).toBe(false);
+    expect(migrateDown(db, { migrations: fakeMigrations, steps: 5 })).toEqual(['0001']);
+    expect(tableExists(db, 'a')).toBe(false);
+  });
+
+  it('should report status including unknown versions', () => {
+    migrateUp(db, { migrations: fakeMigrations.slice(0, 1) });
+    db.prepare(`INSERT INTO schema_migrations (version, name) VALUES ('0000', 'legacy')`).run();
+    const status = migrationStatus(db, { migrations: fakeMigrations });
+    expect(status.map(s => [s.version, s.state])).toEqual([
+      ['0000', 'missing'],
+      ['0001', 'applied'],
+      ['0002', 'pending'],
+    ]);
+  });
+
+  it('should adopt an existing database with the real migrations', () => {
+    // Schema as created by the pre-migration initDb
+    db.exec(`
+      CREATE TABLE customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, firstName TEXT NOT NULL, lastName TEXT NOT NULL,
+        phone TEXT NOT NULL UNIQUE, email TEXT, accountType TEXT DEFAULT 'standard',
+        hasOnlyOneAddress INTEGER DEFAULT 0,
+        createdAt TEXT DEFAULT (datetime('now')), updatedAt TEXT DEFAULT (datetime('now'))
+      );
+      INSERT INTO customers (firstName, lastName, phone) VALUES ('Legacy', 'Row', '123');
+    `);
+    expect(migrateUp(db)).toContain('0001');
+    expect(tableExists(db, 'addresses')).toBe(true);
+    expect(db.prepare('SELECT COUNT(*) AS c FROM customers').get().c).toBe(1);
+  });
+});
@@ -0,0 +1,107 @@
+import jwt from 'jsonwebtoken';
+import authConfig from '../infrastructures/config/auth.config.mjs';
+import { setActor } from '../utils/context.utils.mjs';
+import { UnauthorizedError, ForbiddenError } from '../utils/error.utils.mjs';
+
+/**
+ * Build a 401 error that also tells the client which auth scheme to use.
+ *
+ * @param {import('express').Response} res - Express response object.
+ * @param {string} message - Error message.
+ * @param {string} code - Machine-readable code.
+ * @returns {UnauthorizedError}
+ */
+function unauthorized(res, message, code) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return new UnauthorizedError(message, { code });
+}
+
+/**
+ * Normalize the `roles` claim into an array of strings.
+ *
+ * @param {unknown} roles - Raw claim value.
+ * @returns {string[]}
+ */
+function normalizeRoles(roles) {
+  if (Array.isArray(roles)) return roles.map(String);
+  if (typeof roles === 'string' && roles) return roles.split(/[\s,]+/).filter(Boolean);
+  return [];
+}
+
+/**
+ * Check whether a user holds a permission through any of their roles.
+ *
+ * @param {{roles?:string[]}|undefined} user - Authenticated user (`req.user`).
+ * @param {string} permission - Permission name, e.g. `customers:delete`.
+ * @returns {boolean}
+ *
+ * @example
+ * hasPermission({ id: '42', roles: ['agent'] }, 'customers:update'); // => true
+ */
+export function hasPermission(user, permission) {
+  if (!user || !Array.isArray(user.roles)) return false;
+  return user.roles.some(role => (authConfig.rolePermissions[role] || []).includes(permission));
+}
+
+/**
+ * Express middleware that verifies an HS256 JWT bearer token.
+ *
+ * On success sets `req.user = { id, roles }` from the `sub` and `roles` claims
+ * and records `sub` as the actor of the request context (used by the audit log).
+ * Responds with 401 when the header is missing, the token is invalid/expired,
+ * or the token has no `sub` claim.
+ *
+ * @function authenticate
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+export function authenticate(req, res, next) {
+  if (!authConfig.jwtSecret) return next(new Error('Authentication is not configured (JWT_SECRET missing)'));
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (!/^Bearer$/i.test(scheme || '') || !token) return next(unauthorized(res, 'Missing bearer token', 'TOKEN_MISSING'));
+
+  let claims;
+  try {
+    claims = jwt.verify(token, authConfig.jwtSecret, {
+      algorithms: authConfig.algorithms,
+      issuer: authConfig.jwtIssuer,
+      audience: authConfig.jwtAudience,
+    });
+  } catch (err) {
+    return next(err.name === 'TokenExpiredError'
+      ? unauthorized(res, 'Token expired', 'TOKEN_EXPIRED')
+      : unauthorized(res, 'Invalid token', 'TOKEN_INVALID'));
+  }
+
+  if (!claims.sub) return next(unauthorized(res, 'Token is missing the sub claim', 'TOKEN_INVALID'));
+
+  req.user = { id: String(claims.sub), roles: normalizeRoles(claims.roles) };
+  setActor(req.user.id);
+  next();
+}
+
+/**
+ * Create middleware that requires the authenticated user to hold a permission.
+ * Must run after {@link authenticate}.
+ *
+ * @function authorize
+ * @param {string} permission - Required permission, e.g. `customers:read`.
+ * @returns {import('express').RequestHandler} Middleware responding 403 when the permission is missing.
+ *
+ * @example
+ * router.delete('/:id', authorize('customers:delete'), controller.remove);
+ */
+export function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.user) return next(unauthorized(res, 'Authentication required', 'TOKEN_MISSING'));
+    if (!hasPermission(req.user, permission)) {
+      return next(new ForbiddenError(`Missing permission: ${permission}`, { code: 'MISSING_PERMISSION' }));
+    }
+    next();
+  };
+}
+
+export default { authenticate, authorize, hasPermission };
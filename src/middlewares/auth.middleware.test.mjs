@@ -0,0 +1,102 @@
+import jwt from 'jsonwebtoken';
+import { authenticate, authorize, hasPermission } from './auth.middleware.mjs';
+
+const SECRET = 'test-secret';
+const sign = (claims, opts = {}) => jwt.sign(claims, SECRET, { algorithm: 'HS256', ...opts });
+
+describe('auth middleware', () => {
+  let req, res, next;
+  const originalSecret = process.env.JWT_SECRET;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+    req = { headers: {} };
+    res = { set: jest.fn() };
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    // Assigning undefined would store the string "undefined".
+    if (originalSecret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = originalSecret;
+  });
+
+  describe('authenticate', () => {
+    it('should reject requests without a bearer token', () => {
+      authenticate(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+      expect(res.set).toHaveBeenCalledWith('WWW-Authenticate', 'Bearer');
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      req.headers.authorization = `Bearer ${jwt.sign({ sub: '1' }, 'other', { algorithm: 'HS256' })}`;
+      authenticate(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401, code: 'TOKEN_INVALID', message: 'Invalid token' }));
+    });
+
+    it('should reject expired tokens', () => {
+      req.headers.authorization = `Bearer ${sign({ sub: '1', exp: Math.floor(Date.now() / 1000) - 60 })}`;
+      authenticate(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401, code: 'TOKEN_EXPIRED', message: 'Token expired' }));
+    });
+
+    it('should reject tokens without sub', () => {
+      req.headers.authorization = `Bearer ${sign({ roles: ['admin'] })}`;
+      authenticate(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    });
+
+    it('should reject non-HS256 tokens', () => {
+      req.headers.authorization = `Bearer ${sign({ sub: '1' }, { algorithm: 'HS512' })}`;
+      authenticate(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    });
+
+    it('should populate req.user from sub and roles', () => {
+      req.headers.authorization = `Bearer ${sign({ sub: 42, roles: ['agent'] })}`;
+      authenticate(req, res, next);
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toEqual({ id: '42', roles: ['agent'] });
+    });
+
+    it('should fail closed when no secret is configured', () => {
+      delete process.env.JWT_SECRET;
+      req.headers.authorization = `Bearer ${sign({ sub: '1' })}`;
+      authenticate(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.any(Error));
+      expect(req.user).toBeUndefined();
+    });
+  });
+
+  describe('authorize', () => {
+    it('should allow viewers to read only', () => {
+      const viewer = { roles: ['viewer'] };
+      expect(hasPermission(viewer, 'customers:read')).toBe(true);
+      expect(hasPermission(viewer, 'customers:create')).toBe(false);
+    });
+
+    it('should allow agents to create and update but not delete', () => {
+      const agent = { roles: ['agent'] };
+      expect(hasPermission(agent, 'customers:create')).toBe(true);
+      expect(hasPermission(agent, 'customers:update')).toBe(true);
+      expect(hasPermission(agent, 'customers:delete')).toBe(false);
+    });
+
+    it('should respond 403 when the permission is missing', () => {
+      req.user = { id: '1', roles: ['agent'] };
+      authorize('customers:delete')(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403, code: 'MISSING_PERMISSION' }));
+    });
+
+    it('should pass through when the permission is held', () => {
+      req.user = { id: '1', roles: ['viewer', 'admin'] };
+      authorize('customers:delete')(req, res, next);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should respond 401 when unauthenticated', () => {
+      authorize('customers:read')(req, res, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    });
+  });
+});
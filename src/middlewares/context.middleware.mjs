@@ -0,0 +1,19 @@
+import { runWithContext } from '../utils/context.utils.mjs';
+
+/**
+ * Express middleware that opens a per-request context (see `context.utils.mjs`)
+ * for everything downstream, so lower layers can read request-scoped values
+ * such as the acting user without threading them through every call.
+ *
+ * Must be registered after body parsers: their stream callbacks run outside
+ * the context started here.
+ *
+ * @function requestContext
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+export default function requestContext(req, res, next) {
+  runWithContext({ actor: null }, () => next());
+}
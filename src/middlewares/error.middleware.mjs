@@ -1,32 +1,56 @@
+import { STATUS_CODES } from 'node:http';
+import { toAppError } from '../utils/error.utils.mjs';
+
 /**
  * Express global error handling middleware.
  *
- * Catches errors thrown in routes/middleware and returns a consistent JSON response.
- * - Supports custom `err.status` and `err.details`.
- * - Maps SQLite constraint violations (`SQLITE_CONSTRAINT`) to HTTP 409 Conflict.
- * - Includes stack traces in non-production environments.
+ * Catches errors thrown in routes/middleware and answers with an RFC 7807
+ * `application/problem+json` body:
+ * - `code` is a stable machine-readable identifier (e.g. `PHONE_TAKEN`); match on it, not on `detail`.
+ * - `errors` lists validation issues, each with a JSON Pointer `field` into the request body.
+ * - `requestId` is the `X-Request-Id` of the request, for correlating with server logs.
+ * - SQLite errors are mapped by their extended code (see `toAppError`).
+ * - `success` and `message` are kept for older clients; stack traces are included outside production.
  *
  * @function errorHandler
- * @param {Error & {status?: number, details?: string[], code?: string}} err - The error object, may include custom fields.
+ * @param {unknown} err - Whatever was thrown or passed to `next`.
  * @param {import('express').Request} req - Express request object.
  * @param {import('express').Response} res - Express response object.
- * @param {import('express').NextFunction} next - Express next middleware function (unused).
- * @returns {void} Sends a JSON error response with appropriate HTTP status code.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void} Sends a problem response with the error's HTTP status.
  *
  * @example
- * // Example error response:
+ * // Example error response (Content-Type: application/problem+json):
  * {
+ *   "type": "about:blank",
+ *   "title": "Bad Request",
+ *   "status": 400,
+ *   "detail": "Validation failed",
+ *   "code": "VALIDATION_FAILED",
+ *   "instance": "/api/customers",
+ *   "requestId": "1b4e28ba-2fa1-11d2-883f-0016d3cca427",
+ *   "errors": [{ "field": "/firstName", "message": "\"firstName\" is required", "code": "any.required" }],
  *   "success": false,
- *   "message": "Validation failed",
- *   "details": ["First name is required"],
- *   "stack": "Error: Validation failed\n   at ..."
+ *   "message": "Validation failed"
  * }
  */
-export default function errorHandler(err, req, res, next) { // eslint-disable-line no-unused-vars
-  // err may be a standard Error or an object with status/details
-  const status = err.status || (err.code === 'SQLITE_CONSTRAINT' ? 409 : 500);
-  const payload = { success: false, message: err.message || 'Internal Server Error' };
-  if (err.details) payload.details = err.details;
-  if (process.env.NODE_ENV !== 'production') payload.stack = err.stack;
-  res.status(status).json(payload);
+export default function errorHandler(err, req, res, next) {
+  // Too late for a problem response (e.g. a failing stream); let Express close the connection.
+  if (res.headersSent) return next(err);
+
+  const error = toAppError(err);
+  const problem = {
+    type: 'about:blank',
+    title: STATUS_CODES[error.status] || 'Error',
+    status: error.status,
+    detail: error.message,
+    code: error.code,
+    instance: req.originalUrl,
+    requestId: req.id,
+  };
+  if (error.errors) problem.errors = error.errors;
+  problem.success = false;
+  problem.message = error.message;
+  if (process.env.NODE_ENV !== 'production') problem.stack = err?.stack;
+  res.status(error.status).type('application/problem+json').json(problem);
 }
@@ -0,0 +1,55 @@
+import errorHandler from './error.middleware.mjs';
+import { ConflictError } from '../utils/error.utils.mjs';
+
+describe('error middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { id: 'req-1', originalUrl: '/api/customers' };
+    res = {
+      headersSent: false,
+      status: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  it('should answer with an application/problem+json body', () => {
+    const err = new ConflictError('Phone already exists', {
+      code: 'PHONE_TAKEN',
+      errors: [{ field: '/phone', message: '"phone" is already used by another customer', code: 'unique' }],
+    });
+    errorHandler(err, req, res, next);
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.type).toHaveBeenCalledWith('application/problem+json');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'about:blank',
+      title: 'Conflict',
+      status: 409,
+      detail: 'Phone already exists',
+      code: 'PHONE_TAKEN',
+      instance: '/api/customers',
+      requestId: 'req-1',
+      errors: [{ field: '/phone', message: '"phone" is already used by another customer', code: 'unique' }],
+      success: false,
+      message: 'Phone already exists',
+    }));
+  });
+
+  it('should map plain errors to 500 INTERNAL_ERROR without an errors list', () => {
+    errorHandler(new Error('boom'), req, res, next);
+    expect(res.status).toHaveBeenCalledWith(500);
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ status: 500, title: 'Internal Server Error', code: 'INTERNAL_ERROR', detail: 'boom' });
+    expect(body).not.toHaveProperty('errors');
+  });
+
+  it('should hand over to Express once the response has started', () => {
+    res.headersSent = true;
+    const err = new Error('stream failed');
+    errorHandler(err, req, res, next);
+    expect(next).toHaveBeenCalledWith(err);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
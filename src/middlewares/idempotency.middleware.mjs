@@ -0,0 +1,76 @@
+import pino from 'pino';
+import idempotencyUsecase from '../apps/usecases/idempotency.usecase.mjs';
+const logger = pino();
+
+/** Response headers stored and replayed together with the body (`content-type` keeps error replays as problem+json). */
+const REPLAYED_HEADERS = ['etag', 'location', 'content-type'];
+
+/**
+ * Express middleware honouring the `Idempotency-Key` request header, so that clients
+ * can safely retry a create after a timeout.
+ *
+ * - Without the header the request runs as usual.
+ * - The first request with a key runs and its response (status, body and ETag) is stored
+ *   for `IDEMPOTENCY_TTL_HOURS`; 5xx responses are not stored, so the key can be retried.
+ * - A repeat with the same method, path and body gets the stored response again, marked
+ *   with `Idempotent-Replayed: true`, without running the handler. A replayed error body
+ *   carries the `requestId` of the repeat, not of the original request.
+ * - Reusing a key for a different request is rejected with 422, and a repeat that arrives
+ *   while the first request is still running with 409.
+ *
+ * Keys are scoped to the authenticated user, so this must run after `authenticate`.
+ *
+ * @function idempotency
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ *
+ * @example
+ * router.post('/', authorize('customers:create'), idempotency, controller.create);
+ */
+export default function idempotency(req, res, next) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return next();
+
+  const actor = req.user?.id ?? '';
+  let stored;
+  try {
+    const requestHash = idempotencyUsecase.hashRequest({ method: req.method, path: req.baseUrl + req.path, body: req.body });
+    stored = idempotencyUsecase.begin({ actor, key, requestHash });
+  } catch (err) {
+    return next(err);
+  }
+
+  if (stored) {
+    res.set({ ...stored.headers, 'Idempotent-Replayed': 'true' });
+    // A replayed problem body must name this request, matching its `X-Request-Id`.
+    const body = stored.body && typeof stored.body === 'object' && 'requestId' in stored.body
+      ? { ...stored.body, requestId: req.id }
+      : stored.body;
+    return res.status(stored.statusCode).json(body);
+  }
+
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      const headers = {};
+      for (const name of REPLAYED_HEADERS) {
+        if (res.get(name) !== undefined) headers[name] = res.get(name);
+      }
+      try {
+        idempotencyUsecase.complete(actor, key, { statusCode: res.statusCode, headers, body });
+      } catch (err) { logger.error(err); }
+    }
+    return json(body);
+  };
+  // A request that ends without a response must not hold its key until it expires.
+  res.on('close', () => {
+    if (settled) return;
+    settled = true;
+    try { idempotencyUsecase.release(actor, key); } catch (err) { logger.error(err); }
+  });
+  next();
+}
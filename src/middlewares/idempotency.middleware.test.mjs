@@ -0,0 +1,78 @@
+import idempotency from './idempotency.middleware.mjs';
+import idempotencyUsecase from '../apps/usecases/idempotency.usecase.mjs';
+
+jest.mock('../apps/usecases/idempotency.usecase.mjs');
+
+describe('idempotency middleware', () => {
+  let req, res, next, json, headers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotencyUsecase.hashRequest.mockReturnValue('hash');
+    headers = {};
+    json = jest.fn();
+    req = { method: 'POST', baseUrl: '/api/customers', path: '/', headers: { 'idempotency-key': 'k-1' }, user: { id: 'u1', roles: ['agent'] }, body: { firstName: 'A' } };
+    res = {
+      statusCode: 200,
+      json,
+      on: jest.fn(),
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      set: jest.fn(h => Object.assign(headers, h)),
+      get: jest.fn(name => headers[name]),
+    };
+    next = jest.fn();
+  });
+
+  it('should do nothing without the header', () => {
+    delete req.headers['idempotency-key'];
+    idempotency(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(idempotencyUsecase.begin).not.toHaveBeenCalled();
+  });
+
+  it('should run a new request and store its response and ETag', () => {
+    idempotencyUsecase.begin.mockReturnValue(null);
+    idempotency(req, res, next);
+    expect(idempotencyUsecase.hashRequest).toHaveBeenCalledWith({ method: 'POST', path: '/api/customers/', body: { firstName: 'A' } });
+    expect(idempotencyUsecase.begin).toHaveBeenCalledWith({ actor: 'u1', key: 'k-1', requestHash: 'hash' });
+    expect(next).toHaveBeenCalledWith();
+
+    headers.etag = '"1"';
+    res.status(201).json({ success: true });
+    expect(idempotencyUsecase.complete).toHaveBeenCalledWith('u1', 'k-1', { statusCode: 201, headers: { etag: '"1"' }, body: { success: true } });
+    expect(json).toHaveBeenCalledWith({ success: true });
+  });
+
+  it('should replay a stored response without running the handler', () => {
+    idempotencyUsecase.begin.mockReturnValue({ statusCode: 201, headers: { etag: '"1"' }, body: { success: true } });
+    idempotency(req, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(headers).toEqual({ etag: '"1"', 'Idempotent-Replayed': 'true' });
+    expect(json).toHaveBeenCalledWith({ success: true });
+  });
+
+  it('should give a replayed error body the id of the current request', () => {
+    req.id = 'req-2';
+    const problem = { status: 409, code: 'PHONE_TAKEN', requestId: 'req-1' };
+    idempotencyUsecase.begin.mockReturnValue({ statusCode: 409, headers: { 'content-type': 'application/problem+json' }, body: problem });
+    idempotency(req, res, next);
+    expect(json).toHaveBeenCalledWith({ status: 409, code: 'PHONE_TAKEN', requestId: 'req-2' });
+  });
+
+  it('should pass key errors on', () => {
+    const err = Object.assign(new Error('reused'), { status: 422 });
+    idempotencyUsecase.begin.mockImplementation(() => { throw err; });
+    idempotency(req, res, next);
+    expect(next).toHaveBeenCalledWith(err);
+  });
+
+  it('should release the key when the request ends without a response', () => {
+    idempotencyUsecase.begin.mockReturnValue(null);
+    idempotency(req, res, next);
+    const [[event, onClose]] = res.on.mock.calls;
+    expect(event).toBe('close');
+    onClose();
+    expect(idempotencyUsecase.release).toHaveBeenCalledWith('u1', 'k-1');
+  });
+});
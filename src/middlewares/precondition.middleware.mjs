@@ -0,0 +1,31 @@
+import { parseIfMatch } from '../utils/etag.utils.mjs';
+import { AppError } from '../utils/error.utils.mjs';
+
+/**
+ * Express middleware for writes guarded by optimistic concurrency.
+ *
+ * Requires an `If-Match` header carrying the customer's ETag (from `GET /api/customers/:id`
+ * or a previous write) and exposes it as `req.ifMatch`; the use case answers 412 if the
+ * customer changed since. Without the header the request is rejected with 428, so a
+ * client cannot overwrite changes it has not seen.
+ *
+ * @function requireIfMatch
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ *
+ * @example
+ * router.patch('/:id', authorize('customers:update'), requireIfMatch, controller.update);
+ */
+export default function requireIfMatch(req, res, next) {
+  const header = req.headers['if-match'];
+  if (!header) {
+    return next(new AppError('If-Match header required; send the ETag from GET /api/customers/:id', {
+      status: 428,
+      code: 'IF_MATCH_REQUIRED',
+    }));
+  }
+  req.ifMatch = parseIfMatch(header);
+  next();
+}
@@ -0,0 +1,29 @@
+import requireIfMatch from './precondition.middleware.mjs';
+
+describe('precondition middleware', () => {
+  let req, next;
+
+  beforeEach(() => {
+    req = { headers: {} };
+    next = jest.fn();
+  });
+
+  it('should reject writes without If-Match with 428', () => {
+    requireIfMatch(req, {}, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 428, code: 'IF_MATCH_REQUIRED' }));
+    expect(req.ifMatch).toBeUndefined();
+  });
+
+  it('should expose the parsed versions', () => {
+    req.headers['if-match'] = '"3", "4"';
+    requireIfMatch(req, {}, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.ifMatch).toEqual([3, 4]);
+  });
+
+  it('should pass * through', () => {
+    req.headers['if-match'] = '*';
+    requireIfMatch(req, {}, next);
+    expect(req.ifMatch).toBe('*');
+  });
+});
@@ -0,0 +1,26 @@
+import { randomUUID } from 'node:crypto';
+
+/** Incoming request IDs we accept as-is; anything else is replaced. */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware that gives every request an ID, exposed as `req.id` and
+ * echoed in the `X-Request-Id` response header. A well-formed `X-Request-Id` from
+ * the client (or a proxy in front of the API) is kept, so one ID can follow a
+ * request across services; otherwise a UUID is generated. Error responses carry
+ * it as `requestId`.
+ *
+ * Register first, so that errors raised by body parsers have an ID too.
+ *
+ * @function requestId
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+export default function requestId(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+import { initDb } from '../apps/models/customer.model.mjs';
+import { runWebhookDispatch } from '../apps/jobs/webhook.job.mjs';
+
+dotenv.config();
+
+/**
+ * One-off webhook dispatch: sends every due delivery once, e.g. after the
+ * server was down or to drain requeued dead letters immediately.
+ *
+ * @example
+ * npm run webhooks:dispatch           # up to WEBHOOK_BATCH_SIZE deliveries (default 50)
+ * npm run webhooks:dispatch -- 500    # up to 500 deliveries
+ */
+const [limit] = process.argv.slice(2);
+
+try {
+  initDb(process.env.SQLITE_FILE || 'src/data/customers.db');
+  const summary = await runWebhookDispatch({ limit: limit !== undefined ? Number(limit) : undefined });
+  console.log(`✅ Delivered ${summary.delivered}, retrying ${summary.retrying}, dead-lettered ${summary.dead}`);
+} catch (err) {
+  console.error('❌ Webhook dispatch failed:', err.message);
+  process.exit(1);
+}
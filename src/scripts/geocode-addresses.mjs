@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+import { initDb } from '../apps/models/customer.model.mjs';
+import customerUsecase from '../apps/usecases/customer.usecase.mjs';
+import geocoderConfig from '../infrastructures/config/geocoder.config.mjs';
+
+dotenv.config();
+
+/**
+ * Backfill coordinates for active addresses that have none, using the `GEOCODER`
+ * provider. Safe to re-run: addresses that could not be located are retried.
+ *
+ * @example
+ * npm run addresses:geocode
+ * GEOCODER=pincode npm run addresses:geocode
+ */
+try {
+  initDb(process.env.SQLITE_FILE || 'src/data/customers.db');
+  const located = await customerUsecase.locateAddresses();
+  const remaining = customerUsecase.repo.listUnlocatedAddresses().length;
+
+  console.log(`✅ Located ${located} addresses with the "${geocoderConfig.provider}" geocoder`);
+  if (remaining) console.warn(`⚠️  ${remaining} addresses could not be located`);
+} catch (err) {
+  console.error('❌ Geocoding failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,30 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { initDb } from '../apps/models/customer.model.mjs';
+import PincodeRepository from '../apps/repositories/pincode.repository.mjs';
+import { parseCsvRecords } from '../utils/csv.utils.mjs';
+
+dotenv.config();
+
+/**
+ * Replace the pincode directory with the contents of a CSV file
+ * (columns `pincode,city,district,state`, optionally `latitude,longitude` centroids).
+ *
+ * @example
+ * npm run pincodes:load                         # reload the bundled src/data/pincodes.csv
+ * npm run pincodes:load -- ~/all_india_pincodes.csv
+ */
+const [file = process.env.PINCODES_FILE || 'src/data/pincodes.csv'] = process.argv.slice(2);
+
+try {
+  initDb(process.env.SQLITE_FILE || 'src/data/customers.db');
+  const rows = parseCsvRecords(fs.readFileSync(file, 'utf8'));
+  const bad = rows.findIndex(r => !r.pincode || !r.city || !r.state);
+  if (bad !== -1) throw new Error(`Row ${bad + 1} is missing pincode, city or state`);
+
+  const loaded = new PincodeRepository().replaceAll(rows);
+  console.log(`✅ Loaded ${loaded} pincodes from ${file}`);
+} catch (err) {
+  console.error('❌ Pincode load failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import { openDb } from '../apps/models/customer.model.mjs';
+import { migrateUp, migrateDown, migrationStatus } from '../infrastructures/database/migrator.mjs';
+
+dotenv.config();
+
+/**
+ * Schema migration CLI.
+ *
+ * @example
+ * npm run migrate:up                 # apply all pending migrations
+ * npm run migrate:up -- 0003         # apply pending migrations up to 0003
+ * npm run migrate:down               # revert the latest migration
+ * npm run migrate:down -- 2          # revert the latest two migrations
+ * npm run migrate:status             # list applied / pending migrations
+ */
+const [command, arg] = process.argv.slice(2);
+
+try {
+  const db = openDb(process.env.SQLITE_FILE || 'src/data/customers.db');
+
+  switch (command) {
+    case 'up': {
+      const applied = migrateUp(db, { to: arg });
+      console.log(applied.length ? `✅ Applied: ${applied.join(', ')}` : '✅ Nothing to apply');
+      break;
+    }
+    case 'down': {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) throw new Error(`Invalid step count: ${arg}`);
+      const reverted = migrateDown(db, { steps });
+      console.log(reverted.length ? `✅ Reverted: ${reverted.join(', ')}` : '✅ Nothing to revert');
+      break;
+    }
+    case 'status': {
+      console.table(migrationStatus(db));
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use: up [version] | down [steps] | status`);
+  }
+  db.close();
+} catch (err) {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+import { initDb } from '../apps/models/customer.model.mjs';
+import customerUsecase from '../apps/usecases/customer.usecase.mjs';
+
+dotenv.config();
+
+/**
+ * One-time backfill normalizing stored phone numbers to E.164.
+ * Collisions (several customers with the same normalized number) are reported and
+ * left unchanged; merge them via `POST /api/customers/:id/merge` and re-run.
+ *
+ * @example
+ * npm run phones:normalize              # normalize and report
+ * npm run phones:normalize -- --dry-run # report only
+ */
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+try {
+  initDb(process.env.SQLITE_FILE || 'src/data/customers.db');
+  const report = await customerUsecase.normalizeStoredPhones({ dryRun });
+
+  console.log(`${dryRun ? '🔎 Would update' : '✅ Updated'} ${report.updated} phone numbers (${report.unchanged} unchanged)`);
+  for (const { id, phone } of report.invalid) console.warn(`⚠️  Customer ${id}: invalid phone "${phone}" left as is`);
+  for (const { phone, ids } of report.collisions) console.warn(`⚠️  Collision on ${phone}: customers ${ids.join(', ')}`);
+  if (report.collisions.length) process.exitCode = 2;
+} catch (err) {
+  console.error('❌ Phone normalization failed:', err.message);
+  process.exit(1);
+}
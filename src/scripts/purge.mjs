@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import { initDb } from '../apps/models/customer.model.mjs';
+import { runPurge } from '../apps/jobs/purge.job.mjs';
+
+dotenv.config();
+
+/**
+ * One-off purge of soft-deleted rows past their retention period.
+ *
+ * @example
+ * npm run purge            # uses SOFT_DELETE_RETENTION_DAYS (default 30)
+ * npm run purge -- 7       # purge rows deleted more than 7 days ago
+ */
+const [days] = process.argv.slice(2);
+
+try {
+  initDb(process.env.SQLITE_FILE || 'src/data/customers.db');
+  const purged = await runPurge(days !== undefined ? Number(days) : undefined);
+  console.log(`✅ Purged ${purged.customers} customers and ${purged.addresses} addresses`);
+} catch (err) {
+  console.error('❌ Purge failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,56 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Per-request context shared across async boundaries.
+ * Populated by the `requestContext` middleware; outside a request (scripts, jobs)
+ * there is no store and the getters return `null`.
+ *
+ * @type {AsyncLocalStorage<{actor:string|null}>}
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a fresh request context.
+ *
+ * @param {Object} store - Initial context values.
+ * @param {Function} fn - Function to run.
+ * @returns {*} Whatever `fn` returns.
+ *
+ * @example
+ * runWithContext({ actor: 'system' }, () => repo.updateCustomer(1, { email: null }));
+ */
+export function runWithContext(store, fn) {
+  return storage.run(store, fn);
+}
+
+/**
+ * Get the current request context, if any.
+ *
+ * @returns {{actor:string|null}|undefined}
+ */
+export function getContext() {
+  return storage.getStore();
+}
+
+/**
+ * Record who is acting in the current request (usually the JWT `sub`).
+ * No-op outside a request context.
+ *
+ * @param {string|null} actor - Actor identifier.
+ * @returns {void}
+ */
+export function setActor(actor) {
+  const store = storage.getStore();
+  if (store) store.actor = actor;
+}
+
+/**
+ * Get the actor of the current request.
+ *
+ * @returns {string|null} Actor identifier, or `null` outside an authenticated request.
+ */
+export function currentActor() {
+  return storage.getStore()?.actor ?? null;
+}
+
+export default { runWithContext, getContext, setActor, currentActor };
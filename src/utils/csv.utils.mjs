@@ -0,0 +1,111 @@
+import { BadRequestError } from './error.utils.mjs';
+
+/**
+ * Parse CSV text (RFC 4180) into an array of rows.
+ *
+ * - Handles quoted fields containing commas, quotes (`""`) and line breaks.
+ * - Accepts `\n` and `\r\n` line endings and strips a leading UTF-8 BOM.
+ * - Skips completely empty lines.
+ *
+ * @function parseCsv
+ * @param {string} text - Raw CSV text.
+ * @returns {string[][]} Rows of string fields.
+ * @throws {BadRequestError} 400 if a quoted field is not terminated.
+ *
+ * @example
+ * parseCsv('a,b\n1,"x, ""y"""');
+ * // => [['a', 'b'], ['1', 'x, "y"']]
+ */
+export function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') { quoted = false; i++; continue; }
+      field += ch; i++; continue;
+    }
+    if (ch === '"' && field === '') { quoted = true; i++; continue; }
+    if (ch === ',') { row.push(field); field = ''; i++; continue; }
+    if (ch === '\r' && src[i + 1] === '\n') { endRow(); i += 2; continue; }
+    if (ch === '\n') { endRow(); i++; continue; }
+    field += ch; i++;
+  }
+  if (quoted) throw new BadRequestError('Malformed CSV: unterminated quoted field', { code: 'MALFORMED_BODY' });
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row.
+ *
+ * @function parseCsvRecords
+ * @param {string} text - Raw CSV text whose first row is the header.
+ * @returns {Object<string, string>[]} One object per data row; missing trailing fields become `''`.
+ *
+ * @example
+ * parseCsvRecords('firstName,phone\nJohn,98765');
+ * // => [{ firstName: 'John', phone: '98765' }]
+ */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(fields => Object.fromEntries(keys.map((k, i) => [k, fields[i] ?? ''])));
+}
+
+/** E.164 phone numbers start with `+` but are not formulas. */
+const E164 = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Neutralize a text value a spreadsheet would run as a formula (CSV injection) by
+ * prefixing it with `'`: values starting with `=`, `@`, tab or carriage return, and
+ * with `+` or `-` unless they are E.164 phone numbers.
+ * @param {string} s - Cell text.
+ * @returns {string}
+ */
+function escapeFormula(s) {
+  if (/^[=@\t\r]/.test(s) || (/^[+-]/.test(s) && !E164.test(s))) return `'${s}`;
+  return s;
+}
+
+/**
+ * Serialize one row of values as a CSV line (without the line terminator).
+ * `null`/`undefined` become empty fields; fields containing commas, quotes or
+ * line breaks are quoted.
+ *
+ * @function toCsvLine
+ * @param {Array<*>} values - Field values.
+ * @param {Object} [options]
+ * @param {boolean} [options.escapeFormulas=false] - Prefix text values that spreadsheets would
+ *   read as formulas with `'`; use for files meant to be opened in Excel and the like.
+ * @returns {string}
+ *
+ * @example
+ * toCsvLine(['a', 'b,c', null, 3]);
+ * // => 'a,"b,c",,3'
+ *
+ * @example
+ * toCsvLine(['=HYPERLINK("http://x")', '+919876543210'], { escapeFormulas: true });
+ * // => '"\'=HYPERLINK(""http://x"")",+919876543210'
+ */
+export function toCsvLine(values, { escapeFormulas = false } = {}) {
+  return values.map(v => {
+    if (v === null || v === undefined) return '';
+    const s = escapeFormulas && typeof v === 'string' ? escapeFormula(v) : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(',');
+}
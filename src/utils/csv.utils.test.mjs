@@ -0,0 +1,41 @@
+import { parseCsv, parseCsvRecords, toCsvLine } from './csv.utils.mjs';
+
+describe('csv utils', () => {
+  it('should parse quoted fields with commas, quotes and newlines', () => {
+    expect(parseCsv('a,b,c\r\n1,"x, ""y""","multi\nline"\n')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', 'x, "y"', 'multi\nline'],
+    ]);
+  });
+
+  it('should skip blank lines and strip a BOM', () => {
+    expect(parseCsv('\uFEFFa\n\n1\n')).toEqual([['a'], ['1']]);
+  });
+
+  it('should keep empty fields', () => {
+    expect(parseCsv('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']]);
+  });
+
+  it('should reject unterminated quotes', () => {
+    expect(() => parseCsv('a\n"oops')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should map records by header', () => {
+    expect(parseCsvRecords('firstName, phone\nJohn,123\nJane')).toEqual([
+      { firstName: 'John', phone: '123' },
+      { firstName: 'Jane', phone: '' },
+    ]);
+  });
+
+  it('should round-trip values through toCsvLine', () => {
+    const values = ['a', 'b,c', 'say "hi"', 'x\ny'];
+    expect(parseCsv(toCsvLine(values))).toEqual([values]);
+    expect(toCsvLine([null, undefined, 0])).toBe(',,0');
+  });
+
+  it('should escape formula-like text only when asked', () => {
+    expect(toCsvLine(['=1+1', '\tx', '-5', -5, '+14155552671'])).toBe('=1+1,\tx,-5,-5,+14155552671');
+    expect(toCsvLine(['=1+1', '\tx', '-5', -5, '+14155552671', '+1 415'], { escapeFormulas: true }))
+      .toBe("'=1+1,'\tx,'-5,-5,+14155552671,'+1 415");
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Weights of the signals combined into a duplicate score (they sum to 1).
+ * A shared phone or email is strong evidence; similar names alone are not
+ * enough to reach the default threshold.
+ */
+export const DUPLICATE_WEIGHTS = { phone: 0.4, email: 0.3, name: 0.3 };
+
+/**
+ * Jaro-Winkler similarity of two strings.
+ *
+ * @function jaroWinkler
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Similarity between 0 (nothing in common) and 1 (identical).
+ *
+ * @example
+ * jaroWinkler('martha', 'marhta'); // => 0.961…
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Comparison key for a phone number: digits only, keeping the last ten so that
+ * `+91 98765 43210`, `09876543210` and `9876543210` compare equal.
+ *
+ * @function phoneKey
+ * @param {string|null} phone - Phone as stored.
+ * @returns {string} Key, or `''` when there are no digits.
+ */
+export function phoneKey(phone) {
+  return String(phone ?? '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Comparison key for an email address (trimmed and case-folded).
+ *
+ * @function emailKey
+ * @param {string|null} email - Email as stored.
+ * @returns {string} Key, or `''` when empty.
+ */
+export function emailKey(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+/**
+ * Comparison form of a name: case-folded, accents and punctuation removed.
+ * @param {string|null} name - Name as stored.
+ * @returns {string}
+ */
+function nameKey(name) {
+  return String(name ?? '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Score how likely two customers are the same person.
+ *
+ * @function scorePair
+ * @param {{phone?:string, email?:string, firstName?:string, lastName?:string}} a - First customer.
+ * @param {{phone?:string, email?:string, firstName?:string, lastName?:string}} b - Second customer.
+ * @returns {{score:number, reasons:{phone:boolean, email:boolean, firstName:number, lastName:number}}}
+ *   Score between 0 and 1 plus the signals behind it (name similarities are Jaro-Winkler values).
+ */
+export function scorePair(a, b) {
+  const phone = Boolean(phoneKey(a.phone)) && phoneKey(a.phone) === phoneKey(b.phone);
+  const email = Boolean(emailKey(a.email)) && emailKey(a.email) === emailKey(b.email);
+  const firstName = jaroWinkler(nameKey(a.firstName), nameKey(b.firstName));
+  const lastName = jaroWinkler(nameKey(a.lastName), nameKey(b.lastName));
+
+  const score = DUPLICATE_WEIGHTS.phone * phone
+    + DUPLICATE_WEIGHTS.email * email
+    + DUPLICATE_WEIGHTS.name * (firstName + lastName) / 2;
+  const round = n => Math.round(n * 1000) / 1000;
+  return { score: round(score), reasons: { phone, email, firstName: round(firstName), lastName: round(lastName) } };
+}
+
+/**
+ * Find likely duplicate pairs among customers.
+ *
+ * Only customers sharing a block are compared, to avoid scoring every pair:
+ * the same phone key, the same email key, or the same name prefix
+ * (first two letters of the last name plus the first letter of the first name).
+ *
+ * @function findDuplicatePairs
+ * @param {Iterable<{id:number, phone?:string, email?:string, firstName?:string, lastName?:string}>} customers - Customers to compare.
+ * @param {Object} [options]
+ * @param {number} [options.minScore=0.5] - Smallest score to report.
+ * @returns {{ids:[number, number], score:number, reasons:Object}[]} Pairs (lower id first), best score first.
+ */
+export function findDuplicatePairs(customers, { minScore = 0.5 } = {}) {
+  const blocks = new Map();
+  const byId = new Map();
+  const addTo = (key, id) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(id);
+  };
+
+  for (const c of customers) {
+    byId.set(c.id, c);
+    if (phoneKey(c.phone)) addTo(`p:${phoneKey(c.phone)}`, c.id);
+    if (emailKey(c.email)) addTo(`e:${emailKey(c.email)}`, c.id);
+    const last = nameKey(c.lastName);
+    const first = nameKey(c.firstName);
+    if (last && first) addTo(`n:${last.slice(0, 2)}${first[0]}`, c.id);
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  for (const ids of blocks.values()) {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const [lo, hi] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+        const key = `${lo}:${hi}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const { score, reasons } = scorePair(byId.get(lo), byId.get(hi));
+        if (score >= minScore) pairs.push({ ids: [lo, hi], score, reasons });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score || x.ids[0] - y.ids[0] || x.ids[1] - y.ids[1]);
+}
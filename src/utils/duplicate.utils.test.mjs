@@ -0,0 +1,50 @@
+import { jaroWinkler, phoneKey, emailKey, scorePair, findDuplicatePairs } from './duplicate.utils.mjs';
+
+describe('duplicate utils', () => {
+  it('should compute Jaro-Winkler similarity', () => {
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+    expect(jaroWinkler('dwayne', 'duane')).toBeCloseTo(0.84, 2);
+    expect(jaroWinkler('abc', 'abc')).toBe(1);
+    expect(jaroWinkler('abc', 'xyz')).toBe(0);
+    expect(jaroWinkler('', 'abc')).toBe(0);
+  });
+
+  it('should normalize phones and emails for comparison', () => {
+    expect(phoneKey('+91 98765-43210')).toBe('9876543210');
+    expect(phoneKey('098765 43210')).toBe('9876543210');
+    expect(phoneKey(null)).toBe('');
+    expect(emailKey('  John@Example.COM ')).toBe('john@example.com');
+  });
+
+  it('should score shared contact details and similar names', () => {
+    const { score, reasons } = scorePair(
+      { firstName: 'Jon', lastName: 'Smith', phone: '+91 9876543210', email: 'J@x.com' },
+      { firstName: 'John', lastName: 'Smyth', phone: '9876543210', email: 'j@x.com' }
+    );
+    expect(reasons).toMatchObject({ phone: true, email: true });
+    expect(reasons.firstName).toBeGreaterThan(0.9);
+    expect(score).toBeGreaterThan(0.95);
+  });
+
+  it('should report blocked pairs above the threshold, best first', () => {
+    const pairs = findDuplicatePairs([
+      { id: 3, firstName: 'Jon', lastName: 'Smith', phone: '09876543210' },
+      { id: 1, firstName: 'John', lastName: 'Smith', phone: '9876543210' },
+      { id: 2, firstName: 'Asha', lastName: 'Rao', phone: '111', email: 'asha@x.com' },
+      { id: 4, firstName: 'Ravi', lastName: 'Kumar', phone: '222', email: 'ASHA@x.com' },
+      { id: 5, firstName: 'Meera', lastName: 'Iyer', phone: '333' },
+    ]);
+    expect(pairs.map(p => p.ids)).toEqual([[1, 3]]);
+    expect(findDuplicatePairs([
+      { id: 2, firstName: 'Asha', lastName: 'Rao', phone: '111', email: 'asha@x.com' },
+      { id: 4, firstName: 'Ravi', lastName: 'Kumar', phone: '222', email: 'ASHA@x.com' },
+    ], { minScore: 0.3 }).map(p => p.ids)).toEqual([[2, 4]]);
+  });
+
+  it('should not compare customers that share no block', () => {
+    expect(findDuplicatePairs([
+      { id: 1, firstName: 'John', lastName: 'Smith', phone: '111' },
+      { id: 2, firstName: 'John', lastName: 'Jones', phone: '222' },
+    ], { minScore: 0 })).toEqual([]);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * One problem with the input, reported in the `errors` list of a problem response.
+ *
+ * @typedef {Object} ErrorIssue
+ * @property {string} [field] - JSON Pointer (RFC 6901) to the offending input, e.g. `/addresses/0/pincode`.
+ * @property {string} message - Human-readable description.
+ * @property {string} [code] - Machine-readable reason, e.g. `any.required`.
+ */
+
+/**
+ * Base class for errors reported to API clients.
+ * `status` is the HTTP status and `code` a stable identifier that clients can
+ * match on instead of the message text.
+ *
+ * @example
+ * throw new AppError('Upload a text/csv body', { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable message (becomes the problem `detail`).
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status.
+   * @param {string} [options.code='INTERNAL_ERROR'] - Machine-readable code.
+   * @param {ErrorIssue[]} [options.errors] - Individual problems with the input.
+   * @param {Error} [options.cause] - Underlying error.
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    if (errors?.length) this.errors = errors;
+  }
+}
+
+/** 400: the request is malformed or asks for something that cannot be done. */
+export class BadRequestError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'BAD_REQUEST', ...options, status: 400 });
+  }
+}
+
+/** 400: the body failed validation; `errors` says which fields and why. */
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', options = {}) {
+    super(message, { code: 'VALIDATION_FAILED', ...options, status: 400 });
+  }
+
+  /**
+   * Build a validation error from a Joi failure.
+   *
+   * @param {import('joi').ValidationError} error - Error returned by `schema.validate`.
+   * @param {Object} [options]
+   * @param {string} [options.pointer=''] - Pointer of the validated value inside the request body.
+   * @returns {ValidationError}
+   *
+   * @example
+   * ValidationError.fromJoi(error).errors;
+   * // => [{ field: '/firstName', message: '"firstName" is required', code: 'any.required' }]
+   */
+  static fromJoi(error, { pointer = '' } = {}) {
+    return new ValidationError('Validation failed', {
+      errors: error.details.map(d => ({ field: pointer + toPointer(d.path), message: d.message, code: d.type })),
+    });
+  }
+}
+
+/** 401: no valid credentials. */
+export class UnauthorizedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UNAUTHENTICATED', ...options, status: 401 });
+  }
+}
+
+/** 403: authenticated but not allowed. */
+export class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'FORBIDDEN', ...options, status: 403 });
+  }
+}
+
+/** 404: the resource does not exist (or is hidden from the caller). */
+export class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options, status: 404 });
+  }
+}
+
+/** 409: the request conflicts with the current state of the data. */
+export class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFLICT', ...options, status: 409 });
+  }
+}
+
+/** 412: an `If-Match` precondition did not hold. */
+export class PreconditionFailedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'PRECONDITION_FAILED', ...options, status: 412 });
+  }
+}
+
+/** Default codes for errors that only carry an HTTP status (e.g. from body-parser). */
+const CODE_BY_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  428: 'PRECONDITION_REQUIRED',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+/** body-parser error types with a more specific code than their status. */
+const CODE_BY_BODY_PARSER_TYPE = {
+  'entity.parse.failed': 'MALFORMED_BODY',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE',
+};
+
+/** Unique constraints with a dedicated code and message. Keyed by the columns SQLite reports. */
+const UNIQUE_CONSTRAINTS = {
+  'customers.phone': { code: 'PHONE_TAKEN', message: 'Phone already exists', field: '/phone' },
+  'tags.name': { code: 'TAG_TAKEN', message: 'Tag already exists', field: '/name' },
+};
+
+/**
+ * Convert a path (Joi `details[].path`, column list, …) to a JSON Pointer.
+ *
+ * @function toPointer
+ * @param {(string|number)[]} path - Path segments.
+ * @returns {string} Pointer, `''` for the whole document.
+ *
+ * @example
+ * toPointer(['addresses', 0, 'pincode']); // => '/addresses/0/pincode'
+ */
+export function toPointer(path) {
+  return path.map(p => `/${String(p).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Map a better-sqlite3 error to an API error.
+ * Constraint violations become client errors naming the offending column where
+ * SQLite reports it (`UNIQUE constraint failed: customers.phone`); a busy or
+ * locked database becomes 503; anything else stays a 500.
+ *
+ * @param {Error & {code:string}} err - SQLite error (`err.code` starts with `SQLITE_`).
+ * @returns {AppError}
+ */
+function fromSqliteError(err) {
+  const columns = (err.message.match(/constraint failed: ((?:\w+\.\w+(?:, )?)+)$/)?.[1] || '')
+    .split(', ').filter(Boolean);
+  const fields = columns.map(c => ({ column: c.split('.')[1], field: toPointer([c.split('.')[1]]) }));
+
+  switch (err.code) {
+    case 'SQLITE_CONSTRAINT_UNIQUE':
+    case 'SQLITE_CONSTRAINT_PRIMARYKEY': {
+      const known = UNIQUE_CONSTRAINTS[columns.join(', ')];
+      if (known) {
+        return new ConflictError(known.message, {
+          code: known.code, errors: [{ field: known.field, message: known.message, code: 'unique' }], cause: err,
+        });
+      }
+      return new ConflictError('A record with the same value already exists', {
+        code: 'DUPLICATE_VALUE', errors: fields.map(f => ({ field: f.field, message: `"${f.column}" must be unique`, code: 'unique' })), cause: err,
+      });
+    }
+    case 'SQLITE_CONSTRAINT_FOREIGNKEY':
+      return new ConflictError('The change refers to a record that does not exist or is still referenced', { code: 'REFERENCE_VIOLATION', cause: err });
+    case 'SQLITE_CONSTRAINT_NOTNULL':
+      return new ValidationError('Validation failed', {
+        code: 'MISSING_VALUE', errors: fields.map(f => ({ field: f.field, message: `"${f.column}" is required`, code: 'any.required' })), cause: err,
+      });
+    case 'SQLITE_CONSTRAINT_CHECK':
+      return new ValidationError('A value is outside the allowed range', { code: 'INVALID_VALUE', cause: err });
+    case 'SQLITE_BUSY':
+    case 'SQLITE_LOCKED':
+      return new AppError('The database is busy; retry shortly', { status: 503, code: 'DATABASE_BUSY', cause: err });
+    default:
+      if (err.code.startsWith('SQLITE_CONSTRAINT')) {
+        return new ConflictError('The change violates a database constraint', { code: 'CONSTRAINT_VIOLATION', cause: err });
+      }
+      return new AppError(err.message, { code: 'DATABASE_ERROR', cause: err });
+  }
+}
+
+/**
+ * Normalize anything thrown into an {@link AppError}.
+ * App errors pass through. SQLite errors are mapped by `err.code`. Errors that
+ * only carry `status`/`statusCode` (body-parser, http-errors) keep their status
+ * and get a code from it. Everything else is a 500 `INTERNAL_ERROR`.
+ *
+ * @function toAppError
+ * @param {unknown} err - Thrown value.
+ * @returns {AppError}
+ *
+ * @example
+ * toAppError(Object.assign(new Error('UNIQUE constraint failed: customers.phone'), { code: 'SQLITE_CONSTRAINT_UNIQUE' }));
+ * // => ConflictError { status: 409, code: 'PHONE_TAKEN', errors: [{ field: '/phone', … }] }
+ */
+export function toAppError(err) {
+  if (err instanceof AppError) return err;
+  // Duck-typed rather than `instanceof Error`: native addons may throw errors from another realm.
+  if (typeof err?.message !== 'string') return new AppError(String(err ?? 'Internal Server Error'));
+  if (typeof err.code === 'string' && err.code.startsWith('SQLITE_')) return fromSqliteError(err);
+
+  const status = err.status || err.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 600) {
+    const code = CODE_BY_BODY_PARSER_TYPE[err.type] || CODE_BY_STATUS[status] || (status < 500 ? 'BAD_REQUEST' : 'INTERNAL_ERROR');
+    return new AppError(err.message, { status, code, cause: err });
+  }
+  return new AppError(err.message || 'Internal Server Error', { cause: err });
+}
@@ -0,0 +1,89 @@
+import Database from 'better-sqlite3';
+import Joi from 'joi';
+import { AppError, NotFoundError, ValidationError, toAppError, toPointer } from './error.utils.mjs';
+
+describe('error utils', () => {
+  it('should give each class its status and a default code', () => {
+    const err = new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    expect(err).toBeInstanceOf(AppError);
+    expect(err).toMatchObject({ name: 'NotFoundError', status: 404, code: 'CUSTOMER_NOT_FOUND', message: 'Customer not found' });
+    expect(new NotFoundError('x').code).toBe('NOT_FOUND');
+    expect(new NotFoundError('x', { status: 500 }).status).toBe(404);
+  });
+
+  it('should build JSON Pointers', () => {
+    expect(toPointer(['addresses', 0, 'pincode'])).toBe('/addresses/0/pincode');
+    expect(toPointer(['a/b', 'c~d'])).toBe('/a~1b/c~0d');
+    expect(toPointer([])).toBe('');
+  });
+
+  it('should turn Joi failures into field errors', () => {
+    const schema = Joi.object({ firstName: Joi.string().required(), addresses: Joi.array().items(Joi.object({ pincode: Joi.string() })) });
+    const { error } = schema.validate({ addresses: [{ pincode: 1 }] }, { abortEarly: false });
+    expect(ValidationError.fromJoi(error)).toMatchObject({
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      errors: [
+        { field: '/firstName', message: '"firstName" is required', code: 'any.required' },
+        { field: '/addresses/0/pincode', message: '"addresses[0].pincode" must be a string', code: 'string.base' },
+      ],
+    });
+    expect(ValidationError.fromJoi(error, { pointer: '/data' }).errors[0].field).toBe('/data/firstName');
+  });
+
+  describe('toAppError', () => {
+    let db;
+    const sqliteError = (sql) => { try { db.exec(sql); } catch (err) { return err; } throw new Error('no error'); };
+
+    beforeAll(() => {
+      db = new Database(':memory:');
+      db.exec(`
+        PRAGMA foreign_keys = ON;
+        CREATE TABLE customers (id INTEGER PRIMARY KEY, phone TEXT NOT NULL UNIQUE, code TEXT UNIQUE, age INTEGER CHECK (age > 0));
+        CREATE TABLE addresses (id INTEGER PRIMARY KEY, customerId INTEGER REFERENCES customers(id));
+        INSERT INTO customers (id, phone, code) VALUES (1, '+911', 'A');
+      `);
+    });
+    afterAll(() => db.close());
+
+    it('should pass app errors through', () => {
+      const err = new NotFoundError('x');
+      expect(toAppError(err)).toBe(err);
+    });
+
+    it('should map known unique constraints to their own code and field', () => {
+      const err = toAppError(sqliteError(`INSERT INTO customers (phone) VALUES ('+911')`));
+      expect(err).toMatchObject({ status: 409, code: 'PHONE_TAKEN', errors: [{ field: '/phone' }] });
+      expect(err.cause.code).toBe('SQLITE_CONSTRAINT_UNIQUE');
+    });
+
+    it('should map other SQLite constraint failures precisely', () => {
+      expect(toAppError(sqliteError(`INSERT INTO customers (phone, code) VALUES ('+912', 'A')`)))
+        .toMatchObject({ status: 409, code: 'DUPLICATE_VALUE', errors: [{ field: '/code' }] });
+      expect(toAppError(sqliteError(`INSERT INTO customers (id, phone) VALUES (1, '+913')`)))
+        .toMatchObject({ status: 409, code: 'DUPLICATE_VALUE', errors: [{ field: '/id' }] });
+      expect(toAppError(sqliteError(`INSERT INTO customers (code) VALUES ('B')`)))
+        .toMatchObject({ status: 400, code: 'MISSING_VALUE', errors: [{ field: '/phone', code: 'any.required' }] });
+      expect(toAppError(sqliteError(`INSERT INTO customers (phone, age) VALUES ('+914', 0)`)))
+        .toMatchObject({ status: 400, code: 'INVALID_VALUE' });
+      expect(toAppError(sqliteError(`INSERT INTO addresses (customerId) VALUES (99)`)))
+        .toMatchObject({ status: 409, code: 'REFERENCE_VIOLATION' });
+    });
+
+    it('should report a busy database as 503', () => {
+      expect(toAppError(Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' })))
+        .toMatchObject({ status: 503, code: 'DATABASE_BUSY' });
+    });
+
+    it('should keep the status of HTTP errors and derive a code', () => {
+      expect(toAppError(Object.assign(new Error('Unexpected token'), { status: 400, type: 'entity.parse.failed' })))
+        .toMatchObject({ status: 400, code: 'MALFORMED_BODY', message: 'Unexpected token' });
+      expect(toAppError(Object.assign(new Error('too big'), { statusCode: 413 }))).toMatchObject({ status: 413, code: 'PAYLOAD_TOO_LARGE' });
+    });
+
+    it('should treat anything else as a 500', () => {
+      expect(toAppError(new TypeError('boom'))).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', message: 'boom' });
+      expect(toAppError('boom')).toMatchObject({ status: 500, code: 'INTERNAL_ERROR' });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Entity tag for a customer version (a strong ETag, e.g. `"3"`).
+ *
+ * @function formatETag
+ * @param {number} version - Customer version.
+ * @returns {string}
+ */
+export function formatETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Read an `If-Match` header.
+ * Weak tags (`W/"3"`) and tags that are not customer versions are dropped:
+ * `If-Match` uses strong comparison, so they can never match.
+ *
+ * @function parseIfMatch
+ * @param {string} header - Header value.
+ * @returns {'*'|number[]} `'*'` (any version) or the versions listed.
+ *
+ * @example
+ * parseIfMatch('"3", W/"4", "x"'); // => [3]
+ * parseIfMatch('*');               // => '*'
+ */
+export function parseIfMatch(header) {
+  const value = String(header).trim();
+  if (value === '*') return '*';
+  return value.split(',')
+    .map(tag => tag.trim().match(/^"(\d+)"$/))
+    .filter(Boolean)
+    .map(m => Number(m[1]));
+}
+
+/**
+ * Check a version against a parsed `If-Match` header.
+ *
+ * @function versionMatches
+ * @param {'*'|number[]} ifMatch - Result of {@link parseIfMatch}.
+ * @param {number} version - Current version.
+ * @returns {boolean}
+ */
+export function versionMatches(ifMatch, version) {
+  return ifMatch === '*' || ifMatch.includes(version);
+}
+
+/**
+ * Check an `If-None-Match` header against the current version (weak comparison,
+ * so `W/"3"` matches version 3).
+ *
+ * @function isNotModified
+ * @param {string|undefined} header - Header value.
+ * @param {number} version - Current version.
+ * @returns {boolean} True when the client's copy is current and a 304 can be sent.
+ */
+export function isNotModified(header, version) {
+  if (!header) return false;
+  const value = String(header).trim();
+  if (value === '*') return true;
+  return value.split(',').some(tag => tag.trim().replace(/^W\//, '') === formatETag(version));
+}
@@ -0,0 +1,29 @@
+import { formatETag, parseIfMatch, versionMatches, isNotModified } from './etag.utils.mjs';
+
+describe('etag utils', () => {
+  it('should format versions as strong ETags', () => {
+    expect(formatETag(3)).toBe('"3"');
+  });
+
+  it('should parse If-Match lists and drop weak or foreign tags', () => {
+    expect(parseIfMatch('"3"')).toEqual([3]);
+    expect(parseIfMatch(' "3", W/"4" ,"x", "5"')).toEqual([3, 5]);
+    expect(parseIfMatch('*')).toBe('*');
+    expect(parseIfMatch('garbage')).toEqual([]);
+  });
+
+  it('should match listed versions or any version for *', () => {
+    expect(versionMatches([3, 5], 5)).toBe(true);
+    expect(versionMatches([3], 4)).toBe(false);
+    expect(versionMatches([], 1)).toBe(false);
+    expect(versionMatches('*', 9)).toBe(true);
+  });
+
+  it('should compare If-None-Match weakly', () => {
+    expect(isNotModified('"3"', 3)).toBe(true);
+    expect(isNotModified('"2", W/"3"', 3)).toBe(true);
+    expect(isNotModified('*', 3)).toBe(true);
+    expect(isNotModified('"2"', 3)).toBe(false);
+    expect(isNotModified(undefined, 3)).toBe(false);
+  });
+});
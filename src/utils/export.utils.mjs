@@ -0,0 +1,163 @@
+import { toCsvLine } from './csv.utils.mjs';
+import { BadRequestError, ValidationError } from './error.utils.mjs';
+
+/** Customer columns that may be exported. */
+export const CUSTOMER_EXPORT_FIELDS = ['id', 'firstName', 'lastName', 'phone', 'email', 'accountType', 'hasOnlyOneAddress', 'createdAt', 'updatedAt', 'deletedAt'];
+
+/** Address columns that may be exported (requested as `address.<field>`). */
+export const ADDRESS_EXPORT_FIELDS = ['id', 'line1', 'line2', 'city', 'state', 'country', 'pincode', 'isPrimary', 'addressType', 'isDefaultBilling', 'isDefaultShipping', 'status'];
+
+/** Content type per export format. */
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/** Address layouts allowed per format; the first one is the default. */
+const LAYOUTS = {
+  csv: ['columns', 'rows'],
+  ndjson: ['nested', 'columns', 'rows'],
+};
+
+const DEFAULT_CUSTOMER_FIELDS = CUSTOMER_EXPORT_FIELDS.filter(f => f !== 'deletedAt');
+const DEFAULT_ADDRESS_FIELDS = ADDRESS_EXPORT_FIELDS.filter(f => f !== 'id');
+const BOOLEAN_FIELDS = new Set(['hasOnlyOneAddress', 'isPrimary', 'isDefaultBilling', 'isDefaultShipping']);
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {'csv'|'ndjson'} format - Output format.
+ * @property {'columns'|'rows'|'nested'} layout - How addresses are laid out.
+ * @property {string[]} customerFields - Customer columns to write.
+ * @property {string[]} addressFields - Address columns to write (empty for none).
+ * @property {boolean} bom - Prefix CSV output with a UTF-8 byte order mark (for Excel).
+ */
+
+/**
+ * Read and validate export options from query params.
+ *
+ * - `format`: `csv` (default) or `ndjson`.
+ * - `addressLayout`: `columns` puts addresses side by side (`address1.city`, `address2.city`, …,
+ *   the same columns the CSV import reads); `rows` writes one row per address with the customer
+ *   repeated; `nested` (NDJSON only, its default) keeps an `addresses` array.
+ * - `fields`: comma-separated whitelist of customer fields and `address.<field>` entries.
+ *   Without address entries no address data is written.
+ * - `bom=true`: start CSV output with a byte order mark so Excel detects UTF-8.
+ *
+ * @function parseExportOptions
+ * @param {Object} query - Express `req.query`.
+ * @returns {ExportOptions}
+ * @throws {BadRequestError|ValidationError} 400 for an unknown format, layout or field.
+ */
+export function parseExportOptions(query) {
+  const format = query.format || 'csv';
+  if (!LAYOUTS[format]) {
+    throw new BadRequestError(`format must be one of ${Object.keys(LAYOUTS).join(', ')}`, { code: 'INVALID_QUERY' });
+  }
+
+  const layout = query.addressLayout || LAYOUTS[format][0];
+  if (!LAYOUTS[format].includes(layout)) {
+    throw new BadRequestError(`addressLayout must be one of ${LAYOUTS[format].join(', ')} for ${format}`, { code: 'INVALID_QUERY' });
+  }
+
+  let customerFields = DEFAULT_CUSTOMER_FIELDS;
+  let addressFields = DEFAULT_ADDRESS_FIELDS;
+  if (query.fields) {
+    const requested = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = requested.filter(f => f.startsWith('address.')
+      ? !ADDRESS_EXPORT_FIELDS.includes(f.slice('address.'.length))
+      : !CUSTOMER_EXPORT_FIELDS.includes(f));
+    if (unknown.length) {
+      throw new ValidationError('Unknown export fields', {
+        code: 'INVALID_QUERY',
+        errors: unknown.map(f => ({ message: `"${f}" cannot be exported`, code: 'export.field' })),
+      });
+    }
+    customerFields = requested.filter(f => !f.startsWith('address.'));
+    addressFields = requested.filter(f => f.startsWith('address.')).map(f => f.slice('address.'.length));
+  }
+
+  return { format, layout, customerFields, addressFields, bom: format === 'csv' && query.bom === 'true' };
+}
+
+/**
+ * Copy the listed fields, turning SQLite 0/1 flags into booleans.
+ * @param {Object} row - Source row.
+ * @param {string[]} fields - Fields to copy.
+ * @param {string} [prefix=''] - Prefix for the output keys.
+ * @returns {Object}
+ */
+function pick(row, fields, prefix = '') {
+  const out = {};
+  for (const f of fields) {
+    const v = row?.[f] ?? null;
+    out[prefix + f] = BOOLEAN_FIELDS.has(f) && v !== null ? Boolean(v) : v;
+  }
+  return out;
+}
+
+/**
+ * Turn one customer into the records written for it.
+ * @param {Object} customer - Customer with addresses.
+ * @param {ExportOptions} options - Export options.
+ * @param {number} maxAddresses - Address column groups in `columns` layout.
+ * @returns {Object[]}
+ */
+function toRecords(customer, { layout, customerFields, addressFields }, maxAddresses) {
+  const base = pick(customer, customerFields);
+  if (!addressFields.length) return [base];
+
+  if (layout === 'nested') return [{ ...base, addresses: customer.addresses.map(a => pick(a, addressFields)) }];
+  if (layout === 'rows') {
+    const addresses = customer.addresses.length ? customer.addresses : [null];
+    return addresses.map(a => ({ ...base, ...pick(a, addressFields, 'address.') }));
+  }
+
+  const record = { ...base };
+  for (let n = 0; n < maxAddresses; n++) Object.assign(record, pick(customer.addresses[n], addressFields, `address${n + 1}.`));
+  return [record];
+}
+
+/**
+ * CSV header for the given options.
+ * @param {ExportOptions} options - Export options.
+ * @param {number} maxAddresses - Address column groups in `columns` layout.
+ * @returns {string[]}
+ */
+function csvHeader({ layout, customerFields, addressFields }, maxAddresses) {
+  if (layout === 'rows') return [...customerFields, ...addressFields.map(f => `address.${f}`)];
+  const header = [...customerFields];
+  for (let n = 1; n <= maxAddresses; n++) header.push(...addressFields.map(f => `address${n}.${f}`));
+  return header;
+}
+
+/**
+ * Serialize customers lazily, one output line per yielded string.
+ * CSV cells that a spreadsheet would run as a formula (e.g. a name starting with `=`)
+ * are prefixed with `'` (see `toCsvLine`).
+ *
+ * @function exportLines
+ * @param {Iterable<Object>} customers - Customers with addresses (typically a DB iterator).
+ * @param {ExportOptions} options - Export options.
+ * @param {number} [maxAddresses=0] - Address column groups in `columns` layout.
+ * @returns {Generator<string>} Lines including their line terminator.
+ *
+ * @example
+ * [...exportLines([customer], parseExportOptions({ fields: 'id,firstName' }))];
+ * // => ['id,firstName\r\n', '1,John\r\n']
+ */
+export function* exportLines(customers, options, maxAddresses = 0) {
+  if (options.format === 'csv') {
+    const header = csvHeader(options, maxAddresses);
+    yield `${options.bom ? '\uFEFF' : ''}${toCsvLine(header)}\r\n`;
+    for (const customer of customers) {
+      for (const record of toRecords(customer, options, maxAddresses)) {
+        yield `${toCsvLine(header.map(h => record[h]), { escapeFormulas: true })}\r\n`;
+      }
+    }
+    return;
+  }
+
+  for (const customer of customers) {
+    for (const record of toRecords(customer, options, maxAddresses)) yield `${JSON.stringify(record)}\n`;
+  }
+}
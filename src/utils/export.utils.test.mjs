@@ -0,0 +1,90 @@
+import { parseExportOptions, exportLines } from './export.utils.mjs';
+
+const customer = {
+  id: 1, firstName: 'John', lastName: 'Doe', phone: '123', email: null, accountType: 'standard', hasOnlyOneAddress: false,
+  addresses: [
+    { id: 10, line1: '1 Main St', city: 'Pune', isPrimary: 1 },
+    { id: 11, line1: '2 Side, Rd', city: 'Delhi', isPrimary: 0 },
+  ],
+};
+const bare = { id: 2, firstName: 'Jane', lastName: 'Roe', addresses: [] };
+
+describe('export utils', () => {
+  describe('parseExportOptions', () => {
+    it('should default to CSV with address columns', () => {
+      expect(parseExportOptions({})).toMatchObject({ format: 'csv', layout: 'columns', bom: false });
+      expect(parseExportOptions({ format: 'ndjson' })).toMatchObject({ layout: 'nested' });
+    });
+
+    it('should split the field whitelist into customer and address fields', () => {
+      expect(parseExportOptions({ fields: 'id, firstName,address.city' })).toMatchObject({
+        customerFields: ['id', 'firstName'],
+        addressFields: ['city'],
+      });
+    });
+
+    it('should reject unknown formats, layouts and fields', () => {
+      expect(() => parseExportOptions({ format: 'xml' })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => parseExportOptions({ addressLayout: 'nested' })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => parseExportOptions({ fields: 'id,password,address.gps' })).toThrow(expect.objectContaining({
+        status: 400,
+        errors: [
+          { message: '"password" cannot be exported', code: 'export.field' },
+          { message: '"address.gps" cannot be exported', code: 'export.field' },
+        ],
+      }));
+    });
+  });
+
+  describe('exportLines', () => {
+    it('should flatten addresses into numbered columns', () => {
+      const options = parseExportOptions({ fields: 'id,firstName,address.city,address.isPrimary' });
+      expect([...exportLines([customer, bare], options, 2)]).toEqual([
+        'id,firstName,address1.city,address1.isPrimary,address2.city,address2.isPrimary\r\n',
+        '1,John,Pune,true,Delhi,false\r\n',
+        '2,Jane,,,,\r\n',
+      ]);
+    });
+
+    it('should write one row per address in rows layout', () => {
+      const options = parseExportOptions({ fields: 'id,address.line1', addressLayout: 'rows' });
+      expect([...exportLines([customer, bare], options)]).toEqual([
+        'id,address.line1\r\n',
+        '1,1 Main St\r\n',
+        '1,"2 Side, Rd"\r\n',
+        '2,\r\n',
+      ]);
+    });
+
+    it('should neutralize customer values that spreadsheets would run as formulas', () => {
+      const options = parseExportOptions({ fields: 'firstName,lastName,phone,email,address.line1' });
+      const attacker = {
+        ...customer,
+        firstName: '=HYPERLINK("http://evil.test","Click")',
+        lastName: '-2+3',
+        phone: '+919876543210',
+        email: '@SUM(1)',
+        addresses: [{ line1: '+cmd|calc' }],
+      };
+      const [, line] = exportLines([attacker], options, 1);
+      expect(line).toBe(`"'=HYPERLINK(""http://evil.test"",""Click"")",'-2+3,+919876543210,'@SUM(1),'+cmd|calc\r\n`);
+    });
+
+    it('should prefix CSV with a BOM when asked', () => {
+      const [header] = exportLines([], parseExportOptions({ fields: 'id', bom: 'true' }));
+      expect(header).toBe('\uFEFFid\r\n');
+    });
+
+    it('should nest addresses in NDJSON by default', () => {
+      const options = parseExportOptions({ format: 'ndjson', fields: 'id,address.city' });
+      expect([...exportLines([customer], options)]).toEqual([
+        `${JSON.stringify({ id: 1, addresses: [{ city: 'Pune' }, { city: 'Delhi' }] })}\n`,
+      ]);
+    });
+
+    it('should leave out addresses when no address fields are requested', () => {
+      const options = parseExportOptions({ format: 'ndjson', fields: 'id,email' });
+      expect([...exportLines([customer], options)]).toEqual([`${JSON.stringify({ id: 1, email: null })}\n`]);
+    });
+  });
+});
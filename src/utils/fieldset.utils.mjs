@@ -0,0 +1,69 @@
+import { BadRequestError } from './error.utils.mjs';
+
+/** Customer properties that can be requested with `fields`. `id` is always returned. */
+export const CUSTOMER_FIELDS = [
+  'id', 'firstName', 'lastName', 'phone', 'email', 'accountType', 'hasOnlyOneAddress', 'attributes', 'tags',
+  'version', 'mergedIntoId', 'createdAt', 'updatedAt', 'deletedAt',
+];
+
+/**
+ * How addresses are embedded in customer reads: every address as `addresses` (the default),
+ * only the primary one as `primaryAddress` (`null` without one), or none at all.
+ */
+export const INCLUDE_OPTIONS = ['addresses', 'primaryAddress', 'none'];
+
+/**
+ * Parse the `fields` and `include` query params of a customer read.
+ *
+ * @function parseFieldset
+ * @param {Object} query - Query params.
+ * @param {string} [query.fields] - Comma-separated customer properties, e.g. `id,firstName,phone`.
+ * @param {string} [query.include='addresses'] - One of `INCLUDE_OPTIONS`.
+ * @returns {{fields:string[]|null, include:'addresses'|'primaryAddress'|'none'}} `fields` is `null` when every property is wanted.
+ * @throws {BadRequestError} 400 `INVALID_FIELDS` for unknown properties (listed in `errors`), 400 `INVALID_INCLUDE` for an unknown `include`.
+ *
+ * @example
+ * parseFieldset({ fields: 'firstName,phone', include: 'none' });
+ * // => { fields: ['id', 'firstName', 'phone'], include: 'none' }
+ */
+export function parseFieldset({ fields, include } = {}) {
+  const includeValue = include === undefined || include === '' ? 'addresses' : String(include);
+  if (!INCLUDE_OPTIONS.includes(includeValue)) {
+    throw new BadRequestError(`include must be one of ${INCLUDE_OPTIONS.join(', ')}`, { code: 'INVALID_INCLUDE' });
+  }
+  if (fields === undefined || fields === '') return { fields: null, include: includeValue };
+
+  const names = [...new Set(String(fields).split(',').map(f => f.trim()).filter(Boolean))];
+  const errors = names
+    .filter(f => !CUSTOMER_FIELDS.includes(f))
+    .map(f => ({
+      message: INCLUDE_OPTIONS.includes(f) ? `"${f}" is embedded with include=${f}` : `"${f}" is not a customer field`,
+      code: 'fields.field',
+    }));
+  if (errors.length) {
+    throw new BadRequestError(`Invalid fields; available fields are ${CUSTOMER_FIELDS.join(', ')}`, { code: 'INVALID_FIELDS', errors });
+  }
+  return { fields: ['id', ...names.filter(f => f !== 'id')], include: includeValue };
+}
+
+/**
+ * Copy the requested properties of a customer, plus whatever addresses were embedded
+ * and, for `near` searches, `distanceKm`.
+ *
+ * @function pickFields
+ * @param {Object} customer - Customer as read from the repository.
+ * @param {string[]|null} fields - Result of {@link parseFieldset}; `null` returns the customer unchanged.
+ * @returns {Object}
+ *
+ * @example
+ * pickFields({ id: 1, firstName: 'Asha', phone: '+919876543210', email: null }, ['id', 'firstName']);
+ * // => { id: 1, firstName: 'Asha' }
+ */
+export function pickFields(customer, fields) {
+  if (!fields) return customer;
+  const picked = {};
+  for (const key of [...fields, 'addresses', 'primaryAddress', 'distanceKm']) {
+    if (Object.hasOwn(customer, key)) picked[key] = customer[key];
+  }
+  return picked;
+}
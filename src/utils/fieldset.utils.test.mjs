@@ -0,0 +1,30 @@
+import { parseFieldset, pickFields } from './fieldset.utils.mjs';
+
+describe('fieldset utils', () => {
+  it('should default to every field with all addresses', () => {
+    expect(parseFieldset({})).toEqual({ fields: null, include: 'addresses' });
+    expect(parseFieldset({ fields: '', include: '' })).toEqual({ fields: null, include: 'addresses' });
+  });
+
+  it('should always return the id first, once', () => {
+    expect(parseFieldset({ fields: 'firstName, phone,id,phone', include: 'none' })).toEqual({ fields: ['id', 'firstName', 'phone'], include: 'none' });
+  });
+
+  it('should reject unknown fields and include values', () => {
+    expect(() => parseFieldset({ fields: 'firstName,password,addresses' })).toThrow(expect.objectContaining({
+      status: 400,
+      code: 'INVALID_FIELDS',
+      errors: [
+        { message: '"password" is not a customer field', code: 'fields.field' },
+        { message: '"addresses" is embedded with include=addresses', code: 'fields.field' },
+      ],
+    }));
+    expect(() => parseFieldset({ include: 'orders' })).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_INCLUDE' }));
+  });
+
+  it('should pick requested fields and keep embedded data', () => {
+    const customer = { id: 1, firstName: 'Asha', phone: '+91', email: null, primaryAddress: null, distanceKm: 2 };
+    expect(pickFields(customer, ['id', 'firstName'])).toEqual({ id: 1, firstName: 'Asha', primaryAddress: null, distanceKm: 2 });
+    expect(pickFields(customer, null)).toBe(customer);
+  });
+});
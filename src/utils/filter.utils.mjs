@@ -0,0 +1,170 @@
+import { BadRequestError } from './error.utils.mjs';
+import { escapeLike } from './search.utils.mjs';
+
+/**
+ * Fields accepted in `filter[<field>][<op>]=value`, with the column they map to and
+ * how their values are read. `addresses.*` fields match against the customer's
+ * (non-deleted) addresses, like the `city`/`state`/`pincode` filters: a customer
+ * matches when one of its addresses meets every address condition.
+ */
+export const FILTER_FIELDS = {
+  id: { column: 'customers.id', type: 'integer' },
+  firstName: { column: 'customers.firstName', type: 'string' },
+  lastName: { column: 'customers.lastName', type: 'string' },
+  email: { column: 'customers.email', type: 'string' },
+  phone: { column: 'customers.phone', type: 'string' },
+  accountType: { column: 'customers.accountType', type: 'enum', options: ['standard', 'premium', 'enterprise'] },
+  hasOnlyOneAddress: { column: 'customers.hasOnlyOneAddress', type: 'boolean' },
+  createdAt: { column: 'customers.createdAt', type: 'datetime' },
+  updatedAt: { column: 'customers.updatedAt', type: 'datetime' },
+  'addresses.line1': { column: 'addresses.line1', type: 'string' },
+  'addresses.line2': { column: 'addresses.line2', type: 'string' },
+  'addresses.city': { column: 'addresses.city', type: 'string' },
+  'addresses.state': { column: 'addresses.state', type: 'string' },
+  'addresses.country': { column: 'addresses.country', type: 'string' },
+  'addresses.pincode': { column: 'addresses.pincode', type: 'string' },
+  'addresses.status': { column: 'addresses.status', type: 'enum', options: ['active', 'inactive'] },
+  'addresses.addressType': { column: 'addresses.addressType', type: 'enum', options: ['billing', 'shipping', 'home', 'work'] },
+  'addresses.isPrimary': { column: 'addresses.isPrimary', type: 'boolean' },
+  'addresses.isDefaultBilling': { column: 'addresses.isDefaultBilling', type: 'boolean' },
+  'addresses.isDefaultShipping': { column: 'addresses.isDefaultShipping', type: 'boolean' },
+  'addresses.createdAt': { column: 'addresses.createdAt', type: 'datetime' },
+};
+
+/** Operators accepted for each field type; the first is the default when none is given. */
+export const FILTER_OPERATORS = {
+  string: ['eq', 'ne', 'in', 'nin', 'contains', 'startsWith', 'exists'],
+  enum: ['eq', 'ne', 'in', 'nin', 'exists'],
+  integer: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  boolean: ['eq', 'ne'],
+  datetime: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'exists'],
+};
+
+/** Most values accepted by one `in`/`nin` filter. */
+export const MAX_IN_VALUES = 100;
+
+const COMPARISONS = { eq: '=', ne: 'IS NOT', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+/**
+ * Read one query value as a field's type, in the form it is stored.
+ * Datetimes are converted to the `YYYY-MM-DD HH:MM:SS` UTC text SQLite stores;
+ * calendar dates are kept as `YYYY-MM-DD` and compared with the column's date.
+ * @param {{type:string, options?:string[]}} spec - Field spec from `FILTER_FIELDS`.
+ * @param {string} raw - Query value.
+ * @returns {{value:string|number}|{error:string}}
+ */
+function readValue(spec, raw) {
+  const text = String(raw).trim();
+  switch (spec.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text) ? { value: Number(text) } : { error: 'must be an integer' };
+    case 'boolean':
+      return text === 'true' ? { value: 1 } : text === 'false' ? { value: 0 } : { error: 'must be true or false' };
+    case 'enum':
+      return spec.options.includes(text) ? { value: text } : { error: `must be one of ${spec.options.join(', ')}` };
+    case 'datetime': {
+      const date = new Date(DATE_PATTERN.test(text) ? `${text}T00:00:00Z` : text);
+      if (!(DATE_PATTERN.test(text) || DATETIME_PATTERN.test(text)) || Number.isNaN(date.getTime())) {
+        return { error: 'must be a date (YYYY-MM-DD) or an ISO 8601 datetime' };
+      }
+      if (DATE_PATTERN.test(text)) {
+        return date.toISOString().startsWith(text) ? { value: text } : { error: 'must be a real calendar date' };
+      }
+      return { value: date.toISOString().slice(0, 19).replace('T', ' ') };
+    }
+    default:
+      return text ? { value: text } : { error: 'must not be empty' };
+  }
+}
+
+/**
+ * Translate `filter[<field>]=value` and `filter[<field>][<op>]=value` query params into
+ * parameterized SQL conditions for the customer list, validated against `FILTER_FIELDS`.
+ *
+ * Operators: `eq` (default), `ne` (also matches missing values), `in`/`nin` (comma-separated
+ * values), `gt`/`gte`/`lt`/`lte`, `contains`/`startsWith` (case-insensitive) and
+ * `exists=true|false`. Text comparisons ignore case. A datetime field compared with a
+ * plain date (`filter[createdAt][lte]=2025-01-31`) is compared by calendar day.
+ *
+ * @function parseFilters
+ * @param {Object} query - Query params.
+ * @returns {{filters:string[], params:Object}} SQL conditions (to be ANDed) and their named params.
+ * @throws {BadRequestError} 400 `INVALID_FILTER` listing every unknown field, unsupported operator
+ *   or unreadable value in `errors`.
+ *
+ * @example
+ * parseFilters({ 'filter[accountType][in]': 'premium,enterprise', 'filter[createdAt][gte]': '2025-01-01' });
+ * // => { filters: ['customers.accountType IN (@filter0_0, @filter0_1)', 'date(customers.createdAt) >= @filter1'],
+ * //      params: { filter0_0: 'premium', filter0_1: 'enterprise', filter1: '2025-01-01' } }
+ */
+export function parseFilters(query) {
+  const filters = [];
+  const params = {};
+  const errors = [];
+  let i = 0;
+
+  for (const [param, raw] of Object.entries(query)) {
+    if (!/^filter(\[|$)/.test(param)) continue;
+    const m = param.match(/^filter\[([^[\]]+)\](?:\[(\w+)\])?$/);
+    if (!m) {
+      errors.push({ message: `"${param}" is not a filter; use filter[<field>] or filter[<field>][<op>]`, code: 'filter.syntax' });
+      continue;
+    }
+    const [, field, op] = m;
+    const spec = FILTER_FIELDS[field];
+    if (!spec) {
+      errors.push({ message: `"${field}" is not a filterable field`, code: 'filter.field' });
+      continue;
+    }
+    const operators = FILTER_OPERATORS[spec.type];
+    const operator = op ?? operators[0];
+    if (!operators.includes(operator)) {
+      errors.push({ message: `"${field}" does not support "${operator}" (use ${operators.join(', ')})`, code: 'filter.operator' });
+      continue;
+    }
+
+    const text = String(Array.isArray(raw) ? raw[raw.length - 1] : raw);
+    const name = `filter${i++}`;
+    const invalid = reason => errors.push({ message: `Invalid value for filter[${field}][${operator}]: ${reason}`, code: 'filter.value' });
+    const column = spec.type === 'string' ? `${spec.column} COLLATE NOCASE` : spec.column;
+
+    if (operator === 'exists') {
+      if (text !== 'true' && text !== 'false') { invalid('must be true or false'); continue; }
+      const present = spec.type === 'string' ? `IFNULL(${spec.column}, '') <> ''` : `${spec.column} IS NOT NULL`;
+      filters.push(text === 'true' ? present : `NOT (${present})`);
+      continue;
+    }
+
+    if (operator === 'in' || operator === 'nin') {
+      const values = [...new Set(text.split(',').map(v => v.trim()).filter(Boolean))];
+      if (!values.length || values.length > MAX_IN_VALUES) { invalid(`needs 1 to ${MAX_IN_VALUES} comma-separated values`); continue; }
+      const read = values.map(v => readValue(spec, v));
+      const bad = read.find(r => r.error);
+      if (bad) { invalid(bad.error); continue; }
+      read.forEach((r, j) => { params[`${name}_${j}`] = r.value; });
+      const list = `${column} IN (${read.map((_, j) => `@${name}_${j}`).join(', ')})`;
+      filters.push(operator === 'in' ? list : `(${spec.column} IS NULL OR NOT ${list})`);
+      continue;
+    }
+
+    const { value, error } = readValue(spec, text);
+    if (error) { invalid(error); continue; }
+
+    if (operator === 'contains' || operator === 'startsWith') {
+      const pattern = escapeLike(value.replace(/\\/g, '\\\\'));
+      params[name] = operator === 'contains' ? `%${pattern}%` : `${pattern}%`;
+      filters.push(`${spec.column} LIKE @${name} ESCAPE '\\'`);
+      continue;
+    }
+
+    const target = spec.type === 'datetime' && DATE_PATTERN.test(value) ? `date(${spec.column})` : column;
+    params[name] = value;
+    filters.push(`${target} ${COMPARISONS[operator]} @${name}`);
+  }
+
+  if (errors.length) throw new BadRequestError('Invalid filter', { code: 'INVALID_FILTER', errors });
+  return { filters, params };
+}
@@ -0,0 +1,47 @@
+import { parseFilters, MAX_IN_VALUES } from './filter.utils.mjs';
+
+describe('filter utils', () => {
+  it('should build parameterized conditions with eq as the default operator', () => {
+    expect(parseFilters({ 'filter[accountType][in]': 'premium, enterprise', 'filter[addresses.status]': 'inactive', city: 'Pune' })).toEqual({
+      filters: ['customers.accountType IN (@filter0_0, @filter0_1)', 'addresses.status = @filter1'],
+      params: { filter0_0: 'premium', filter0_1: 'enterprise', filter1: 'inactive' },
+    });
+  });
+
+  it('should read values as the field type', () => {
+    expect(parseFilters({ 'filter[hasOnlyOneAddress]': 'true', 'filter[id][gt]': '10' }).params).toEqual({ filter0: 1, filter1: 10 });
+    expect(parseFilters({ 'filter[createdAt][gte]': '2025-01-01' }).filters).toEqual(['date(customers.createdAt) >= @filter0']);
+    expect(parseFilters({ 'filter[updatedAt][lt]': '2025-01-01T05:30:00+05:30' })).toEqual({
+      filters: ['customers.updatedAt < @filter0'],
+      params: { filter0: '2025-01-01 00:00:00' },
+    });
+  });
+
+  it('should escape LIKE wildcards and handle presence checks', () => {
+    expect(parseFilters({ 'filter[email][contains]': '100%_\\' }).params.filter0).toBe('%100\\%\\_\\\\%');
+    expect(parseFilters({ 'filter[email][exists]': 'false' }).filters).toEqual([`NOT (IFNULL(customers.email, '') <> '')`]);
+  });
+
+  it('should report every invalid filter at once', () => {
+    const tooMany = Array.from({ length: MAX_IN_VALUES + 1 }, (_, i) => i).join(',');
+    expect(() => parseFilters({
+      'filter[password]': 'x',
+      'filter[hasOnlyOneAddress][gt]': 'true',
+      'filter[accountType]': 'gold',
+      'filter[createdAt][gte]': '2025-02-30',
+      'filter[id][in]': tooMany,
+      'filter[email]extra': 'x',
+    })).toThrow(expect.objectContaining({
+      status: 400,
+      code: 'INVALID_FILTER',
+      errors: [
+        { message: '"password" is not a filterable field', code: 'filter.field' },
+        { message: '"hasOnlyOneAddress" does not support "gt" (use eq, ne)', code: 'filter.operator' },
+        { message: 'Invalid value for filter[accountType][eq]: must be one of standard, premium, enterprise', code: 'filter.value' },
+        { message: 'Invalid value for filter[createdAt][gte]: must be a real calendar date', code: 'filter.value' },
+        { message: `Invalid value for filter[id][in]: needs 1 to ${MAX_IN_VALUES} comma-separated values`, code: 'filter.value' },
+        { message: '"filter[email]extra" is not a filter; use filter[<field>] or filter[<field>][<op>]', code: 'filter.syntax' },
+      ],
+    }));
+  });
+});
@@ -0,0 +1,125 @@
+import { BadRequestError } from './error.utils.mjs';
+
+/** Mean Earth radius in kilometres (used by the haversine formula). */
+export const EARTH_RADIUS_KM = 6371;
+
+/** Kilometres per degree of latitude. */
+const KM_PER_DEGREE = 111.32;
+
+/** Default and maximum radius accepted by {@link parseNear}. */
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 500;
+
+const toRadians = deg => deg * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points, in kilometres.
+ *
+ * @function haversineKm
+ * @param {{latitude:number, longitude:number}} a - First point.
+ * @param {{latitude:number, longitude:number}} b - Second point.
+ * @returns {number}
+ *
+ * @example
+ * haversineKm({ latitude: 18.5204, longitude: 73.8567 }, { latitude: 19.076, longitude: 72.8777 });
+ * // => 119.9…
+ */
+export function haversineKm(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Distance from a point to the nearest geocoded address, rounded to metres.
+ *
+ * @function nearestDistanceKm
+ * @param {{latitude:number|null, longitude:number|null}[]} addresses - Addresses; ones without coordinates are ignored.
+ * @param {{latitude:number, longitude:number}} point - Reference point.
+ * @returns {number|null} Kilometres, or `null` if no address has coordinates.
+ */
+export function nearestDistanceKm(addresses, point) {
+  const distances = addresses
+    .filter(a => a.latitude !== null && a.latitude !== undefined && a.longitude !== null && a.longitude !== undefined)
+    .map(a => haversineKm(point, a));
+  return distances.length ? Math.round(Math.min(...distances) * 1000) / 1000 : null;
+}
+
+/**
+ * SQL expression for the haversine distance (km) from the `@nearLat`/`@nearLng`
+ * parameters to a row's coordinates. Needs SQLite's math functions.
+ *
+ * @function haversineSql
+ * @param {string} alias - Table alias holding `latitude` and `longitude` columns.
+ * @returns {string}
+ *
+ * @example
+ * `SELECT MIN(${haversineSql('a')}) FROM addresses a`
+ */
+export function haversineSql(alias) {
+  const lat = `${alias}.latitude`;
+  const lng = `${alias}.longitude`;
+  return `(2 * ${EARTH_RADIUS_KM} * asin(min(1, sqrt(
+    power(sin(radians(${lat} - @nearLat) / 2), 2)
+    + cos(radians(@nearLat)) * cos(radians(${lat})) * power(sin(radians(${lng} - @nearLng) / 2), 2)
+  ))))`;
+}
+
+/**
+ * Latitude/longitude box that contains every point within `radiusKm` of a centre.
+ * Used to prefilter rows by index before the exact haversine check. Near the poles
+ * or across the antimeridian the longitude range widens to the whole globe.
+ *
+ * @function boundingBox
+ * @param {number} latitude - Centre latitude.
+ * @param {number} longitude - Centre longitude.
+ * @param {number} radiusKm - Radius in kilometres.
+ * @returns {{minLat:number, maxLat:number, minLng:number, maxLng:number}}
+ */
+export function boundingBox(latitude, longitude, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEGREE;
+  const minLat = Math.max(-90, latitude - dLat);
+  const maxLat = Math.min(90, latitude + dLat);
+
+  const cosLat = Math.cos(toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+  const dLng = cosLat > 0 ? radiusKm / (KM_PER_DEGREE * cosLat) : 180;
+  if (dLng >= 180 || longitude - dLng < -180 || longitude + dLng > 180) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+  return { minLat, maxLat, minLng: longitude - dLng, maxLng: longitude + dLng };
+}
+
+/**
+ * Read a radius search from query params.
+ *
+ * @function parseNear
+ * @param {Object} query - Query params.
+ * @param {string} [query.near] - Centre as `lat,lng`.
+ * @param {string|number} [query.radiusKm=5] - Radius in kilometres (max 500).
+ * @returns {{latitude:number, longitude:number, radiusKm:number}|null} `null` if `near` is absent.
+ * @throws {BadRequestError} 400 for a malformed centre or radius.
+ *
+ * @example
+ * parseNear({ near: '18.52,73.85', radiusKm: '10' });
+ * // => { latitude: 18.52, longitude: 73.85, radiusKm: 10 }
+ */
+export function parseNear(query = {}) {
+  if (query.near === undefined || query.near === '') {
+    if (query.radiusKm !== undefined) throw new BadRequestError('radiusKm requires near', { code: 'INVALID_QUERY' });
+    return null;
+  }
+
+  const parts = String(query.near).split(',').map(s => s.trim());
+  const [latitude, longitude] = parts.map(Number);
+  if (parts.length !== 2 || parts.some(p => p === '') || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+    throw new BadRequestError('near must be "lat,lng" with -90 <= lat <= 90 and -180 <= lng <= 180', { code: 'INVALID_QUERY' });
+  }
+
+  const radiusKm = query.radiusKm === undefined || query.radiusKm === '' ? DEFAULT_RADIUS_KM : Number(query.radiusKm);
+  if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+    throw new BadRequestError(`radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`, { code: 'INVALID_QUERY' });
+  }
+  return { latitude, longitude, radiusKm };
+}
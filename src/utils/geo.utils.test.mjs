@@ -0,0 +1,61 @@
+import Database from 'better-sqlite3';
+import { haversineKm, haversineSql, boundingBox, nearestDistanceKm, parseNear } from './geo.utils.mjs';
+
+describe('geo utils', () => {
+  const pune = { latitude: 18.5204, longitude: 73.8567 };
+  const mumbai = { latitude: 19.076, longitude: 72.8777 };
+
+  it('should compute great-circle distances', () => {
+    expect(haversineKm(pune, mumbai)).toBeCloseTo(119.9, 0);
+    expect(haversineKm(pune, pune)).toBe(0);
+  });
+
+  it('should compute the same distance in SQL', () => {
+    const db = new Database(':memory:');
+    const { d } = db.prepare(`SELECT ${haversineSql('p')} AS d FROM (SELECT @lat AS latitude, @lng AS longitude) p`)
+      .get({ lat: mumbai.latitude, lng: mumbai.longitude, nearLat: pune.latitude, nearLng: pune.longitude });
+    expect(d).toBeCloseTo(haversineKm(pune, mumbai), 6);
+    db.close();
+  });
+
+  it('should build a bounding box that contains the radius', () => {
+    const box = boundingBox(pune.latitude, pune.longitude, 10);
+    for (const [dLat, dLng] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      // Walk 10 km north/south/east/west and check the point is still inside.
+      const point = {
+        latitude: pune.latitude + dLat * 10 / 111.32,
+        longitude: pune.longitude + dLng * 10 / (111.32 * Math.cos(pune.latitude * Math.PI / 180)),
+      };
+      expect(point.latitude).toBeGreaterThanOrEqual(box.minLat - 1e-9);
+      expect(point.latitude).toBeLessThanOrEqual(box.maxLat + 1e-9);
+      expect(point.longitude).toBeGreaterThanOrEqual(box.minLng - 1e-9);
+      expect(point.longitude).toBeLessThanOrEqual(box.maxLng + 1e-9);
+    }
+    expect(boundingBox(0, 179.99, 50)).toMatchObject({ minLng: -180, maxLng: 180 });
+    expect(boundingBox(89.99, 0, 50)).toMatchObject({ maxLat: 90, minLng: -180, maxLng: 180 });
+  });
+
+  it('should find the nearest geocoded address', () => {
+    const addresses = [{ latitude: null, longitude: null }, mumbai, { latitude: 18.53, longitude: 73.85 }];
+    expect(nearestDistanceKm(addresses, pune)).toBeCloseTo(1.25, 1);
+    expect(nearestDistanceKm([{ latitude: null, longitude: null }], pune)).toBeNull();
+  });
+
+  it('should parse near and radiusKm', () => {
+    expect(parseNear({})).toBeNull();
+    expect(parseNear({ near: ' 18.52 , 73.85 ' })).toEqual({ latitude: 18.52, longitude: 73.85, radiusKm: 5 });
+    expect(parseNear({ near: '18.52,73.85', radiusKm: '12.5' }).radiusKm).toBe(12.5);
+  });
+
+  it.each([
+    [{ near: '18.52' }],
+    [{ near: '91,0' }],
+    [{ near: 'a,b' }],
+    [{ near: ',73.85' }],
+    [{ near: '18.52,73.85', radiusKm: '0' }],
+    [{ near: '18.52,73.85', radiusKm: '501' }],
+    [{ radiusKm: '5' }],
+  ])('should reject %j', (query) => {
+    expect(() => parseNear(query)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,82 @@
+import { parseCsvRecords } from './csv.utils.mjs';
+import { BadRequestError } from './error.utils.mjs';
+
+/**
+ * Content types accepted by the customer import, mapped to their format.
+ * @type {Object<string, 'csv'|'ndjson'>}
+ */
+export const IMPORT_CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+};
+
+/**
+ * Convert a flat CSV record into a `createCustomer` payload.
+ *
+ * Address fields use repeated, numbered columns: `address1.line1`, `address1.city`,
+ * `address2.line1`, … Empty cells are dropped so schema defaults apply.
+ *
+ * @function csvRecordToCustomer
+ * @param {Object<string, string>} record - CSV record keyed by header.
+ * @returns {Object} Customer payload (unvalidated).
+ *
+ * @example
+ * csvRecordToCustomer({ firstName: 'John', 'address1.city': 'Pune', 'address1.pincode': '411001' });
+ * // => { firstName: 'John', addresses: [{ city: 'Pune', pincode: '411001' }] }
+ */
+export function csvRecordToCustomer(record) {
+  const payload = {};
+  const addresses = new Map();
+
+  for (const [key, raw] of Object.entries(record)) {
+    const value = String(raw).trim();
+    if (value === '') continue;
+    const m = key.match(/^address(\d+)\.(\w+)$/i);
+    if (m) {
+      const n = Number(m[1]);
+      if (!addresses.has(n)) addresses.set(n, {});
+      addresses.get(n)[m[2]] = value;
+    } else {
+      payload[key] = value;
+    }
+  }
+
+  if (addresses.size) payload.addresses = [...addresses.keys()].sort((a, b) => a - b).map(n => addresses.get(n));
+  return payload;
+}
+
+/**
+ * Parse an import upload into numbered records.
+ * Rows that cannot be parsed (bad JSON, non-object lines) are returned with an
+ * `error` instead of a `payload` so they can be reported without aborting the import.
+ *
+ * @function parseCustomerImport
+ * @param {string} text - Raw upload body.
+ * @param {'csv'|'ndjson'} format - Upload format.
+ * @returns {{row:number, payload?:Object, error?:string}[]} Records with 1-based data row numbers.
+ * @throws {BadRequestError} 400 for an unknown format or malformed CSV.
+ */
+export function parseCustomerImport(text, format) {
+  if (format === 'csv') {
+    return parseCsvRecords(text).map((record, i) => ({ row: i + 1, payload: csvRecordToCustomer(record) }));
+  }
+
+  if (format === 'ndjson') {
+    return String(text)
+      .split(/\r?\n/)
+      .map((line, i) => ({ line: line.trim(), row: i + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, row }) => {
+        try {
+          const payload = JSON.parse(line);
+          if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return { row, error: 'Line is not a JSON object' };
+          return { row, payload };
+        } catch (err) {
+          return { row, error: `Invalid JSON: ${err.message}` };
+        }
+      });
+  }
+
+  throw new BadRequestError(`Unsupported import format: ${format}`, { code: 'UNSUPPORTED_MEDIA_TYPE' });
+}
@@ -0,0 +1,35 @@
+import { csvRecordToCustomer, parseCustomerImport } from './import.utils.mjs';
+
+describe('import utils', () => {
+  it('should group numbered address columns', () => {
+    expect(csvRecordToCustomer({
+      firstName: 'John',
+      email: '',
+      'address2.city': 'Delhi',
+      'address1.city': 'Pune',
+      'address1.isPrimary': 'true',
+    })).toEqual({
+      firstName: 'John',
+      addresses: [{ city: 'Pune', isPrimary: 'true' }, { city: 'Delhi' }],
+    });
+  });
+
+  it('should parse CSV uploads', () => {
+    const csv = 'firstName,lastName,phone,address1.line1\nJohn,Doe,9876543210,1 Main St\n';
+    expect(parseCustomerImport(csv, 'csv')).toEqual([
+      { row: 1, payload: { firstName: 'John', lastName: 'Doe', phone: '9876543210', addresses: [{ line1: '1 Main St' }] } },
+    ]);
+  });
+
+  it('should report bad NDJSON lines without failing the rest', () => {
+    const ndjson = '{"firstName":"A"}\n\nnot json\n[1]\n';
+    const records = parseCustomerImport(ndjson, 'ndjson');
+    expect(records[0]).toEqual({ row: 1, payload: { firstName: 'A' } });
+    expect(records[1]).toMatchObject({ row: 3, error: expect.stringContaining('Invalid JSON') });
+    expect(records[2]).toEqual({ row: 4, error: 'Line is not a JSON object' });
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => parseCustomerImport('', 'xml')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -1,3 +1,5 @@
+import { BadRequestError } from './error.utils.mjs';
+
 /**
  * Parse pagination parameters from a query object.
  *
@@ -5,24 +7,94 @@
  * - `page` defaults to 1 (minimum 1).
  * - `limit` defaults to 10 (minimum 1, maximum 100).
  * - Calculates the `offset` for SQL queries or array slicing.
+ * - Decodes an opaque keyset `cursor` if one is given (see {@link decodeCursor}).
  *
  * @function parsePagination
  * @param {Object} [query={}] - Query parameters, usually from `req.query`.
  * @param {string|number} [query.page=1] - The requested page number (1-based).
  * @param {string|number} [query.limit=10] - The number of items per page.
- * @returns {{ page: number, limit: number, offset: number }} Normalized pagination values.
+ * @param {string} [query.cursor] - Opaque cursor from a previous response's `nextCursor`/`prevCursor`.
+ * @returns {{ page: number, limit: number, offset: number, cursor: Object|null }} Normalized pagination values.
+ * @throws {BadRequestError} If `cursor` is malformed.
  *
  * @example
  * parsePagination({ page: "2", limit: "20" });
- * // => { page: 2, limit: 20, offset: 20 }
+ * // => { page: 2, limit: 20, offset: 20, cursor: null }
  *
  * @example
  * parsePagination({});
- * // => { page: 1, limit: 10, offset: 0 }
+ * // => { page: 1, limit: 10, offset: 0, cursor: null }
  */
 export function parsePagination(query = {}) {
   const page = Math.max(1, parseInt(query.page || '1', 10));
   const limit = Math.min(100, Math.max(1, parseInt(query.limit || '10', 10)));
   const offset = (page - 1) * limit;
-  return { page, limit, offset };
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  return { page, limit, offset, cursor };
+}
+
+/**
+ * Encode a keyset cursor as an opaque URL-safe string.
+ *
+ * @function encodeCursor
+ * @param {Object} cursor
+ * @param {Array<string|number|null>} cursor.values - Sort key values of the boundary row.
+ * @param {number} cursor.id - ID of the boundary row (final tie-breaker).
+ * @param {'next'|'prev'} cursor.direction - Which side of the boundary row to fetch.
+ * @param {string} cursor.sort - Signature of the sort the cursor was issued for.
+ * @returns {string} base64url-encoded cursor.
+ *
+ * @example
+ * encodeCursor({ values: ['2025-09-03 12:00:00'], id: 42, direction: 'next', sort: 'createdAt:DESC' });
+ * // => 'eyJ2IjpbIjIwMjUtMDktMDMgMTI6MDA6MDAiXSwiaSI6NDIsImQiOiJuIiwicyI6ImNyZWF0ZWRBdDpERVNDIn0'
+ */
+export function encodeCursor({ values, id, direction, sort }) {
+  const payload = { v: values, i: id, d: direction === 'prev' ? 'p' : 'n', s: sort };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by {@link encodeCursor}.
+ *
+ * @function decodeCursor
+ * @param {string} str - Opaque cursor string.
+ * @returns {{ values: Array<string|number|null>, id: number, direction: 'next'|'prev', sort: string }}
+ * @throws {BadRequestError} 400 if the cursor is malformed.
+ */
+export function decodeCursor(str) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(str), 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (!payload || !Array.isArray(payload.v) || !Number.isInteger(payload.i) || !['n', 'p'].includes(payload.d) || typeof payload.s !== 'string') {
+    throw new BadRequestError('Invalid cursor', { code: 'INVALID_CURSOR' });
+  }
+  return { values: payload.v, id: payload.i, direction: payload.d === 'p' ? 'prev' : 'next', sort: payload.s };
+}
+
+/**
+ * Build a keyset ("seek") condition selecting rows strictly after a boundary row
+ * in the given ordering. Works for any number of keys with mixed directions;
+ * the last key must be unique (e.g. the primary key) so the ordering is total.
+ *
+ * @function buildKeysetCondition
+ * @param {{expr:string, dir:'ASC'|'DESC'}[]} keys - Ordered sort keys as SQL expressions.
+ * @param {Array<string|number|null>} values - Boundary row's value for each key.
+ * @param {string} [prefix='ck'] - Prefix for the generated named parameters.
+ * @returns {{ sql: string, params: Object }} SQL condition and its named parameters.
+ *
+ * @example
+ * buildKeysetCondition([{ expr: 'lastName', dir: 'ASC' }, { expr: 'id', dir: 'ASC' }], ['Doe', 7]);
+ * // => { sql: '((lastName > @ck0) OR (lastName = @ck0 AND id > @ck1))', params: { ck0: 'Doe', ck1: 7 } }
+ */
+export function buildKeysetCondition(keys, values, prefix = 'ck') {
+  const params = {};
+  const branches = keys.map((key, i) => {
+    params[`${prefix}${i}`] = values[i];
+    const equal = keys.slice(0, i).map((k, j) => `${k.expr} = @${prefix}${j}`);
+    return `(${[...equal, `${key.expr} ${key.dir === 'ASC' ? '>' : '<'} @${prefix}${i}`].join(' AND ')})`;
+  });
+  return { sql: `(${branches.join(' OR ')})`, params };
 }
@@ -0,0 +1,28 @@
+import { parsePagination, encodeCursor, decodeCursor, buildKeysetCondition } from './pagination.utils.mjs';
+
+describe('pagination utils', () => {
+  it('should normalize page and limit', () => {
+    expect(parsePagination({ page: '2', limit: '20' })).toEqual({ page: 2, limit: 20, offset: 20, cursor: null });
+    expect(parsePagination({ page: '-1', limit: '1000' })).toEqual({ page: 1, limit: 100, offset: 0, cursor: null });
+  });
+
+  it('should round-trip cursors', () => {
+    const cursor = { values: ['2025-09-03 12:00:00'], id: 42, direction: 'prev', sort: 'createdAt:DESC' };
+    expect(decodeCursor(encodeCursor(cursor))).toEqual(cursor);
+    expect(parsePagination({ cursor: encodeCursor(cursor) }).cursor).toEqual(cursor);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(() => decodeCursor('not-a-cursor')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => decodeCursor(Buffer.from('{"v":[],"i":"x"}').toString('base64url'))).toThrow('Invalid cursor');
+  });
+
+  it('should build keyset conditions with mixed directions', () => {
+    const { sql, params } = buildKeysetCondition(
+      [{ expr: 'a', dir: 'DESC' }, { expr: 'b', dir: 'ASC' }, { expr: 'id', dir: 'DESC' }],
+      ['x', 2, 9]
+    );
+    expect(sql).toBe('((a < @ck0) OR (a = @ck0 AND b > @ck1) OR (a = @ck0 AND b = @ck1 AND id < @ck2))');
+    expect(params).toEqual({ ck0: 'x', ck1: 2, ck2: 9 });
+  });
+});
@@ -0,0 +1,55 @@
+import { parsePhoneNumberFromString, getCountries } from 'libphonenumber-js';
+import { ValidationError } from './error.utils.mjs';
+
+/** English country name (case-folded) → ISO region code, built from the regions libphonenumber knows. */
+const REGION_BY_NAME = (() => {
+  const names = new Intl.DisplayNames(['en'], { type: 'region' });
+  const map = new Map();
+  for (const region of getCountries()) {
+    const name = names.of(region);
+    if (name) map.set(name.toLowerCase(), region);
+  }
+  return map;
+})();
+
+/**
+ * Resolve a country, as stored on addresses, to an ISO 3166-1 alpha-2 region.
+ * Accepts English names (`India`) and region codes (`in`, `IN`).
+ *
+ * @function regionForCountry
+ * @param {string|null|undefined} country - Country name or code.
+ * @returns {string|null} Region code, or `null` if unknown.
+ *
+ * @example
+ * regionForCountry('India'); // => 'IN'
+ */
+export function regionForCountry(country) {
+  const value = String(country ?? '').trim();
+  if (!value) return null;
+  if (/^[a-z]{2}$/i.test(value) && getCountries().includes(value.toUpperCase())) return value.toUpperCase();
+  return REGION_BY_NAME.get(value.toLowerCase()) || null;
+}
+
+/**
+ * Normalize a phone number to E.164.
+ * National-format numbers are read in `region`; numbers with a `+` prefix carry their own country.
+ *
+ * @function toE164
+ * @param {string} phone - Phone as entered.
+ * @param {string} region - ISO region used for national-format numbers.
+ * @returns {string} E.164 number, e.g. `+919876543210`.
+ * @throws {ValidationError} 400 if the number is not valid (reported on `/phone`).
+ *
+ * @example
+ * toE164('098765 43210', 'IN'); // => '+919876543210'
+ */
+export function toE164(phone, region) {
+  const parsed = parsePhoneNumberFromString(String(phone ?? ''), region);
+  if (!parsed || !parsed.isValid()) {
+    throw new ValidationError(`Invalid phone number for region ${region}`, {
+      code: 'INVALID_PHONE',
+      errors: [{ field: '/phone', message: `"phone" is not a valid ${region} number`, code: 'phone.invalid' }],
+    });
+  }
+  return parsed.number;
+}
@@ -0,0 +1,24 @@
+import { toE164, regionForCountry } from './phone.utils.mjs';
+
+describe('phone utils', () => {
+  it('should resolve country names and codes to regions', () => {
+    expect(regionForCountry('India')).toBe('IN');
+    expect(regionForCountry(' united states ')).toBe('US');
+    expect(regionForCountry('gb')).toBe('GB');
+    expect(regionForCountry('Narnia')).toBeNull();
+    expect(regionForCountry(null)).toBeNull();
+  });
+
+  it.each(['09876543210', '+91 98765 43210', '9876543210', '98765-43210'])('should normalize %s to E.164', (phone) => {
+    expect(toE164(phone, 'IN')).toBe('+919876543210');
+  });
+
+  it('should keep the country of international numbers', () => {
+    expect(toE164('+1 415 555 2671', 'IN')).toBe('+14155552671');
+  });
+
+  it('should reject invalid numbers', () => {
+    expect(() => toE164('123456', 'IN')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => toE164('', 'IN')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
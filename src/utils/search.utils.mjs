@@ -19,3 +19,49 @@
 export function escapeLike(s = '') {
   return String(s).replace(/[%_]/g, '\\$&');
 }
+
+/**
+ * Convert free-text user input into a safe SQLite FTS5 prefix query.
+ *
+ * Input is split into letter/digit tokens; each token is quoted (so FTS5
+ * operators and punctuation in the input have no special meaning) and given a
+ * `*` suffix for prefix matching. Tokens are combined with implicit AND.
+ *
+ * @function toFtsQuery
+ * @param {string} [s=''] - Raw search text.
+ * @returns {string} FTS5 MATCH expression, or an empty string if the input has no searchable tokens.
+ *
+ * @example
+ * toFtsQuery('Jo sm');
+ * // => '"Jo"* "sm"*'
+ *
+ * @example
+ * toFtsQuery('john.doe@mail');
+ * // => '"john"* "doe"* "mail"*'
+ */
+export function toFtsQuery(s = '') {
+  const tokens = String(s).match(/[\p{L}\p{N}]+/gu) || [];
+  return tokens.map(t => `"${t}"*`).join(' ');
+}
+
+/**
+ * Extract the digits of a phone-like search term.
+ *
+ * FTS tokens only match from their start, so a partial phone number such as
+ * `98765` would not find `+919876543210`. Callers use the returned digits for a
+ * substring match on the phone column instead.
+ *
+ * @function phoneSearchDigits
+ * @param {string} [s=''] - Raw search text.
+ * @returns {string|null} The digits if the input looks like a phone fragment (3+ digits, only phone punctuation), else `null`.
+ *
+ * @example
+ * phoneSearchDigits('98765 432');
+ * // => '98765432'
+ */
+export function phoneSearchDigits(s = '') {
+  const str = String(s).trim();
+  if (!/^[\d\s+().-]+$/.test(str)) return null;
+  const digits = str.replace(/\D/g, '');
+  return digits.length >= 3 ? digits : null;
+}
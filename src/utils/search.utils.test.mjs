@@ -0,0 +1,27 @@
+import { escapeLike, toFtsQuery, phoneSearchDigits } from './search.utils.mjs';
+
+describe('search utils', () => {
+  it('should escape LIKE wildcards', () => {
+    expect(escapeLike('100% real_value')).toBe('100\\% real\\_value');
+  });
+
+  it('should build a quoted prefix FTS query', () => {
+    expect(toFtsQuery('Jo sm')).toBe('"Jo"* "sm"*');
+    expect(toFtsQuery('john.doe@mail')).toBe('"john"* "doe"* "mail"*');
+  });
+
+  it('should neutralize FTS operators and quotes', () => {
+    expect(toFtsQuery('a" OR NEAR(b')).toBe('"a"* "OR"* "NEAR"* "b"*');
+    expect(toFtsQuery('*** ---')).toBe('');
+  });
+
+  it('should keep non-latin letters', () => {
+    expect(toFtsQuery('Srīnivās')).toBe('"Srīnivās"*');
+  });
+
+  it('should detect phone fragments', () => {
+    expect(phoneSearchDigits('+91 98765')).toBe('9198765');
+    expect(phoneSearchDigits('12')).toBeNull();
+    expect(phoneSearchDigits('john 123')).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import { BadRequestError } from './error.utils.mjs';
+
+/**
+ * Fields the customer list can be sorted by. `primaryAddress.*` sorts by the
+ * customer's primary address; `relevance` (needs `q`) and `distance` (needs `near`)
+ * are always best-first and take no direction.
+ */
+export const SORT_FIELDS = [
+  'id', 'firstName', 'lastName', 'email', 'phone', 'accountType', 'createdAt', 'updatedAt',
+  'primaryAddress.city', 'primaryAddress.state', 'primaryAddress.pincode', 'primaryAddress.country',
+  'relevance', 'distance',
+];
+
+/** Most sort fields accepted in one `sort` parameter. */
+export const MAX_SORT_FIELDS = 5;
+
+/** Sort fields ranked best-first, which cannot be reversed. */
+const RANKED_FIELDS = ['relevance', 'distance'];
+
+/**
+ * Parse a `sort` parameter: comma-separated fields, each ascending or, with a
+ * leading `-`, descending.
+ *
+ * @function parseSort
+ * @param {string} value - e.g. `-createdAt,lastName,primaryAddress.city`.
+ * @returns {{field:string, dir:'ASC'|'DESC'}[]}
+ * @throws {BadRequestError} 400 `INVALID_SORT` for unknown, repeated or too many fields (listed in `errors`).
+ *
+ * @example
+ * parseSort('-createdAt,lastName');
+ * // => [{ field: 'createdAt', dir: 'DESC' }, { field: 'lastName', dir: 'ASC' }]
+ */
+export function parseSort(value) {
+  const terms = String(value ?? '').split(',').map(t => t.trim()).filter(Boolean);
+  const errors = [];
+  if (!terms.length) errors.push({ message: 'sort needs at least one field', code: 'sort.empty' });
+  if (terms.length > MAX_SORT_FIELDS) errors.push({ message: `sort accepts at most ${MAX_SORT_FIELDS} fields`, code: 'sort.max' });
+
+  const seen = new Set();
+  const sort = terms.map((term) => {
+    const descending = term.startsWith('-');
+    const field = term.replace(/^[-+]/, '');
+    if (!SORT_FIELDS.includes(field)) errors.push({ message: `"${field}" is not a sortable field`, code: 'sort.field' });
+    else if (seen.has(field)) errors.push({ message: `"${field}" is listed more than once`, code: 'sort.duplicate' });
+    else if (descending && RANKED_FIELDS.includes(field)) errors.push({ message: `"${field}" is always best-first and cannot be reversed`, code: 'sort.direction' });
+    seen.add(field);
+    return { field, dir: descending ? 'DESC' : 'ASC' };
+  });
+
+  if (errors.length) {
+    throw new BadRequestError(`Invalid sort; sortable fields are ${SORT_FIELDS.join(', ')}`, { code: 'INVALID_SORT', errors });
+  }
+  return sort;
+}
+
+/**
+ * Format a parsed sort back into `sort` parameter syntax.
+ *
+ * @function formatSort
+ * @param {{field:string, dir:'ASC'|'DESC'}[]} sort - Parsed sort.
+ * @returns {string}
+ *
+ * @example
+ * formatSort([{ field: 'createdAt', dir: 'DESC' }, { field: 'lastName', dir: 'ASC' }]); // => '-createdAt,lastName'
+ */
+export function formatSort(sort) {
+  return sort.map(({ field, dir }) => `${dir === 'DESC' ? '-' : ''}${field}`).join(',');
+}
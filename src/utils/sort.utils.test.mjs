@@ -0,0 +1,34 @@
+import { parseSort, formatSort, MAX_SORT_FIELDS } from './sort.utils.mjs';
+
+describe('sort utils', () => {
+  it('should parse comma-separated fields with directions', () => {
+    expect(parseSort('-createdAt, lastName,+primaryAddress.city')).toEqual([
+      { field: 'createdAt', dir: 'DESC' },
+      { field: 'lastName', dir: 'ASC' },
+      { field: 'primaryAddress.city', dir: 'ASC' },
+    ]);
+  });
+
+  it('should round-trip through formatSort', () => {
+    expect(formatSort(parseSort('-createdAt,lastName'))).toBe('-createdAt,lastName');
+  });
+
+  it('should reject fields outside the allowlist with one issue each', () => {
+    expect(() => parseSort('password,lastName,addresses.id')).toThrow(expect.objectContaining({
+      status: 400,
+      code: 'INVALID_SORT',
+      errors: [
+        { message: '"password" is not a sortable field', code: 'sort.field' },
+        { message: '"addresses.id" is not a sortable field', code: 'sort.field' },
+      ],
+    }));
+  });
+
+  it('should reject empty, repeated, reversed ranked and too many fields', () => {
+    const codeOf = value => { try { parseSort(value); } catch (err) { return err.errors.map(e => e.code); } return []; };
+    expect(codeOf(' , ')).toEqual(['sort.empty']);
+    expect(codeOf('lastName,-lastName')).toEqual(['sort.duplicate']);
+    expect(codeOf('-distance')).toEqual(['sort.direction']);
+    expect(codeOf(['id', 'firstName', 'lastName', 'email', 'phone', 'createdAt'].slice(0, MAX_SORT_FIELDS + 1).join(','))).toEqual(['sort.max']);
+  });
+});
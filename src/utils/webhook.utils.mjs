@@ -0,0 +1,68 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/** Customer lifecycle events that webhooks can subscribe to (`*` subscribes to all of them). */
+export const WEBHOOK_EVENTS = [
+  'customer.created',
+  'customer.updated',
+  'customer.deleted',
+  'customer.restored',
+  'customer.merged',
+  'address.added',
+  'address.updated',
+  'address.deleted',
+  'address.restored',
+  'address.primary_changed',
+];
+
+/**
+ * HMAC-SHA256 signature of a delivery, sent as `X-Webhook-Signature`.
+ * The timestamp is signed together with the body so that a captured request
+ * cannot be replayed later with a fresh timestamp.
+ *
+ * @function signPayload
+ * @param {string} secret - Webhook secret.
+ * @param {number|string} timestamp - Unix seconds, as sent in `X-Webhook-Timestamp`.
+ * @param {string} body - Raw JSON body.
+ * @returns {string} `sha256=<hex digest>`.
+ *
+ * @example
+ * signPayload('s3cret', 1767225600, '{"type":"customer.created"}');
+ * // => 'sha256=…'
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a signature produced by {@link signPayload} in constant time.
+ * Receivers can use this (or its equivalent) to authenticate deliveries.
+ *
+ * @function verifySignature
+ * @param {string} secret - Webhook secret.
+ * @param {number|string} timestamp - `X-Webhook-Timestamp` header.
+ * @param {string} body - Raw request body.
+ * @param {string} signature - `X-Webhook-Signature` header.
+ * @returns {boolean}
+ */
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature ?? ''));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Delay before retrying a failed delivery: exponential backoff, capped.
+ *
+ * @function backoffSeconds
+ * @param {number} attempts - Attempts made so far (1 after the first failure).
+ * @param {Object} options
+ * @param {number} options.baseSeconds - Delay after the first failure.
+ * @param {number} options.maxSeconds - Upper bound.
+ * @returns {number} Seconds until the next attempt.
+ *
+ * @example
+ * backoffSeconds(3, { baseSeconds: 30, maxSeconds: 3600 }); // => 120
+ */
+export function backoffSeconds(attempts, { baseSeconds, maxSeconds }) {
+  return Math.min(maxSeconds, baseSeconds * 2 ** Math.max(0, attempts - 1));
+}
@@ -0,0 +1,22 @@
+import { createHmac } from 'node:crypto';
+import { signPayload, verifySignature, backoffSeconds } from './webhook.utils.mjs';
+
+describe('webhook utils', () => {
+  it('should sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', 'k').update('1700000000.{"a":1}').digest('hex');
+    expect(signPayload('k', 1700000000, '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+
+  it('should verify only matching signatures', () => {
+    const signature = signPayload('k', 1, 'body');
+    expect(verifySignature('k', 1, 'body', signature)).toBe(true);
+    expect(verifySignature('k', 2, 'body', signature)).toBe(false);
+    expect(verifySignature('other', 1, 'body', signature)).toBe(false);
+    expect(verifySignature('k', 1, 'body', undefined)).toBe(false);
+  });
+
+  it('should back off exponentially up to the cap', () => {
+    const options = { baseSeconds: 30, maxSeconds: 300 };
+    expect([1, 2, 3, 4, 5, 6].map(n => backoffSeconds(n, options))).toEqual([30, 60, 120, 240, 300, 300]);
+  });
+});